@@ -0,0 +1,396 @@
+// aggregates.js — Pre-computed player and game statistics kept in IndexedDB
+//
+// Every db.js write that touches bowls or games calls refreshAggregates() with
+// the affected game ids. Those games are recounted from their own bowls and
+// only the players who appear in them have their totals rolled up again, so
+// the dashboards never need to read every bowl. Records in the store:
+//   ['player', name]               a player's totals across all games
+//   ['playerGame', name, gameId]   a player's totals in one game
+//   ['game', gameId]               whole-game totals for the summary list
+// A named opposition player (db.js) has the same player and playerGame records
+// under 'opponent:<name>', left out of the game's tracked totals.
+// Tallies hold only sums and counts so per-game tallies can be added together.
+// A playerGame record also splits its tally by the green conditions each end
+// was played in (conditions.js), so results can be filtered and broken down
+// by conditions that changed part way through a game.
+
+// Bump when the tally shape or what is counted changes - the store is rebuilt on next start
+const AGGREGATES_VERSION = 6;
+
+const DISTANCE_ZONES = ['Close (<20cm)', 'Medium (20-50cm)', 'Far (>50cm)'];
+
+function emptyTally() {
+  const handTally = () => ({ total: 0, withinMatLength: 0, close: 0, wide: 0, distanceSum: 0 });
+  const jackTally = () => ({ forehand: { total: 0, withinMatLength: 0 }, backhand: { total: 0, withinMatLength: 0 } });
+  // Bowls with a known line or weight (delivery.js), counted by each value
+  const deliveryTally = () => ({ lines: 0, narrow: 0, onLine: 0, wide: 0, weights: 0, light: 0, correct: 0, heavy: 0 });
+  // Called shots (called-shots.js) by type, for the bowls a player delivered and the calls they gave
+  const callTypes = () => Object.fromEntries(Object.keys(CALL_TYPES).map(type => [type, emptyCallTally()]));
+  const zones = {};
+  DISTANCE_ZONES.forEach(zone => { zones[zone] = { total: 0, good: 0 }; });
+
+  return {
+    bowls: 0,
+    positions: [],
+    scored: 0,
+    scoreSum: 0,
+    scoreSquares: 0,
+    scoreDistribution: { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0 },
+    distanceZones: zones,
+    bowlDistribution: { short: 0, medium: 0, long: 0 },
+    hands: { forehand: handTally(), backhand: handTally() },
+    jackLengths: { short: jackTally(), medium: jackTally(), long: jackTally() },
+    directionBreakdown: { Short: 0, 'Jack High': 0, Past: 0 },
+    clutchScored: 0,
+    clutchScoreSum: 0,
+    touchers: 0,
+    deadBowls: 0,
+    ditchBowls: 0,
+    delivery: {
+      hands: { forehand: deliveryTally(), backhand: deliveryTally() },
+      jackLengths: { short: deliveryTally(), medium: deliveryTally(), long: deliveryTally() }
+    },
+    calls: {
+      played: callTypes(),
+      positions: { Lead: emptyCallTally(), Second: emptyCallTally(), Third: emptyCallTally(), Skip: emptyCallTally() },
+      given: callTypes()
+    }
+  };
+}
+
+// recorded: calls with a known outcome; madeNoGain: made, but the head was no better after
+function emptyCallTally() {
+  return { calls: 0, recorded: 0, made: 0, partial: 0, gained: 0, lost: 0, madeNoGain: 0 };
+}
+
+function addCallToTally(callTally, b, game, bowls) {
+  const outcome = game ? getCallOutcome(game, bowls, b) : (b.call.outcome || null);
+  const change = getCallHeadChange(b);
+  callTally.calls++;
+  if (outcome) callTally.recorded++;
+  if (outcome === 'made') callTally.made++;
+  if (outcome === 'partial') callTally.partial++;
+  if (change > 0) callTally.gained++;
+  if (change < 0) callTally.lost++;
+  if (outcome === 'made' && change != null && change <= 0) callTally.madeNoGain++;
+}
+
+function addBowlToTally(tally, b, game) {
+  const score = b.scoreValue || 0;
+  const dist = b.distanceInFeet || 0;
+  const hand = (b.hand || 'forehand') === 'backhand' ? 'backhand' : 'forehand';
+
+  tally.bowls++;
+  if (b.position && !tally.positions.includes(b.position)) tally.positions.push(b.position);
+
+  if (b.scoreValue != null) {
+    tally.scored++;
+    tally.scoreSum += score;
+    tally.scoreSquares += score * score;
+    tally.scoreDistribution[score] = (tally.scoreDistribution[score] || 0) + 1;
+    // Clutch performance (final 3 ends of each game)
+    if (game && b.end > (game.totalEnds || 21) - 3) {
+      tally.clutchScored++;
+      tally.clutchScoreSum += score;
+    }
+  }
+
+  // Convert feet to cm roughly (1ft ~ 30cm)
+  const distCm = dist * 30;
+  const zone = distCm < 20 ? DISTANCE_ZONES[0] : (distCm < 50 ? DISTANCE_ZONES[1] : DISTANCE_ZONES[2]);
+  tally.distanceZones[zone].total++;
+  if (score >= 3) tally.distanceZones[zone].good++;
+
+  if (dist < 0.67) tally.bowlDistribution.short++;
+  else if (dist < 1.67) tally.bowlDistribution.medium++;
+  else tally.bowlDistribution.long++;
+
+  const handTally = tally.hands[hand];
+  handTally.total++;
+  handTally.distanceSum += dist;
+  if (dist <= 4) handTally.withinMatLength++;
+  if (dist <= 2) handTally.close++;
+  if (dist > 6) handTally.wide++;
+
+  const jackTally = tally.jackLengths[b.jackLength || 'medium'];
+  if (jackTally) {
+    jackTally[hand].total++;
+    if (dist <= 4) jackTally[hand].withinMatLength++;
+  }
+
+  const dir = b.resultCategory || '';
+  if (tally.directionBreakdown[dir] !== undefined) tally.directionBreakdown[dir]++;
+
+  // Head states under the rules in scoring.js
+  if (b.isToucher) tally.touchers++;
+  if (game && isBowlDead(game, b)) tally.deadBowls++;
+  if (game && isBowlInDitch(game, b)) tally.ditchBowls++;
+
+  // Line and weight, split by hand and by jack length
+  const delivery = game ? getBowlDelivery(game, b) : { line: b.line, weight: b.weight };
+  [tally.delivery.hands[hand], tally.delivery.jackLengths[b.jackLength || 'medium']].filter(Boolean).forEach(t => {
+    if (DELIVERY_LINES[delivery.line]) { t.lines++; t[delivery.line]++; }
+    if (DELIVERY_WEIGHTS[delivery.weight]) { t.weights++; t[delivery.weight]++; }
+  });
+}
+
+// Add `source` into `target`: numbers are summed, lists are unioned
+function addTally(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      target[key] = [...new Set([...(target[key] || []), ...value])];
+    } else if (value && typeof value === 'object') {
+      target[key] = addTally(target[key] || {}, value);
+    } else {
+      target[key] = (target[key] || 0) + value;
+    }
+  });
+  return target;
+}
+
+// Best and worst end by average score, from { end, gameId, total, count } entries
+function pickEnds(ends) {
+  const endAvgs = ends.map(e => ({ ...e, avg: e.count > 0 ? e.total / e.count : 0 }));
+  endAvgs.sort((a, b) => b.avg - a.avg);
+  return {
+    bestEnd: endAvgs[0] || null,
+    worstEnd: endAvgs[endAvgs.length - 1] || null
+  };
+}
+
+// Build the playerGame records and the game record for one game
+function buildGameAggregates(gameId, game, bowls) {
+  const byPlayer = {};
+  const gameRecord = {
+    key: ['game', gameId],
+    type: 'game',
+    gameId,
+    totalBowls: bowls.length,
+    trackedScored: 0,
+    trackedScoreSum: 0,
+    players: {}
+  };
+
+  const endConditions = {};
+  const conditionsFor = (end) => {
+    if (!endConditions[end]) endConditions[end] = getConditionKeys(game ? getEndConditions(game, end) : {});
+    return endConditions[end];
+  };
+
+  // The player's totals for the game and for the conditions `end` was played in
+  const talliesFor = (playerId, end) => {
+    if (!byPlayer[playerId]) byPlayer[playerId] = { tally: emptyTally(), ends: {}, segments: {} };
+    const entry = byPlayer[playerId];
+    const conditions = conditionsFor(end);
+    const key = JSON.stringify(conditions);
+    if (!entry.segments[key]) entry.segments[key] = { conditions, tally: emptyTally(), ends: {} };
+    return [entry, entry.segments[key]];
+  };
+
+  bowls.forEach(b => {
+    // Untracked opposition bowls only count towards the game's total
+    const tallyId = b.playerId === 'opponent' ? getOpponentTallyId(b.opponentName) : b.playerId;
+    if (!tallyId) return;
+
+    const position = b.position || getPositionFromIndex(game ? game.format : '', b.playerIndex);
+    const hasCall = b.call && CALL_TYPES[b.call.type];
+    talliesFor(tallyId, b.end).forEach(part => {
+      addBowlToTally(part.tally, b, game);
+      if (hasCall) {
+        addCallToTally(part.tally.calls.played[b.call.type], b, game, bowls);
+        if (part.tally.calls.positions[position]) addCallToTally(part.tally.calls.positions[position], b, game, bowls);
+      }
+      if (!part.ends[b.end]) part.ends[b.end] = { total: 0, count: 0, end: b.end, gameId };
+      part.ends[b.end].total += (b.scoreValue || 0);
+      part.ends[b.end].count++;
+    });
+
+    // The call counts for the player who delivered it and for the one who called it
+    if (hasCall && b.call.calledBy) {
+      talliesFor(b.call.calledBy, b.end).forEach(part => addCallToTally(part.tally.calls.given[b.call.type], b, game, bowls));
+    }
+    if (tallyId !== b.playerId) return;
+
+    if (!gameRecord.players[b.playerId]) gameRecord.players[b.playerId] = { total: 0, count: 0 };
+    gameRecord.players[b.playerId].total += (b.scoreValue || 0);
+    gameRecord.players[b.playerId].count++;
+    if (b.scoreValue != null) {
+      gameRecord.trackedScored++;
+      gameRecord.trackedScoreSum += b.scoreValue;
+    }
+  });
+
+  const playerRecords = Object.entries(byPlayer).map(([playerId, entry]) => ({
+    key: ['playerGame', playerId, gameId],
+    type: 'playerGame',
+    playerId,
+    gameId,
+    date: game ? game.date : '',
+    format: game ? game.format : '',
+    gameNumber: game ? game.gameNumber || 0 : 0,
+    tally: entry.tally,
+    ...pickEnds(Object.values(entry.ends)),
+    conditions: Object.values(entry.segments).map(segment => ({
+      conditions: segment.conditions,
+      tally: segment.tally,
+      ...pickEnds(Object.values(segment.ends))
+    }))
+  }));
+
+  return [gameRecord, ...playerRecords];
+}
+
+function buildPlayerAggregate(playerId, gameRecords) {
+  const tally = emptyTally();
+  gameRecords.forEach(r => addTally(tally, r.tally));
+  const ends = gameRecords.flatMap(r => [r.bestEnd, r.worstEnd]).filter(Boolean);
+
+  return {
+    key: ['player', playerId],
+    type: 'player',
+    playerId,
+    gameIds: gameRecords.map(r => r.gameId),
+    tally,
+    ...pickEnds(ends),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Re-roll the totals of `players` from their playerGame records
+function rollUpPlayers(store, players) {
+  players.forEach(playerId => {
+    store.index('playerId').getAll(playerId).onsuccess = (event) => {
+      const gameRecords = event.target.result.filter(r => r.type === 'playerGame');
+      if (gameRecords.length === 0) {
+        store.delete(['player', playerId]);
+      } else {
+        store.put(buildPlayerAggregate(playerId, gameRecords));
+      }
+    };
+  });
+}
+
+// Recount `gameIds` from their bowls and re-roll every player in them, in one
+// transaction so a concurrent write can't leave a half-updated total behind.
+async function refreshAggregates(gameIds) {
+  const ids = [...new Set(gameIds)].filter(Boolean);
+  if (ids.length === 0) return;
+
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['games', 'bowls', 'aggregates'], 'readwrite');
+    const store = tx.objectStore('aggregates');
+    const players = new Set();
+    let gamesLeft = ids.length;
+
+    ids.forEach(gameId => {
+      const loaded = {};
+      let pending = 3;
+      const onLoaded = () => {
+        if (--pending > 0) return;
+
+        // Players no longer in the game (deleted or renamed) still need re-rolling
+        loaded.previous.forEach(record => {
+          if (record.playerId) players.add(record.playerId);
+          store.delete(record.key);
+        });
+        buildGameAggregates(gameId, loaded.game, loaded.bowls).forEach(record => {
+          if (record.playerId) players.add(record.playerId);
+          store.put(record);
+        });
+
+        if (--gamesLeft === 0) rollUpPlayers(store, players);
+      };
+
+      tx.objectStore('games').get(gameId).onsuccess = (e) => { loaded.game = e.target.result; onLoaded(); };
+      tx.objectStore('bowls').index('gameId').getAll(gameId).onsuccess = (e) => { loaded.bowls = e.target.result; onLoaded(); };
+      store.index('gameId').getAll(gameId).onsuccess = (e) => { loaded.previous = e.target.result; onLoaded(); };
+    });
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function rebuildAggregates() {
+  const db = await openDB();
+  const gameIds = await new Promise((resolve, reject) => {
+    const tx = db.transaction(['bowls', 'aggregates'], 'readwrite');
+    tx.objectStore('aggregates').clear();
+
+    // Every game that has bowls, including bowls whose game record is missing
+    const ids = [];
+    tx.objectStore('bowls').index('gameId').openKeyCursor(null, 'nextunique').onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        ids.push(cursor.key);
+        cursor.continue();
+      }
+    };
+    tx.oncomplete = () => resolve(ids);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+
+  await refreshAggregates(gameIds);
+  await saveSetting('aggregatesVersion', AGGREGATES_VERSION);
+  console.log(`[Aggregates] Rebuilt statistics for ${gameIds.length} games`);
+}
+
+// Build the store on first run after an upgrade, or when the tally shape changed
+async function ensureAggregates() {
+  try {
+    if (await getSetting('aggregatesVersion') === AGGREGATES_VERSION) return;
+    await rebuildAggregates();
+  } catch (err) {
+    console.error('[Aggregates] Rebuild failed:', err);
+  }
+}
+
+// ===== READS =====
+
+// The player's totals record plus one playerGame record per game played
+async function getPlayerAggregates(playerId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('aggregates', 'readonly');
+    const request = tx.objectStore('aggregates').index('playerId').getAll(playerId);
+    request.onsuccess = () => {
+      const records = request.result || [];
+      resolve({
+        player: records.find(r => r.type === 'player') || null,
+        games: records.filter(r => r.type === 'playerGame')
+      });
+    };
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// The totals records of every named opposition player, by name
+async function getOpponentAggregates() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('aggregates', 'readonly');
+    const range = IDBKeyRange.bound(OPPONENT_TALLY_PREFIX, OPPONENT_TALLY_PREFIX + '\uffff');
+    const request = tx.objectStore('aggregates').index('playerId').getAll(range);
+    request.onsuccess = () => resolve((request.result || []).filter(r => r.type === 'player')
+      .sort((a, b) => a.playerId.localeCompare(b.playerId)));
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// Game records keyed by game id
+async function getGameAggregates(gameIds) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('aggregates', 'readonly');
+    const store = tx.objectStore('aggregates');
+    const byGame = {};
+    gameIds.forEach(id => {
+      store.get(['game', id]).onsuccess = (e) => {
+        if (e.target.result) byGame[id] = e.target.result;
+      };
+    });
+    tx.oncomplete = () => resolve(byGame);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
@@ -0,0 +1,255 @@
+// analytics-tasks.js — Heavy analytics, run in a Web Worker (analytics-worker.js)
+//
+// ANALYTICS_TASKS is loaded by both the page and the worker. The page calls
+// runAnalyticsTask(type, params), which posts the task to the worker and
+// resolves with its result; if workers are unavailable the same task runs on
+// the main thread instead. Each task receives `task.progress(done, total)` and
+// calls `task.throwIfCancelled()` between steps so a cancelled task stops early.
+
+function analyticsCancelledError() {
+  const err = new Error('Analytics task cancelled');
+  err.cancelled = true;
+  return err;
+}
+
+// ===== TASKS =====
+
+const ANALYTICS_TASKS = {
+  // Stats for `names` (default: every tracked player), skipping players with no bowls.
+  // `conditions` narrows them to ends played in those conditions (conditions.js).
+  async playerStats({ names, gameId, conditions }, task) {
+    const playerNames = names || await getAllPlayerNames();
+    const results = [];
+    for (let i = 0; i < playerNames.length; i++) {
+      task.throwIfCancelled();
+      const stats = await getPlayerStats(playerNames[i], gameId, conditions);
+      if (stats) results.push(stats);
+      task.progress(i + 1, playerNames.length);
+    }
+    return results;
+  },
+
+  async gameSummaries({ filters }) {
+    return getGameSummaries(filters);
+  },
+
+  // Head-to-head record and scouting report against one opposition team or player
+  async opponentReport({ kind, name }) {
+    return getOpponentReport(kind, name);
+  },
+
+  // Bin tracked bowls by where they finished relative to the jack, in cells
+  // of `gridSize` metres. Bowls recorded without a position are left out.
+  async heatmap({ playerId, position, gridSize }, task) {
+    const [bowls, games] = await Promise.all([
+      queryBowls({ trackedOnly: true, playerId, position }),
+      getAllGames()
+    ]);
+    task.throwIfCancelled();
+
+    const gamesById = {};
+    games.forEach(g => { gamesById[g.id] = g; });
+
+    const grid = {};
+    let maxCount = 0;
+    let bowlCount = 0;
+    bowls.forEach(b => {
+      const game = gamesById[b.gameId];
+      if (b.x == null || b.y == null || !game) return;
+      const jack = getEndJack(game, b.end) || getDefaultJackPosition(game, game.jackLength);
+      const key = `${Math.floor((b.x - jack.x) / gridSize)},${Math.floor((b.y - jack.y) / gridSize)}`;
+      grid[key] = (grid[key] || 0) + 1;
+      maxCount = Math.max(maxCount, grid[key]);
+      bowlCount++;
+    });
+
+    const cells = Object.entries(grid).map(([key, count]) => {
+      const [gx, gy] = key.split(',').map(Number);
+      return { gx, gy, count };
+    });
+    return { cells, maxCount, bowlCount };
+  },
+
+  // Up to three candidates per position, best form first; the top candidate
+  // is taken for that position and not offered for later ones
+  async recommendations({ positions }, task) {
+    const allStats = await ANALYTICS_TASKS.playerStats({}, task);
+
+    // Calculate form index for each player
+    const playerScores = allStats.filter(stats => stats.totalBowls >= 4).map(stats => {
+      const effectivePct = stats.totalBowls > 0 ? (stats.scoreDistribution[4] || 0) / stats.totalBowls : 0;
+      const consistencyBonus = stats.consistency < 1 ? 0.2 : 0;
+      return {
+        name: stats.playerName,
+        formIndex: stats.avgScore * 0.5 + effectivePct * 4 * 0.3 + consistencyBonus + (stats.avgScore > 2.5 ? 0.2 : 0),
+        avgScore: stats.avgScore,
+        effectivePct: (effectivePct * 100).toFixed(0),
+        positions: stats.positions || []
+      };
+    });
+    playerScores.sort((a, b) => b.formIndex - a.formIndex);
+
+    const assigned = new Set();
+    return positions.map(pos => {
+      // Find best available player for this position, preferring those who've played it
+      const candidates = playerScores.filter(p => !assigned.has(p.name)).sort((a, b) => {
+        const aPref = a.positions.includes(pos) ? 1 : 0;
+        const bPref = b.positions.includes(pos) ? 1 : 0;
+        return (bPref - aPref) || (b.formIndex - a.formIndex);
+      });
+      if (candidates.length > 0) assigned.add(candidates[0].name);
+      return { position: pos, candidates: candidates.slice(0, 3) };
+    });
+  },
+
+  async seasonReport({ playerName }) {
+    const stats = await getPlayerStats(playerName);
+    if (!stats) return null;
+    return { stats, ...computeSeasonReportMetrics(stats) };
+  }
+};
+
+// ===== SEASON METRICS =====
+
+function computeSeasonTrend(gamePerformance) {
+  // Use last 8 sessions (or all if fewer)
+  const recent = gamePerformance.slice(-8);
+  if (recent.length < 2) return { label: 'Stable', cls: 'stable' };
+
+  const firstHalf = recent.slice(0, Math.floor(recent.length / 2));
+  const secondHalf = recent.slice(Math.floor(recent.length / 2));
+
+  const avgFirst = firstHalf.reduce((s, g) => s + g.avgScore, 0) / firstHalf.length;
+  const avgSecond = secondHalf.reduce((s, g) => s + g.avgScore, 0) / secondHalf.length;
+
+  const diff = avgSecond - avgFirst;
+  if (diff > 0.2) return { label: 'Improving', cls: 'improving' };
+  if (diff < -0.2) return { label: 'Declining', cls: 'declining' };
+  return { label: 'Stable', cls: 'stable' };
+}
+
+function computeSeasonReportMetrics(stats) {
+  const scored = stats.scoreDistribution;
+  const total = stats.totalBowls;
+  const matLength = total > 0 ? Math.round(((scored[3] || 0) + (scored[4] || 0)) / total * 100) : 0;
+
+  const fhCount = stats.handDistribution.forehand || 0;
+  const bhCount = stats.handDistribution.backhand || 0;
+  const handTotal = fhCount + bhCount;
+  const fhPct = handTotal > 0 ? Math.round(fhCount / handTotal * 100) : 50;
+  const bhPct = handTotal > 0 ? Math.round(bhCount / handTotal * 100) : 50;
+
+  const trend = computeSeasonTrend(stats.gamePerformance);
+
+  // Season date range
+  const dates = stats.gamePerformance.map(g => g.date).filter(Boolean).sort();
+  const seasonStart = dates.length > 0 ? formatDate(dates[0]) : 'N/A';
+  const seasonEnd = dates.length > 0 ? formatDate(dates[dates.length - 1]) : 'N/A';
+
+  // Improvement calculation
+  let improvementText = '';
+  if (stats.gamePerformance.length >= 2) {
+    const first = stats.gamePerformance[0].avgScore;
+    const last = stats.gamePerformance[stats.gamePerformance.length - 1].avgScore;
+    const diff = last - first;
+    const pctChange = first > 0 ? Math.round(Math.abs(diff) / first * 100) : 0;
+    if (diff > 0.1) {
+      improvementText = `Your accuracy has improved ${pctChange}% since ${seasonStart}.`;
+    } else if (diff < -0.1) {
+      improvementText = `Your accuracy has decreased ${pctChange}% since ${seasonStart}. Keep practicing!`;
+    } else {
+      improvementText = `Your accuracy has remained consistent since ${seasonStart}.`;
+    }
+  }
+
+  return { matLength, fhPct, bhPct, trend, seasonStart, seasonEnd, improvementText };
+}
+
+// ===== PAGE CLIENT =====
+
+let analyticsWorker;  // undefined until first use, null when running on the main thread
+let nextAnalyticsTaskId = 1;
+const runningAnalyticsTasks = new Map();
+
+function getAnalyticsWorker() {
+  if (analyticsWorker !== undefined) return analyticsWorker;
+  analyticsWorker = null;
+  if (typeof Worker === 'undefined') return null;
+
+  try {
+    analyticsWorker = new Worker('js/analytics-worker.js');
+    analyticsWorker.onmessage = (event) => settleAnalyticsTask(event.data);
+    analyticsWorker.onerror = (event) => {
+      // A worker that can't load or crashes hands its tasks to the main thread
+      console.error('[Analytics] Worker failed, running on the main thread:', event.message);
+      analyticsWorker.terminate();
+      analyticsWorker = null;
+      runningAnalyticsTasks.forEach((entry, id) => runAnalyticsTaskLocally(id, entry));
+    };
+  } catch (err) {
+    console.warn('[Analytics] Worker unavailable, running on the main thread:', err.message);
+  }
+  return analyticsWorker;
+}
+
+// Run ANALYTICS_TASKS[type]. Starting a task in a `group` cancels any task
+// still running in that group; cancelled tasks reject with `err.cancelled`.
+function runAnalyticsTask(type, params = {}, { group = null, onProgress = null } = {}) {
+  if (group) cancelAnalyticsTasks(group);
+  const id = nextAnalyticsTaskId++;
+
+  return new Promise((resolve, reject) => {
+    const entry = { type, params, group, onProgress, resolve, reject, cancelled: false };
+    runningAnalyticsTasks.set(id, entry);
+
+    // The worker has no registry cache of its own: it is sent the bowling arms
+    const worker = getAnalyticsWorker();
+    if (worker) worker.postMessage({ id, type, params, bowlingArms });
+    else runAnalyticsTaskLocally(id, entry);
+  });
+}
+
+async function runAnalyticsTaskLocally(id, entry) {
+  const task = {
+    progress: (done, total) => settleAnalyticsTask({ id, progress: { done, total } }),
+    throwIfCancelled: () => { if (entry.cancelled) throw analyticsCancelledError(); }
+  };
+  try {
+    settleAnalyticsTask({ id, result: await ANALYTICS_TASKS[entry.type](entry.params, task) });
+  } catch (err) {
+    settleAnalyticsTask({ id, error: err.message, cancelled: !!err.cancelled });
+  }
+}
+
+function settleAnalyticsTask(message) {
+  const entry = runningAnalyticsTasks.get(message.id);
+  if (!entry) return;
+
+  if (message.progress) {
+    if (entry.onProgress) entry.onProgress(message.progress);
+    return;
+  }
+
+  runningAnalyticsTasks.delete(message.id);
+  if (message.cancelled) entry.reject(analyticsCancelledError());
+  else if (message.error) entry.reject(new Error(message.error));
+  else entry.resolve(message.result);
+}
+
+// Cancel the running tasks in `group`, or every running task
+function cancelAnalyticsTasks(group) {
+  runningAnalyticsTasks.forEach((entry, id) => {
+    if (group && entry.group !== group) return;
+    entry.cancelled = true;
+    runningAnalyticsTasks.delete(id);
+    if (analyticsWorker) analyticsWorker.postMessage({ id, type: 'cancel' });
+    entry.reject(analyticsCancelledError());
+  });
+}
+
+// onProgress handler that shows "<label> 3 of 12" in `el`
+function showTaskProgress(el, label) {
+  return ({ done, total }) => {
+    if (el) el.innerHTML = `<div class="analytics-loading">${label} ${done} of ${total}...</div>`;
+  };
+}
@@ -0,0 +1,31 @@
+// analytics-worker.js — Runs ANALYTICS_TASKS off the main thread so the scoring canvas stays responsive
+// Messages in:  { id, type, params, bowlingArms } to start a task, { id, type: 'cancel' } to stop it;
+//               bowlingArms is the page's delivery.js cache, so the registry isn't read here
+// Messages out: { id, progress: { done, total } }, then { id, result } or { id, error, cancelled }
+
+importScripts('rink.js', 'db.js', 'aggregates.js', 'scoring.js', 'delivery.js', 'called-shots.js', 'conditions.js', 'analytics.js', 'analytics-tasks.js');
+
+const cancelledTaskIds = new Set();
+
+self.onmessage = async (event) => {
+  const { id, type, params } = event.data;
+  if (type === 'cancel') {
+    cancelledTaskIds.add(id);
+    return;
+  }
+  bowlingArms = event.data.bowlingArms || null;
+
+  const task = {
+    progress: (done, total) => self.postMessage({ id, progress: { done, total } }),
+    throwIfCancelled: () => { if (cancelledTaskIds.has(id)) throw analyticsCancelledError(); }
+  };
+
+  try {
+    const result = await ANALYTICS_TASKS[type](params, task);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message, cancelled: !!err.cancelled });
+  } finally {
+    cancelledTaskIds.delete(id);
+  }
+};
@@ -1,292 +1,231 @@
 // Analytics Module for Bowls Performance Tracker
 // Player Performance Dashboard, Team Comparison, Game History
 
-let analyticsCache = {};
-
-function invalidateAnalyticsCache() {
-  analyticsCache = {};
-}
-
 // ===== DATA AGGREGATION =====
+// Statistics come from the aggregates store (aggregates.js), which is kept up
+// to date as bowls are written, so nothing here reads raw bowls.
 
-async function getPlayerStats(playerName, filterGameId) {
-  const cacheKey = 'player_' + playerName + (filterGameId ? '_game_' + filterGameId : '');
-  if (analyticsCache[cacheKey]) return analyticsCache[cacheKey];
+// conditionFilters: dimension -> value (conditions.js CONDITION_DIMENSIONS), counting
+// only the ends played in matching conditions
+async function getPlayerStats(playerName, filterGameId, conditionFilters) {
+  const aggregates = await getPlayerAggregates(playerName);
 
-  let allBowls = await getAllBowls();
-  const allGames = await getAllGames();
-
-  // Filter by game if specified
+  // Include bowls from both 'yours' team and trial away team (which have real player names as playerId)
+  let gameRecords = aggregates.games;
+  let totals = aggregates.player;
   if (filterGameId) {
-    allBowls = allBowls.filter(b => b.gameId === filterGameId);
+    gameRecords = gameRecords.filter(r => r.gameId === filterGameId);
+    totals = gameRecords[0] || null;
+  }
+  if (hasConditionFilters(conditionFilters)) {
+    gameRecords = gameRecords.map(r => narrowToConditions(r, conditionFilters)).filter(Boolean);
+    totals = gameRecords.length > 0 ? buildPlayerAggregate(playerName, gameRecords) : null;
   }
 
-  // Include bowls from both 'yours' team and trial away team (which have real player names as playerId)
-  const playerBowls = allBowls.filter(b => b.playerId === playerName);
-
-  if (playerBowls.length === 0) return null;
-
-  // Games played
-  const gameIds = [...new Set(playerBowls.map(b => b.gameId))];
-  const gamesPlayed = gameIds.length;
-
-  // Positions played
-  const positions = [...new Set(playerBowls.map(b => b.position))];
+  if (!totals || totals.tally.bowls === 0) return null;
+  const tally = totals.tally;
 
   // Average score
-  const scoredBowls = playerBowls.filter(b => b.score !== undefined && b.score !== null);
-  const avgScore = scoredBowls.length > 0
-    ? scoredBowls.reduce((sum, b) => sum + (b.scoreValue || b.score || 0), 0) / scoredBowls.length
-    : 0;
-
-  // Score distribution
-  const scoreDistribution = { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0 };
-  scoredBowls.forEach(b => {
-    const s = b.scoreValue !== undefined ? b.scoreValue : (b.score || 0);
-    scoreDistribution[s] = (scoreDistribution[s] || 0) + 1;
-  });
+  const avgScore = tally.scored > 0 ? tally.scoreSum / tally.scored : 0;
 
   // Success rate by distance zone
-  const distanceZones = {
-    'Close (<20cm)': { total: 0, good: 0 },
-    'Medium (20-50cm)': { total: 0, good: 0 },
-    'Far (>50cm)': { total: 0, good: 0 }
-  };
-  playerBowls.forEach(b => {
-    const dist = b.distance || b.distanceInFeet || 0;
-    // Convert feet to cm roughly (1ft ~ 30cm)
-    const distCm = dist * 30;
-    let zone;
-    if (distCm < 20) zone = 'Close (<20cm)';
-    else if (distCm < 50) zone = 'Medium (20-50cm)';
-    else zone = 'Far (>50cm)';
-
-    distanceZones[zone].total++;
-    const score = b.scoreValue !== undefined ? b.scoreValue : (b.score || 0);
-    if (score >= 3) distanceZones[zone].good++;
-  });
-
   const distanceSuccessRates = {};
-  for (const [zone, data] of Object.entries(distanceZones)) {
+  for (const [zone, data] of Object.entries(tally.distanceZones)) {
     distanceSuccessRates[zone] = data.total > 0 ? (data.good / data.total * 100) : 0;
   }
 
-  // Bowl distribution (short/medium/long distance)
-  const bowlDistribution = { short: 0, medium: 0, long: 0 };
-  playerBowls.forEach(b => {
-    const dist = b.distance || b.distanceInFeet || 0;
-    if (dist < 0.67) bowlDistribution.short++;
-    else if (dist < 1.67) bowlDistribution.medium++;
-    else bowlDistribution.long++;
-  });
-
-  // Hand distribution (backhand vs forehand)
-  const handDistribution = { forehand: 0, backhand: 0 };
-  playerBowls.forEach(b => {
-    const hand = b.hand || 'forehand';
-    if (hand === 'backhand') handDistribution.backhand++;
-    else handDistribution.forehand++;
-  });
-
   // Per-game performance (trend data)
-  const gamePerformance = [];
-  for (const gid of gameIds) {
-    const gameBowls = playerBowls.filter(b => b.gameId === gid);
-    const game = allGames.find(g => g.id === gid);
-    const gameScored = gameBowls.filter(b => b.score !== undefined);
-    const gameAvg = gameScored.length > 0
-      ? gameScored.reduce((s, b) => s + (b.scoreValue || b.score || 0), 0) / gameScored.length
-      : 0;
-
-    gamePerformance.push({
-      gameId: gid,
-      gameName: game ? `Game ${game.gameNumber || gameIds.indexOf(gid) + 1}` : gid,
-      date: game ? game.date : '',
-      avgScore: gameAvg,
-      bowlCount: gameBowls.length,
-      format: game ? game.format : ''
-    });
-  }
-  gamePerformance.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  // Best and worst ends
-  const endScores = {};
-  playerBowls.forEach(b => {
-    const key = b.gameId + '_' + b.endNumber;
-    if (!endScores[key]) endScores[key] = { total: 0, count: 0, end: b.endNumber, gameId: b.gameId };
-    endScores[key].total += (b.scoreValue || b.score || 0);
-    endScores[key].count++;
-  });
-  const endAvgs = Object.values(endScores).map(e => ({
-    ...e,
-    avg: e.count > 0 ? e.total / e.count : 0
+  const gamePerformance = gameRecords.map((r, i) => ({
+    gameId: r.gameId,
+    gameName: `Game ${r.gameNumber || i + 1}`,
+    date: r.date,
+    avgScore: r.tally.scored > 0 ? r.tally.scoreSum / r.tally.scored : 0,
+    bowlCount: r.tally.bowls,
+    format: r.format
   }));
-  endAvgs.sort((a, b) => b.avg - a.avg);
-  const bestEnd = endAvgs[0] || null;
-  const worstEnd = endAvgs[endAvgs.length - 1] || null;
+  gamePerformance.sort((a, b) => new Date(a.date) - new Date(b.date));
 
   // Consistency (standard deviation of scores)
-  const scores = scoredBowls.map(b => b.scoreValue || b.score || 0);
-  const mean = avgScore;
-  const variance = scores.length > 0
-    ? scores.reduce((sum, s) => sum + Math.pow(s - mean, 2), 0) / scores.length
+  const variance = tally.scored > 0
+    ? Math.max(0, tally.scoreSquares / tally.scored - avgScore * avgScore)
     : 0;
   const consistency = Math.sqrt(variance);
 
   // Clutch performance (final 3 ends of each game)
-  const clutchBowls = playerBowls.filter(b => {
-    const game = allGames.find(g => g.id === b.gameId);
-    if (!game) return false;
-    const totalEnds = game.endCount || game.totalEnds || 21;
-    return b.endNumber > totalEnds - 3;
-  });
-  const clutchScored = clutchBowls.filter(b => b.score !== undefined);
-  const clutchAvg = clutchScored.length > 0
-    ? clutchScored.reduce((s, b) => s + (b.scoreValue || b.score || 0), 0) / clutchScored.length
-    : 0;
-
-  // Direction analysis
-  const directionBreakdown = { Short: 0, 'Jack High': 0, Past: 0 };
-  playerBowls.forEach(b => {
-    const dir = b.resultCategory || b.direction || '';
-    if (directionBreakdown[dir] !== undefined) directionBreakdown[dir]++;
-  });
+  const clutchAvg = tally.clutchScored > 0 ? tally.clutchScoreSum / tally.clutchScored : 0;
 
   // ===== FH/BH SPLIT ACCURACY =====
-  const handAccuracy = {
-    forehand: { total: 0, withinMatLength: 0, close: 0, wide: 0, accuracy: 0, avgDistance: 0 },
-    backhand: { total: 0, withinMatLength: 0, close: 0, wide: 0, accuracy: 0, avgDistance: 0 },
-    gap: 0
-  };
-
-  const fhDistances = [];
-  const bhDistances = [];
-
-  playerBowls.forEach(b => {
-    const hand = (b.hand || 'forehand') === 'backhand' ? 'backhand' : 'forehand';
-    const dist = b.distance || b.distanceInFeet || 0;
-    handAccuracy[hand].total++;
-    if (dist <= 4) handAccuracy[hand].withinMatLength++;
-    if (dist <= 2) handAccuracy[hand].close++;
-    if (dist > 6) handAccuracy[hand].wide++;
-    if (hand === 'forehand') fhDistances.push(dist);
-    else bhDistances.push(dist);
+  const handAccuracy = {};
+  ['forehand', 'backhand'].forEach(hand => {
+    const h = tally.hands[hand];
+    handAccuracy[hand] = {
+      total: h.total,
+      withinMatLength: h.withinMatLength,
+      close: h.close,
+      wide: h.wide,
+      accuracy: h.total > 0 ? h.withinMatLength / h.total : 0,
+      avgDistance: h.total > 0 ? Math.round(h.distanceSum / h.total * 100) / 100 : 0
+    };
   });
-
-  if (handAccuracy.forehand.total > 0) {
-    handAccuracy.forehand.accuracy = handAccuracy.forehand.withinMatLength / handAccuracy.forehand.total;
-    handAccuracy.forehand.avgDistance = fhDistances.reduce((s, d) => s + d, 0) / fhDistances.length;
-    handAccuracy.forehand.avgDistance = Math.round(handAccuracy.forehand.avgDistance * 100) / 100;
-  }
-  if (handAccuracy.backhand.total > 0) {
-    handAccuracy.backhand.accuracy = handAccuracy.backhand.withinMatLength / handAccuracy.backhand.total;
-    handAccuracy.backhand.avgDistance = bhDistances.reduce((s, d) => s + d, 0) / bhDistances.length;
-    handAccuracy.backhand.avgDistance = Math.round(handAccuracy.backhand.avgDistance * 100) / 100;
-  }
   handAccuracy.gap = Math.round((handAccuracy.forehand.accuracy - handAccuracy.backhand.accuracy) * 100) / 100;
 
   // ===== JACK LENGTH SEGMENTATION =====
   // jackLength is stored per bowl: 'short', 'medium', 'long'
-  const jackLengthAccuracy = {
-    short: { forehand: { total: 0, withinMatLength: 0, accuracy: 0 }, backhand: { total: 0, withinMatLength: 0, accuracy: 0 }, combined: { total: 0, withinMatLength: 0, accuracy: 0 } },
-    medium: { forehand: { total: 0, withinMatLength: 0, accuracy: 0 }, backhand: { total: 0, withinMatLength: 0, accuracy: 0 }, combined: { total: 0, withinMatLength: 0, accuracy: 0 } },
-    long: { forehand: { total: 0, withinMatLength: 0, accuracy: 0 }, backhand: { total: 0, withinMatLength: 0, accuracy: 0 }, combined: { total: 0, withinMatLength: 0, accuracy: 0 } }
-  };
-
-  playerBowls.forEach(b => {
-    const jl = b.jackLength || 'medium';
-    if (!jackLengthAccuracy[jl]) return;
-    const hand = (b.hand || 'forehand') === 'backhand' ? 'backhand' : 'forehand';
-    const dist = b.distance || b.distanceInFeet || 0;
-    const withinMat = dist <= 4 ? 1 : 0;
-
-    jackLengthAccuracy[jl][hand].total++;
-    jackLengthAccuracy[jl][hand].withinMatLength += withinMat;
-    jackLengthAccuracy[jl].combined.total++;
-    jackLengthAccuracy[jl].combined.withinMatLength += withinMat;
-  });
-
+  const jackLengthAccuracy = {};
   ['short', 'medium', 'long'].forEach(jl => {
-    ['forehand', 'backhand', 'combined'].forEach(h => {
-      const d = jackLengthAccuracy[jl][h];
-      d.accuracy = d.total > 0 ? d.withinMatLength / d.total : 0;
+    const { forehand, backhand } = tally.jackLengths[jl];
+    const combined = {
+      total: forehand.total + backhand.total,
+      withinMatLength: forehand.withinMatLength + backhand.withinMatLength
+    };
+    jackLengthAccuracy[jl] = {};
+    Object.entries({ forehand, backhand, combined }).forEach(([h, d]) => {
+      jackLengthAccuracy[jl][h] = { ...d, accuracy: d.total > 0 ? d.withinMatLength / d.total : 0 };
     });
   });
 
+  // ===== LINE AND WEIGHT =====
+  // Share of bowls on each line and weight (delivery.js), by hand and by jack length
+  const deliveryBreakdown = {};
+  const { hands, jackLengths } = tally.delivery;
+  Object.entries({ ...hands, ...jackLengths }).forEach(([group, d]) => {
+    const share = (count, total) => (total > 0 ? count / total : 0);
+    deliveryBreakdown[group] = { lines: d.lines, weights: d.weights };
+    Object.keys(DELIVERY_LINES).forEach(line => { deliveryBreakdown[group][line] = share(d[line], d.lines); });
+    Object.keys(DELIVERY_WEIGHTS).forEach(weight => { deliveryBreakdown[group][weight] = share(d[weight], d.weights); });
+  });
+
+  // ===== CALLED SHOTS =====
+  // Execution by shot type and position for the player's own bowls, and for the calls they gave
+  const summariseGroup = group => Object.fromEntries(Object.entries(group).map(([key, t]) => [key, summariseCalls([t])]));
+  const calledShots = {
+    played: summariseGroup(tally.calls.played),
+    positions: summariseGroup(tally.calls.positions),
+    given: summariseGroup(tally.calls.given),
+    playedTotal: summariseCalls(Object.values(tally.calls.played)),
+    givenTotal: summariseCalls(Object.values(tally.calls.given))
+  };
+
+  // ===== GREEN CONDITIONS =====
+  const conditionsBreakdown = getConditionsBreakdown(gameRecords);
+
   // ===== PER-GAME HAND ACCURACY (for trend charts) =====
-  const handAccuracyByGame = [];
-  for (const gid of gameIds) {
-    const gameBowls = playerBowls.filter(b => b.gameId === gid);
-    const game = allGames.find(g => g.id === gid);
-    let fhTotal = 0, fhGood = 0, bhTotal = 0, bhGood = 0;
-    gameBowls.forEach(b => {
-      const hand = (b.hand || 'forehand') === 'backhand' ? 'backhand' : 'forehand';
-      const dist = b.distance || b.distanceInFeet || 0;
-      if (hand === 'forehand') { fhTotal++; if (dist <= 4) fhGood++; }
-      else { bhTotal++; if (dist <= 4) bhGood++; }
-    });
-    handAccuracyByGame.push({
-      gameId: gid,
-      gameName: game ? `Game ${game.gameNumber || gameIds.indexOf(gid) + 1}` : gid,
-      date: game ? game.date : '',
-      forehandAccuracy: fhTotal > 0 ? fhGood / fhTotal : null,
-      backhandAccuracy: bhTotal > 0 ? bhGood / bhTotal : null
-    });
-  }
+  const handAccuracyByGame = gameRecords.map((r, i) => {
+    const fh = r.tally.hands.forehand;
+    const bh = r.tally.hands.backhand;
+    return {
+      gameId: r.gameId,
+      gameName: `Game ${r.gameNumber || i + 1}`,
+      date: r.date,
+      forehandAccuracy: fh.total > 0 ? fh.withinMatLength / fh.total : null,
+      backhandAccuracy: bh.total > 0 ? bh.withinMatLength / bh.total : null
+    };
+  });
   handAccuracyByGame.sort((a, b) => new Date(a.date) - new Date(b.date));
 
-  const stats = {
+  return {
     playerName,
-    totalBowls: playerBowls.length,
-    gamesPlayed,
-    positions,
+    totalBowls: tally.bowls,
+    gamesPlayed: gameRecords.length,
+    positions: tally.positions,
     avgScore: Math.round(avgScore * 100) / 100,
-    scoreDistribution,
+    scoreDistribution: tally.scoreDistribution,
     distanceSuccessRates,
-    bowlDistribution,
-    handDistribution,
+    bowlDistribution: tally.bowlDistribution,
+    handDistribution: { forehand: tally.hands.forehand.total, backhand: tally.hands.backhand.total },
     gamePerformance,
-    bestEnd,
-    worstEnd,
+    bestEnd: totals.bestEnd,
+    worstEnd: totals.worstEnd,
     consistency: Math.round(consistency * 100) / 100,
     clutchAvg: Math.round(clutchAvg * 100) / 100,
-    directionBreakdown,
+    directionBreakdown: tally.directionBreakdown,
+    headStates: { touchers: tally.touchers || 0, dead: tally.deadBowls || 0, inDitch: tally.ditchBowls || 0 },
     handAccuracy,
     jackLengthAccuracy,
+    deliveryBreakdown,
+    calledShots,
+    conditionsBreakdown,
     handAccuracyByGame
   };
+}
+
+// A playerGame record cut down to its ends played in conditions matching
+// `filters`, or null when it has none
+function narrowToConditions(record, filters) {
+  const segments = (record.conditions || []).filter(segment => matchesConditionFilters(segment.conditions, filters));
+  if (segments.length === 0) return null;
+  return {
+    ...record,
+    tally: segments.reduce((tally, segment) => addTally(tally, segment.tally), emptyTally()),
+    ...pickEnds(segments.flatMap(segment => [segment.bestEnd, segment.worstEnd]).filter(Boolean)),
+    conditions: segments
+  };
+}
 
-  analyticsCache[cacheKey] = stats;
-  return stats;
+// Results in each recorded value of each condition (conditions.js):
+// { dimension: [{ value, label, bowls, games, avgScore, accuracy }] }, only
+// dimensions with something recorded
+function getConditionsBreakdown(gameRecords) {
+  const breakdown = {};
+  Object.entries(CONDITION_DIMENSIONS).forEach(([dimension, { values }]) => {
+    const byValue = {};
+    gameRecords.forEach(r => (r.conditions || []).forEach(segment => {
+      const value = segment.conditions[dimension];
+      if (!value || segment.tally.bowls === 0) return;
+      if (!byValue[value]) byValue[value] = { tally: emptyTally(), gameIds: new Set() };
+      addTally(byValue[value].tally, segment.tally);
+      byValue[value].gameIds.add(r.gameId);
+    }));
+
+    const order = values ? Object.keys(values) : Object.keys(byValue).sort((a, b) => a - b);
+    const rows = order.filter(value => byValue[value]).map(value => {
+      const { tally, gameIds } = byValue[value];
+      const { forehand, backhand } = tally.hands;
+      const handTotal = forehand.total + backhand.total;
+      return {
+        value,
+        label: values ? values[value] : `Rink ${value}`,
+        bowls: tally.bowls,
+        games: gameIds.size,
+        avgScore: tally.scored > 0 ? Math.round(tally.scoreSum / tally.scored * 100) / 100 : 0,
+        accuracy: handTotal > 0 ? (forehand.withinMatLength + backhand.withinMatLength) / handTotal : 0
+      };
+    });
+    if (rows.length > 0) breakdown[dimension] = rows;
+  });
+  return breakdown;
+}
+
+// Added-up call tallies (aggregates.js) with their rates. executionRate counts
+// only calls with a known outcome; poorCallRate is the share of made calls
+// that left the head no better.
+function summariseCalls(tallies) {
+  const total = tallies.reduce((sum, t) => addTally(sum, t), emptyCallTally());
+  return {
+    ...total,
+    executionRate: total.recorded > 0 ? total.made / total.recorded : 0,
+    poorCallRate: total.made > 0 ? total.madeNoGain / total.made : 0,
+    gainRate: total.calls > 0 ? total.gained / total.calls : 0
+  };
 }
 
 async function getAllPlayerNames() {
-  const allBowls = await getAllBowls();
   // Include all bowls with real player names (yours + trial away players)
-  const names = [...new Set(allBowls.map(b => b.playerId))];
-  return names.filter(n => n && n !== 'opponent');
+  return getTrackedPlayerIds();
 }
 
-async function getGameSummaries() {
-  const allGames = await getAllGames();
-  const allBowls = await getAllBowls();
+async function getGameSummaries(filters = {}) {
+  const allGames = await queryGames(filters);
+  if (allGames.length === 0) return [];
+  const aggregates = await getGameAggregates(allGames.map(g => g.id));
 
   return allGames.map(game => {
-    const gameBowls = allBowls.filter(b => b.gameId === game.id);
+    const totals = aggregates[game.id] || { totalBowls: 0, trackedScored: 0, trackedScoreSum: 0, players: {} };
     // Include all tracked bowls (yours + trial away players with real names)
-    const trackedBowls = gameBowls.filter(b => b.playerId && b.playerId !== 'opponent');
-    const scoredBowls = trackedBowls.filter(b => b.score !== undefined);
-    const avgScore = scoredBowls.length > 0
-      ? scoredBowls.reduce((s, b) => s + (b.scoreValue || b.score || 0), 0) / scoredBowls.length
-      : 0;
+    const avgScore = totals.trackedScored > 0 ? totals.trackedScoreSum / totals.trackedScored : 0;
 
     // Top performer
-    const playerScores = {};
-    trackedBowls.forEach(b => {
-      if (!playerScores[b.playerId]) playerScores[b.playerId] = { total: 0, count: 0 };
-      playerScores[b.playerId].total += (b.scoreValue || b.score || 0);
-      playerScores[b.playerId].count++;
-    });
+    const playerScores = totals.players;
 
     let topPerformer = '';
     let topAvg = 0;
@@ -303,20 +242,135 @@ async function getGameSummaries() {
       format: game.format,
       gameType: game.gameType || 'game',
       date: game.date,
-      players: game.players || game.yourPlayers || [],
+      players: game.yourPlayers || [],
       opponentName: (game.opponentPlayers || [])[0] || '',
-      totalEnds: game.endCount || game.totalEnds || 21,
+      totalEnds: game.totalEnds || 21,
       currentEnd: game.currentEnd || game.totalEnds || 21,
-      totalBowls: gameBowls.length,
+      totalBowls: totals.totalBowls,
       avgScore: Math.round(avgScore * 100) / 100,
       topPerformer,
       topAvg: Math.round(topAvg * 100) / 100,
       completed: game.completed || false,
-      notes: game.notes || game.gameNotes || ''
+      result: game.result ? game.result.summary : '',
+      notes: game.gameNotes || '',
+      conditions: describeConditions(getEndConditions(game, 1)),
+      endConditions: getGameEndConditionKeys(game)
     };
   }).sort((a, b) => new Date(b.date) - new Date(a.date));
 }
 
+// ===== OPPONENTS =====
+// Every game against one opposition team or named opposition player
+// (getGameOpponents() in db.js), for the Opponents tab: the results, how the
+// ends went by end number, the jack lengths they chose and the hands they
+// played where those were recorded, and how your players scored against them
+// next to their average in every game.
+
+async function getOpponentReport(kind, name) {
+  const games = (await queryGames({})).filter(g => isGameAgainst(g, kind, name))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  if (games.length === 0) return null;
+
+  const gameIds = games.map(g => g.id);
+  const [bowls, aggregates] = await Promise.all([queryBowls({ gameIds }), getGameAggregates(gameIds)]);
+  const bowlsByGame = {};
+  bowls.forEach(b => { (bowlsByGame[b.gameId] = bowlsByGame[b.gameId] || []).push(b); });
+
+  // Their bowls: the whole team's, or the named player's
+  const isTheirs = b => b.team === 'opponent' && (kind === 'team' || normalizePlayerName(b.opponentName) === normalizePlayerName(name));
+
+  const record = { played: games.length, won: 0, drawn: 0, lost: 0, inProgress: 0, shotsFor: 0, shotsAgainst: 0 };
+  const ends = {};
+  const jackLengths = { short: 0, medium: 0, long: 0 };
+  const hands = { forehand: 0, backhand: 0 };
+
+  const gameRows = games.map(game => {
+    const gameBowls = bowlsByGame[game.id] || [];
+    const winner = game.result ? game.result.winner : null;
+    if (winner === 'yours') record.won++;
+    else if (winner === 'opponent') record.lost++;
+    else if (winner === 'draw') record.drawn++;
+    else record.inProgress++;
+
+    let shotsFor = 0;
+    let shotsAgainst = 0;
+    (game.endScores || []).forEach(endScore => {
+      const shots = getEndShots(game, gameBowls, endScore.end);
+      shotsFor += shots.yours;
+      shotsAgainst += shots.opponent;
+      const row = ends[endScore.end] = ends[endScore.end] || { end: endScore.end, played: 0, won: 0, lost: 0, shotsFor: 0, shotsAgainst: 0 };
+      row.played++;
+      row.shotsFor += shots.yours;
+      row.shotsAgainst += shots.opponent;
+      if (shots.yours > shots.opponent) row.won++;
+      if (shots.opponent > shots.yours) row.lost++;
+
+      // The first bowl of an end comes from the side that delivered the jack
+      const [first] = gameBowls.filter(b => isPlayedInEnd(b, endScore.end))
+        .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+      if (first && isTheirs(first) && jackLengths[first.jackLength] !== undefined) jackLengths[first.jackLength]++;
+    });
+    record.shotsFor += shotsFor;
+    record.shotsAgainst += shotsAgainst;
+
+    gameBowls.filter(isTheirs).forEach(b => {
+      if (hands[b.hand] !== undefined) hands[b.hand]++;
+    });
+
+    const lineupName = kind === 'player'
+      ? getLineupPlayers(game, 'opponent').find(n => normalizePlayerName(n) === normalizePlayerName(name))
+      : null;
+    return {
+      id: game.id,
+      date: game.date,
+      tournamentName: game.tournamentName || '',
+      format: game.format,
+      players: game.yourPlayers || [],
+      team: (game.opponentPlayers || [])[0] || '',
+      position: lineupName ? getPlayerPositions(game, 'opponent', lineupName).join('/') : '',
+      winner,
+      result: game.result ? game.result.summary : `In progress ${shotsFor}-${shotsAgainst}`,
+      shotsFor,
+      shotsAgainst
+    };
+  });
+
+  // Your players: their scoring in these games against their scoring in every game
+  const names = [...new Set(Object.values(aggregates).flatMap(a => Object.keys(a.players || {})))];
+  const ourPlayers = [];
+  for (const playerName of names) {
+    const { player, games: playerGames } = await getPlayerAggregates(playerName);
+    const against = { games: 0, bowls: 0, scored: 0, scoreSum: 0 };
+    playerGames.filter(r => aggregates[r.gameId]).forEach(r => {
+      against.games++;
+      against.bowls += r.tally.bowls;
+      against.scored += r.tally.scored;
+      against.scoreSum += r.tally.scoreSum;
+    });
+    if (against.bowls === 0) continue;
+    const overall = player ? player.tally : null;
+    ourPlayers.push({
+      name: playerName,
+      games: against.games,
+      bowls: against.bowls,
+      avgScore: against.scored > 0 ? against.scoreSum / against.scored : 0,
+      overallAvg: overall && overall.scored > 0 ? overall.scoreSum / overall.scored : 0
+    });
+  }
+  ourPlayers.sort((a, b) => b.bowls - a.bowls || a.name.localeCompare(b.name));
+
+  return {
+    kind,
+    name,
+    record,
+    games: gameRows,
+    ends: Object.values(ends).sort((a, b) => a.end - b.end),
+    jackLengths,
+    hands,
+    ourPlayers
+  };
+}
+
 // ===== RENDERING =====
 
 async function renderAnalytics(view) {
@@ -336,10 +390,15 @@ async function renderAnalytics(view) {
       case 'history':
         await renderGameHistory(container);
         break;
+      case 'opposition':
+        await renderOppositionDashboard(container);
+        break;
       default:
         await renderPlayerDashboard(container);
     }
   } catch (err) {
+    // Replaced by a newer render or the user left the screen
+    if (err.cancelled) return;
     console.error('[Analytics] Render error:', err);
     container.innerHTML = '<div class="analytics-empty">Error loading analytics. Please try again.</div>';
   }
@@ -360,7 +419,7 @@ async function renderPlayerDashboard(container) {
   const allGames = await getAllGames();
 
   const currentPlayer = players[0];
-  const stats = await getPlayerStats(currentPlayer);
+  const [stats = null] = await runAnalyticsTask('playerStats', { names: [currentPlayer] }, { group: 'analytics' });
 
   container.innerHTML = `
     <div class="player-selector-bar">
@@ -372,13 +431,14 @@ async function renderPlayerDashboard(container) {
       <select id="analyticsGameFilter" onchange="applyPlayerFilters()">
         <option value="all">All Games</option>
         ${allGames.map(g => {
-          const players = (g.players || g.yourPlayers || []).join(', ');
+          const players = (g.yourPlayers || []).join(', ');
           const opp = (g.opponentPlayers || [])[0] || '';
           const label = `${players} vs ${opp}`;
           return `<option value="${g.id}">${label}</option>`;
         }).join('')}
       </select>
     </div>
+    <div class="condition-filters">${renderConditionFilters('player', 'applyPlayerFilters()')}</div>
     <div id="activeFilters" class="active-filters" style="display:none;"></div>
     <div id="playerDashboardContent">
       ${renderPlayerStatsHTML(stats)}
@@ -443,8 +503,12 @@ function renderPlayerStatsHTML(stats) {
       </div>
     </div>
     <div class="stat-detail">Position(s): ${positionText}</div>
+    <div class="stat-detail">Touchers: ${stats.headStates.touchers} (${stats.totalBowls > 0 ? (stats.headStates.touchers / stats.totalBowls * 100).toFixed(0) : 0}%) &middot; In ditch: ${stats.headStates.inDitch} &middot; Dead: ${stats.headStates.dead}</div>
     ${renderHandAccuracyCard(stats)}
     ${renderJackLengthCard(stats)}
+    ${renderDeliveryCard(stats)}
+    ${renderCalledShotsCard(stats)}
+    ${renderConditionsCard(stats)}
     <div class="charts-grid">
       <div class="chart-container">
         <h4>Score Trend Across Games</h4>
@@ -539,13 +603,13 @@ function renderHandAccuracyCard(stats) {
           <div class="hand-accuracy-value">${fhPct}%</div>
           <div class="hand-accuracy-label">Forehand</div>
           <div class="hand-accuracy-detail">${ha.forehand.withinMatLength}/${ha.forehand.total} within mat length</div>
-          <div class="hand-accuracy-detail">Avg ${ha.forehand.avgDistance}ft from jack</div>
+          <div class="hand-accuracy-detail">Avg ${formatDistance(feetToMetres(ha.forehand.avgDistance))} from jack</div>
         </div>
         <div class="hand-accuracy-box">
           <div class="hand-accuracy-value">${bhPct}%</div>
           <div class="hand-accuracy-label">Backhand</div>
           <div class="hand-accuracy-detail">${ha.backhand.withinMatLength}/${ha.backhand.total} within mat length</div>
-          <div class="hand-accuracy-detail">Avg ${ha.backhand.avgDistance}ft from jack</div>
+          <div class="hand-accuracy-detail">Avg ${formatDistance(feetToMetres(ha.backhand.avgDistance))} from jack</div>
         </div>
       </div>
       <div class="hand-gap-bar">
@@ -631,6 +695,170 @@ function renderJackLengthCard(stats) {
     </div>`;
 }
 
+// ===== LINE AND WEIGHT CARD =====
+
+function renderDeliveryCard(stats) {
+  if (!stats || !stats.deliveryBreakdown) return '';
+  const breakdown = stats.deliveryBreakdown;
+
+  if (breakdown.forehand.lines + breakdown.backhand.lines === 0) {
+    return `
+      <div class="analytics-card">
+        <div class="analytics-card-header"><h4>Line &amp; Weight</h4></div>
+        <div class="analytics-empty" style="padding:20px 10px;">No line or weight data yet. Place bowls on the green to see why they missed.</div>
+      </div>`;
+  }
+
+  const groups = { forehand: 'Forehand', backhand: 'Backhand', short: 'Short jack', medium: 'Medium jack', long: 'Long jack' };
+  const pct = value => `${Math.round(value * 100)}%`;
+  const rows = Object.entries(groups)
+    .filter(([group]) => breakdown[group].lines > 0)
+    .map(([group, label]) => `
+      <tr>
+        <td>${label}</td>
+        ${Object.keys(DELIVERY_LINES).map(line => `<td class="${line === 'onLine' ? 'delivery-good' : ''}">${pct(breakdown[group][line])}</td>`).join('')}
+        ${Object.keys(DELIVERY_WEIGHTS).map(weight => `<td class="${weight === 'correct' ? 'delivery-good' : ''}">${pct(breakdown[group][weight])}</td>`).join('')}
+        <td>${breakdown[group].lines}</td>
+      </tr>`).join('');
+
+  // The commonest miss on each hand, e.g. "Backhand misses are mostly wide"
+  const tendencies = ['forehand', 'backhand'].map(hand => {
+    const d = breakdown[hand];
+    const line = d.narrow > d.wide ? 'narrow' : 'wide';
+    const weight = d.light > d.heavy ? 'light' : 'heavy';
+    if (d[line] === 0 && d[weight] === 0) return null;
+    const miss = d[line] >= d[weight] ? DELIVERY_LINES[line] : DELIVERY_WEIGHTS[weight];
+    return `${groups[hand]} misses are mostly <strong>${miss.toLowerCase()}</strong>`;
+  }).filter(Boolean);
+
+  return `
+    <div class="analytics-card">
+      <div class="analytics-card-header"><h4>Line &amp; Weight</h4></div>
+      <table class="delivery-table">
+        <thead>
+          <tr>
+            <th></th>
+            ${Object.values(DELIVERY_LINES).map(label => `<th>${label}</th>`).join('')}
+            ${Object.values(DELIVERY_WEIGHTS).map(label => `<th>${label}</th>`).join('')}
+            <th>Bowls</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${tendencies.length > 0 ? `<div class="jack-length-strongest">${tendencies.join(' &middot; ')}</div>` : ''}
+    </div>`;
+}
+
+// ===== CALLED SHOTS CARD =====
+
+function renderCalledShotsCard(stats) {
+  if (!stats || !stats.calledShots) return '';
+  const cs = stats.calledShots;
+
+  if (cs.playedTotal.calls + cs.givenTotal.calls === 0) {
+    return `
+      <div class="analytics-card">
+        <div class="analytics-card-header"><h4>Called Shots</h4></div>
+        <div class="analytics-empty" style="padding:20px 10px;">No called shots yet. Pick the shot the skip calls before each bowl.</div>
+      </div>`;
+  }
+
+  const pct = value => `${Math.round(value * 100)}%`;
+  const rows = (group, labels) => Object.entries(labels)
+    .filter(([key]) => group[key] && group[key].calls > 0)
+    .map(([key, label]) => `
+      <tr>
+        <td>${label}</td>
+        <td>${group[key].calls}</td>
+        <td>${group[key].recorded > 0 ? pct(group[key].executionRate) : '-'}</td>
+        <td>${group[key].made > 0 ? pct(group[key].poorCallRate) : '-'}</td>
+        <td>${pct(group[key].gainRate)}</td>
+      </tr>`).join('');
+  const table = (title, body) => `
+    <table class="delivery-table">
+      <thead><tr><th>${title}</th><th>Calls</th><th>Made</th><th>Made, no gain</th><th>Head improved</th></tr></thead>
+      <tbody>${body}</tbody>
+    </table>`;
+  const positions = { Lead: 'Lead', Second: 'Second', Third: 'Third', Skip: 'Skip' };
+
+  // Made calls that didn't help point at the call; missed calls at the delivery
+  const verdicts = [];
+  if (cs.playedTotal.recorded > 0) verdicts.push(`Makes <strong>${pct(cs.playedTotal.executionRate)}</strong> of the shots called`);
+  if (cs.givenTotal.made > 0) verdicts.push(`<strong>${pct(cs.givenTotal.poorCallRate)}</strong> of their calls that were made left the head no better`);
+
+  return `
+    <div class="analytics-card">
+      <div class="analytics-card-header">
+        <h4>Called Shots</h4>
+        <span class="tooltip-trigger" tabindex="0">?
+          <span class="tooltip-content">Made: calls played as asked. Made, no gain: calls played as asked that left the head no better - a sign of the call rather than the delivery. Head improved: bowls after which the head was worth more shots to the team.</span>
+        </span>
+      </div>
+      ${cs.playedTotal.calls > 0 ? table('Delivered', rows(cs.played, CALL_TYPES)) : ''}
+      ${cs.playedTotal.calls > 0 ? table('Position', rows(cs.positions, positions)) : ''}
+      ${cs.givenTotal.calls > 0 ? table('Called', rows(cs.given, CALL_TYPES)) : ''}
+      ${verdicts.length > 0 ? `<div class="jack-length-strongest">${verdicts.join(' &middot; ')}</div>` : ''}
+    </div>`;
+}
+
+// ===== GREEN CONDITIONS CARD =====
+
+function renderConditionsCard(stats) {
+  if (!stats || !stats.conditionsBreakdown) return '';
+  const breakdown = stats.conditionsBreakdown;
+
+  if (Object.keys(breakdown).length === 0) {
+    return `
+      <div class="analytics-card">
+        <div class="analytics-card-header"><h4>Green Conditions</h4></div>
+        <div class="analytics-empty" style="padding:20px 10px;">No conditions recorded yet. Add the green speed, surface and weather when setting up a game.</div>
+      </div>`;
+  }
+
+  const pct = value => `${Math.round(value * 100)}%`;
+  const tables = Object.entries(breakdown).map(([dimension, rows]) => `
+    <table class="delivery-table">
+      <thead><tr><th>${CONDITION_DIMENSIONS[dimension].label}</th><th>Games</th><th>Bowls</th><th>Avg Score</th><th>Within Mat</th></tr></thead>
+      <tbody>${rows.map(row => `
+        <tr>
+          <td>${row.label}</td>
+          <td>${row.games}</td>
+          <td>${row.bowls}</td>
+          <td>${row.avgScore.toFixed(2)}</td>
+          <td>${pct(row.accuracy)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`).join('');
+
+  // The condition with the widest gap in average score, counting values with a few bowls behind them
+  const gaps = Object.entries(breakdown)
+    .map(([dimension, rows]) => ({ dimension, rows: rows.filter(row => row.bowls >= 8) }))
+    .filter(({ rows }) => rows.length >= 2)
+    .map(({ dimension, rows }) => {
+      const sorted = [...rows].sort((a, b) => b.avgScore - a.avgScore);
+      const best = sorted[0];
+      const worst = sorted[sorted.length - 1];
+      return { dimension, best, worst, gap: best.avgScore - worst.avgScore };
+    })
+    .sort((a, b) => b.gap - a.gap);
+  const widest = gaps[0];
+  const verdict = widest && widest.gap >= 0.3
+    ? `${CONDITION_DIMENSIONS[widest.dimension].label} makes the most difference: <strong>${widest.best.avgScore.toFixed(2)}</strong> (${widest.best.label}) against <strong>${widest.worst.avgScore.toFixed(2)}</strong> (${widest.worst.label})`
+    : '';
+
+  return `
+    <div class="analytics-card">
+      <div class="analytics-card-header">
+        <h4>Green Conditions</h4>
+        <span class="tooltip-trigger" tabindex="0">?
+          <span class="tooltip-content">Results split by the conditions each end was played in. Wind to play compares the wind with the direction of play on each end.</span>
+        </span>
+      </div>
+      ${tables}
+      ${verdict ? `<div class="jack-length-strongest">${verdict}</div>` : ''}
+    </div>`;
+}
+
 // ===== FH/BH TREND CHART HTML =====
 
 function renderHandAccuracyTrendChartHTML() {
@@ -821,8 +1049,16 @@ async function applyPlayerFilters() {
   const playerName = playerSelect.value;
   const gameId = gameFilter ? gameFilter.value : 'all';
   const filterGameId = gameId !== 'all' ? gameId : undefined;
+  const conditions = readConditionFilters('player');
+
+  let stats;
+  try {
+    [stats = null] = await runAnalyticsTask('playerStats', { names: [playerName], gameId: filterGameId, conditions }, { group: 'analytics' });
+  } catch (err) {
+    if (err.cancelled) return;
+    throw err;
+  }
 
-  const stats = await getPlayerStats(playerName, filterGameId);
   const content = document.getElementById('playerDashboardContent');
   if (content) {
     // Destroy existing charts
@@ -834,16 +1070,49 @@ async function applyPlayerFilters() {
   // Show active filters
   const activeFiltersEl = document.getElementById('activeFilters');
   if (activeFiltersEl) {
-    if (filterGameId) {
-      const gameOption = gameFilter.options[gameFilter.selectedIndex];
+    const conditionText = describeConditionFilters(conditions);
+    if (filterGameId || conditionText) {
+      const gameOption = filterGameId ? gameFilter.options[gameFilter.selectedIndex] : null;
       activeFiltersEl.style.display = 'block';
-      activeFiltersEl.innerHTML = `Showing: <strong>${playerName}</strong> in <strong>${gameOption.text}</strong>`;
+      activeFiltersEl.innerHTML = `Showing: <strong>${playerName}</strong>` +
+        (gameOption ? ` in <strong>${gameOption.text}</strong>` : '') +
+        (conditionText ? ` &middot; ${conditionText}` : '');
     } else {
       activeFiltersEl.style.display = 'none';
     }
   }
 }
 
+// ===== CONDITION FILTERS =====
+// One select per condition (conditions.js), ids `${prefix}Condition<Dimension>`
+
+function renderConditionFilters(prefix, onchange) {
+  return Object.entries(CONDITION_DIMENSIONS).filter(([, { values }]) => values).map(([dimension, { label, values }]) => `
+    <div class="filter-group">
+      <label for="${prefix}Condition${dimension}">${label}:</label>
+      <select id="${prefix}Condition${dimension}" onchange="${onchange}">
+        <option value="">Any</option>
+        ${Object.entries(values).map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}
+      </select>
+    </div>`).join('');
+}
+
+function readConditionFilters(prefix) {
+  const filters = {};
+  Object.keys(CONDITION_DIMENSIONS).forEach(dimension => {
+    const select = document.getElementById(`${prefix}Condition${dimension}`);
+    if (select && select.value) filters[dimension] = select.value;
+  });
+  return filters;
+}
+
+// "Surface: <strong>Grass</strong>, Wind: <strong>Strong</strong>"; '' with no filters
+function describeConditionFilters(filters) {
+  return Object.entries(filters || {}).filter(([, value]) => value)
+    .map(([dimension, value]) => `${CONDITION_DIMENSIONS[dimension].label}: <strong>${CONDITION_DIMENSIONS[dimension].values[value]}</strong>`)
+    .join(', ');
+}
+
 async function switchPlayerDashboard(playerName) {
   // Legacy - now uses applyPlayerFilters
   const select = document.getElementById('analyticsPlayerSelect');
@@ -865,11 +1134,10 @@ async function renderTeamComparison(container) {
   }
 
   // Get stats for all players
-  const allStats = [];
-  for (const p of players) {
-    const s = await getPlayerStats(p);
-    if (s) allStats.push(s);
-  }
+  const allStats = await runAnalyticsTask('playerStats', { names: players }, {
+    group: 'analytics',
+    onProgress: showTaskProgress(container, 'Comparing players...')
+  });
 
   // Sort by avg score desc
   allStats.sort((a, b) => b.avgScore - a.avgScore);
@@ -897,6 +1165,7 @@ async function renderTeamComparison(container) {
           <option value="totalBowls">Experience</option>
         </select>
       </div>
+      ${renderConditionFilters('compare', 'filterComparison()')}
     </div>
     <div id="comparisonTableContainer">
       ${renderComparisonTable(allStats, selectionThreshold)}
@@ -937,6 +1206,16 @@ function renderComparisonTable(stats, threshold) {
                 <span class="tooltip-content">Average score in the final 3 ends of each game.</span>
               </span>
             </th>
+            <th>Calls Made
+              <span class="tooltip-trigger tooltip-header" tabindex="0">?
+                <span class="tooltip-content">Share of called shots this player delivered as asked.</span>
+              </span>
+            </th>
+            <th>Calls Given
+              <span class="tooltip-trigger tooltip-header" tabindex="0">?
+                <span class="tooltip-content">Share of this player's calls that team-mates delivered as asked, and in brackets the share of those that left the head no better.</span>
+              </span>
+            </th>
             <th>Status
               <span class="tooltip-trigger tooltip-header" tabindex="0">?
                 <span class="tooltip-content">Selection recommendation based on average score (2.5+ threshold) and recent form trend (rising/steady/declining).</span>
@@ -963,6 +1242,10 @@ function renderComparisonTable(stats, threshold) {
               <td><strong>${s.avgScore.toFixed(2)}</strong></td>
               <td>${s.consistency.toFixed(2)}</td>
               <td>${s.clutchAvg.toFixed(2)}</td>
+              <td>${s.calledShots.playedTotal.recorded > 0 ? Math.round(s.calledShots.playedTotal.executionRate * 100) + '%' : '-'}</td>
+              <td>${s.calledShots.givenTotal.recorded > 0
+                ? `${Math.round(s.calledShots.givenTotal.executionRate * 100)}% (${Math.round(s.calledShots.givenTotal.poorCallRate * 100)}%)`
+                : '-'}</td>
               <td>${isRecommended ? '<span class="badge-recommended">Recommended</span>' : ''} ${formIcon}</td>
             </tr>`;
           }).join('')}
@@ -1040,16 +1323,16 @@ async function filterComparison() {
   const position = document.getElementById('comparePositionFilter').value;
   const sortBy = document.getElementById('compareSortBy').value;
 
-  const players = await getAllPlayerNames();
-  let allStats = [];
-  for (const p of players) {
-    const s = await getPlayerStats(p);
-    if (s) {
-      if (position === 'all' || s.positions.includes(position)) {
-        allStats.push(s);
-      }
-    }
+  const conditions = readConditionFilters('compare');
+
+  let allStats;
+  try {
+    allStats = await runAnalyticsTask('playerStats', { conditions }, { group: 'analytics' });
+  } catch (err) {
+    if (err.cancelled) return;
+    throw err;
   }
+  allStats = allStats.filter(s => position === 'all' || s.positions.includes(position));
 
   // Sort
   switch (sortBy) {
@@ -1081,7 +1364,7 @@ async function filterComparison() {
 // ===== GAME HISTORY =====
 
 async function renderGameHistory(container) {
-  const summaries = await getGameSummaries();
+  const summaries = await runAnalyticsTask('gameSummaries', {}, { group: 'analytics' });
 
   if (summaries.length === 0) {
     container.innerHTML = `
@@ -1113,6 +1396,7 @@ async function renderGameHistory(container) {
           ${tournaments.map(t => `<option value="${t}">${t}</option>`).join('')}
         </select>
       </div>` : ''}
+      ${renderConditionFilters('history', 'filterGameHistory()')}
     </div>
     <div id="gameHistoryList">
       ${renderGameCards(summaries)}
@@ -1132,7 +1416,9 @@ function renderGameCards(summaries) {
       <div class="ghc-teams">
         <strong>${s.players.join(', ')}</strong> vs <strong>${s.opponentName}</strong>
       </div>
+      ${s.result ? `<div class="ghc-result">${s.result}</div>` : ''}
       ${s.tournamentName ? `<div class="ghc-tournament">${s.tournamentName}</div>` : ''}
+      ${s.conditions ? `<div class="ghc-conditions">${s.conditions}</div>` : ''}
       <div class="ghc-stats">
         <div class="ghc-stat">
           <span class="ghc-stat-value">${s.totalEnds}</span>
@@ -1160,7 +1446,13 @@ async function filterGameHistory() {
   const formatFilter = document.getElementById('historyFormatFilter')?.value || 'all';
   const tournamentFilter = document.getElementById('historyTournamentFilter')?.value || 'all';
 
-  let summaries = await getGameSummaries();
+  let summaries;
+  try {
+    summaries = await runAnalyticsTask('gameSummaries', {}, { group: 'analytics' });
+  } catch (err) {
+    if (err.cancelled) return;
+    throw err;
+  }
 
   if (formatFilter !== 'all') {
     summaries = summaries.filter(s => s.format === formatFilter);
@@ -1168,6 +1460,10 @@ async function filterGameHistory() {
   if (tournamentFilter !== 'all') {
     summaries = summaries.filter(s => s.tournamentName === tournamentFilter);
   }
+  const conditions = readConditionFilters('history');
+  if (hasConditionFilters(conditions)) {
+    summaries = summaries.filter(s => s.endConditions.some(keys => matchesConditionFilters(keys, conditions)));
+  }
 
   const listContainer = document.getElementById('gameHistoryList');
   if (listContainer) {
@@ -1182,15 +1478,15 @@ async function showGameDrillDown(gameId) {
 
   const container = document.getElementById('analyticsContent');
   // Include all tracked bowls (yours + trial away players)
-  const yourBowls = bowls.filter(b => (b.playerId || b.playerName || b.player) !== 'opponent');
-  const totalEnds = game.endCount || game.totalEnds || 21;
+  const yourBowls = bowls.filter(b => b.playerId !== 'opponent');
+  const totalEnds = Math.max(game.totalEnds || 21, game.currentEnd || 0);
 
   // Player performance in this game
   const playerBreakdown = {};
   yourBowls.forEach(b => {
-    const name = b.playerId || b.playerName || b.player;
+    const name = b.playerId;
     if (!playerBreakdown[name]) playerBreakdown[name] = { total: 0, count: 0, bowls: [] };
-    playerBreakdown[name].total += (b.scoreValue || b.score || 0);
+    playerBreakdown[name].total += (b.scoreValue || 0);
     playerBreakdown[name].count++;
     playerBreakdown[name].bowls.push(b);
   });
@@ -1198,19 +1494,22 @@ async function showGameDrillDown(gameId) {
   // End-by-end data
   const endData = [];
   for (let e = 1; e <= totalEnds; e++) {
-    const endBowls = yourBowls.filter(b => (b.endNumber || b.end) === e);
-    const endScore = endBowls.reduce((s, b) => s + (b.scoreValue || b.score || 0), 0);
+    const endBowls = yourBowls.filter(b => isPlayedInEnd(b, e));
+    const endScore = endBowls.reduce((s, b) => s + (b.scoreValue || 0), 0);
     const endCount = endBowls.length;
     endData.push({
       end: e,
       totalScore: endScore,
       avgScore: endCount > 0 ? endScore / endCount : 0,
       bowlCount: endCount,
-      notes: game.endNotes?.[e] || ''
+      bowls: bowls.filter(b => isPlayedInEnd(b, e)),
+      notes: game.endNotes?.[e] || '',
+      conditions: describeEndConditionChange(game, e),
+      lineup: describeEndLineupChanges(game, e)
     });
   }
 
-  const players = game.players || game.yourPlayers || [];
+  const players = game.yourPlayers || [];
   const opponentName = (game.opponentPlayers || [])[0] || 'Opponent';
   const playerNames = Object.keys(playerBreakdown);
 
@@ -1225,7 +1524,8 @@ async function showGameDrillDown(gameId) {
           ${game.tournamentName ? `<span>${game.tournamentName}</span>` : ''}
         </div>
       </div>
-      ${game.notes || game.gameNotes ? `<div class="dd-notes">${game.notes || game.gameNotes}</div>` : ''}
+      ${describeConditions(getEndConditions(game, 1)) ? `<div class="dd-conditions">${describeConditions(getEndConditions(game, 1))}</div>` : ''}
+      ${game.gameNotes ? `<div class="dd-notes">${game.gameNotes}</div>` : ''}
 
       <div class="dd-filter-bar">
         <label for="ddPlayerFilter">Filter by Player:</label>
@@ -1256,20 +1556,139 @@ async function showGameDrillDown(gameId) {
       <div class="dd-end-list" id="ddEndList">
         ${endData.map(e => `
           <div class="dd-end-item ${e.bowlCount === 0 ? 'empty' : ''}">
-            <div class="dd-end-num">End ${e.end}</div>
+            <div class="dd-end-num">End ${e.end}${e.bowls.length > 0 ? ` <button class="btn-small btn-secondary dd-replay-btn" onclick="showGameReplay('${gameId}', ${e.end})">Replay</button>` : ''}</div>
             <div class="dd-end-stats">
               <span>${e.bowlCount} bowls</span>
               <span>Total: ${e.totalScore}</span>
               <span>Avg: ${e.avgScore.toFixed(1)}</span>
             </div>
+            ${e.conditions ? `<div class="dd-end-conditions">${e.conditions}</div>` : ''}
+            ${e.lineup ? `<div class="dd-end-conditions">${e.lineup}</div>` : ''}
             ${e.notes ? `<div class="dd-end-notes">${e.notes}</div>` : ''}
+            ${e.bowls.length > 0 ? `
+              <div class="dd-end-bowls">
+                ${e.bowls.map(b => `
+                  <button class="dd-bowl-chip ${b.team === 'opponent' ? 'opponent' : ''} ${isBowlDead(game, b) ? 'dead' : ''}" title="Edit this bowl" onclick="inspectStoredBowl('${gameId}', '${b.id}')">
+                    ${b.playerId === 'opponent' ? b.opponentName || opponentName : b.playerId} &middot; ${b.scoreValue || 0}
+                  </button>
+                `).join('')}
+              </div>
+            ` : ''}
           </div>
         `).join('')}
       </div>
+
+      <h4>Edit History</h4>
+      <div class="dd-history" id="ddHistory">
+        <div class="analytics-loading">Loading history...</div>
+      </div>
     </div>
   `;
 
   setTimeout(() => renderEndProgressionChart(endData), 100);
+  renderChangeHistory(gameId, bowls);
+}
+
+// ===== EDIT HISTORY =====
+
+const CHANGE_HISTORY_LIMIT = 200;
+
+const CHANGE_FIELD_LABELS = {
+  scoreValue: 'Score',
+  scoreCategory: 'Score category',
+  scoreDetail: 'Score detail',
+  resultCategory: 'Result',
+  distanceCategory: 'Distance',
+  distanceInFeet: 'Distance (ft)',
+  x: 'Position (x)',
+  y: 'Position (y)',
+  playerId: 'Player',
+  end: 'End',
+  hand: 'Hand',
+  line: 'Line',
+  weight: 'Weight',
+  isToucher: 'Toucher',
+  isDead: 'Dead',
+  call: 'Called shot',
+  conditions: 'Conditions',
+  endConditions: 'Conditions by end',
+  deadEnds: 'Dead ends',
+  deadJackRule: 'Dead jack rule',
+  endScores: 'End scores',
+  endScoresManual: 'Measured shots',
+  endNotes: 'End notes',
+  gameNotes: 'Game notes',
+  currentEnd: 'Current end',
+  completed: 'Completed',
+  result: 'Result'
+};
+
+function formatChangeValue(value) {
+  if (value === null || value === undefined || value === '') return '&ndash;';
+  if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+  if (typeof value === 'object') {
+    const text = JSON.stringify(value);
+    return text.length > 60 ? text.slice(0, 57) + '...' : text;
+  }
+  return value;
+}
+
+// "End 3 · Amy" for bowls, "Game" for the game record
+function describeChangedEntity(entry, bowlsById) {
+  if (entry.entityType === 'game') return 'Game';
+  const bowl = bowlsById[entry.entityId];
+  return bowl ? `End ${bowl.end} &middot; ${bowl.playerId === 'opponent' ? bowl.opponentName || 'Opponent' : bowl.playerId}` : 'Bowl';
+}
+
+function describeChange(entry) {
+  const what = entry.entityType === 'game' ? 'game' : 'bowl';
+  switch (entry.action) {
+    case 'create': return `Recorded ${what}`;
+    case 'delete': return entry.entityType === 'game' ? 'Deleted game' : 'Removed bowl (undo)';
+    case 'restore': return 'Restored game from the recycle bin';
+    default: {
+      const label = CHANGE_FIELD_LABELS[entry.field] || entry.field;
+      return `${label}: ${formatChangeValue(entry.oldValue)} &rarr; ${formatChangeValue(entry.newValue)}`;
+    }
+  }
+}
+
+// This device's log merged with every other device's from the cloud, newest first
+async function renderChangeHistory(gameId, bowls) {
+  const el = document.getElementById('ddHistory');
+  if (!el) return;
+
+  const [local, cloud] = await Promise.all([
+    getChangeLog(gameId),
+    typeof fetchCloudChangeLog === 'function' ? fetchCloudChangeLog(gameId) : []
+  ]);
+  const byId = {};
+  [...cloud, ...local].forEach(entry => { byId[entry.id] = entry; });
+  const entries = Object.values(byId).sort((a, b) => (a.changedAt < b.changedAt ? 1 : -1));
+
+  if (entries.length === 0) {
+    el.innerHTML = '<p class="registry-empty">No edits recorded for this game.</p>';
+    return;
+  }
+
+  // Bowls no longer in the game are known from their create/delete entries
+  const bowlsById = {};
+  entries.forEach(entry => {
+    if (entry.entityType === 'bowl' && !entry.field) bowlsById[entry.entityId] = entry.newValue || entry.oldValue;
+  });
+  bowls.forEach(b => { bowlsById[b.id] = b; });
+
+  el.innerHTML = entries.slice(0, CHANGE_HISTORY_LIMIT).map(entry => `
+    <div class="dd-history-item ${entry.field === 'scoreValue' ? 'dd-history-score' : ''}">
+      <div class="dd-history-what">
+        <span class="dd-history-entity">${describeChangedEntity(entry, bowlsById)}</span>
+        ${describeChange(entry)}
+      </div>
+      <div class="dd-history-when">${new Date(entry.changedAt).toLocaleString()}${entry.changedBy ? ' &middot; ' + entry.changedBy : ''}</div>
+    </div>
+  `).join('') + (entries.length > CHANGE_HISTORY_LIMIT
+    ? `<p class="registry-empty">Showing the latest ${CHANGE_HISTORY_LIMIT} of ${entries.length} changes.</p>`
+    : '');
 }
 
 function renderEndProgressionChart(endData) {
@@ -1302,25 +1721,36 @@ function renderEndProgressionChart(endData) {
   }
 }
 
+// "Conditions now: ..." for an end where the conditions were changed, otherwise ''
+function describeEndConditionChange(game, endNum) {
+  if (endNum <= 1 || !(game.endConditions || {})[endNum]) return '';
+  return `Conditions now: ${describeConditions(getEndConditions(game, endNum)) || 'not recorded'}`;
+}
+
+// The substitutions and position swaps that took effect at an end, otherwise ''
+function describeEndLineupChanges(game, endNum) {
+  return (game.lineupChanges || []).filter(c => c.end === endNum).map(c => describeLineupChange(game, c)).join('; ');
+}
+
 async function filterDrillDownByPlayer(gameId) {
   const selectedPlayer = document.getElementById('ddPlayerFilter').value;
   const bowls = await getBowlsByGame(gameId);
   const game = await getGame(gameId);
   if (!game) return;
 
-  let yourBowls = bowls.filter(b => (b.playerId || b.playerName || b.player) !== 'opponent');
+  let yourBowls = bowls.filter(b => b.playerId !== 'opponent');
   if (selectedPlayer !== 'all') {
-    yourBowls = yourBowls.filter(b => (b.playerId || b.playerName || b.player) === selectedPlayer);
+    yourBowls = yourBowls.filter(b => b.playerId === selectedPlayer);
   }
 
-  const totalEnds = game.endCount || game.totalEnds || 21;
+  const totalEnds = Math.max(game.totalEnds || 21, game.currentEnd || 0);
 
   // Rebuild player cards
   const playerBreakdown = {};
   yourBowls.forEach(b => {
-    const name = b.playerId || b.playerName || b.player;
+    const name = b.playerId;
     if (!playerBreakdown[name]) playerBreakdown[name] = { total: 0, count: 0, bowls: [] };
-    playerBreakdown[name].total += (b.scoreValue || b.score || 0);
+    playerBreakdown[name].total += (b.scoreValue || 0);
     playerBreakdown[name].count++;
     playerBreakdown[name].bowls.push(b);
   });
@@ -1347,15 +1777,17 @@ async function filterDrillDownByPlayer(gameId) {
   // Rebuild end-by-end data
   const endData = [];
   for (let e = 1; e <= totalEnds; e++) {
-    const endBowls = yourBowls.filter(b => (b.endNumber || b.end) === e);
-    const endScore = endBowls.reduce((s, b) => s + (b.scoreValue || b.score || 0), 0);
+    const endBowls = yourBowls.filter(b => isPlayedInEnd(b, e));
+    const endScore = endBowls.reduce((s, b) => s + (b.scoreValue || 0), 0);
     const endCount = endBowls.length;
     endData.push({
       end: e,
       totalScore: endScore,
       avgScore: endCount > 0 ? endScore / endCount : 0,
       bowlCount: endCount,
-      notes: game.endNotes?.[e] || ''
+      notes: game.endNotes?.[e] || '',
+      conditions: describeEndConditionChange(game, e),
+      lineup: describeEndLineupChanges(game, e)
     });
   }
 
@@ -1369,6 +1801,8 @@ async function filterDrillDownByPlayer(gameId) {
           <span>Total: ${e.totalScore}</span>
           <span>Avg: ${e.avgScore.toFixed(1)}</span>
         </div>
+        ${e.conditions ? `<div class="dd-end-conditions">${e.conditions}</div>` : ''}
+        ${e.lineup ? `<div class="dd-end-conditions">${e.lineup}</div>` : ''}
         ${e.notes ? `<div class="dd-end-notes">${e.notes}</div>` : ''}
       </div>
     `).join('');
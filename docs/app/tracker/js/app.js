@@ -8,12 +8,17 @@ let canvas, ctx;
 let isDraggingJack = false;
 let draggingBowl = null;
 let dragOffset = { x: 0, y: 0 };
+let dragStart = null; // where a bowl drag began; a release close to it is a tap
+let dragMoved = false;
 let currentView = 'home';
 let deferredInstallPrompt = null;
 let selectedGameType = 'game'; // 'game' or 'trial'
 let moveJackMode = false;
-let jackInDitchMode = false;
 let deadBowlMode = false;
+let toucherMode = false;
+let captureDelivery = false; // ask for line and weight after each bowl (captureDelivery setting)
+let pendingCall = null; // shot called for the next bowl: { type, target, targetBowlId | targetPoint }
+let callTargetMode = false; // waiting for a tap on the call's target bowl or spot
 let backEndPendingBowl = null;
 let selectedShotType = '';
 let selectedQuality = '';
@@ -29,22 +34,31 @@ let gameState = {
   tournamentName: '',
   format: 'singles',
   gameType: 'game', // 'game' or 'trial'
-  matchStructure: 'traditional', // 'traditional' or 'sets'
+  matchStructure: 'traditional', // 'traditional', 'shots', 'timed' or 'sets' - see match-rules.js
   numberOfSets: 2,
   endsPerSet: 7,
   tieBreakEnds: 1,
+  shotsTarget: null, // shots: first to this many
+  timeLimitMinutes: null, // timed: no new end after this long
+  tieRule: null, // traditional/timed: 'extraEnd' or 'draw' when level at the finish
+  result: null, // {winner, yours, opponent, summary} once the game is over
   currentSet: 1,
   setScores: [], // [{yours: shots, opponent: shots}]
-  endScores: [], // [{yours: shots, opponent: shots, end: n}]
+  endScores: [], // [{end: n, yours: marks, opponent: marks, shotsFor, shotsAgainst, shotsMeasured, jack}]
+  endScoresManual: {}, // {end: {shotsFor, shotsAgainst, measured}} - shots entered after a measure
   yourPlayers: [],
   opponentPlayers: [],
+  opponentNames: [],
   awayPlayers: [],
+  lineupChanges: [], // substitutions and position swaps (db.js, lineup.js)
   currentEnd: 1,
   totalEnds: 21,
   currentTeam: 'yours',
   currentPlayerIndex: 0,
   currentHand: 'forehand',
-  matLength: 'short',
+  coordinateSystem: 'rink',
+  rink: { ...RINK_DEFAULTS },
+  matLength: MIN_MAT_DISTANCE_M, // metres from the rear ditch to the back of the mat
   jackLength: 'short',
   bowlsPerPlayer: 4,
   playersPerTeam: 1,
@@ -54,7 +68,9 @@ let gameState = {
   jackPosition: null,
   jackOriginalPosition: null,
   jackMoved: false,
-  jackInDitch: false
+  jackInDitch: false,
+  deadJackRule: 'replay', // 'replay' or 'respot' when the jack goes out of bounds (scoring.js)
+  deadEnds: [] // [{end, bowls, at}] - ends replayed after a dead jack
 };
 
 // Scoring lookup table
@@ -105,6 +121,9 @@ async function initApp() {
     await openDB();
     console.log('[App] Database ready');
 
+    // Rewrite records an older upgrade left in their old shape (runs once)
+    await repairCanonicalRecords();
+
     // Initialize Supabase sync layer (overrides db.js functions)
     if (typeof initSupabaseSync === 'function') {
       initSupabaseSync();
@@ -113,6 +132,9 @@ async function initApp() {
     // Migrate localStorage if needed
     await migrateFromLocalStorage();
 
+    // Bowling arms from the player registry, before a pull can change them
+    await loadBowlingArms();
+
     // Check for existing Supabase session
     let sessionResult = null;
     if (typeof checkSession === 'function') {
@@ -126,13 +148,42 @@ async function initApp() {
     if (sessionResult) {
       // Authenticated — pull cloud data, then load
       console.log('[App] Resuming session as', sessionResult.role);
-      try { await pullDataFromSupabase(); } catch {}
+      try { await pullWithRecoveryCheck(); } catch {}
       try { await processQueue(); } catch {}
       try { await applyTierClass(); } catch {}
     }
 
+    // Merge duplicate bowls left behind by older autosaves (runs once)
+    await repairDuplicateBowls();
+
+    // Register players named on bowls and games, folding spelling variants together
+    await reconcilePlayerRegistry();
+    // ...and reload the bowling arms under the names that are left
+    await loadBowlingArms();
+
+    // Build the statistics store if this is the first run since it was added
+    await ensureAggregates();
+
+    // Permanently delete recycle bin entries past the retention period
+    await purgeExpiredRecycleBin();
+
+    // Drop edit history past its retention period
+    await purgeExpiredChangeLog();
+
+    // Show distances in the player's chosen units
+    setDistanceUnits(await getSetting('distanceUnits'));
+    captureDelivery = !!(await getSetting('captureDelivery'));
+
+    // This device's id and its claims in co-scored games
+    await initCoScoring();
+
     // Load open games from IndexedDB
     await reloadGamesFromDB();
+    await restoreRinkSessions();
+    await refreshCoScoringSubscriptions();
+
+    // Ask for persistent storage, warn if nearly full, and spot a wiped database
+    await runStorageHealthCheck();
 
     // Check first time user
     const hasVisited = await getSetting('hasVisited');
@@ -173,7 +224,6 @@ async function reloadGamesFromDB() {
   allGames = openGames.map(g => ({
     ...g,
     gameId: g.id,
-    yourPlayers: g.players || g.yourPlayers || [],
     bowls: []
   }));
 
@@ -231,6 +281,9 @@ function navigateTo(view) {
 
   currentView = view;
 
+  // Analytics still running for the screen being left are no longer wanted
+  cancelAnalyticsTasks();
+
   // Hide all screens
   document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
 
@@ -285,6 +338,11 @@ function navigateTo(view) {
     case 'settings':
       document.getElementById('settingsScreen').classList.add('active');
       if (typeof initSharingSettings === 'function') initSharingSettings();
+      if (typeof renderPlayerRegistry === 'function') renderPlayerRegistry();
+      if (typeof renderRecycleBin === 'function') renderRecycleBin();
+      if (typeof renderStorageHealth === 'function') renderStorageHealth();
+      document.getElementById('distanceUnitsSelect').value = distanceUnits;
+      document.getElementById('captureDeliveryToggle').checked = captureDelivery;
       break;
   }
 
@@ -487,7 +545,6 @@ async function loadDemoDataAndClose() {
 
   try {
     await generateDemoData();
-    invalidateAnalyticsCache();
     if (statusEl) statusEl.textContent = 'Demo data loaded!';
     setTimeout(() => {
       if (statusEl) statusEl.textContent = '';
@@ -504,7 +561,6 @@ async function handleLoadDemoData() {
   if (loaded) {
     if (!confirm('Demo data is already loaded. Remove it and reload?')) return;
     await removeDemoData();
-    invalidateAnalyticsCache();
   }
 
   const statusEl = document.getElementById('homeStatus');
@@ -512,7 +568,6 @@ async function handleLoadDemoData() {
 
   try {
     await generateDemoData();
-    invalidateAnalyticsCache();
     if (statusEl) statusEl.textContent = 'Demo data loaded! View Analytics to explore.';
     setTimeout(() => { if (statusEl) statusEl.textContent = ''; }, 3000);
   } catch (err) {
@@ -549,6 +604,7 @@ function selectGameType(type) {
 
   // Show/hide away team player inputs
   updateAwayTeamInputs();
+  updateOppositionInputs();
 }
 
 function updateAwayTeamInputs() {
@@ -564,7 +620,7 @@ function updateAwayTeamInputs() {
       awayDiv.innerHTML += `
         <div class="form-group">
           <label for="awayPlayer${idx}">${position}</label>
-          <input type="text" id="awayPlayer${idx}" placeholder="Enter ${position.toLowerCase()} name">
+          <input type="text" id="awayPlayer${idx}" list="playerRegistryList" autocomplete="off" placeholder="Pick or enter ${position.toLowerCase()} name">
         </div>
       `;
     });
@@ -574,61 +630,140 @@ function updateAwayTeamInputs() {
   }
 }
 
-function getPositionsForFormat(format) {
-  const positions = {
-    'singles': ['Player'],
-    'pairs4': ['Lead', 'Skip'],
-    'pairs3': ['Lead', 'Skip'],
-    'triples3': ['Lead', 'Second', 'Skip'],
-    'triples2': ['Lead', 'Second', 'Skip'],
-    'fours': ['Lead', 'Second', 'Third', 'Skip']
-  };
-  return positions[format] || ['Player'];
+// ===== MEASUREMENTS =====
+
+async function setDistanceUnitsSetting(units) {
+  setDistanceUnits(units);
+  await saveSetting('distanceUnits', distanceUnits);
+  updateRinkControls();
+  drawGreen();
 }
 
 // ===== SETUP SCREEN INIT =====
 
 function initSetupScreen() {
   // Sync match structure UI with current state
-  const endsGroup = document.getElementById('endsGroup');
-  const setFormatGroup = document.getElementById('setFormatGroup');
+  selectMatchStructure(selectedMatchStructure);
+  initRinkInputs();
+  initConditionInputs();
+  updateNewRinkOption();
 
-  if (selectedMatchStructure === 'sets') {
-    if (endsGroup) endsGroup.style.display = 'none';
-    if (setFormatGroup) setFormatGroup.style.display = 'block';
-    updateSetFormatPreview();
-  } else {
-    if (setFormatGroup) setFormatGroup.style.display = 'none';
-    updateEndsDropdown();
-  }
+  if (typeof refreshPlayerPicker === 'function') refreshPlayerPicker();
+  refreshOppositionPicker();
+}
 
-  // Ensure match structure buttons reflect current state
-  const buttons = document.querySelectorAll('#matchStructureGroup .radio-btn');
-  buttons.forEach((btn, idx) => {
-    btn.classList.toggle('active', (idx === 0 && selectedMatchStructure === 'traditional') || (idx === 1 && selectedMatchStructure === 'sets'));
+// Rink dimensions default to the last green played on
+async function initRinkInputs() {
+  const rink = { ...RINK_DEFAULTS, ...(await getSetting('rinkDimensions')) };
+  document.getElementById('rinkLength').value = rink.length;
+  document.getElementById('rinkWidth').value = rink.width;
+  document.getElementById('rinkDitchWidth').value = rink.ditchWidth;
+  document.getElementById('rinkBankHeight').value = rink.bankHeight;
+}
+
+function readRinkInputs() {
+  const read = (id, fallback) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return value > 0 ? value : fallback;
+  };
+  return {
+    length: read('rinkLength', RINK_DEFAULTS.length),
+    width: read('rinkWidth', RINK_DEFAULTS.width),
+    ditchWidth: read('rinkDitchWidth', RINK_DEFAULTS.ditchWidth),
+    bankHeight: read('rinkBankHeight', RINK_DEFAULTS.bankHeight)
+  };
+}
+
+// ===== GREEN CONDITIONS =====
+// Set up with the game and changed from the current end on (conditions.js)
+
+// The surface defaults to the last one played on; the rest change game to game
+async function initConditionInputs() {
+  fillConditionInputs('setup', { surface: await getSetting('greenSurface') });
+}
+
+// Fill the `${prefix}GreenSpeed`... inputs of the setup screen or the conditions modal
+function fillConditionInputs(prefix, conditions) {
+  const compass = Object.fromEntries(COMPASS_POINTS.map(point => [point, point]));
+  const options = { Surface: SURFACES, PlayDirection: compass, WindStrength: WIND_STRENGTHS, WindDirection: compass, Weather: WEATHER_TYPES };
+  Object.entries(options).forEach(([field, values]) => {
+    document.getElementById(prefix + field).innerHTML = '<option value="">-</option>' +
+      Object.entries(values).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  });
+
+  const c = conditions || {};
+  document.getElementById(`${prefix}GreenSpeed`).value = c.greenSpeed || '';
+  document.getElementById(`${prefix}Surface`).value = c.surface || '';
+  document.getElementById(`${prefix}RinkNumber`).value = c.rinkNumber || '';
+  document.getElementById(`${prefix}PlayDirection`).value = c.playDirection || '';
+  document.getElementById(`${prefix}WindStrength`).value = c.windStrength || '';
+  document.getElementById(`${prefix}WindDirection`).value = c.windDirection || '';
+  document.getElementById(`${prefix}Weather`).value = c.weather || '';
+}
+
+function readConditionInputs(prefix) {
+  const value = field => document.getElementById(prefix + field).value;
+  return cleanConditions({
+    greenSpeed: parseFloat(value('GreenSpeed')),
+    surface: value('Surface'),
+    rinkNumber: parseInt(value('RinkNumber')),
+    playDirection: value('PlayDirection'),
+    windStrength: value('WindStrength'),
+    windDirection: value('WindDirection'),
+    weather: value('Weather')
   });
 }
 
+function updateConditionsSummary() {
+  const summaryEl = document.getElementById('conditionsSummary');
+  if (!summaryEl) return;
+  summaryEl.textContent = describeConditions(getEndConditions(gameState, gameState.currentEnd)) || 'Not recorded';
+}
+
+function showConditionsModal() {
+  const end = gameState.currentEnd;
+  fillConditionInputs('end', getEndConditions(gameState, end));
+  document.getElementById('conditionsModalEnd').textContent = end > 1
+    ? `From end ${end} on. Earlier ends keep the conditions they were played in.`
+    : 'For the whole game, unless they change at a later end.';
+  document.getElementById('conditionsModal').classList.add('active');
+}
+
+function closeConditionsModal() {
+  document.getElementById('conditionsModal').classList.remove('active');
+}
+
+function saveConditions() {
+  beginHistoryStep('Conditions');
+  setEndConditions(gameState, gameState.currentEnd, readConditionInputs('end'));
+  closeConditionsModal();
+  persistCurrentGame();
+  updateDisplay();
+}
+
 // ===== MATCH STRUCTURE =====
+// The rules for each structure live in match-rules.js
 
 function selectMatchStructure(structure) {
   selectedMatchStructure = structure;
   const buttons = document.querySelectorAll('#matchStructureGroup .radio-btn');
-  buttons.forEach((btn, idx) => {
-    btn.classList.toggle('active', (idx === 0 && structure === 'traditional') || (idx === 1 && structure === 'sets'));
+  buttons.forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.structure === structure);
   });
 
-  const endsGroup = document.getElementById('endsGroup');
-  const setFormatGroup = document.getElementById('setFormatGroup');
+  const groups = {
+    shotsTargetGroup: structure === 'shots',
+    timeLimitGroup: structure === 'timed',
+    tieRuleGroup: structure === 'traditional' || structure === 'timed',
+    setFormatGroup: structure === 'sets'
+  };
+  Object.entries(groups).forEach(([id, visible]) => {
+    const el = document.getElementById(id);
+    if (el) el.style.display = visible ? 'block' : 'none';
+  });
 
-  if (structure === 'sets') {
-    endsGroup.style.display = 'none';
-    setFormatGroup.style.display = 'block';
-    updateSetFormatPreview();
-  } else {
-    setFormatGroup.style.display = 'none';
-    updateEndsDropdown();
-  }
+  if (structure === 'sets') updateSetFormatPreview();
+  updateEndsDropdown();
 }
 
 function updateSetFormatPreview() {
@@ -638,7 +773,7 @@ function updateSetFormatPreview() {
   const total = sets * ends + tb;
   const preview = document.getElementById('setFormatPreview');
   if (preview) {
-    preview.textContent = `Format: ${sets} sets \u00D7 ${ends} ends + ${tb} end tie-break (${total} ends max)`;
+    preview.textContent = `Format: ${sets} sets \u00D7 ${ends} ends + ${tb} end tie-break if sets are level (${total} ends max)`;
   }
 }
 
@@ -656,16 +791,11 @@ function updateEndsDropdown() {
   const format = document.getElementById('gameFormat').value;
   const endsGroup = document.getElementById('endsGroup');
 
-  if (selectedMatchStructure === 'sets') {
-    endsGroup.style.display = 'none';
-  } else if (format !== 'singles') {
-    endsGroup.style.display = 'block';
-  } else {
-    endsGroup.style.display = 'none';
-  }
+  endsGroup.style.display = selectedMatchStructure === 'traditional' ? 'block' : 'none';
 
   updatePlayerInputs(format);
   updateAwayTeamInputs();
+  updateOppositionInputs();
 }
 
 function updatePlayerInputs(format) {
@@ -677,7 +807,7 @@ function updatePlayerInputs(format) {
     yourTeamDiv.innerHTML += `
       <div class="form-group">
         <label for="yourPlayer${idx}">${position}</label>
-        <input type="text" id="yourPlayer${idx}" placeholder="Enter ${position.toLowerCase()} name">
+        <input type="text" id="yourPlayer${idx}" list="playerRegistryList" autocomplete="off" placeholder="Pick or enter ${position.toLowerCase()} name">
       </div>
     `;
   });
@@ -704,12 +834,12 @@ async function startGame() {
   }
 
   const formatMap = {
-    'singles': { bowls: 4, players: 1, ends: 21 },
-    'pairs4': { bowls: 4, players: 2, ends: parseInt(numberOfEnds) },
-    'pairs3': { bowls: 3, players: 2, ends: parseInt(numberOfEnds) },
-    'triples3': { bowls: 3, players: 3, ends: parseInt(numberOfEnds) },
-    'triples2': { bowls: 2, players: 3, ends: parseInt(numberOfEnds) },
-    'fours': { bowls: 2, players: 4, ends: parseInt(numberOfEnds) }
+    'singles': { bowls: 4, players: 1 },
+    'pairs4': { bowls: 4, players: 2 },
+    'pairs3': { bowls: 3, players: 2 },
+    'triples3': { bowls: 3, players: 3 },
+    'triples2': { bowls: 2, players: 3 },
+    'fours': { bowls: 2, players: 4 }
   };
 
   const config = formatMap[format];
@@ -741,22 +871,56 @@ async function startGame() {
     }
   }
 
+  // Use each player's registered name - anyone new is added to the registry
+  const playerPositions = getPositionsForFormat(format);
+  for (let i = 0; i < yourPlayers.length; i++) {
+    yourPlayers[i] = (await resolvePlayer(yourPlayers[i], playerPositions[i])).name;
+  }
+  for (let i = 0; i < awayPlayers.length; i++) {
+    awayPlayers[i] = (await resolvePlayer(awayPlayers[i], playerPositions[i])).name;
+  }
+
+  // Opposition players named for scouting (opposition.js)
+  const opponentNames = await readOppositionInputs(config.players);
+  if (!opponentNames) return;
+
   const gameId = generateId();
 
-  // Calculate total ends based on match structure
-  let totalEnds = config.ends;
+  // Calculate total ends based on match structure. Shots and timed games have
+  // no fixed number of ends, so their total grows as ends are played.
+  let totalEnds = parseInt(numberOfEnds);
   let matchStructure = selectedMatchStructure;
   let numberOfSets = 2;
   let endsPerSet = 7;
   let tieBreakEnds = 1;
+  let shotsTarget = null;
+  let timeLimitMinutes = null;
+  let tieRule = null;
 
   if (matchStructure === 'sets') {
     numberOfSets = parseInt(document.getElementById('numberOfSets').value);
     endsPerSet = parseInt(document.getElementById('endsPerSet').value);
     tieBreakEnds = parseInt(document.getElementById('tieBreakEnds').value);
     totalEnds = numberOfSets * endsPerSet + tieBreakEnds;
+  } else if (matchStructure === 'shots') {
+    shotsTarget = parseInt(document.getElementById('shotsTarget').value);
+    totalEnds = 1;
+  } else if (matchStructure === 'timed') {
+    timeLimitMinutes = parseInt(document.getElementById('timeLimitMinutes').value);
+    tieRule = document.getElementById('tieRule').value;
+    totalEnds = 1;
+  } else {
+    tieRule = document.getElementById('tieRule').value;
   }
 
+  const rink = readRinkInputs();
+  await saveSetting('rinkDimensions', rink);
+  const conditions = readConditionInputs('setup');
+  if (conditions.surface) await saveSetting('greenSurface', conditions.surface);
+
+  // Keep the game on screen open on its own rink (multi-rink.js)
+  if (document.getElementById('setupNewRink').checked) leaveActiveRink();
+
   gameState = {
     gameId: gameId,
     id: gameId,
@@ -767,36 +931,49 @@ async function startGame() {
     numberOfSets: numberOfSets,
     endsPerSet: endsPerSet,
     tieBreakEnds: tieBreakEnds,
+    shotsTarget: shotsTarget,
+    timeLimitMinutes: timeLimitMinutes,
+    tieRule: tieRule,
     currentSet: 1,
     setScores: [],
     endScores: [],
+    endScoresManual: {},
+    result: null,
     yourPlayers: yourPlayers,
-    players: yourPlayers,
     opponentPlayers: [opponentTeamName],
+    opponentNames: opponentNames,
     awayPlayers: awayPlayers,
+    lineupChanges: [],
     bowlsPerPlayer: config.bowls,
     playersPerTeam: config.players,
     totalEnds: totalEnds,
-    endCount: totalEnds,
     currentEnd: 1,
     currentPlayerIndex: 0,
     currentTeam: 'yours',
     currentHand: 'forehand',
-    matLength: 'short',
+    coordinateSystem: 'rink',
+    rink: rink,
+    conditions: conditions,
+    endConditions: {},
+    matLength: MIN_MAT_DISTANCE_M,
     jackLength: 'short',
     bowls: [],
     endNotes: {},
     gameNotes: '',
-    jackPosition: { x: 250, y: 250 },
+    jackPosition: null,
     jackOriginalPosition: null,
     jackMoved: false,
     jackInDitch: false,
+    deadJackRule: document.getElementById('deadJackRule').value,
+    deadEnds: [],
     completed: false,
     date: new Date().toISOString()
   };
+  gameState.jackPosition = getDefaultJackPosition(gameState, gameState.jackLength);
 
   // Save to IndexedDB
   await saveGame(gameState);
+  loadUndoHistory(gameId).then(updateHistoryButtons);
 
   allGames.push(gameState);
   currentGameId = allGames.length;
@@ -814,6 +991,7 @@ async function startGame() {
 
   initCanvas();
   updateDisplay();
+  noteRinkGameOpened(gameId);
 }
 
 function updateTeamLabels() {
@@ -844,6 +1022,12 @@ function createPlayerButtons() {
     const btn = document.createElement('div');
     btn.className = 'radio-btn' + (i === gameState.currentPlayerIndex ? ' active' : '');
     btn.textContent = positions[i] || `Player ${i + 1}`;
+    // Scored on another device in a co-scored game
+    const scorer = getOtherScorerFor(gameState, gameState.currentTeam, i);
+    if (scorer) {
+      btn.classList.add('claimed-elsewhere');
+      btn.title = `Scored on ${scorer.label}`;
+    }
     btn.onclick = () => selectPlayer(i);
     playerButtonsDiv.appendChild(btn);
   }
@@ -876,7 +1060,7 @@ function initCanvas() {
   canvas.height = 500;
 
   if (!gameState.jackPosition) {
-    gameState.jackPosition = { x: 250, y: 250 };
+    gameState.jackPosition = getDefaultJackPosition(gameState, gameState.jackLength);
   }
 
   canvas.addEventListener('click', handleCanvasClick);
@@ -887,63 +1071,161 @@ function initCanvas() {
   canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
   canvas.addEventListener('touchend', handleTouchEnd);
 
-  // Reset jack modes
+  // Reset jack and bowl marking modes
   moveJackMode = false;
-  jackInDitchMode = false;
+  setBowlMarkMode(null);
   updateJackButtonStates();
+  updateRinkControls();
 
   // Reset zoom and setup gestures
   canvasZoom = 1;
   canvasPanX = 0;
   canvasPanY = 0;
-  if (canvas) canvas.style.transform = '';
   setupZoomGestures();
 
   drawGreen();
 }
 
+// ===== RINK VIEW =====
+// The green is drawn to scale. At zoom 1 the canvas spans HEAD_VIEW_METRES
+// around the jack; zooming out shows the whole rink. canvasPanX/Y move the
+// centre of the view away from the jack, in metres.
+
+const HEAD_VIEW_METRES = 3;
+const MAX_CANVAS_ZOOM = 4;
+const JACK_HIGH_TOLERANCE_M = 0.03;
+
+// Pixels per metre
+function getCanvasScale() {
+  return (canvas.width / HEAD_VIEW_METRES) * canvasZoom;
+}
+
+// Zoomed out far enough to see the rink from ditch to ditch
+function getMinCanvasZoom() {
+  const rink = getRink(gameState);
+  return (HEAD_VIEW_METRES / (rink.length + 2 * rink.ditchWidth + 1)) * (canvas.height / canvas.width);
+}
+
+// The view stays over the rink and its banks; when it is wider than them
+// they are centred in it
+function getViewCentre() {
+  const rink = getRink(gameState);
+  const jack = gameState.jackPosition || getDefaultJackPosition(gameState, gameState.jackLength);
+  const scale = getCanvasScale();
+  const clampAxis = (value, min, max, half) =>
+    (max - min <= 2 * half ? (min + max) / 2 : Math.max(min + half, Math.min(max - half, value)));
+  const margin = rink.ditchWidth + 0.5;
+  return {
+    x: clampAxis(jack.x + canvasPanX, -rink.width / 2 - 0.5, rink.width / 2 + 0.5, canvas.width / 2 / scale),
+    y: clampAxis(jack.y + canvasPanY, -margin, rink.length + margin, canvas.height / 2 / scale)
+  };
+}
+
+function rinkToCanvas(point) {
+  const centre = getViewCentre();
+  const scale = getCanvasScale();
+  return {
+    x: canvas.width / 2 + (point.x - centre.x) * scale,
+    y: canvas.height / 2 + (point.y - centre.y) * scale
+  };
+}
+
+function canvasToRink(point) {
+  const centre = getViewCentre();
+  const scale = getCanvasScale();
+  return {
+    x: centre.x + (point.x - canvas.width / 2) / scale,
+    y: centre.y + (point.y - canvas.height / 2) / scale
+  };
+}
+
 function drawGreen() {
   if (!ctx) return;
   ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-  // Draw ditch area
-  const ditchHeight = 30;
-  if (gameState.jackLength === 'long' || gameState.jackInDitch) {
-    ctx.fillStyle = '#8B4513';
-    ctx.fillRect(0, canvas.height - ditchHeight, canvas.width, ditchHeight);
+  const rink = getRink(gameState);
+  const scale = getCanvasScale();
+
+  // Banks beyond the ditches, then the ditches at each end
+  const topLeft = rinkToCanvas({ x: -rink.width / 2, y: -rink.ditchWidth });
+  const bottomRight = rinkToCanvas({ x: rink.width / 2, y: rink.length + rink.ditchWidth });
+  ctx.fillStyle = '#5d4037';
+  ctx.fillRect(0, 0, canvas.width, topLeft.y);
+  ctx.fillRect(0, bottomRight.y, canvas.width, canvas.height - bottomRight.y);
+
+  ctx.fillStyle = '#8B4513';
+  const rearDitch = rinkToCanvas({ x: 0, y: -rink.ditchWidth });
+  const frontDitch = rinkToCanvas({ x: 0, y: rink.length });
+  ctx.fillRect(0, rearDitch.y, canvas.width, rink.ditchWidth * scale);
+  ctx.fillRect(0, frontDitch.y, canvas.width, rink.ditchWidth * scale);
+  if (frontDitch.y < canvas.height && frontDitch.y + rink.ditchWidth * scale > 0) {
     ctx.fillStyle = 'white';
     ctx.font = 'bold 12px Arial';
     ctx.textAlign = 'center';
-    ctx.fillText('DITCH', canvas.width / 2, canvas.height - 12);
+    ctx.textBaseline = 'middle';
+    ctx.fillText('DITCH', canvas.width / 2, Math.min(canvas.height - 12, frontDitch.y + Math.max(12, rink.ditchWidth * scale / 2)));
+    ctx.textBaseline = 'alphabetic';
   }
 
-  const centerX = canvas.width / 2;
-  const centerY = canvas.height / 2;
-  const maxRadius = Math.min(canvas.width, canvas.height) / 2 - 10;
-
-  for (let i = 5; i >= 1; i--) {
-    const radius = (maxRadius / 5) * i;
+  // Rink boundaries and centre line
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+  ctx.lineWidth = 2;
+  [topLeft.x, bottomRight.x].forEach(x => {
     ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
-    ctx.strokeStyle = '#1a3810';
-    ctx.lineWidth = 1;
+    ctx.moveTo(x, rearDitch.y);
+    ctx.lineTo(x, frontDitch.y);
     ctx.stroke();
+  });
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([6, 6]);
+  ctx.beginPath();
+  ctx.moveTo(rearDitch.x, rearDitch.y);
+  ctx.lineTo(frontDitch.x, frontDitch.y);
+  ctx.stroke();
+  ctx.setLineDash([]);
 
-    ctx.fillStyle = '#4a7035';
-    ctx.font = '12px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText(`${i}ft`, centerX, centerY - radius + 15);
+  // Mat
+  const mat = rinkToCanvas({ x: -MAT_WIDTH_M / 2, y: getMatDistance(gameState) });
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect(mat.x, mat.y, Math.max(4, MAT_WIDTH_M * scale), Math.max(6, MAT_LENGTH_M * scale));
+
+  // Distance rings around the jack
+  if (gameState.jackPosition) {
+    const jack = rinkToCanvas(gameState.jackPosition);
+    getDistanceRings().slice().reverse().forEach(ring => {
+      const radius = ring.metres * scale;
+      if (radius < 12) return;
+      ctx.beginPath();
+      ctx.arc(jack.x, jack.y, radius, 0, 2 * Math.PI);
+      ctx.strokeStyle = '#1a3810';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+
+      ctx.fillStyle = '#4a7035';
+      ctx.font = '12px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(ring.label, jack.x, jack.y - radius + 15);
+    });
   }
 
   // Draw jack
   if (gameState.jackPosition) {
-    drawJack(gameState.jackPosition.x, gameState.jackPosition.y);
+    drawJack(gameState.jackPosition);
   }
 
   // Draw bowls for current end
-  const currentEndBowls = gameState.bowls.filter(b => b.end === gameState.currentEnd);
+  const currentEndBowls = gameState.bowls.filter(b => isPlayedInEnd(b, gameState.currentEnd));
   currentEndBowls.forEach(bowl => drawBowl(bowl));
 
+  // Jack length, measured from the front of the mat
+  if (gameState.jackPosition) {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(`Jack ${formatDistance(getJackDistance(gameState, gameState.jackPosition), 1)} from mat`, 10, canvas.height - 10);
+  }
+
   // Draw move jack mode indicator
   if (moveJackMode) {
     ctx.strokeStyle = '#FFD700';
@@ -971,11 +1253,69 @@ function drawGreen() {
     ctx.textAlign = 'center';
     ctx.fillText('TAP A BOWL TO MARK DEAD', canvas.width / 2, 25);
   }
+
+  // Target of the shot called for the next bowl
+  const callTarget = pendingCall && pendingCall.target !== 'jack'
+    ? (pendingCall.target === 'bowl' ? gameState.bowls.find(b => b.id === pendingCall.targetBowlId) : pendingCall.targetPoint)
+    : null;
+  if (callTarget) {
+    const pos = rinkToCanvas(callTarget);
+    const r = getBowlRadiusPx() + 6;
+    ctx.strokeStyle = '#FFD700';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, r, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.moveTo(pos.x - r, pos.y); ctx.lineTo(pos.x + r, pos.y);
+    ctx.moveTo(pos.x, pos.y - r); ctx.lineTo(pos.x, pos.y + r);
+    ctx.stroke();
+  }
+
+  // Draw call target mode indicator
+  if (callTargetMode) {
+    ctx.strokeStyle = '#FFD700';
+    ctx.lineWidth = 3;
+    ctx.setLineDash([10, 5]);
+    ctx.strokeRect(5, 5, canvas.width - 10, canvas.height - 10);
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = 'rgba(255, 215, 0, 0.8)';
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(pendingCall.target === 'bowl' ? 'TAP THE TARGET BOWL' : 'TAP THE SPOT TO AIM FOR', canvas.width / 2, 25);
+  }
+
+  // Draw toucher mode indicator
+  if (toucherMode) {
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 3;
+    ctx.setLineDash([10, 5]);
+    ctx.strokeRect(5, 5, canvas.width - 10, canvas.height - 10);
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('TAP A BOWL TO CHALK AS TOUCHER', canvas.width / 2, 25);
+  }
+}
+
+// Jack and bowls are drawn to scale, but never too small to tap
+function getJackRadiusPx() {
+  return Math.max(6, JACK_RADIUS_M * getCanvasScale());
+}
+
+function getBowlRadiusPx() {
+  return Math.max(10, BOWL_RADIUS_M * getCanvasScale());
 }
 
-function drawJack(x, y) {
+function drawJack(position) {
+  const { x, y } = rinkToCanvas(position);
   ctx.beginPath();
-  ctx.arc(x, y, 10, 0, 2 * Math.PI);
+  ctx.arc(x, y, getJackRadiusPx(), 0, 2 * Math.PI);
   ctx.fillStyle = '#FFD700';
   ctx.fill();
   ctx.strokeStyle = gameState.jackInDitch ? '#8B4513' : '#FFA500';
@@ -995,7 +1335,9 @@ function drawJack(x, y) {
 function drawBowl(bowl) {
   const isYours = bowl.team === 'yours';
   const isTrialMode = gameState.gameType === 'trial';
-  const isDead = bowl.isDead;
+  const isDead = isBowlDead(gameState, bowl);
+  const { x, y } = rinkToCanvas(bowl);
+  const radius = getBowlRadiusPx();
 
   ctx.save();
 
@@ -1004,7 +1346,7 @@ function drawBowl(bowl) {
   }
 
   ctx.beginPath();
-  ctx.arc(bowl.x, bowl.y, 18, 0, 2 * Math.PI);
+  ctx.arc(x, y, radius, 0, 2 * Math.PI);
 
   if (isDead) {
     ctx.fillStyle = '#999';
@@ -1027,29 +1369,42 @@ function drawBowl(bowl) {
   ctx.stroke();
   ctx.setLineDash([]);
 
+  // Chalk ring for a toucher
+  if (bowl.isToucher) {
+    ctx.beginPath();
+    ctx.arc(x, y, radius + 3, 0, 2 * Math.PI);
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([3, 2]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
   // Display player initials
-  const initials = getPlayerInitials(bowl.player);
+  const initials = getPlayerInitials(getBowlPlayerName(gameState, bowl));
   ctx.fillStyle = 'white';
-  ctx.font = 'bold 11px Arial';
+  ctx.font = `bold ${Math.round(Math.min(14, radius * 0.9))}px Arial`;
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
-  ctx.fillText(initials, bowl.x, bowl.y);
+  ctx.fillText(initials, x, y);
 
   // Dead bowl X marker
   if (isDead) {
+    const arm = radius * 0.45;
     ctx.strokeStyle = '#C62828';
     ctx.lineWidth = 2;
     ctx.beginPath();
-    ctx.moveTo(bowl.x - 8, bowl.y - 8);
-    ctx.lineTo(bowl.x + 8, bowl.y + 8);
-    ctx.moveTo(bowl.x + 8, bowl.y - 8);
-    ctx.lineTo(bowl.x - 8, bowl.y + 8);
+    ctx.moveTo(x - arm, y - arm);
+    ctx.lineTo(x + arm, y + arm);
+    ctx.moveTo(x + arm, y - arm);
+    ctx.lineTo(x - arm, y + arm);
     ctx.stroke();
   }
 
   ctx.restore();
 }
 
+// Canvas pixels of a mouse or touch event
 function getCanvasCoordinates(e) {
   const rect = canvas.getBoundingClientRect();
   const scaleX = canvas.width / rect.width;
@@ -1070,67 +1425,62 @@ function getCanvasCoordinates(e) {
   };
 }
 
-function isNearJack(x, y) {
-  const dx = x - gameState.jackPosition.x;
-  const dy = y - gameState.jackPosition.y;
-  return Math.sqrt(dx * dx + dy * dy) < 15;
+// Rink position of a mouse or touch event
+function getRinkCoordinates(e) {
+  return canvasToRink(getCanvasCoordinates(e));
 }
 
-function isNearBowl(x, y, bowl) {
-  const dx = x - bowl.x;
-  const dy = y - bowl.y;
-  return Math.sqrt(dx * dx + dy * dy) < 20;
+function isNearJack(point) {
+  return distanceBetween(point, gameState.jackPosition) < (getJackRadiusPx() + 5) / getCanvasScale();
 }
 
-function constrainToCanvas(x, y, margin = 20) {
-  return {
-    x: Math.max(margin, Math.min(canvas.width - margin, x)),
-    y: Math.max(margin, Math.min(canvas.height - margin, y))
-  };
+function isNearBowl(point, bowl) {
+  return distanceBetween(point, bowl) < (getBowlRadiusPx() + 2) / getCanvasScale();
+}
+
+// Distance and result of a bowl at `point`, measured from the jack (the live one unless given)
+function measureFromJack(point, jack = gameState.jackPosition) {
+  const distanceInFeet = metresToFeet(distanceBetween(point, jack));
+  const resultCategory = point.y < jack.y - JACK_HIGH_TOLERANCE_M ? 'Short'
+    : Math.abs(point.y - jack.y) <= JACK_HIGH_TOLERANCE_M ? 'Jack High' : 'Past';
+  return { distanceInFeet, resultCategory, distanceCategory: getDistanceCategory(distanceInFeet) };
+}
+
+// Past a side boundary. A bowl in the ditch stays on the green - it is dead
+// unless chalked as a toucher (scoring.js).
+function isOffRink(point) {
+  return isOutsideRink(gameState, point);
 }
 
 function handleMouseDown(e) {
-  if (moveJackMode) return; // In move jack mode, use click instead
+  if (moveJackMode || callTargetMode) return; // In move jack and call target modes, use click instead
 
-  const coords = getCanvasCoordinates(e);
+  const point = getRinkCoordinates(e);
 
-  // Dead bowl mode: handle directly on mousedown/touchstart so it works on touch devices
+  // Dead bowl and toucher modes: handle directly on mousedown/touchstart so they work on touch devices
   // (touch preventDefault in drag logic would otherwise suppress the click event)
-  if (deadBowlMode) {
-    const currentEndBowls = gameState.bowls.filter(b => b.end === gameState.currentEnd);
-    for (let bowl of currentEndBowls) {
-      if (isNearBowl(coords.x, coords.y, bowl)) {
-        bowl.isDead = !bowl.isDead;
-        if (bowl.isDead) {
-          bowl.scoreValue = 0;
-        }
-        deadBowlMode = false;
-        const btn = document.getElementById('deadBowlBtn');
-        if (btn) { btn.classList.remove('btn-active'); btn.textContent = 'Dead Bowl'; }
-        document.getElementById('deadBowlLegend').style.display = 'flex';
-        persistCurrentGame();
-        drawGreen();
-        updateDisplay();
-        e.preventDefault();
-        return;
-      }
-    }
-    // Tapped canvas but not near a bowl - keep dead bowl mode active
+  if (deadBowlMode || toucherMode) {
+    // Tapped canvas but not near a bowl - the mode stays active
+    markBowlAt(point);
     e.preventDefault();
     return;
   }
 
-  if (isNearJack(coords.x, coords.y)) {
+  if (isNearJack(point)) {
+    beginHistoryStep('Move jack');
     isDraggingJack = true;
     e.preventDefault();
     return;
   }
 
-  const currentEndBowls = gameState.bowls.filter(b => b.end === gameState.currentEnd);
+  const currentEndBowls = gameState.bowls.filter(b => isPlayedInEnd(b, gameState.currentEnd));
   for (let bowl of currentEndBowls) {
-    if (isNearBowl(coords.x, coords.y, bowl)) {
+    if (isNearBowl(point, bowl)) {
+      beginHistoryStep('Move bowl');
       draggingBowl = bowl;
-      dragOffset = { x: bowl.x - coords.x, y: bowl.y - coords.y };
+      dragOffset = { x: bowl.x - point.x, y: bowl.y - point.y };
+      dragStart = point;
+      dragMoved = false;
       e.preventDefault();
       return;
     }
@@ -1139,26 +1489,25 @@ function handleMouseDown(e) {
 
 function handleMouseMove(e) {
   if (isDraggingJack) {
-    const coords = getCanvasCoordinates(e);
-    const constrained = constrainToCanvas(coords.x, coords.y, 15);
-    gameState.jackPosition = constrained;
+    const previous = gameState.jackPosition;
+    gameState.jackPosition = clampToRink(gameState, getRinkCoordinates(e));
+    gameState.jackInDitch = isInDitch(gameState, gameState.jackPosition);
+    // The view follows the jack; hold it still while the jack is dragged
+    canvasPanX -= gameState.jackPosition.x - previous.x;
+    canvasPanY -= gameState.jackPosition.y - previous.y;
     persistCurrentGame();
     drawGreen();
     e.preventDefault();
   } else if (draggingBowl) {
-    const coords = getCanvasCoordinates(e);
-    const newPos = constrainToCanvas(coords.x + dragOffset.x, coords.y + dragOffset.y, 20);
+    const point = getRinkCoordinates(e);
+    if (!dragMoved && distanceBetween(point, dragStart) < BOWL_RADIUS_M) return;
+    dragMoved = true;
+    const newPos = clampToRink(gameState, { x: point.x + dragOffset.x, y: point.y + dragOffset.y });
 
     draggingBowl.x = newPos.x;
     draggingBowl.y = newPos.y;
 
-    const distanceFromJack = calculateDistance(newPos.x, newPos.y, gameState.jackPosition.x, gameState.jackPosition.y);
-    const distanceInFeet = pixelsToFeet(distanceFromJack);
-
-    const jackY = gameState.jackPosition.y;
-    const bowlY = newPos.y;
-    let resultCategory = bowlY < jackY - 10 ? 'Short' : Math.abs(bowlY - jackY) <= 10 ? 'Jack High' : 'Past';
-    let distanceCategory = getDistanceCategory(distanceInFeet);
+    const { distanceInFeet, resultCategory, distanceCategory } = measureFromJack(newPos);
 
     draggingBowl.resultCategory = resultCategory;
     draggingBowl.distanceCategory = distanceCategory;
@@ -1178,8 +1527,19 @@ function handleMouseMove(e) {
 }
 
 function handleMouseUp() {
+  const wasDragging = isDraggingJack || draggingBowl;
+  const tappedBowl = draggingBowl && !dragMoved ? draggingBowl : null;
   isDraggingJack = false;
   draggingBowl = null;
+  // A drag saves on every move; it is one step in the undo history
+  if (wasDragging && commitHistoryStep()) updateHistoryButtons();
+  // A moved bowl may now lie on another line or weight, or nearer its target
+  if (wasDragging) {
+    updateDeliveryPrompt();
+    updateCallOutcomePrompt();
+  }
+  // A bowl tapped without being dragged opens the inspector
+  if (tappedBowl) inspectLiveBowl(tappedBowl);
 }
 
 function handleTouchStart(e) { handleMouseDown(e); }
@@ -1189,52 +1549,50 @@ function handleTouchEnd() { handleMouseUp(); }
 function handleCanvasClick(e) {
   if (isDraggingJack || draggingBowl) return;
 
-  const coords = getCanvasCoordinates(e);
+  const point = getRinkCoordinates(e);
 
   // Move Jack Mode - reposition the jack
   if (moveJackMode) {
-    const constrained = constrainToCanvas(coords.x, coords.y, 15);
+    moveJackMode = false;
+    if (isJackOutOfBounds(gameState, point)) {
+      updateJackButtonStates();
+      drawGreen();
+      declareDeadJack();
+      return;
+    }
+    beginHistoryStep('Move jack');
     if (!gameState.jackOriginalPosition) {
       gameState.jackOriginalPosition = { ...gameState.jackPosition };
     }
-    gameState.jackPosition = constrained;
+    gameState.jackPosition = clampToRink(gameState, point);
+    gameState.jackInDitch = isInDitch(gameState, gameState.jackPosition);
     gameState.jackMoved = true;
-    moveJackMode = false;
     updateJackButtonStates();
     persistCurrentGame();
     drawGreen();
     return;
   }
 
-  if (isNearJack(coords.x, coords.y)) return;
+  // Call target mode - the tapped bowl or spot is what the next bowl aims for
+  if (callTargetMode) {
+    pickCallTarget(point);
+    return;
+  }
 
-  // Dead bowl mode - mark nearest bowl as dead
-  if (deadBowlMode) {
-    const currentEndBowls = gameState.bowls.filter(b => b.end === gameState.currentEnd);
-    for (let bowl of currentEndBowls) {
-      if (isNearBowl(coords.x, coords.y, bowl)) {
-        bowl.isDead = !bowl.isDead;
-        if (bowl.isDead) {
-          bowl.scoreValue = 0;
-        }
-        deadBowlMode = false;
-        const btn = document.getElementById('deadBowlBtn');
-        if (btn) { btn.classList.remove('btn-active'); btn.textContent = 'Dead Bowl'; }
-        persistCurrentGame();
-        drawGreen();
-        updateDisplay();
-        return;
-      }
-    }
+  if (isNearJack(point)) return;
+
+  // Dead bowl and toucher modes - mark the tapped bowl
+  if (deadBowlMode || toucherMode) {
+    markBowlAt(point);
     return;
   }
 
-  const currentEndBowls = gameState.bowls.filter(b => b.end === gameState.currentEnd);
+  const currentEndBowls = gameState.bowls.filter(b => isPlayedInEnd(b, gameState.currentEnd));
   for (let bowl of currentEndBowls) {
-    if (isNearBowl(coords.x, coords.y, bowl)) return;
+    if (isNearBowl(point, bowl)) return;
   }
 
-  const bowlsThisEnd = gameState.bowls.filter(b => b.end === gameState.currentEnd).length;
+  const bowlsThisEnd = gameState.bowls.filter(b => isPlayedInEnd(b, gameState.currentEnd)).length;
   const maxBowlsPerEnd = gameState.bowlsPerPlayer * gameState.playersPerTeam * 2;
 
   if (bowlsThisEnd >= maxBowlsPerEnd) {
@@ -1242,45 +1600,59 @@ function handleCanvasClick(e) {
     return;
   }
 
+  const scorer = getOtherScorerFor(gameState, gameState.currentTeam, gameState.currentPlayerIndex);
+  if (scorer) {
+    const position = getPositionsForFormat(gameState.format)[gameState.currentPlayerIndex] || 'This player';
+    alert(`${position} is being scored on ${scorer.label}. Their bowls will appear here as they are recorded.`);
+    return;
+  }
+
+  // A bowl will be placed: open until it is added, after any off-rink or back-end scoring popup
+  beginHistoryStep('Place bowl');
+
+  // The previous bowl's aftermath is on the green now
+  settleCalledShots();
+
   // Determine current player name
+  // Whoever holds the position this end, after any substitution or swap
+  const lineup = getLineup(gameState, gameState.currentTeam, gameState.currentEnd);
   let currentPlayerName;
   if (gameState.currentTeam === 'yours') {
-    currentPlayerName = gameState.yourPlayers[gameState.currentPlayerIndex];
-  } else if (gameState.gameType === 'trial') {
-    currentPlayerName = gameState.awayPlayers[gameState.currentPlayerIndex] || gameState.opponentPlayers[0];
+    currentPlayerName = lineup[gameState.currentPlayerIndex];
+  } else if (gameState.gameType === 'trial' || hasNamedOpposition(gameState)) {
+    currentPlayerName = lineup[gameState.currentPlayerIndex] || gameState.opponentPlayers[0];
   } else {
     currentPlayerName = gameState.opponentPlayers[0];
   }
 
-  const distanceFromJack = calculateDistance(coords.x, coords.y, gameState.jackPosition.x, gameState.jackPosition.y);
-  const distanceInFeet = pixelsToFeet(distanceFromJack);
-
-  const jackY = gameState.jackPosition.y;
-  const bowlY = coords.y;
-  let resultCategory = bowlY < jackY - 10 ? 'Short' : Math.abs(bowlY - jackY) <= 10 ? 'Jack High' : 'Past';
-  let distanceCategory = getDistanceCategory(distanceInFeet);
+  const { distanceInFeet, resultCategory, distanceCategory } = measureFromJack(point);
+  const jackDistance = getJackDistance(gameState, gameState.jackPosition);
 
   const quickNotes = document.getElementById('quickBowlNotes').value;
 
   const bowl = {
-    x: coords.x, y: coords.y,
+    x: point.x, y: point.y,
     team: gameState.currentTeam,
     hand: gameState.currentHand,
-    matLength: gameState.matLength,
-    jackLength: gameState.jackLength,
+    matLength: getMatDistance(gameState),
+    jackDistance: jackDistance,
+    jackLength: getJackLengthCategory(jackDistance),
     end: gameState.currentEnd,
-    player: currentPlayerName,
+    playerId: gameState.currentTeam === 'yours' || gameState.gameType === 'trial' ? currentPlayerName : 'opponent',
     playerIndex: gameState.currentPlayerIndex,
     notes: quickNotes,
     resultCategory, distanceCategory, distanceInFeet,
     scoreCategory: '', scoreDetail: '', scoreValue: 0
   };
+  // A named opposition player's bowl stays out of your squad's statistics
+  if (bowl.playerId === 'opponent' && hasNamedOpposition(gameState)) bowl.opponentName = currentPlayerName;
+  attachPendingCall(bowl, currentEndBowls);
 
-  if (distanceInFeet > 5) {
+  if (isOffRink(point)) {
     pendingBowl = bowl;
     showOffRinkModal();
   } else {
-    const shouldTrack = gameState.currentTeam === 'yours' || gameState.gameType === 'trial';
+    const shouldTrack = isTeamTracked(gameState, gameState.currentTeam);
 
     if (shouldTrack) {
       const positions = getPositionsForFormat(gameState.format);
@@ -1309,7 +1681,7 @@ function addBowlToGame(bowl) {
   gameState.bowls.push(bowl);
   document.getElementById('quickBowlNotes').value = '';
 
-  const shouldAdvance = gameState.currentTeam === 'yours' || gameState.gameType === 'trial';
+  const shouldAdvance = isTeamTracked(gameState, gameState.currentTeam);
   if (shouldAdvance) {
     advanceToNextPlayer();
   }
@@ -1327,16 +1699,22 @@ function toggleMoveJackMode() {
   drawGreen();
 }
 
+// A jack in the ditch stays live where it lies, so shots are measured to it there
 function toggleJackInDitch() {
+  beginHistoryStep(gameState.jackInDitch ? 'Jack back on green' : 'Jack in ditch');
   gameState.jackInDitch = !gameState.jackInDitch;
+  const rink = getRink(gameState);
 
   if (gameState.jackInDitch) {
     // Move jack to ditch area
     if (!gameState.jackOriginalPosition && !gameState.jackMoved) {
       gameState.jackOriginalPosition = { ...gameState.jackPosition };
     }
-    gameState.jackPosition = { x: gameState.jackPosition.x, y: canvas.height - 15 };
+    gameState.jackPosition = { x: gameState.jackPosition.x, y: rink.length + rink.ditchWidth / 2 };
     gameState.jackMoved = true;
+  } else {
+    // Back onto the green at the ditch edge
+    gameState.jackPosition = { x: gameState.jackPosition.x, y: rink.length - JACK_RADIUS_M };
   }
 
   updateJackButtonStates();
@@ -1344,6 +1722,37 @@ function toggleJackInDitch() {
   drawGreen();
 }
 
+// A jack knocked out of bounds: replay the end, or re-spot the jack on the T,
+// as the game's dead-jack rule says
+function declareDeadJack() {
+  if (getDeadJackRule(gameState) === 'respot') {
+    if (!confirm('Jack out of bounds. Re-spot it on the T?')) return;
+    beginHistoryStep('Re-spot jack');
+    if (!gameState.jackOriginalPosition) {
+      gameState.jackOriginalPosition = { ...gameState.jackPosition };
+    }
+    gameState.jackPosition = getRespotPosition(gameState);
+    gameState.jackMoved = true;
+    gameState.jackInDitch = false;
+  } else {
+    const end = gameState.currentEnd;
+    const endBowls = gameState.bowls.filter(b => isPlayedInEnd(b, end));
+    const count = endBowls.length;
+    if (!confirm(`Jack out of bounds - dead end. Replay end ${end}? Its ${count} bowl${count === 1 ? '' : 's'} stay recorded but won't count.`)) return;
+    beginHistoryStep('Dead end');
+    // The bowls were delivered: keep them, out of the end that is replayed (scoring.js)
+    const at = new Date().toISOString();
+    endBowls.forEach(b => { b.deadEnd = at; });
+    gameState.deadEnds = [...(gameState.deadEnds || []), { end, bowls: count, at }];
+    resetHeadForEnd();
+  }
+
+  updateJackButtonStates();
+  persistCurrentGame();
+  drawGreen();
+  updateDisplay();
+}
+
 function updateJackButtonStates() {
   const moveBtn = document.getElementById('moveJackBtn');
   const ditchBtn = document.getElementById('jackInDitchBtn');
@@ -1430,8 +1839,11 @@ function calculateDistance(x1, y1, x2, y2) {
   return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
 }
 
+// The 40-bowl test canvas is drawn at a fixed scale; the game green uses rink.js
+const FORTY_BOWL_PX_PER_FOOT = 100;
+
 function pixelsToFeet(pixels) {
-  return pixels / 100;
+  return pixels / FORTY_BOWL_PX_PER_FOOT;
 }
 
 function calculateFrontEndScore(resultCategory, distanceCategory) {
@@ -1446,7 +1858,7 @@ function advanceToNextPlayer() {
     : gameState.playersPerTeam;
 
   const currentPlayerBowls = gameState.bowls.filter(b =>
-    b.end === gameState.currentEnd &&
+    isPlayedInEnd(b, gameState.currentEnd) &&
     b.team === team &&
     b.playerIndex === gameState.currentPlayerIndex
   ).length;
@@ -1457,7 +1869,7 @@ function advanceToNextPlayer() {
 
     while (attempts < maxPlayers) {
       const nextPlayerBowls = gameState.bowls.filter(b =>
-        b.end === gameState.currentEnd &&
+        isPlayedInEnd(b, gameState.currentEnd) &&
         b.team === team &&
         b.playerIndex === nextPlayerIndex
       ).length;
@@ -1481,34 +1893,44 @@ function advanceToNextPlayer() {
 // ===== PERSISTENCE =====
 
 async function persistCurrentGame() {
+  const gameId = gameState.gameId || gameState.id;
+
+  // Give each bowl its id once, in memory, so every save updates the same record
+  gameState.bowls.forEach(b => {
+    if (!b.id) b.id = generateId();
+    if (!b.timestamp) b.timestamp = new Date().toISOString();
+  });
+
+  // Close the action's undo step, with the bowls' ids in it (a drag is closed on release)
+  if (!isDraggingJack && !draggingBowl && commitHistoryStep()) updateHistoryButtons();
+
   // Update in-memory array
-  const index = allGames.findIndex(g => (g.gameId || g.id) === (gameState.gameId || gameState.id));
+  const index = allGames.findIndex(g => (g.gameId || g.id) === gameId);
+  // A co-scored game stamps what this save changed, to merge with the other devices' (co-scoring.js)
+  const coScoredChanges = gameState.coScored && index !== -1 ? stampCoScoredChanges(allGames[index], gameState) : null;
   if (index !== -1) {
     allGames[index] = JSON.parse(JSON.stringify(gameState));
   }
 
+  // Snapshot the bowls now so overlapping saves are written in call order. A
+  // co-scored game writes only the bowls changed here and deletes only those
+  // removed here; the other devices' bowls arrive through co-scoring.js.
+  let bowlRecords = gameState.bowls.map(b => ({ ...b, gameId: gameId }));
+  let keepBowl;
+  if (coScoredChanges) {
+    bowlRecords = bowlRecords.filter(b => coScoredChanges.changedBowlIds.has(b.id));
+    keepBowl = stored => !coScoredChanges.removedBowlIds.includes(stored.id);
+  }
+
   // Save game to IndexedDB (without bowls - they're stored separately)
-  const gameToSave = { ...gameState, id: gameState.gameId || gameState.id };
+  const gameToSave = { ...gameState, id: gameId };
   delete gameToSave.bowls;
   try {
-    await saveGame(gameToSave);
-
-    // Save bowls
-    const bowlsWithIds = gameState.bowls.map(b => ({
-      ...b,
-      id: b.id || generateId(),
-      gameId: gameState.gameId || gameState.id,
-      playerId: b.team === 'yours' ? b.player : (gameState.gameType === 'trial' ? b.player : 'opponent'),
-      playerName: b.player,
-      endNumber: b.end,
-      distance: b.distanceInFeet,
-      direction: b.resultCategory,
-      score: b.scoreValue,
-      timestamp: b.timestamp || new Date().toISOString()
-    }));
-    if (bowlsWithIds.length > 0) {
-      await saveBowlsBatch(bowlsWithIds);
-    }
+    await saveGame(gameToSave, { deferAggregates: true });
+
+    // Store exactly this game's bowls - undone bowls are deleted. This also
+    // refreshes the game's statistics, for the game and its bowls together.
+    await syncGameBowls(gameId, bowlRecords, keepBowl);
   } catch (err) {
     console.error('[App] Persist error:', err);
   }
@@ -1536,28 +1958,49 @@ function showGamesManager() {
     gamesList.innerHTML = '<div class="no-games">No open games. Start a new game to begin.</div>';
   } else {
     allGames.forEach((game, idx) => {
-      const yourTeam = (game.yourPlayers || game.players || []).join(', ');
+      const yourTeam = (game.yourPlayers || []).join(', ');
       const oppTeam = (game.opponentPlayers || [])[0] || 'Unknown';
       const tournament = game.tournamentName
         ? `<div style="font-size: 12px; color: #999; margin-top: 4px;">${game.tournamentName}</div>`
         : '';
       const typeLabel = game.gameType === 'trial' ? ' <span class="badge-trial">Trial</span>' : '';
+      // Another game can be opened alongside the one on screen (multi-rink.js)
+      const gameId = game.gameId || game.id;
+      const onRink = rinkSessions.length > 1 && getRinkSessionIndex(gameId) !== -1;
+      const canAddRink = !!(gameState.gameId || gameState.id) && getRinkSessionIndex(gameId) === -1;
+      const rinkControl = onRink
+        ? '<span class="badge-rink">On a rink</span>'
+        : canAddRink ? `<button class="game-card-rink" title="Open alongside the current game" onclick="event.stopPropagation(); addRink(${idx})">+ Rink</button>` : '';
 
       const card = document.createElement('div');
       card.className = 'game-card';
       card.onclick = () => loadGame(idx);
       card.innerHTML = `
+        <button class="game-card-delete" title="Delete game" onclick="event.stopPropagation(); deleteGameFromManager(${idx})">&times;</button>
         <div class="game-card-title">${yourTeam} vs ${oppTeam}${typeLabel}</div>
         ${tournament}
-        <div class="game-card-info">End ${game.currentEnd} of ${game.totalEnds || game.endCount} &bull; ${(game.bowls || []).length} bowls recorded</div>
+        <div class="game-card-info">${describeGameProgress(game)} &bull; ${(game.bowls || []).length} bowls recorded</div>
+        ${rinkControl}
       `;
       gamesList.appendChild(card);
     });
   }
 }
 
+// "Won 21-17", or the running score and end for a game in play
+function describeGameProgress(game) {
+  if (game.result) return game.result.summary;
+  const progress = getMatchProgress(game);
+  const shots = getGameShots(game, game.bowls || []);
+  return `${shots.yours}-${shots.opponent} &bull; ${progress.label} ${progress.value}`;
+}
+
 function loadGame(gameIndex) {
+  // A game open on another rink carries on where it was left
+  if (switchToRinkGame(allGames[gameIndex].gameId || allGames[gameIndex].id)) return;
+
   gameState = JSON.parse(JSON.stringify(allGames[gameIndex]));
+  loadUndoHistory(gameState.gameId || gameState.id).then(updateHistoryButtons);
 
   document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
   document.getElementById('gameScreen').classList.add('active');
@@ -1568,6 +2011,7 @@ function loadGame(gameIndex) {
   updateTeamLabels();
   initCanvas();
   updateDisplay();
+  noteRinkGameOpened(gameState.gameId || gameState.id);
 }
 
 function showSetupScreen() {
@@ -1576,13 +2020,20 @@ function showSetupScreen() {
 
   document.getElementById('gameFormat').value = 'singles';
   document.getElementById('opponentTeamName').value = '';
+  document.getElementById('nameOpposition').checked = false;
   document.getElementById('tournamentName').value = '';
   selectedGameType = 'game';
   selectGameType('game');
   updateEndsDropdown();
+  updateNewRinkOption();
 }
 
 function returnToCurrentGame() {
+  // Rinks reopened after a restart load when first shown
+  if (!(gameState.gameId || gameState.id) && rinkSessions[activeRinkIndex]) {
+    activateRink(activeRinkIndex);
+    return;
+  }
   if (gameState.gameId === undefined) {
     alert('No active game. Please start or select a game.');
     return;
@@ -1601,7 +2052,7 @@ function showOffRinkModal() {
   scoringOptions.innerHTML = `
     <div style="text-align: center; padding: 20px;">
       <h3 style="color: var(--primary); margin-bottom: 15px;">Bowl appears to be off the rink</h3>
-      <p style="color: var(--text-secondary); margin-bottom: 20px;">Distance: ${pendingBowl.distanceInFeet.toFixed(2)} ft from jack</p>
+      <p style="color: var(--text-secondary); margin-bottom: 20px;">Distance: ${formatDistance(feetToMetres(pendingBowl.distanceInFeet))} from jack</p>
       <div class="scoring-options">
         <div class="scoring-btn" onclick="confirmOffRink()">Bowl Off Rink</div>
         <div class="scoring-btn" onclick="confirmOnRink()">Bowl On Rink</div>
@@ -1673,7 +2124,7 @@ function closeBowlScoringModal() {
 }
 
 function showEndNotes() {
-  const bowlsThisEnd = gameState.bowls.filter(b => b.end === gameState.currentEnd).length;
+  const bowlsThisEnd = gameState.bowls.filter(b => isPlayedInEnd(b, gameState.currentEnd)).length;
   const maxBowlsPerEnd = gameState.bowlsPerPlayer * gameState.playersPerTeam * 2;
 
   if (bowlsThisEnd < maxBowlsPerEnd) {
@@ -1686,40 +2137,55 @@ function showEndNotes() {
   document.getElementById('endNotes').value = gameState.endNotes[gameState.currentEnd] || '';
 
   // Show end score summary
-  const endScore = calculateEndScore(gameState.currentEnd);
+  const endShots = calculateEndShots(gameState.currentEnd);
+  const endMarks = calculateEndScore(gameState.currentEnd);
   const summaryEl = document.getElementById('endScoreSummary');
   if (summaryEl) {
-    const totalScore = calculateGameScore();
+    const totalShots = calculateGameShots();
     let setInfo = '';
     if (gameState.matchStructure === 'sets') {
       setInfo = ` | Set ${gameState.currentSet || 1}`;
     }
     summaryEl.innerHTML = `
       <div style="font-size: 20px; font-weight: 700; color: var(--primary);">
-        End Score: ${endScore.yours} - ${endScore.opponent}
+        End Score: ${endShots.yours} - ${endShots.opponent}${endShots.measured ? ' (measured)' : ''}
       </div>
       <div style="font-size: 13px; color: var(--text-secondary); margin-top: 4px;">
-        Total: ${totalScore.yours} - ${totalScore.opponent}${setInfo}
+        Total: ${totalShots.yours} - ${totalShots.opponent}${setInfo} | Marks: ${endMarks.yours} - ${endMarks.opponent}
       </div>
     `;
   }
 
-  // Pre-populate shots for/against from existing end data or default to 0
-  const existingEndData = gameState.endScoresManual ? gameState.endScoresManual[gameState.currentEnd] : null;
-  document.getElementById('endShotsFor').value = existingEndData ? existingEndData.shotsFor : '';
-  document.getElementById('endShotsAgainst').value = existingEndData ? existingEndData.shotsAgainst : '';
+  // Pre-populate shots for/against with the measured or counted shots; change them after a measure
+  document.getElementById('endShotsFor').value = endShots.yours;
+  document.getElementById('endShotsAgainst').value = endShots.opponent;
+  const shotsSummaryEl = document.getElementById('endShotsSummary');
+  if (shotsSummaryEl) {
+    shotsSummaryEl.textContent = endShots.measured
+      ? 'Shots entered after a measure.'
+      : 'Shots counted from the bowl positions. Change them if a measure says otherwise.';
+  }
 
   document.getElementById('endNotesModal').classList.add('active');
 }
 
 function saveEndNotes() {
+  // One step with nextEnd(), so undo steps back out of the end, its set or the match result
+  beginHistoryStep('Next end');
   gameState.endNotes[gameState.currentEnd] = document.getElementById('endNotes').value;
 
-  // Save shots for/against
-  const shotsFor = parseInt(document.getElementById('endShotsFor').value) || 0;
-  const shotsAgainst = parseInt(document.getElementById('endShotsAgainst').value) || 0;
+  // Keep the shots as an override only when they differ from the count
+  const counted = countShots(gameState.bowls.filter(b => isPlayedInEnd(b, gameState.currentEnd)), gameState.jackPosition, gameState);
+  const forValue = document.getElementById('endShotsFor').value;
+  const againstValue = document.getElementById('endShotsAgainst').value;
+  const shotsFor = forValue === '' ? counted.yours : (parseInt(forValue) || 0);
+  const shotsAgainst = againstValue === '' ? counted.opponent : (parseInt(againstValue) || 0);
   if (!gameState.endScoresManual) gameState.endScoresManual = {};
-  gameState.endScoresManual[gameState.currentEnd] = { shotsFor, shotsAgainst };
+  if (shotsFor === counted.yours && shotsAgainst === counted.opponent) {
+    delete gameState.endScoresManual[gameState.currentEnd];
+  } else {
+    gameState.endScoresManual[gameState.currentEnd] = { shotsFor, shotsAgainst, measured: true };
+  }
 
   document.getElementById('endNotesModal').classList.remove('active');
   nextEnd();
@@ -1728,8 +2194,9 @@ function saveEndNotes() {
 function showEndGameDialog() {
   const yourTeam = gameState.yourPlayers.join(', ');
   const oppTeam = gameState.opponentPlayers[0];
-  document.getElementById('endGameSummary').textContent =
-    `${yourTeam} vs ${oppTeam} - End ${gameState.currentEnd} of ${gameState.totalEnds}`;
+  const shots = calculateGameShots();
+  const result = gameState.result ? ` - ${gameState.result.summary}` : ` - ${shots.yours}-${shots.opponent} after ${gameState.currentEnd} ends`;
+  document.getElementById('endGameSummary').textContent = `${yourTeam} vs ${oppTeam}${result}`;
   document.getElementById('gameNotes').value = gameState.gameNotes || '';
 
   // FH/BH session summary
@@ -1739,7 +2206,7 @@ function showEndGameDialog() {
     let fhTotal = 0, fhGood = 0, bhTotal = 0, bhGood = 0;
     yourBowls.forEach(b => {
       const hand = (b.hand || 'forehand') === 'backhand' ? 'backhand' : 'forehand';
-      const dist = b.distanceInFeet || b.distance || 0;
+      const dist = b.distanceInFeet || 0;
       if (hand === 'forehand') { fhTotal++; if (dist <= 4) fhGood++; }
       else { bhTotal++; if (dist <= 4) bhGood++; }
     });
@@ -1762,12 +2229,23 @@ function showEndGameDialog() {
 async function confirmEndGame() {
   gameState.gameNotes = document.getElementById('gameNotes').value;
   gameState.completed = true;
+  if (!gameState.result) gameState.result = getStoppedGameResult(gameState);
   await persistCurrentGame();
-  invalidateAnalyticsCache();
   document.getElementById('endGameModal').classList.remove('active');
+  // With other rinks still in play, carry on with the next one
+  if (closeRinkForGame(gameState.gameId || gameState.id)) return;
   showGamesManager();
 }
 
+// Result of a game ended before its rules finished it: whoever leads now
+function getStoppedGameResult(game) {
+  const status = getMatchStatus(game, game.bowls);
+  const score = game.matchStructure === 'sets' ? status : getGameShots(game, game.bowls);
+  const winner = score.yours > score.opponent ? 'yours' : score.opponent > score.yours ? 'opponent' : 'draw';
+  const stopped = { yours: score.yours, opponent: score.opponent, over: true, winner };
+  return { winner, yours: score.yours, opponent: score.opponent, summary: describeMatchResult(game, stopped) };
+}
+
 function closeEndGameModal() {
   document.getElementById('endGameModal').classList.remove('active');
 }
@@ -1806,35 +2284,65 @@ function selectHand(hand) {
   });
 }
 
-function selectMatLength(length) {
-  gameState.matLength = length;
-  const buttons = document.querySelectorAll('#matLengthGroup .radio-btn');
-  buttons.forEach((btn, idx) => {
-    btn.classList.toggle('active',
-      (idx === 0 && length === 'short') || (idx === 1 && length === 'medium') || (idx === 2 && length === 'long'));
-  });
+// Mat distance in metres from the rear ditch
+function selectMatLength(distance) {
+  beginHistoryStep('Mat distance');
+  gameState.matLength = Math.min(parseFloat(distance) || MIN_MAT_DISTANCE_M, getMaxMatDistance(gameState));
+  placeJackForEnd();
+  updateRinkControls();
+  persistCurrentGame();
+  drawGreen();
 }
 
 function selectJackLength(length) {
+  beginHistoryStep('Jack length');
   gameState.jackLength = length;
+  placeJackForEnd();
+  updateRinkControls();
+  persistCurrentGame();
+  drawGreen();
+}
+
+// Until the first bowl of the end, the jack sits at the chosen length
+function placeJackForEnd() {
+  const played = gameState.bowls.some(b => isPlayedInEnd(b, gameState.currentEnd));
+  if (played || gameState.jackMoved) return;
+  gameState.jackPosition = getDefaultJackPosition(gameState, gameState.jackLength);
+}
+
+function updateRinkControls() {
+  const length = gameState.jackLength;
   const buttons = document.querySelectorAll('#jackLengthGroup .radio-btn');
   buttons.forEach((btn, idx) => {
     btn.classList.toggle('active',
       (idx === 0 && length === 'short') || (idx === 1 && length === 'medium') || (idx === 2 && length === 'long'));
   });
-  drawGreen();
+
+  const matSelect = document.getElementById('matDistance');
+  if (matSelect) {
+    const current = getMatDistance(gameState);
+    const options = [];
+    for (let m = MIN_MAT_DISTANCE_M; m <= getMaxMatDistance(gameState); m++) options.push(m);
+    if (!options.includes(current)) options.push(current);
+    matSelect.innerHTML = options.sort((a, b) => a - b)
+      .map(m => `<option value="${m}"${m === current ? ' selected' : ''}>${formatDistance(m, 1)}</option>`).join('');
+  }
 }
 
 function updateDisplay() {
+  const progress = getMatchProgress(gameState);
   const endEl = document.getElementById('currentEnd');
-  if (endEl) endEl.textContent = `${gameState.currentEnd}/${gameState.totalEnds}`;
+  if (endEl) endEl.textContent = progress.value;
+  const endLabelEl = document.getElementById('endLabel');
+  if (endLabelEl) endLabelEl.textContent = progress.label;
 
   // Set info for set format games
   const setItem = document.getElementById('setInfoItem');
   const setEl = document.getElementById('currentSet');
   if (setItem && gameState.matchStructure === 'sets') {
     setItem.style.display = '';
-    if (setEl) setEl.textContent = `${gameState.currentSet || 1}/${gameState.numberOfSets || 2}`;
+    const inTieBreak = (gameState.currentSet || 1) > (gameState.numberOfSets || 2);
+    if (setEl) setEl.textContent = inTieBreak ? 'TB' : `${gameState.currentSet || 1}/${gameState.numberOfSets || 2}`;
   } else if (setItem) {
     setItem.style.display = 'none';
   }
@@ -1842,16 +2350,19 @@ function updateDisplay() {
   // Score display
   const scoreEl = document.getElementById('currentScore');
   if (scoreEl) {
-    const scores = calculateGameScore();
-    scoreEl.textContent = `${scores.yours}-${scores.opponent}`;
+    const shots = calculateGameShots();
+    const marks = calculateGameScore();
+    scoreEl.textContent = `${shots.yours}-${shots.opponent}`;
+    scoreEl.title = `Performance marks ${marks.yours}-${marks.opponent}`;
   }
 
   const playerEl = document.getElementById('currentPlayer');
   if (playerEl) {
+    const lineup = getLineup(gameState, gameState.currentTeam, gameState.currentEnd);
     if (gameState.currentTeam === 'yours') {
-      playerEl.textContent = gameState.yourPlayers[gameState.currentPlayerIndex];
-    } else if (gameState.gameType === 'trial') {
-      playerEl.textContent = gameState.awayPlayers[gameState.currentPlayerIndex] || gameState.opponentPlayers[0];
+      playerEl.textContent = lineup[gameState.currentPlayerIndex];
+    } else if (gameState.gameType === 'trial' || hasNamedOpposition(gameState)) {
+      playerEl.textContent = lineup[gameState.currentPlayerIndex] || gameState.opponentPlayers[0];
     } else {
       playerEl.textContent = gameState.opponentPlayers[0];
     }
@@ -1859,20 +2370,31 @@ function updateDisplay() {
 
   const bowlEl = document.getElementById('currentBowl');
   if (bowlEl) {
-    const bowlsThisEnd = gameState.bowls.filter(b => b.end === gameState.currentEnd).length;
+    const bowlsThisEnd = gameState.bowls.filter(b => isPlayedInEnd(b, gameState.currentEnd)).length;
     const maxBowlsPerEnd = gameState.bowlsPerPlayer * gameState.playersPerTeam * 2;
     bowlEl.textContent = `${bowlsThisEnd}/${maxBowlsPerEnd}`;
   }
 
   // Update scoreboard
   updateScoreboard();
+  updateDeliveryPrompt();
+  updateCallOutcomePrompt();
+  updateConditionsSummary();
+  updateCoScoringSummary();
+  updateScoutingSummary();
+  updateLineupSummary();
+  renderRinkStrip();
 
   // Show dead bowl legend if any dead bowls
   const deadLegend = document.getElementById('deadBowlLegend');
   if (deadLegend) {
-    const hasDeadBowls = gameState.bowls.some(b => b.isDead);
+    const hasDeadBowls = gameState.bowls.some(b => isBowlDead(gameState, b));
     deadLegend.style.display = hasDeadBowls ? 'flex' : 'none';
   }
+  const toucherLegend = document.getElementById('toucherLegend');
+  if (toucherLegend) {
+    toucherLegend.style.display = gameState.bowls.some(b => b.isToucher) ? 'flex' : 'none';
+  }
 
   // Update scoreboard team names
   const st1 = document.getElementById('scoreTeam1');
@@ -1882,14 +2404,24 @@ function updateDisplay() {
 }
 
 // ===== SCORING CALCULATIONS =====
+// Shots are the match score (see scoring.js); the scoreValue sums below are
+// performance marks, shown alongside them.
+
+function calculateGameShots() {
+  return getGameShots(gameState, gameState.bowls);
+}
+
+function calculateEndShots(endNum) {
+  return getEndShots(gameState, gameState.bowls, endNum);
+}
 
 function calculateGameScore() {
   let yours = 0;
   let opponent = 0;
 
   // Sum scored bowls per team
-  const yourBowls = gameState.bowls.filter(b => b.team === 'yours' && !b.isDead);
-  const oppBowls = gameState.bowls.filter(b => b.team === 'opponent' && !b.isDead);
+  const yourBowls = gameState.bowls.filter(b => b.team === 'yours' && !isBowlDead(gameState, b));
+  const oppBowls = gameState.bowls.filter(b => b.team === 'opponent' && !isBowlDead(gameState, b));
 
   yourBowls.forEach(b => { yours += (b.scoreValue || 0); });
   oppBowls.forEach(b => { opponent += (b.scoreValue || 0); });
@@ -1898,7 +2430,7 @@ function calculateGameScore() {
 }
 
 function calculateEndScore(endNum) {
-  const endBowls = gameState.bowls.filter(b => b.end === endNum && !b.isDead);
+  const endBowls = gameState.bowls.filter(b => isPlayedInEnd(b, endNum) && !isBowlDead(gameState, b));
   let yours = 0;
   let opponent = 0;
 
@@ -1914,7 +2446,8 @@ function updateScoreboard() {
 
   let html = '';
   for (let e = 1; e <= gameState.currentEnd; e++) {
-    const score = calculateEndScore(e);
+    const score = calculateEndShots(e);
+    const marks = calculateEndScore(e);
     let cls = 'score-draw';
     if (score.yours > score.opponent) cls = 'score-win';
     else if (score.opponent > score.yours) cls = 'score-lose';
@@ -1928,9 +2461,18 @@ function updateScoreboard() {
 
     html += `<div class="scoreboard-end">
       <div class="scoreboard-end-num">E${e}</div>
-      <div class="scoreboard-end-score ${cls}">${score.yours}-${score.opponent}</div>
+      <div class="scoreboard-end-score ${cls}">${score.yours}-${score.opponent}${score.measured ? '<span title="Entered after a measure">*</span>' : ''}</div>
+      <div class="scoreboard-end-marks">${marks.yours}-${marks.opponent}</div>
     </div>`;
   }
+
+  // Result once decided; sets won while a set game is in play
+  let summary = gameState.result ? gameState.result.summary : '';
+  if (!summary && gameState.matchStructure === 'sets') {
+    const status = getMatchStatus(gameState, gameState.bowls);
+    summary = `Sets ${status.yours}-${status.opponent}`;
+  }
+  if (summary) html += `<div class="scoreboard-result">${summary}</div>`;
   container.innerHTML = html;
 }
 
@@ -1938,95 +2480,332 @@ function updateScoreboard() {
 
 function toggleDeadBowlMode() {
   // Check there are bowls to mark as dead
-  const currentEndBowls = gameState.bowls.filter(b => b.end === gameState.currentEnd);
+  const currentEndBowls = gameState.bowls.filter(b => isPlayedInEnd(b, gameState.currentEnd));
   if (currentEndBowls.length === 0 && !deadBowlMode) {
     alert('No bowls on this end to mark as dead. Place some bowls first.');
     return;
   }
 
-  deadBowlMode = !deadBowlMode;
-  const btn = document.getElementById('deadBowlBtn');
-  if (btn) {
-    btn.classList.toggle('btn-active', deadBowlMode);
-    btn.textContent = deadBowlMode ? 'Tap a Bowl...' : 'Dead Bowl';
-  }
+  setBowlMarkMode(deadBowlMode ? null : 'dead');
 
   // Redraw canvas with dead bowl mode indicator
   drawGreen();
 }
 
-function undoLastBowl() {
-  if (gameState.bowls.length > 0) {
-    gameState.bowls.pop();
-    persistCurrentGame();
-    drawGreen();
-    updateDisplay();
+function toggleToucherMode() {
+  const currentEndBowls = gameState.bowls.filter(b => isPlayedInEnd(b, gameState.currentEnd));
+  if (currentEndBowls.length === 0 && !toucherMode) {
+    alert('No bowls on this end to chalk. Place some bowls first.');
+    return;
+  }
+
+  setBowlMarkMode(toucherMode ? null : 'toucher');
+  drawGreen();
+}
+
+// 'dead', 'toucher' or null - at most one marking mode is active
+function setBowlMarkMode(mode) {
+  deadBowlMode = mode === 'dead';
+  toucherMode = mode === 'toucher';
+
+  const deadBtn = document.getElementById('deadBowlBtn');
+  if (deadBtn) {
+    deadBtn.classList.toggle('btn-active', deadBowlMode);
+    deadBtn.textContent = deadBowlMode ? 'Tap a Bowl...' : 'Dead Bowl';
+  }
+  const toucherBtn = document.getElementById('toucherBtn');
+  if (toucherBtn) {
+    toucherBtn.classList.toggle('btn-active', toucherMode);
+    toucherBtn.textContent = toucherMode ? 'Tap a Bowl...' : 'Toucher';
   }
 }
 
-function nextEnd() {
-  // Check for set format transitions
-  if (gameState.matchStructure === 'sets') {
-    const endsInCurrentSet = ((gameState.currentEnd - 1) % gameState.endsPerSet) + 1;
-
-    if (endsInCurrentSet >= gameState.endsPerSet) {
-      // Set complete - calculate set score
-      const setStartEnd = (gameState.currentSet - 1) * gameState.endsPerSet + 1;
-      let setYours = 0, setOpp = 0;
-      for (let e = setStartEnd; e <= gameState.currentEnd; e++) {
-        const es = calculateEndScore(e);
-        setYours += es.yours;
-        setOpp += es.opponent;
-      }
+// Toggle the dead or toucher flag of the bowl at `point`; false if no bowl is there
+function markBowlAt(point) {
+  const bowl = gameState.bowls.find(b => isPlayedInEnd(b, gameState.currentEnd) && isNearBowl(point, b));
+  if (!bowl) return false;
+  beginHistoryStep(deadBowlMode ? 'Mark dead' : 'Mark toucher');
 
-      if (!gameState.setScores) gameState.setScores = [];
-      gameState.setScores.push({ yours: setYours, opponent: setOpp, set: gameState.currentSet });
+  if (deadBowlMode) {
+    bowl.isDead = !bowl.isDead;
+    if (bowl.isDead) {
+      bowl.scoreValue = 0;
+    }
+  } else {
+    bowl.isToucher = !bowl.isToucher;
+  }
+  setBowlMarkMode(null);
+  persistCurrentGame();
+  drawGreen();
+  updateDisplay();
+  return true;
+}
 
-      const setsWon = gameState.setScores.filter(s => s.yours > s.opponent).length;
-      const setsLost = gameState.setScores.filter(s => s.opponent > s.yours).length;
+// ===== LINE AND WEIGHT =====
 
-      alert(`Set ${gameState.currentSet} complete! Score: ${setYours} - ${setOpp}\nSets: ${setsWon} - ${setsLost}`);
+async function setCaptureDeliverySetting(enabled) {
+  captureDelivery = !!enabled;
+  await saveSetting('captureDelivery', captureDelivery);
+  updateDeliveryPrompt();
+}
 
-      if (gameState.currentSet >= gameState.numberOfSets) {
-        // All sets played - check if tie-break needed
-        if (setsWon === setsLost && gameState.tieBreakEnds > 0) {
-          alert('Sets are level! Tie-break begins.');
-          gameState.currentSet++;
-        } else {
-          alert(`Match complete! Sets: ${setsWon} - ${setsLost}`);
-          showEndGameDialog();
-          return;
-        }
-      } else {
-        gameState.currentSet++;
-      }
+// The latest tracked bowl of the end being played, or null
+function getLastTrackedBowl() {
+  const tracked = gameState.bowls.filter(b =>
+    isPlayedInEnd(b, gameState.currentEnd) && (b.team === 'yours' || gameState.gameType === 'trial'));
+  return tracked[tracked.length - 1] || null;
+}
+
+// Show the last bowl's line and weight: set values filled in, inferred ones dashed
+function updateDeliveryPrompt() {
+  const prompt = document.getElementById('deliveryPrompt');
+  if (!prompt) return;
+  const bowl = captureDelivery ? getLastTrackedBowl() : null;
+  prompt.style.display = bowl ? '' : 'none';
+  if (!bowl) return;
+
+  const delivery = getBowlDelivery(gameState, bowl);
+  const mark = (groupId, value, isSet) => {
+    document.querySelectorAll(`#${groupId} .radio-btn`).forEach(btn => {
+      btn.classList.toggle('active', isSet && btn.dataset.value === value);
+      btn.classList.toggle('inferred', !isSet && btn.dataset.value === value);
+    });
+  };
+  mark('deliveryLineGroup', delivery.line, delivery.lineSet);
+  mark('deliveryWeightGroup', delivery.weight, delivery.weightSet);
+  document.getElementById('deliveryPromptSummary').textContent =
+    `(${bowl.playerId}, ${bowl.hand || 'forehand'}${getBowlerArm(bowl) ? '' : ', bowling arm not recorded'})`;
+}
+
+// Set the last bowl's line or weight; choosing the set value again goes back to the inferred one
+function setLastBowlDelivery(field, value) {
+  const bowl = getLastTrackedBowl();
+  if (!bowl) return;
+  beginHistoryStep(field === 'line' ? 'Set line' : 'Set weight');
+  if (bowl[field] === value) delete bowl[field];
+  else bowl[field] = value;
+  persistCurrentGame();
+  updateDeliveryPrompt();
+}
+
+// ===== CALLED SHOT =====
+
+// Choose the shot called for the next bowl; choosing it again clears the call
+function selectCallType(type) {
+  if (pendingCall && pendingCall.type === type) {
+    pendingCall = null;
+    callTargetMode = false;
+  } else {
+    pendingCall = { target: 'jack', ...pendingCall, type };
+  }
+  updateCallControls();
+  drawGreen();
+}
+
+// Aim the call at the jack, or wait for a tap on a bowl or a spot
+function selectCallTarget(target) {
+  pendingCall = { type: 'draw', ...pendingCall, target };
+  delete pendingCall.targetBowlId;
+  delete pendingCall.targetPoint;
+  callTargetMode = target !== 'jack';
+  updateCallControls();
+  drawGreen();
+}
+
+function pickCallTarget(point) {
+  if (pendingCall.target === 'bowl') {
+    const bowl = gameState.bowls.find(b => isPlayedInEnd(b, gameState.currentEnd) && isNearBowl(point, b));
+    if (!bowl) return; // Not near a bowl - the mode stays active
+    pendingCall.targetBowlId = bowl.id;
+  } else {
+    pendingCall.targetPoint = clampToRink(gameState, point);
+  }
+  callTargetMode = false;
+  updateCallControls();
+  drawGreen();
+}
+
+function updateCallControls() {
+  const mark = (groupId, value) => {
+    document.querySelectorAll(`#${groupId} .radio-btn`).forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.value === value);
+    });
+  };
+  mark('callTypeGroup', pendingCall ? pendingCall.type : null);
+  mark('callTargetGroup', pendingCall ? pendingCall.target : null);
+
+  const status = document.getElementById('callStatus');
+  if (!status) return;
+  if (!pendingCall) status.textContent = 'No call for the next bowl';
+  else if (callTargetMode) status.textContent = pendingCall.target === 'bowl' ? 'Tap the target bowl on the green' : 'Tap the spot to aim for';
+  else status.textContent = `${describeCall(pendingCall)} for the next bowl`;
+}
+
+// Give a tracked bowl the pending call, with who called it and the head as it was delivered
+function attachPendingCall(bowl, endBowls) {
+  if (!pendingCall || callTargetMode) return;
+  if (bowl.team !== 'yours' && gameState.gameType !== 'trial') return;
+
+  const players = getLineup(gameState, bowl.team, bowl.end);
+  bowl.call = {
+    ...pendingCall,
+    calledBy: players[getCallerIndex(players, bowl.playerIndex)] || null,
+    headBefore: getHeadFor(gameState, endBowls, bowl.team)
+  };
+  pendingCall = null;
+  updateCallControls();
+}
+
+// Count the head for calls of this end still waiting for their bowl's aftermath
+function settleCalledShots() {
+  const endBowls = gameState.bowls.filter(b => isPlayedInEnd(b, gameState.currentEnd));
+  endBowls.forEach(b => {
+    if (b.call && b.call.headAfter == null) b.call.headAfter = getHeadFor(gameState, endBowls, b.team);
+  });
+}
+
+// Outcome buttons for the last tracked bowl's call: set value filled in, inferred one dashed
+function updateCallOutcomePrompt() {
+  const prompt = document.getElementById('callOutcomePrompt');
+  if (!prompt) return;
+  const bowl = getLastTrackedBowl();
+  const call = bowl ? bowl.call : null;
+  prompt.style.display = call ? '' : 'none';
+  if (!call) return;
+
+  const outcome = getCallOutcome(gameState, gameState.bowls, bowl);
+  const isSet = !!CALL_OUTCOMES[call.outcome];
+  document.querySelectorAll('#callOutcomeGroup .radio-btn').forEach(btn => {
+    btn.classList.toggle('active', isSet && btn.dataset.value === outcome);
+    btn.classList.toggle('inferred', !isSet && btn.dataset.value === outcome);
+  });
+  document.getElementById('callOutcomeSummary').textContent = `(${describeCall(call)}${call.calledBy ? `, called by ${call.calledBy}` : ''})`;
+}
+
+// Record how the last bowl's call turned out; choosing the set outcome again clears it
+function setLastBowlCallOutcome(outcome) {
+  const bowl = getLastTrackedBowl();
+  if (!bowl || !bowl.call) return;
+  beginHistoryStep('Call outcome');
+  bowl.call = { ...bowl.call, outcome: bowl.call.outcome === outcome ? null : outcome };
+  persistCurrentGame();
+  updateCallOutcomePrompt();
+}
+
+// ===== UNDO / REDO =====
+
+function undoLastAction() {
+  const step = undoHistoryStep();
+  if (step) showRestoredState('Undid', step);
+}
+
+function redoLastAction() {
+  const step = redoHistoryStep();
+  if (step) showRestoredState('Redid', step);
+}
+
+// Bring the screen back in line with gameState after an undo or redo
+function showRestoredState(action, step) {
+  console.log(`[App] ${action} ${step.label.toLowerCase()} (end ${step.end})`);
+  moveJackMode = false;
+  setBowlMarkMode(null);
+  lastPlayerIndexByTeam[gameState.currentTeam] = gameState.currentPlayerIndex;
+
+  const teamBtns = document.querySelectorAll('#teamGroup .radio-btn');
+  if (teamBtns[0]) teamBtns[0].classList.toggle('active', gameState.currentTeam === 'yours');
+  if (teamBtns[1]) teamBtns[1].classList.toggle('active', gameState.currentTeam === 'opponent');
+
+  persistCurrentGame();
+  createPlayerButtons();
+  updateRinkControls();
+  updateJackButtonStates();
+  updateHistoryButtons();
+  drawGreen();
+  updateDisplay();
+}
+
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const last = undoHistory.undo[undoHistory.undo.length - 1];
+  const next = undoHistory.redo[undoHistory.redo.length - 1];
+  if (undoBtn) {
+    undoBtn.disabled = !canUndo();
+    undoBtn.title = last ? `Undo ${last.label.toLowerCase()}` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !canRedo();
+    redoBtn.title = next ? `Redo ${next.label.toLowerCase()}` : 'Nothing to redo';
+  }
+}
+
+// Store the end's shots and marks with its final jack, replacing any earlier record of the end
+function recordEndScore(endNum) {
+  gameState.endScores = (gameState.endScores || []).filter(es => es.end !== endNum);
+  gameState.endScores.push(getEndRecord(gameState, gameState.bowls, endNum));
+  gameState.endScores.sort((a, b) => a.end - b.end);
+}
+
+function nextEnd() {
+  // Record end score before the jack is reset
+  settleCalledShots();
+  recordEndScore(gameState.currentEnd);
+  const status = getMatchStatus(gameState, gameState.bowls);
+
+  // Report each set as it completes
+  if (gameState.matchStructure === 'sets') {
+    const setsBefore = (gameState.setScores || []).length;
+    gameState.setScores = status.sets;
+    gameState.currentSet = status.currentSet;
+
+    if (status.sets.length > setsBefore) {
+      const set = status.sets[status.sets.length - 1];
+      alert(`Set ${set.set} complete! Score: ${set.yours} - ${set.opponent}\nSets: ${status.yours} - ${status.opponent}`);
+      if (status.tieBreak && !status.over) alert('Sets are level! Tie-break begins.');
     }
   }
 
-  if (gameState.currentEnd >= gameState.totalEnds) {
-    alert(`Game complete! You've finished all ${gameState.totalEnds} ends.`);
+  if (status.over) {
+    gameState.result = {
+      winner: status.winner,
+      yours: status.yours,
+      opponent: status.opponent,
+      summary: describeMatchResult(gameState, status)
+    };
+    alert(`Match complete! ${gameState.result.summary}`);
+    persistCurrentGame();
     showEndGameDialog();
     return;
   }
 
-  // Record end score
-  const endScore = calculateEndScore(gameState.currentEnd);
-  if (!gameState.endScores) gameState.endScores = [];
-  gameState.endScores.push({ ...endScore, end: gameState.currentEnd });
+  if (status.extraEnd) {
+    alert(gameState.matchStructure === 'sets' ? 'Tie-break is level! Play another end.' : 'Scores are level! Play an extra end.');
+  }
 
   gameState.currentEnd++;
+  if (getMatchRules(gameState).openEnded) gameState.totalEnds = gameState.currentEnd;
+  resetHeadForEnd();
+
+  persistCurrentGame();
+  updateJackButtonStates();
+  drawGreen();
+  updateDisplay();
+}
+
+// Fresh head for the current end: first player, jack at its length, no modes
+function resetHeadForEnd() {
   gameState.currentPlayerIndex = 0;
   gameState.currentTeam = 'yours';
   lastPlayerIndexByTeam = { yours: 0, opponent: 0 };
-  gameState.jackPosition = { x: 250, y: 250 };
+  gameState.jackPosition = getDefaultJackPosition(gameState, gameState.jackLength);
   gameState.jackOriginalPosition = null;
   gameState.jackMoved = false;
   gameState.jackInDitch = false;
   moveJackMode = false;
-  deadBowlMode = false;
-
-  const deadBtn = document.getElementById('deadBowlBtn');
-  if (deadBtn) { deadBtn.classList.remove('btn-active'); deadBtn.textContent = 'Dead Bowl'; }
+  setBowlMarkMode(null);
+  pendingCall = null;
+  callTargetMode = false;
+  updateCallControls();
 
   // Reset team toggle UI to yours
   const teamBtns = document.querySelectorAll('#teamGroup .radio-btn');
@@ -2035,13 +2814,8 @@ function nextEnd() {
 
   // Reset zoom
   canvasZoom = 1; canvasPanX = 0; canvasPanY = 0;
-  if (canvas) canvas.style.transform = '';
 
-  persistCurrentGame();
   createPlayerButtons();
-  updateJackButtonStates();
-  drawGreen();
-  updateDisplay();
 }
 
 function captureScreenshot() {
@@ -2080,14 +2854,11 @@ let panStartX = 0;
 let panStartY = 0;
 
 function zoomIn() {
-  canvasZoom = Math.min(canvasZoom + 0.5, 4);
-  applyCanvasZoom();
+  setCanvasZoom(canvasZoom * 1.5);
 }
 
 function zoomOut() {
-  canvasZoom = Math.max(canvasZoom - 0.5, 1);
-  if (canvasZoom === 1) { canvasPanX = 0; canvasPanY = 0; }
-  applyCanvasZoom();
+  setCanvasZoom(canvasZoom / 1.5);
 }
 
 function zoomReset() {
@@ -2097,34 +2868,47 @@ function zoomReset() {
   applyCanvasZoom();
 }
 
-function applyCanvasZoom() {
+// Zoom keeping `anchor` (canvas px, default the centre) over the same spot on the rink
+function setCanvasZoom(zoom, anchor) {
   if (!canvas) return;
-  // Constrain pan so we don't go out of bounds
-  const maxPan = (canvasZoom - 1) * 250; // half of 500px canvas
-  canvasPanX = Math.max(-maxPan, Math.min(maxPan, canvasPanX));
-  canvasPanY = Math.max(-maxPan, Math.min(maxPan, canvasPanY));
+  const fixed = anchor || { x: canvas.width / 2, y: canvas.height / 2 };
+  const before = canvasToRink(fixed);
+  canvasZoom = Math.max(getMinCanvasZoom(), Math.min(MAX_CANVAS_ZOOM, zoom));
+  const after = canvasToRink(fixed);
+  canvasPanX += before.x - after.x;
+  canvasPanY += before.y - after.y;
+  applyCanvasZoom();
+}
 
-  canvas.style.transform = `scale(${canvasZoom}) translate(${canvasPanX / canvasZoom}px, ${canvasPanY / canvasZoom}px)`;
-  canvas.style.transformOrigin = 'center center';
+function applyCanvasZoom() {
+  if (!canvas) return;
+  // Keep the centre of the view on the rink
+  const centre = getViewCentre();
+  const jack = gameState.jackPosition || centre;
+  canvasPanX = centre.x - jack.x;
+  canvasPanY = centre.y - jack.y;
+  drawGreen();
 }
 
 function setupZoomGestures() {
   const wrapper = document.querySelector('.green-canvas-wrapper');
-  if (!wrapper) return;
+  if (!wrapper || wrapper.dataset.zoomReady) return;
+  wrapper.dataset.zoomReady = 'true';
 
   // Pinch to zoom on the wrapper
   wrapper.addEventListener('touchstart', function(e) {
     if (e.touches.length === 2) {
       e.preventDefault();
+      isPanning = false;
       lastPinchDist = Math.hypot(
         e.touches[0].clientX - e.touches[1].clientX,
         e.touches[0].clientY - e.touches[1].clientY
       );
-    } else if (e.touches.length === 1 && canvasZoom > 1) {
-      // Start pan when zoomed in
+    } else if (e.touches.length === 1) {
+      // A drag that doesn't start on the jack or a bowl pans the view
       isPanning = true;
-      panStartX = e.touches[0].clientX - canvasPanX;
-      panStartY = e.touches[0].clientY - canvasPanY;
+      panStartX = e.touches[0].clientX;
+      panStartY = e.touches[0].clientY;
     }
   }, { passive: false });
 
@@ -2136,16 +2920,18 @@ function setupZoomGestures() {
         e.touches[0].clientY - e.touches[1].clientY
       );
       if (lastPinchDist > 0) {
-        const scale = dist / lastPinchDist;
-        canvasZoom = Math.max(1, Math.min(4, canvasZoom * scale));
-        if (canvasZoom === 1) { canvasPanX = 0; canvasPanY = 0; }
-        applyCanvasZoom();
+        setCanvasZoom(canvasZoom * (dist / lastPinchDist));
       }
       lastPinchDist = dist;
-    } else if (e.touches.length === 1 && isPanning && canvasZoom > 1) {
+    } else if (e.touches.length === 1 && isPanning && !isDraggingJack && !draggingBowl) {
       e.preventDefault();
-      canvasPanX = e.touches[0].clientX - panStartX;
-      canvasPanY = e.touches[0].clientY - panStartY;
+      // Screen pixels -> canvas pixels -> metres
+      const rect = canvas.getBoundingClientRect();
+      const pxPerMetre = getCanvasScale() * (rect.width / canvas.width);
+      canvasPanX -= (e.touches[0].clientX - panStartX) / pxPerMetre;
+      canvasPanY -= (e.touches[0].clientY - panStartY) / pxPerMetre;
+      panStartX = e.touches[0].clientX;
+      panStartY = e.touches[0].clientY;
       applyCanvasZoom();
     }
   }, { passive: false });
@@ -2159,16 +2945,10 @@ function setupZoomGestures() {
     }
   });
 
-  // Mouse wheel zoom
+  // Mouse wheel zoom, about the pointer
   wrapper.addEventListener('wheel', function(e) {
     e.preventDefault();
-    if (e.deltaY < 0) {
-      canvasZoom = Math.min(canvasZoom + 0.25, 4);
-    } else {
-      canvasZoom = Math.max(canvasZoom - 0.25, 1);
-    }
-    if (canvasZoom === 1) { canvasPanX = 0; canvasPanY = 0; }
-    applyCanvasZoom();
+    setCanvasZoom(canvasZoom * (e.deltaY < 0 ? 1.2 : 1 / 1.2), getCanvasCoordinates(e));
   }, { passive: false });
 }
 
@@ -2260,10 +3040,15 @@ function initManagerView() {
       const gid = game.gameId || game.id;
       subscribeToGameDeliveries(gid, (payload) => {
         console.log('[Manager] Delivery update for game', gid);
-        if (payload.new) {
+        const gameIdx = allGames.findIndex(g => (g.gameId || g.id) === gid);
+        if (payload.eventType === 'DELETE') {
+          // Undone or repaired bowls are deleted at the source
+          if (gameIdx !== -1 && payload.old) {
+            allGames[gameIdx].bowls = allGames[gameIdx].bowls.filter(b => b.id !== payload.old.id);
+          }
+        } else if (payload.new) {
           const bowl = mapDeliveryToBowl(payload.new);
           // Update local game data
-          const gameIdx = allGames.findIndex(g => (g.gameId || g.id) === gid);
           if (gameIdx !== -1) {
             const existing = allGames[gameIdx].bowls.findIndex(b => b.id === bowl.id);
             if (existing !== -1) {
@@ -2310,22 +3095,18 @@ function refreshManagerView() {
     const oppTeam = (game.opponentPlayers || [])[0] || 'Opposition';
     const bowls = game.bowls || [];
     const end = game.currentEnd || 1;
-    const totalEnds = game.totalEnds || 21;
+    const progress = getMatchProgress({ ...game, currentEnd: end });
 
     // Calculate total scores
-    let yourScore = 0, oppScore = 0;
-    bowls.filter(b => b.team === 'yours' && !b.isDead).forEach(b => yourScore += (b.scoreValue || 0));
-    bowls.filter(b => b.team === 'opponent' && !b.isDead).forEach(b => oppScore += (b.scoreValue || 0));
+    const shots = getGameShots({ ...game, currentEnd: end }, bowls);
+    const yourScore = shots.yours, oppScore = shots.opponent;
 
     // Mini scoreboard
     let miniEnds = '';
     for (let e = 1; e <= Math.min(end, 15); e++) {
-      const eBowls = bowls.filter(b => b.end === e && !b.isDead);
-      let ey = 0, eo = 0;
-      eBowls.filter(b => b.team === 'yours').forEach(b => ey += (b.scoreValue || 0));
-      eBowls.filter(b => b.team === 'opponent').forEach(b => eo += (b.scoreValue || 0));
-      const cls = ey > eo ? 'score-win' : eo > ey ? 'score-lose' : 'score-draw';
-      miniEnds += `<div class="rink-mini-end ${cls}">${ey}-${eo}</div>`;
+      const es = getEndShots(game, bowls, e);
+      const cls = es.yours > es.opponent ? 'score-win' : es.opponent > es.yours ? 'score-lose' : 'score-draw';
+      miniEnds += `<div class="rink-mini-end ${cls}">${es.yours}-${es.opponent}</div>`;
     }
 
     const setInfo = game.matchStructure === 'sets' ? ` | Set ${game.currentSet || 1}` : '';
@@ -2334,7 +3115,7 @@ function refreshManagerView() {
     return `<div class="rink-card">
       <div class="rink-card-header">
         <div class="rink-card-title">${yourTeam} vs ${oppTeam}${typeLabel}</div>
-        <div class="rink-card-status">End ${end}/${totalEnds}${setInfo}</div>
+        <div class="rink-card-status">${progress.label} ${progress.value}${setInfo}</div>
       </div>
       <div class="rink-card-score">${yourScore} - ${oppScore}</div>
       <div class="rink-card-players">${game.format || 'singles'} | ${bowls.length} bowls recorded</div>
@@ -2343,14 +3124,8 @@ function refreshManagerView() {
   }).join('');
 }
 
-// Helper: get all tracked player names (yours + trial away, excluding generic 'opponent')
-function getTrackedPlayerNames(allBowls) {
-  return [...new Set(allBowls.map(b => b.playerId || b.playerName || b.player))].filter(n => n && n !== 'opponent');
-}
-
 async function populateManagerPlayerSelects() {
-  const allBowls = await getAllBowls();
-  const playerNames = getTrackedPlayerNames(allBowls);
+  const playerNames = await getAllPlayerNames();
 
   const selects = ['managerPlayerSelect', 'comparePlayer1', 'comparePlayer2'];
   selects.forEach(id => {
@@ -2464,14 +3239,16 @@ function setEliteTab(tab) {
   document.getElementById('eliteTrends').style.display = tab === 'trends' ? 'block' : 'none';
   document.getElementById('eliteRecommend').style.display = tab === 'recommend' ? 'block' : 'none';
 
+  // Stop ranking or recommending for the tab being left
+  cancelAnalyticsTasks('elite');
+
   if (tab === 'rankings') renderRankings();
   if (tab === 'trends') renderTrends();
   if (tab === 'recommend') renderRecommendations();
 }
 
 async function populateEliteSelects() {
-  const allBowls = await getAllBowls();
-  const playerNames = getTrackedPlayerNames(allBowls);
+  const playerNames = await getAllPlayerNames();
 
   ['heatmapPlayer', 'trendPlayer'].forEach(id => {
     const sel = document.getElementById(id);
@@ -2498,24 +3275,29 @@ async function renderHeatmap() {
   const playerFilter = document.getElementById('heatmapPlayer').value;
   const positionFilter = document.getElementById('heatmapPosition').value;
 
-  const allBowls = await getAllBowls();
-  // Include all tracked bowls (yours + trial away players)
-  let bowls = allBowls.filter(b => (b.playerId || b.playerName || b.player) !== 'opponent');
-
-  if (playerFilter !== 'all') {
-    bowls = bowls.filter(b => (b.playerId || b.playerName || b.player) === playerFilter);
-  }
-  if (positionFilter !== 'all') {
-    bowls = bowls.filter(b => b.position === positionFilter);
+  // Create heatmap grid (binned in the analytics worker), in metres from the jack
+  const gridSize = 0.1;
+  const halfWidth = 1.5;
+  const scale = 500 / (2 * halfWidth);
+  let heatmap;
+  try {
+    heatmap = await runAnalyticsTask('heatmap', {
+      playerId: playerFilter !== 'all' ? playerFilter : undefined,
+      position: positionFilter !== 'all' ? positionFilter : undefined,
+      gridSize
+    }, { group: 'heatmap' });
+  } catch (err) {
+    if (err.cancelled) return;
+    throw err;
   }
 
   // Draw green background
   hCtx.fillStyle = '#2d5016';
   hCtx.fillRect(0, 0, 500, 500);
 
-  // Draw concentric circles
-  for (let i = 5; i >= 1; i--) {
-    const radius = (240 / 5) * i;
+  // Draw distance rings
+  getDistanceRings().filter(ring => ring.metres <= halfWidth).reverse().forEach(ring => {
+    const radius = ring.metres * scale;
     hCtx.beginPath();
     hCtx.arc(250, 250, radius, 0, 2 * Math.PI);
     hCtx.strokeStyle = '#1a3810';
@@ -2524,19 +3306,19 @@ async function renderHeatmap() {
     hCtx.fillStyle = '#4a7035';
     hCtx.font = '11px Arial';
     hCtx.textAlign = 'center';
-    hCtx.fillText(`${i}ft`, 250, 250 - radius + 14);
-  }
+    hCtx.fillText(ring.label, 250, 250 - radius + 14);
+  });
 
   // Draw jack
   hCtx.beginPath();
-  hCtx.arc(250, 250, 8, 0, 2 * Math.PI);
+  hCtx.arc(250, 250, Math.max(4, JACK_RADIUS_M * scale), 0, 2 * Math.PI);
   hCtx.fillStyle = '#FFD700';
   hCtx.fill();
   hCtx.strokeStyle = '#FFA500';
   hCtx.lineWidth = 2;
   hCtx.stroke();
 
-  if (bowls.length === 0) {
+  if (heatmap.bowlCount === 0) {
     hCtx.fillStyle = 'rgba(255,255,255,0.7)';
     hCtx.font = '16px Arial';
     hCtx.textAlign = 'center';
@@ -2544,25 +3326,9 @@ async function renderHeatmap() {
     return;
   }
 
-  // Create heatmap grid
-  const gridSize = 20;
-  const grid = {};
-  let maxCount = 0;
-
-  bowls.forEach(b => {
-    const x = b.x || Math.random() * 400 + 50;
-    const y = b.y || Math.random() * 400 + 50;
-    const gx = Math.floor(x / gridSize);
-    const gy = Math.floor(y / gridSize);
-    const key = `${gx},${gy}`;
-    grid[key] = (grid[key] || 0) + 1;
-    maxCount = Math.max(maxCount, grid[key]);
-  });
-
   // Draw heatmap cells
-  Object.entries(grid).forEach(([key, count]) => {
-    const [gx, gy] = key.split(',').map(Number);
-    const intensity = count / maxCount;
+  heatmap.cells.forEach(({ gx, gy, count }) => {
+    const intensity = count / heatmap.maxCount;
 
     let r, g, b, a;
     if (intensity < 0.25) { r = 0; g = 0; b = 255; a = 0.15 + intensity; }
@@ -2572,7 +3338,7 @@ async function renderHeatmap() {
 
     hCtx.fillStyle = `rgba(${r},${g},${b},${a})`;
     hCtx.beginPath();
-    hCtx.arc(gx * gridSize + gridSize / 2, gy * gridSize + gridSize / 2, gridSize * 0.8, 0, 2 * Math.PI);
+    hCtx.arc(250 + (gx + 0.5) * gridSize * scale, 250 + (gy + 0.5) * gridSize * scale, gridSize * scale * 0.8, 0, 2 * Math.PI);
     hCtx.fill();
   });
 
@@ -2580,7 +3346,7 @@ async function renderHeatmap() {
   hCtx.fillStyle = 'rgba(255,255,255,0.8)';
   hCtx.font = '12px Arial';
   hCtx.textAlign = 'left';
-  hCtx.fillText(`${bowls.length} bowls`, 10, 490);
+  hCtx.fillText(`${heatmap.bowlCount} bowls`, 10, 490);
 }
 
 async function renderRankings() {
@@ -2588,14 +3354,21 @@ async function renderRankings() {
   if (!container) return;
 
   const positionFilter = document.getElementById('rankingPosition').value;
-  const allBowls = await getAllBowls();
 
-  const playerNames = getTrackedPlayerNames(allBowls);
+  let allStats;
+  try {
+    allStats = await runAnalyticsTask('playerStats', {}, {
+      group: 'elite',
+      onProgress: showTaskProgress(container, 'Ranking players...')
+    });
+  } catch (err) {
+    if (err.cancelled) return;
+    throw err;
+  }
 
   const rankings = [];
-  for (const name of playerNames) {
-    const stats = await getPlayerStats(name);
-    if (!stats || stats.totalBowls < 4) continue;
+  for (const stats of allStats) {
+    if (stats.totalBowls < 4) continue;
 
     if (positionFilter !== 'all' && stats.positions && !stats.positions.includes(positionFilter)) continue;
 
@@ -2606,7 +3379,7 @@ async function renderRankings() {
     const formTrend = stats.formTrend || 'steady';
 
     rankings.push({
-      name,
+      name: stats.playerName,
       avgScore: stats.avgScore,
       totalBowls: stats.totalBowls,
       gamesPlayed: stats.gamesPlayed,
@@ -2657,8 +3430,7 @@ async function renderTrends() {
   const playerName = document.getElementById('trendPlayer').value;
   if (!playerName) return;
 
-  const allBowls = await getAllBowls();
-  const playerBowls = allBowls.filter(b => (b.playerId || b.playerName || b.player) === playerName);
+  const playerBowls = await queryBowls({ playerId: playerName });
 
   if (playerBowls.length === 0) return;
 
@@ -2666,7 +3438,7 @@ async function renderTrends() {
   const gameIds = [...new Set(playerBowls.map(b => b.gameId))];
   const gameAvgs = gameIds.map(gid => {
     const gameBowls = playerBowls.filter(b => b.gameId === gid);
-    const avg = gameBowls.reduce((s, b) => s + (b.scoreValue || b.score || 0), 0) / gameBowls.length;
+    const avg = gameBowls.reduce((s, b) => s + (b.scoreValue || 0), 0) / gameBowls.length;
     return { gameId: gid, avg, bowls: gameBowls.length };
   });
 
@@ -2701,8 +3473,8 @@ async function renderTrends() {
   // Effectiveness chart
   const effCanvas = document.getElementById('effectivenessChart');
   if (effCanvas) {
-    const effective = playerBowls.filter(b => (b.scoreValue || b.score || 0) === 4).length;
-    const ineffective = playerBowls.filter(b => (b.scoreValue || b.score || 0) === 0).length;
+    const effective = playerBowls.filter(b => (b.scoreValue || 0) === 4).length;
+    const ineffective = playerBowls.filter(b => (b.scoreValue || 0) === 0).length;
     const other = playerBowls.length - effective - ineffective;
 
     if (effectivenessChartInstance) effectivenessChartInstance.destroy();
@@ -2730,58 +3502,34 @@ async function renderRecommendations() {
 
   const format = document.getElementById('recommendFormat').value;
   const positions = getPositionsForFormat(format);
-  const allBowls = await getAllBowls();
-
-  const playerNames = getTrackedPlayerNames(allBowls);
 
-  // Calculate form index for each player
-  const playerScores = [];
-  for (const name of playerNames) {
-    const stats = await getPlayerStats(name);
-    if (!stats || stats.totalBowls < 4) continue;
-
-    const effectivePct = stats.totalBowls > 0 ? (stats.scoreDistribution[4] || 0) / stats.totalBowls : 0;
-    const consistencyBonus = stats.consistency < 1 ? 0.2 : 0;
-    const formIndex = stats.avgScore * 0.5 + effectivePct * 4 * 0.3 + consistencyBonus + (stats.avgScore > 2.5 ? 0.2 : 0);
-
-    playerScores.push({
-      name,
-      formIndex,
-      avgScore: stats.avgScore,
-      effectivePct: (effectivePct * 100).toFixed(0),
-      positions: stats.positions || [],
-      rating: getPerformanceRating(stats.avgScore)
+  let recommendations;
+  try {
+    recommendations = await runAnalyticsTask('recommendations', { positions }, {
+      group: 'elite',
+      onProgress: showTaskProgress(container, 'Assessing players...')
     });
+  } catch (err) {
+    if (err.cancelled) return;
+    throw err;
   }
 
-  playerScores.sort((a, b) => b.formIndex - a.formIndex);
-
   let html = '';
-  const assigned = new Set();
-
-  positions.forEach(pos => {
-    // Find best available player for this position, preferring those who've played it
-    const candidates = playerScores.filter(p => !assigned.has(p.name));
-    const posPlayers = candidates.sort((a, b) => {
-      const aPref = a.positions.includes(pos) ? 1 : 0;
-      const bPref = b.positions.includes(pos) ? 1 : 0;
-      return (bPref - aPref) || (b.formIndex - a.formIndex);
-    });
-
+  recommendations.forEach(({ position, candidates }) => {
     html += `<div class="recommend-position">
-      <h4>${pos}</h4>`;
+      <h4>${position}</h4>`;
 
-    posPlayers.slice(0, 3).forEach((p, i) => {
-      if (i === 0) assigned.add(p.name);
+    candidates.forEach((p, i) => {
+      const rating = getPerformanceRating(p.avgScore);
       html += `<div class="recommend-player">
         <span class="recommend-rank">${i + 1}</span>
         <span class="recommend-name">${p.name}</span>
-        <span class="star-rating" style="font-size: 11px;">${p.rating.stars}</span>
+        <span class="star-rating" style="font-size: 11px;">${rating.stars}</span>
         <span class="recommend-score">${p.avgScore.toFixed(2)} (${p.effectivePct}% eff)</span>
       </div>`;
     });
 
-    if (posPlayers.length === 0) {
+    if (candidates.length === 0) {
       html += `<div class="recommend-player"><span style="color: var(--text-muted);">No candidates available</span></div>`;
     }
 
@@ -2808,10 +3556,10 @@ showGamesManager = function() {
 
   allGames.forEach((game, idx) => {
     const cards = gamesList.querySelectorAll('.game-card');
-    if (cards[idx] && game.matchStructure === 'sets') {
+    if (cards[idx] && game.matchStructure && game.matchStructure !== 'traditional') {
       const info = cards[idx].querySelector('.game-card-info');
       if (info) {
-        info.innerHTML += ` <span class="badge-sets">Sets ${game.numberOfSets}\u00D7${game.endsPerSet}</span>`;
+        info.innerHTML += ` <span class="badge-sets">${getMatchRules(game).describe(game)}</span>`;
       }
     }
   });
@@ -2890,11 +3638,10 @@ function drawFortyBowlGreen() {
 
   const centerX = cvs.width / 2;
   const centerY = cvs.height / 2;
-  const maxRadius = Math.min(cvs.width, cvs.height) / 2 - 10;
 
-  // Draw concentric distance rings
-  for (let i = 5; i >= 1; i--) {
-    const radius = (maxRadius / 5) * i;
+  // Draw concentric distance rings, to the same scale as the measurements
+  for (const feet of [2, 1.5, 1, 0.5]) {
+    const radius = feet * FORTY_BOWL_PX_PER_FOOT;
     ctx.beginPath();
     ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
     ctx.strokeStyle = '#1a3810';
@@ -2904,7 +3651,7 @@ function drawFortyBowlGreen() {
     ctx.fillStyle = '#4a7035';
     ctx.font = '12px Arial';
     ctx.textAlign = 'center';
-    ctx.fillText(`${i}ft`, centerX, centerY - radius + 15);
+    ctx.fillText(`${feet}ft`, centerX, centerY - radius + 15);
   }
 
   if (!fortyBowlState) return;
@@ -2915,7 +3662,7 @@ function drawFortyBowlGreen() {
 
   // Draw mat length zone (4ft = 400px)
   ctx.beginPath();
-  ctx.arc(jackX, jackY, MAT_LENGTH_FEET * 100, 0, 2 * Math.PI);
+  ctx.arc(jackX, jackY, MAT_LENGTH_FEET * FORTY_BOWL_PX_PER_FOOT, 0, 2 * Math.PI);
   ctx.strokeStyle = 'rgba(76, 175, 80, 0.4)';
   ctx.setLineDash([8, 4]);
   ctx.lineWidth = 2;
@@ -3193,7 +3940,7 @@ function showFortyBowlResults() {
   } else {
     upgradeEl.style.display = 'none';
     saveDrillSessionToSupabase(totalScore);
-    loadDrillHistory();
+    loadFortyBowlHistory();
   }
 
   // Clean up canvas listener
@@ -3245,7 +3992,7 @@ async function saveDrillSessionToSupabase(totalScore) {
   }
 }
 
-async function loadDrillHistory() {
+async function loadFortyBowlHistory() {
   const historyEl = document.getElementById('resultHistory');
   const trendEl = document.getElementById('resultTrend');
   if (!historyEl || !trendEl) return;
@@ -3260,6 +4007,7 @@ async function loadDrillHistory() {
       .select('score, completed_at')
       .eq('drill_type', '40bowl_test')
       .eq('player_name', fortyBowlState.playerName)
+      .is('deleted_at', null)
       .order('completed_at', { ascending: false })
       .limit(5);
 
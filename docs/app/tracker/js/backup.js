@@ -0,0 +1,145 @@
+// backup.js — Backup the whole local database to a file and restore it on another device
+
+let pendingRestoreArchive = null;
+
+// ===== BACKUP =====
+
+async function downloadBackup() {
+  try {
+    const archive = await createBackup();
+    const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `BowlsTracker_Backup_${getDateStamp()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    localStorage.setItem(LAST_BACKUP_KEY, archive.createdAt);
+  } catch (err) {
+    console.error('[Backup] Backup failed:', err);
+    alert('Backup failed: ' + err.message);
+  }
+}
+
+// ===== RESTORE =====
+
+function chooseRestoreFile() {
+  const input = document.getElementById('restoreFileInput');
+  input.value = '';
+  input.click();
+}
+
+async function onRestoreFileSelected(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  let archive;
+  try {
+    archive = JSON.parse(await file.text());
+  } catch (e) {
+    alert('This file is not a BowlsTrack backup.');
+    return;
+  }
+
+  try {
+    await validateBackup(archive);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+
+  pendingRestoreArchive = archive;
+  await renderRestorePreview();
+  document.getElementById('restoreModal').classList.add('active');
+}
+
+function getRestoreMode() {
+  const selected = document.querySelector('input[name="restoreMode"]:checked');
+  return selected ? selected.value : 'merge';
+}
+
+async function renderRestorePreview() {
+  const preview = await previewRestore(pendingRestoreArchive);
+  const mode = getRestoreMode();
+  const { counts } = preview;
+
+  const statusLabels = { new: 'New', identical: 'Already here', conflict: 'Differs' };
+  const gameRows = preview.games.map(g => {
+    let detail = `${g.backupBowls} bowls, end ${g.backupEnd}`;
+    let choice = '';
+    if (g.status === 'conflict') {
+      detail = `Backup: ${g.backupBowls} bowls, end ${g.backupEnd} &bull; This device: ${g.localBowls} bowls, end ${g.localEnd}`;
+      if (mode === 'merge') {
+        choice = `
+          <select class="restore-choice" data-game-id="${g.id}">
+            <option value="local">Keep this device's copy</option>
+            <option value="backup">Use the backup's copy</option>
+          </select>`;
+      }
+    }
+    return `
+      <div class="restore-game">
+        <div class="restore-game-title">${g.label} <span class="restore-status ${g.status}">${statusLabels[g.status]}</span></div>
+        <div class="restore-game-detail">${formatDate(g.date)} &bull; ${detail}</div>
+        ${choice}
+      </div>`;
+  }).join('');
+
+  const localOnlyWarning = mode === 'replace' && preview.localOnly.length > 0
+    ? `<div class="restore-warning">Replacing deletes ${preview.localOnly.length} game${preview.localOnly.length === 1 ? '' : 's'} the backup doesn't have, here and in the cloud: ${preview.localOnly.map(g => g.label).join('; ')}</div>`
+    : '';
+
+  document.getElementById('restorePreviewContent').innerHTML = `
+    <p class="restore-summary">
+      Backup from ${formatDate(preview.createdAt)}: ${counts.games} games, ${counts.bowls} bowls,
+      ${counts.players} players, ${counts.tournaments} tournaments,
+      ${counts.recycleBin || 0} in the recycle bin
+    </p>
+    ${localOnlyWarning}
+    <div class="restore-games">${gameRows || '<p class="restore-summary">No games in this backup.</p>'}</div>
+  `;
+}
+
+async function confirmRestore() {
+  if (!pendingRestoreArchive) return;
+  const mode = getRestoreMode();
+
+  if (mode === 'replace' && !confirm('Replace everything on this device with the backup? This cannot be undone.')) {
+    return;
+  }
+
+  const resolutions = {};
+  document.querySelectorAll('.restore-choice').forEach(select => {
+    resolutions[select.dataset.gameId] = select.value;
+  });
+
+  let report;
+  try {
+    report = await restoreBackup(pendingRestoreArchive, mode, resolutions);
+  } catch (err) {
+    console.error('[Backup] Restore failed:', err);
+    alert('Restore failed: ' + err.message);
+    return;
+  }
+
+  closeRestoreModal();
+
+  // Refresh everything that reads the restored data
+  await reconcilePlayerRegistry();
+  await reloadGamesFromDB();
+  if (typeof renderPlayerRegistry === 'function') renderPlayerRegistry();
+
+  const lines = [
+    `${report.added.length} new game${report.added.length === 1 ? '' : 's'} added`,
+    `${report.replaced.length} replaced with the backup's copy`,
+    `${report.kept.length} kept as they were on this device`,
+    `${report.identical.length} already up to date`
+  ];
+  if (report.removedLocal.length > 0) lines.push(`${report.removedLocal.length} deleted from this device and the cloud`);
+  alert('Restore complete:\n' + lines.join('\n'));
+}
+
+function closeRestoreModal() {
+  pendingRestoreArchive = null;
+  document.getElementById('restoreModal').classList.remove('active');
+}
@@ -0,0 +1,267 @@
+// bowl-inspector.js — Inspect and edit a recorded bowl
+//
+// Opened by tapping a bowl on the game canvas or in the game drill-down.
+// Every attribute of the bowl can be changed, including the end it belongs
+// to, its line and weight and its called shot. On save the values that follow
+// from others are worked out again: the distance and result from the jack of
+// the bowl's end, the mark (front-end from calculateFrontEndScore, back-end
+// from the shot type and quality) unless a score was picked by hand, and the
+// records and result of any completed end the bowl left or joined. The live game is saved
+// through persistCurrentGame as one undo step; any other game through saveGame
+// and syncGameBowls. Both routes sync to the cloud.
+
+let inspectedBowl = null; // { game, bowl, live, fromDrillDown } while the inspector is open
+
+// 'front' (Lead, Second), 'back' (Third, Skip) or null for bowls that aren't marked
+function getBowlScoringRole(game, bowl) {
+  if (!isTeamTracked(game, bowl.team)) return null;
+  const position = getPositionsForFormat(game.format)[bowl.playerIndex] || bowl.position;
+  if (position === 'Lead' || position === 'Second') return 'front';
+  if (position === 'Third' || position === 'Skip') return 'back';
+  return null;
+}
+
+// Players who can have delivered a bowl for `team` in end `end`: [{ name, index }]
+// by position, as the lineup stood then, the named opposition flagged `opponent`
+function getTeamPlayerChoices(game, team, end) {
+  const lineup = getLineup(game, team, end);
+  if (team === 'yours' || game.gameType === 'trial') return lineup.map((name, index) => ({ name, index }));
+  if (hasNamedOpposition(game)) return lineup.map((name, index) => ({ name, index, opponent: true }));
+  return [{ name: 'opponent', index: 0 }];
+}
+
+// Distance, result and (unless `manualScore` is set) the mark, from the bowl's other fields.
+// A hand-set score is flagged so the inspector offers it again next time.
+function recomputeBowl(game, bowl, manualScore) {
+  const jack = getEndJack(game, bowl.end);
+  if (jack && bowl.x != null && bowl.y != null && bowl.resultCategory !== 'Off Rink') {
+    Object.assign(bowl, measureFromJack(bowl, jack));
+  }
+
+  const role = getBowlScoringRole(game, bowl);
+  if (manualScore != null) {
+    bowl.scoreValue = manualScore;
+    bowl.scoreSetByHand = true;
+    return bowl;
+  }
+  if (bowl.scoreSetByHand) bowl.scoreSetByHand = false;
+  if (bowl.resultCategory === 'Off Rink' || bowl.isDead) {
+    bowl.scoreValue = 0;
+  } else if (role === 'front') {
+    bowl.scoreCategory = bowl.resultCategory;
+    bowl.scoreDetail = bowl.distanceCategory;
+    bowl.scoreValue = calculateFrontEndScore(bowl.resultCategory, bowl.distanceCategory);
+  } else if (role === 'back' && bowl.scoreCategory && bowl.scoreDetail) {
+    bowl.scoreValue = scoringTable[bowl.scoreCategory + '-' + bowl.scoreDetail] || 0;
+  }
+  return bowl;
+}
+
+// Completed-end records, set scores and the result, after bowls of `ends` changed.
+// A completed game the rules don't finish any more was stopped: whoever leads wins.
+function refreshGameTotals(game, bowls, ends) {
+  refreshEndRecords(game, bowls, ends);
+  const status = getMatchStatus(game, bowls);
+  if (game.matchStructure === 'sets') game.setScores = status.sets;
+  if (!game.completed && !game.result) return;
+  if (status.over) {
+    game.result = {
+      winner: status.winner,
+      yours: status.yours,
+      opponent: status.opponent,
+      summary: describeMatchResult(game, status)
+    };
+  } else {
+    game.result = game.completed ? getStoppedGameResult({ ...game, bowls }) : null;
+  }
+}
+
+// ===== PANEL =====
+
+// Open the inspector on a bowl of the live game
+function inspectLiveBowl(bowl) {
+  openBowlInspector(gameState, bowl, { live: true });
+}
+
+// Open the inspector from the drill-down. The live game is edited in place so
+// the game screen doesn't write the old bowl back.
+async function inspectStoredBowl(gameId, bowlId) {
+  const isLive = (gameState.gameId || gameState.id) === gameId;
+  const game = isLive ? gameState : await getGame(gameId);
+  if (!game) return;
+  const bowls = isLive ? gameState.bowls : await getBowlsByGame(gameId);
+  const bowl = bowls.find(b => b.id === bowlId);
+  if (!bowl) return;
+  if (!isLive) game.bowls = bowls;
+  openBowlInspector(game, bowl, { live: isLive, fromDrillDown: true });
+}
+
+function openBowlInspector(game, bowl, { live = false, fromDrillDown = false } = {}) {
+  inspectedBowl = { game, bowl, live, fromDrillDown };
+  const trial = game.gameType === 'trial';
+
+  document.getElementById('bowlInspectEnd').value = bowl.end || 1;
+  document.getElementById('bowlInspectEnd').max = Math.max(game.currentEnd || 1, bowl.end || 1);
+  document.getElementById('bowlInspectTeam').innerHTML = `
+    <option value="yours">${trial ? 'Home' : 'Yours'}</option>
+    <option value="opponent">${trial ? 'Away' : 'Opponent'}</option>
+  `;
+  document.getElementById('bowlInspectTeam').value = bowl.team || 'yours';
+  fillInspectorPlayers(bowl.playerIndex);
+
+  document.getElementById('bowlInspectHand').value = (bowl.hand || 'forehand').toLowerCase();
+  // 'Auto' keeps the value inferred from where the bowl lies (delivery.js)
+  const inferred = inferDelivery(game, bowl) || {};
+  const autoOptions = (values, autoLabel) =>
+    `<option value="">Auto${autoLabel ? ` (${autoLabel})` : ''}</option>` +
+    Object.entries(values).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  // A positioned bowl without a line means the bowler's arm isn't recorded
+  const lineLabel = inferred.weight && !inferred.line ? 'unknown - bowling arm not recorded' : DELIVERY_LINES[inferred.line];
+  document.getElementById('bowlInspectLine').innerHTML = autoOptions(DELIVERY_LINES, lineLabel);
+  document.getElementById('bowlInspectWeight').innerHTML = autoOptions(DELIVERY_WEIGHTS, DELIVERY_WEIGHTS[inferred.weight]);
+  document.getElementById('bowlInspectLine').value = DELIVERY_LINES[bowl.line] ? bowl.line : '';
+  document.getElementById('bowlInspectWeight').value = DELIVERY_WEIGHTS[bowl.weight] ? bowl.weight : '';
+  document.getElementById('bowlInspectCall').innerHTML = '<option value="">No call</option>' +
+    Object.entries(CALL_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  document.getElementById('bowlInspectCall').value = bowl.call && CALL_TYPES[bowl.call.type] ? bowl.call.type : '';
+  const outcome = bowl.call && !CALL_OUTCOMES[bowl.call.outcome] ? getCallOutcome(game, game.bowls || [], bowl) : null;
+  document.getElementById('bowlInspectCallOutcome').innerHTML = autoOptions(CALL_OUTCOMES, CALL_OUTCOMES[outcome]);
+  document.getElementById('bowlInspectCallOutcome').value = bowl.call && CALL_OUTCOMES[bowl.call.outcome] ? bowl.call.outcome : '';
+  document.getElementById('bowlInspectShotType').innerHTML =
+    '<option value="">Not set</option>' + SHOT_TYPES.map(t => `<option value="${t}">${t}</option>`).join('');
+  document.getElementById('bowlInspectQuality').innerHTML =
+    '<option value="">Not set</option>' + QUALITY_OPTIONS.map(q => `<option value="${q.value}">${q.label} (${q.score})</option>`).join('');
+  const isBack = getBowlScoringRole(game, bowl) === 'back';
+  document.getElementById('bowlInspectShotType').value = isBack ? (bowl.scoreCategory || '') : (bowl.shotType || '');
+  document.getElementById('bowlInspectQuality').value = isBack ? (bowl.scoreDetail || '') : (bowl.quality || '');
+  // A score picked by hand stays picked; anything else is worked out again
+  document.getElementById('bowlInspectScore').value = bowl.scoreSetByHand ? String(bowl.scoreValue ?? 0) : 'auto';
+  document.getElementById('bowlInspectDead').checked = !!bowl.isDead;
+  document.getElementById('bowlInspectToucher').checked = !!bowl.isToucher;
+  document.getElementById('bowlInspectNotes').value = bowl.notes || '';
+
+  updateInspectorSummary();
+  document.getElementById('bowlInspectorModal').classList.add('active');
+}
+
+// The player list follows the team and the end's lineup; keep the chosen index where it exists
+function fillInspectorPlayers(selectedIndex) {
+  if (!inspectedBowl) return;
+  const team = document.getElementById('bowlInspectTeam').value;
+  const end = parseInt(document.getElementById('bowlInspectEnd').value) || inspectedBowl.bowl.end || 1;
+  const choices = getTeamPlayerChoices(inspectedBowl.game, team, end);
+  const select = document.getElementById('bowlInspectPlayer');
+  select.innerHTML = choices.map(c => `<option value="${c.index}">${c.name === 'opponent' ? 'Opposition' : c.name}</option>`).join('');
+  select.value = String(choices.some(c => c.index === selectedIndex) ? selectedIndex : 0);
+  select.disabled = choices.length < 2;
+}
+
+// Recorded mark and where the bowl lies, shown above the fields
+function updateInspectorSummary() {
+  if (!inspectedBowl) return;
+  const { game, bowl } = inspectedBowl;
+  const role = getBowlScoringRole(game, bowl);
+  const delivery = describeDelivery(getBowlDelivery(game, bowl));
+  document.getElementById('bowlInspectSummary').innerHTML = `
+    <div>${bowl.resultCategory || 'No result'} &middot; ${formatDistance(feetToMetres(bowl.distanceInFeet || 0))} from the jack</div>
+    ${delivery ? `<div class="registry-detail">${delivery}</div>` : ''}
+    <div class="registry-detail">Score ${bowl.scoreValue || 0}${role ? ` (${role === 'front' ? 'front end, from the result' : 'back end, from shot type and quality'})` : ''} &middot; ${getBowlState(game, bowl)}</div>
+  `;
+}
+
+function closeBowlInspector() {
+  inspectedBowl = null;
+  document.getElementById('bowlInspectorModal').classList.remove('active');
+}
+
+async function saveBowlInspector() {
+  if (!inspectedBowl) return;
+  const { game, bowl, live, fromDrillDown } = inspectedBowl;
+
+  const end = parseInt(document.getElementById('bowlInspectEnd').value);
+  if (!end || end < 1 || end > Math.max(game.currentEnd || 1, bowl.end || 1)) {
+    alert(`Choose an end from 1 to ${Math.max(game.currentEnd || 1, bowl.end || 1)}.`);
+    return;
+  }
+
+  if (live) beginHistoryStep('Edit bowl');
+  const oldEnd = bowl.end;
+  const team = document.getElementById('bowlInspectTeam').value;
+  const playerIndex = parseInt(document.getElementById('bowlInspectPlayer').value) || 0;
+  const player = getTeamPlayerChoices(game, team, end).find(c => c.index === playerIndex);
+
+  bowl.end = end;
+  bowl.team = team;
+  if (player && player.opponent) {
+    bowl.playerIndex = playerIndex;
+    bowl.playerId = 'opponent';
+    bowl.opponentName = player.name;
+    if (bowl.position) bowl.position = getPositionFromIndex(game.format, playerIndex);
+  } else if (player && player.name !== 'opponent') {
+    bowl.playerIndex = playerIndex;
+    bowl.playerId = player.name;
+    delete bowl.opponentName;
+    if (bowl.position) bowl.position = getPositionFromIndex(game.format, playerIndex);
+  } else {
+    // The opposition is recorded as one player
+    bowl.playerId = 'opponent';
+  }
+  // Fields left as they were aren't written, so the change log shows only real edits
+  const assignIfChanged = (field, value, current) => { if (value !== current) bowl[field] = value; };
+  assignIfChanged('hand', document.getElementById('bowlInspectHand').value, (bowl.hand || 'forehand').toLowerCase());
+  assignIfChanged('isDead', document.getElementById('bowlInspectDead').checked, !!bowl.isDead);
+  assignIfChanged('isToucher', document.getElementById('bowlInspectToucher').checked, !!bowl.isToucher);
+  assignIfChanged('notes', document.getElementById('bowlInspectNotes').value, bowl.notes || '');
+  assignIfChanged('line', document.getElementById('bowlInspectLine').value || null, bowl.line || null);
+  assignIfChanged('weight', document.getElementById('bowlInspectWeight').value || null, bowl.weight || null);
+
+  // A new call is aimed at the jack and credited to the usual caller
+  const callType = document.getElementById('bowlInspectCall').value;
+  const callOutcome = document.getElementById('bowlInspectCallOutcome').value || null;
+  if (!callType) {
+    if (bowl.call) bowl.call = null;
+  } else if (!bowl.call || bowl.call.type !== callType || (bowl.call.outcome || null) !== callOutcome) {
+    const players = getLineup(game, team, end);
+    const call = bowl.call || { target: 'jack', calledBy: players[getCallerIndex(players, bowl.playerIndex)] || null };
+    bowl.call = { ...call, type: callType, outcome: callOutcome };
+  }
+
+  const shotType = document.getElementById('bowlInspectShotType').value;
+  const quality = document.getElementById('bowlInspectQuality').value;
+  if (getBowlScoringRole(game, bowl) === 'back') {
+    bowl.scoreCategory = shotType;
+    bowl.scoreDetail = quality;
+  } else if (bowl.shotType || shotType) {
+    bowl.shotType = shotType || null;
+    bowl.quality = quality || null;
+  }
+
+  const score = document.getElementById('bowlInspectScore').value;
+  recomputeBowl(game, bowl, score === 'auto' ? null : parseInt(score));
+  refreshGameTotals(game, game.bowls, [...new Set([oldEnd, end])]);
+
+  if (live) {
+    persistCurrentGame();
+    drawGreen();
+    updateDisplay();
+  } else {
+    const gameId = game.id;
+    const bowls = game.bowls.map(b => ({ ...b, gameId }));
+    const record = { ...game };
+    delete record.bowls;
+    try {
+      await saveGame(record, { deferAggregates: true });
+      await syncGameBowls(gameId, bowls);
+    } catch (err) {
+      console.error('[Inspector] Save error:', err);
+      alert('Could not save the bowl: ' + err.message);
+      return;
+    }
+    const index = allGames.findIndex(g => (g.gameId || g.id) === gameId);
+    if (index !== -1) allGames[index] = { ...record, bowls };
+  }
+
+  console.log(`[Inspector] Saved bowl ${bowl.id} (end ${oldEnd}${oldEnd !== end ? ` -> ${end}` : ''})`);
+  closeBowlInspector();
+  if (fromDrillDown) showGameDrillDown(game.id || game.gameId);
+}
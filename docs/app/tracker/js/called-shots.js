@@ -0,0 +1,71 @@
+// called-shots.js — What the skip asked for, and how it turned out
+//
+// A tracked bowl can carry the shot that was called for it (bowl.call): its
+// type, its target - the jack, another bowl (targetBowlId) or a spot on the
+// rink (targetPoint) - and who called it. The caller is the team's skip, or
+// for the skip's own bowls the player next in the order, who holds the head.
+// The outcome (made, partly, missed) is the scorer's; for a draw to the jack
+// or to a spot it is inferred from how close the bowl finished.
+//
+// Execution alone can't tell a poor call from a poor delivery, so the head is
+// counted from the calling team's side when the bowl is delivered
+// (call.headBefore) and again once the bowls it moved have been placed, when
+// the next bowl is delivered or the end is completed (call.headAfter). A call
+// that was made but left the head no better points at the call.
+
+const CALL_TYPES = { draw: 'Draw', trail: 'Trail', wrest: 'Wrest', drive: 'Drive', block: 'Block' };
+const CALL_TARGETS = { jack: 'Jack', bowl: 'Bowl', position: 'Position' };
+const CALL_OUTCOMES = { made: 'Made', partial: 'Partly', missed: 'Missed' };
+
+// How close a draw must finish to its target to be made, or partly made
+const CALL_MADE_M = 0.3;
+const CALL_PARTIAL_M = 1;
+
+// Index in the team's players of whoever calls for the player at `playerIndex`
+function getCallerIndex(players, playerIndex) {
+  const skipIndex = players.length - 1;
+  return playerIndex === skipIndex ? Math.max(0, skipIndex - 1) : skipIndex;
+}
+
+// Shots the head is worth to `team`: positive when holding, negative when down
+function getHeadFor(game, bowls, team) {
+  const shots = countShots(bowls, game.jackPosition, game);
+  return team === 'opponent' ? shots.opponent - shots.yours : shots.yours - shots.opponent;
+}
+
+// Where the bowl's call was aimed, as a point, or null when the target isn't on the rink
+function getCallTargetPoint(game, bowls, bowl) {
+  const call = bowl.call;
+  if (call.target === 'position') return call.targetPoint || null;
+  if (call.target === 'bowl') {
+    const target = bowls.find(b => b.id === call.targetBowlId);
+    return target && target.x != null ? target : null;
+  }
+  return getEndJack(game, bowl.end) || null;
+}
+
+// The scorer's outcome, otherwise one inferred for draws; null when unknown
+function getCallOutcome(game, bowls, bowl) {
+  const call = bowl.call;
+  if (!call) return null;
+  if (CALL_OUTCOMES[call.outcome]) return call.outcome;
+  if (call.type !== 'draw' || call.target === 'bowl' || !hasRinkPosition(game, bowl)) return null;
+  const target = getCallTargetPoint(game, bowls, bowl);
+  if (!target) return null;
+  const distance = distanceBetween(bowl, target);
+  return distance <= CALL_MADE_M ? 'made' : distance <= CALL_PARTIAL_M ? 'partial' : 'missed';
+}
+
+// Change in the head the bowl brought its team, or null until it is known
+function getCallHeadChange(bowl) {
+  const call = bowl.call;
+  if (!call || call.headBefore == null || call.headAfter == null) return null;
+  return call.headAfter - call.headBefore;
+}
+
+// "Draw to the jack", "Trail to a bowl", "Block to a position"
+function describeCall(call) {
+  if (!call || !CALL_TYPES[call.type]) return '';
+  const target = CALL_TARGETS[call.target] || CALL_TARGETS.jack;
+  return `${CALL_TYPES[call.type]} to ${call.target === 'jack' || !call.target ? 'the' : 'a'} ${target.toLowerCase()}`;
+}
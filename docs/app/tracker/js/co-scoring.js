@@ -0,0 +1,501 @@
+// co-scoring.js — Several devices scoring one game together
+//
+// Two selectors can split a rink - one tracking leads and seconds, the other
+// thirds and skips - by sharing the game (game.coScored). Each device claims
+// the positions and/or team it is scoring; a player covered by an earlier
+// claim on another device can't be recorded here. The claims live in the
+// cloud's game_scorers table, one row per device, so devices never write over
+// each other's.
+//
+// Nothing is last-writer-wins. Every shared game field a device changes is
+// stamped [end, time, device] in game.fieldStamps, per end for the per-end
+// fields (end scores, notes, conditions), and every bowl it adds or edits
+// carries the same in editedAt and editedBy. A bowl it removes leaves a stamp
+// under 'removed:<bowl id>' in game.fieldStamps, so a copy of the bowl that
+// was last edited before the removal can't bring it back. Merging two copies
+// keeps, field by field and bowl by bowl, the one with the later stamp: a
+// change made at a later end wins, then the later change, then the higher
+// device id. The end
+// reached is the furthest either device has got to, dead ends are combined,
+// and two notes for the same end are joined rather than one lost. Any device
+// merging the same copies gets the same game, and one that receives an older
+// copy than it holds writes its own back, so all of them settle on it.
+//
+// supabase.js merges a co-scored game with the cloud row instead of upserting
+// over it, and passes the realtime changes to the game, its bowls and its
+// scorers to the handlers here, which bring the game on screen (or parked on
+// another rink) up to date and redraw it.
+
+const CO_SCORING_DEVICE_FIELDS = ['currentPlayerIndex', 'currentTeam', 'currentHand']; // each device's own
+const CO_SCORING_PER_END_FIELDS = ['endScores', 'endScoresManual', 'endNotes', 'endConditions'];
+const CO_SCORING_SKIP_FIELDS = ['id', 'gameId', 'bowls', 'fieldStamps', ...CO_SCORING_DEVICE_FIELDS];
+
+let coScoringDeviceId = null;
+let coScorers = {}; // gameId -> [{ deviceId, label, teams, positions, claimedAt }]
+
+async function initCoScoring() {
+  coScoringDeviceId = await getSetting('deviceId');
+  if (!coScoringDeviceId) {
+    coScoringDeviceId = generateId();
+    await saveSetting('deviceId', coScoringDeviceId);
+  }
+  // This device's own claims, for games scored offline since
+  const claims = (await getSetting('coScoringClaims')) || {};
+  Object.entries(claims).forEach(([gameId, claim]) => { coScorers[gameId] = [claim]; });
+}
+
+// ===== MERGING =====
+
+// Later stamp first: by end, then time, then device; a missing stamp is oldest
+function compareStamps(a, b) {
+  if (!a || !b) return a ? 1 : b ? -1 : 0;
+  if (a[0] !== b[0]) return a[0] - b[0];
+  if (a[1] !== b[1]) return a[1] < b[1] ? -1 : 1;
+  return a[2] === b[2] ? 0 : a[2] < b[2] ? -1 : 1;
+}
+
+function mergeStamps(a, b) {
+  const stamps = { ...(a || {}) };
+  Object.entries(b || {}).forEach(([key, stamp]) => {
+    if (compareStamps(stamp, stamps[key]) > 0) stamps[key] = stamp;
+  });
+  return stamps;
+}
+
+// A per-end field as { end: value }
+function toEndMap(field, value) {
+  if (field !== 'endScores') return { ...(value || {}) };
+  return Object.fromEntries((value || []).map((entry, i) => [entry.end || i + 1, entry]));
+}
+
+function fromEndMap(field, map) {
+  if (field !== 'endScores') return map;
+  return Object.keys(map).map(Number).sort((a, b) => a - b).map(end => map[end]);
+}
+
+function getSharedFields(...games) {
+  return [...new Set(games.flatMap(game => Object.keys(game)))]
+    .filter(field => !CO_SCORING_SKIP_FIELDS.includes(field));
+}
+
+// Two end notes: the later one, with any lines of the other it doesn't already have
+function joinEndNotes(winner, loser) {
+  const lines = (winner || '').split('\n');
+  const extra = (loser || '').split('\n').filter(line => line.trim() && !lines.includes(line));
+  return [winner || '', ...extra].filter(Boolean).join('\n');
+}
+
+// Merge another device's copy of a co-scored game (`remote`, from the cloud)
+// into this device's (`local`); returns the merged game without bowls. Fields
+// neither device has stamped keep the cloud's value, where it has one.
+function mergeCoScoredGame(local, remote) {
+  const merged = { ...local };
+  const localStamps = local.fieldStamps || {};
+  const remoteStamps = remote.fieldStamps || {};
+
+  getSharedFields(remote).forEach(field => {
+    if (CO_SCORING_PER_END_FIELDS.includes(field)) {
+      const mine = toEndMap(field, local[field]);
+      const theirs = toEndMap(field, remote[field]);
+      const map = {};
+      [...new Set([...Object.keys(mine), ...Object.keys(theirs)])].forEach(end => {
+        const key = `${field}:${end}`;
+        const order = compareStamps(localStamps[key], remoteStamps[key]);
+        const localWins = order > 0 || (order === 0 && theirs[end] === undefined);
+        const [winner, loser] = localWins ? [mine[end], theirs[end]] : [theirs[end], mine[end]];
+        const value = field === 'endNotes' ? joinEndNotes(winner, loser) : winner;
+        if (value !== undefined && value !== '') map[end] = value;
+      });
+      merged[field] = fromEndMap(field, map);
+    } else {
+      const order = compareStamps(localStamps[field], remoteStamps[field]);
+      merged[field] = order > 0 || (order === 0 && remote[field] == null) ? local[field] : remote[field];
+    }
+  });
+
+  merged.currentEnd = Math.max(local.currentEnd || 1, remote.currentEnd || 1);
+  merged.deadEnds = mergeDeadEnds(local.deadEnds, remote.deadEnds);
+  merged.completed = !!(local.completed || remote.completed);
+  merged.coScored = !!(local.coScored || remote.coScored);
+  merged.fieldStamps = mergeStamps(localStamps, remoteStamps);
+  delete merged.bowls;
+  return merged;
+}
+
+// Both devices' dead ends ({end, bowls, at}), each once: the same dead end
+// from either device has the same end and time
+function mergeDeadEnds(mine, theirs) {
+  const byKey = new Map();
+  [...(mine || []), ...(theirs || [])].forEach(entry => {
+    const key = `${entry.end}|${entry.at || ''}`;
+    if (!byKey.has(key)) byKey.set(key, entry);
+  });
+  return [...byKey.values()].sort((a, b) => (a.end - b.end) || (a.at || '').localeCompare(b.at || ''));
+}
+
+// True when the two copies differ in any of `fields` (by default all the devices share)
+function coScoredGamesDiffer(a, b, fields = getSharedFields(a, b)) {
+  return fields.some(field => stableStringify(a[field] ?? null) !== stableStringify(b[field] ?? null)) ||
+    stableStringify(a.fieldStamps || {}) !== stableStringify(b.fieldStamps || {});
+}
+
+function getBowlStamp(bowl) {
+  return bowl.editedAt ? [bowl.end || 1, bowl.editedAt, bowl.editedBy || ''] : null;
+}
+
+function compareBowlVersions(a, b) {
+  return compareStamps(getBowlStamp(a), getBowlStamp(b));
+}
+
+// True when `game` records the bowl's removal after its latest edit
+function isBowlRemoved(game, bowl) {
+  const removed = (game.fieldStamps || {})[`removed:${bowl.id}`];
+  return !!removed && compareStamps(removed, getBowlStamp(bowl)) > 0;
+}
+
+function withoutEditStamp(bowl) {
+  const { editedAt, editedBy, ...rest } = bowl;
+  return rest;
+}
+
+// Stamp what this device changed between `previous` and `game` (both copies of
+// the live game). Returns the ids of the bowls it added or edited and removed.
+function stampCoScoredChanges(previous, game) {
+  const stamp = [game.currentEnd || 1, new Date().toISOString(), coScoringDeviceId];
+  const stamps = mergeStamps(previous.fieldStamps, game.fieldStamps);
+
+  getSharedFields(previous, game).forEach(field => {
+    if (CO_SCORING_PER_END_FIELDS.includes(field)) {
+      const before = toEndMap(field, previous[field]);
+      const after = toEndMap(field, game[field]);
+      [...new Set([...Object.keys(before), ...Object.keys(after)])].forEach(end => {
+        if (stableStringify(before[end] ?? null) !== stableStringify(after[end] ?? null)) stamps[`${field}:${end}`] = stamp;
+      });
+    } else if (stableStringify(previous[field] ?? null) !== stableStringify(game[field] ?? null)) {
+      stamps[field] = stamp;
+    }
+  });
+  game.fieldStamps = stamps;
+
+  const before = new Map((previous.bowls || []).map(b => [b.id, b]));
+  const changedBowlIds = new Set();
+  game.bowls.forEach(bowl => {
+    const old = before.get(bowl.id);
+    if (old && stableStringify(withoutEditStamp(old)) === stableStringify(withoutEditStamp(bowl))) return;
+    if (!bowl.scoredBy) bowl.scoredBy = coScoringDeviceId;
+    bowl.editedAt = stamp[1];
+    bowl.editedBy = coScoringDeviceId;
+    changedBowlIds.add(bowl.id);
+  });
+  const ids = new Set(game.bowls.map(b => b.id));
+  const removedBowlIds = [...before.keys()].filter(id => !ids.has(id));
+  // Stamped at the bowl's own end, to compare with its edit stamps
+  removedBowlIds.forEach(id => { game.fieldStamps[`removed:${id}`] = [before.get(id).end || 1, stamp[1], coScoringDeviceId]; });
+  return { changedBowlIds, removedBowlIds };
+}
+
+// ===== CLAIMS =====
+
+function claimCovers(claim, team, playerIndex) {
+  const teams = claim.teams || [];
+  const positions = claim.positions || [];
+  if (teams.length === 0 && positions.length === 0) return false;
+  return (teams.length === 0 || teams.includes(team)) && (positions.length === 0 || positions.includes(playerIndex));
+}
+
+// The device scoring `team`'s player at `playerIndex`: the earliest claim covering it
+function getScorerFor(gameId, team, playerIndex) {
+  return (coScorers[gameId] || [])
+    .filter(claim => claimCovers(claim, team, playerIndex))
+    .sort((a, b) => (a.claimedAt === b.claimedAt ? (a.deviceId < b.deviceId ? -1 : 1) : a.claimedAt < b.claimedAt ? -1 : 1))[0] || null;
+}
+
+// Another device's claim on the player, or null when this device may record them
+function getOtherScorerFor(game, team, playerIndex) {
+  if (!game.coScored) return null;
+  const scorer = getScorerFor(game.gameId || game.id, team, playerIndex);
+  return scorer && scorer.deviceId !== coScoringDeviceId ? scorer : null;
+}
+
+function getOwnClaim(gameId) {
+  return (coScorers[gameId] || []).find(claim => claim.deviceId === coScoringDeviceId) || null;
+}
+
+// "Lead, Second (both teams)", "Opponent team", "Nothing claimed"
+function describeClaim(claim, game) {
+  const positions = getPositionsForFormat(game.format);
+  const teamLabels = game.gameType === 'trial' ? { yours: 'Home', opponent: 'Away' } : { yours: 'Yours', opponent: 'Opponent' };
+  const names = (claim.positions || []).map(i => positions[i] || `Player ${i + 1}`);
+  const teams = claim.teams || [];
+  const teamText = teams.length === 1 ? `${teamLabels[teams[0]]} team` : 'both teams';
+  if (names.length === 0) return teams.length > 0 ? teamText.charAt(0).toUpperCase() + teamText.slice(1) : 'Nothing claimed';
+  return `${names.join(', ')} (${teamText})`;
+}
+
+async function saveOwnClaim(gameId, teams, positions) {
+  const previous = getOwnClaim(gameId);
+  const unchanged = previous && stableStringify(previous.teams) === stableStringify(teams) &&
+    stableStringify(previous.positions) === stableStringify(positions);
+  const claim = {
+    gameId,
+    deviceId: coScoringDeviceId,
+    label: getCurrentUserLabel(),
+    teams,
+    positions,
+    // A changed claim queues behind the claims already made
+    claimedAt: unchanged ? previous.claimedAt : new Date().toISOString()
+  };
+  coScorers[gameId] = [...(coScorers[gameId] || []).filter(c => c.deviceId !== coScoringDeviceId), claim];
+
+  const claims = (await getSetting('coScoringClaims')) || {};
+  claims[gameId] = claim;
+  await saveSetting('coScoringClaims', claims);
+  syncScorerClaim(claim);
+  return claim;
+}
+
+async function dropOwnClaim(gameId) {
+  coScorers[gameId] = (coScorers[gameId] || []).filter(c => c.deviceId !== coScoringDeviceId);
+  const claims = (await getSetting('coScoringClaims')) || {};
+  delete claims[gameId];
+  await saveSetting('coScoringClaims', claims);
+  syncDeleteScorerClaim(gameId, coScoringDeviceId);
+}
+
+// ===== LIVE UPDATES =====
+
+// Every in-memory copy of the game: on screen, parked on another rink, in the games list
+function getLiveGameCopies(gameId) {
+  const copies = [];
+  if ((gameState.gameId || gameState.id) === gameId) copies.push({ game: gameState, onScreen: true, step: pendingHistoryStep });
+  rinkSessions.forEach(session => {
+    const state = session.state;
+    if (session.gameId === gameId && state && state.gameState) copies.push({ game: state.gameState, step: state.pendingHistoryStep });
+  });
+  const listed = allGames.find(g => (g.gameId || g.id) === gameId);
+  if (listed) copies.push({ game: listed });
+  return copies;
+}
+
+// Apply a change from another device to every copy, and to the snapshot of an
+// open undo step so the change isn't taken for part of this device's action
+function applyToLiveCopies(gameId, change) {
+  const copies = getLiveGameCopies(gameId);
+  copies.forEach(copy => {
+    change(copy.game);
+    if (copy.step) change(copy.step.before);
+  });
+  if (copies.some(copy => copy.onScreen)) refreshCoScoredScreen();
+}
+
+function refreshCoScoredScreen() {
+  if (!document.getElementById('gameScreen').classList.contains('active')) return;
+  createPlayerButtons();
+  updateJackButtonStates();
+  updateDisplay();
+  drawGreen();
+}
+
+// The cloud row of a co-scored game changed (realtime, or read before this
+// device's write). Returns the merged game, or null if it isn't on this device.
+async function receiveCoScoredGame(remote) {
+  const gameId = remote.id;
+  const copies = getLiveGameCopies(gameId);
+  const local = copies.length > 0 ? copies[0].game : await getGame(gameId);
+  if (!local) return null;
+  const merged = mergeCoScoredGame(local, remote);
+  // Bowls another device removed, in case their deletes haven't arrived
+  const localStamps = local.fieldStamps || {};
+  const removedIds = Object.keys(merged.fieldStamps)
+    .filter(key => key.startsWith('removed:') && !localStamps[key])
+    .map(key => key.slice('removed:'.length));
+
+  if (coScoredGamesDiffer(merged, local)) {
+    console.log('[CoScoring] Merged changes from another device into', gameId);
+    const shared = getSharedFields(merged).concat('fieldStamps');
+    applyToLiveCopies(gameId, game => shared.forEach(field => { game[field] = cloneValue(merged[field]); }));
+    const stored = (await getGame(gameId)) || {};
+    await saveGameLocally({ ...stored, ...merged, id: gameId });
+  }
+
+  for (const bowlId of removedIds) {
+    const bowl = await getBowl(bowlId);
+    if (bowl && isBowlRemoved(merged, bowl)) await receiveCoScoredBowlRemoved(bowlId);
+  }
+  return merged;
+}
+
+// A bowl was added or edited on another device (or this one's write came back)
+async function receiveCoScoredBowl(bowl) {
+  const copies = getLiveGameCopies(bowl.gameId);
+  const game = copies.length > 0 ? copies[0].game : await getGame(bowl.gameId);
+  if (game && isBowlRemoved(game, bowl)) {
+    // A late write of a bowl removed since: take it out of the cloud again
+    syncDeleteDeliveries([bowl.id]);
+    return;
+  }
+
+  const stored = await getBowl(bowl.id);
+  if (stored && compareBowlVersions(stored, bowl) > 0) {
+    // This device holds a later version: put it back in the cloud
+    syncDeliveriesToSupabase([stored], stored.gameId);
+    return;
+  }
+  if (stored && compareBowlVersions(stored, bowl) === 0) return;
+
+  await saveBowlsLocally([bowl]);
+  applyToLiveCopies(bowl.gameId, game => {
+    game.bowls = game.bowls || [];
+    const index = game.bowls.findIndex(b => b.id === bowl.id);
+    if (index !== -1) game.bowls[index] = cloneValue(bowl);
+    else game.bowls.push(cloneValue(bowl));
+  });
+}
+
+// A bowl was removed on another device (undone, or its end replayed). Deletes
+// arrive for every game, so only a bowl of a co-scored game is removed here.
+async function receiveCoScoredBowlRemoved(bowlId) {
+  const stored = await getBowl(bowlId);
+  if (!stored) return;
+  const copies = getLiveGameCopies(stored.gameId);
+  const game = copies.length > 0 ? copies[0].game : await getGame(stored.gameId);
+  if (!game || !game.coScored) return;
+  await deleteBowl(bowlId);
+  applyToLiveCopies(stored.gameId, game => { game.bowls = (game.bowls || []).filter(b => b.id !== bowlId); });
+}
+
+function receiveScorerClaim(claim, removed) {
+  const others = (coScorers[claim.gameId] || []).filter(c => c.deviceId !== claim.deviceId);
+  coScorers[claim.gameId] = removed ? others : [...others, claim];
+  if ((gameState.gameId || gameState.id) === claim.gameId) {
+    updateCoScoringSummary();
+    refreshCoScoredScreen();
+  }
+}
+
+// From the games manager: pull games shared since the app started, and bring
+// the games open here up to date with what the pull merged in
+async function refreshSharedGames() {
+  if (!isAuthenticated()) {
+    alert('Sign in to see games shared from other devices.');
+    return;
+  }
+  await pullDataFromSupabase();
+  const open = [gameState, ...rinkSessions.map(s => s.state && s.state.gameState)].filter(g => g && g.coScored);
+  for (const game of open) {
+    const gameId = game.gameId || game.id;
+    const stored = await getGame(gameId);
+    if (stored) await receiveCoScoredGame(stored);
+    const bowls = await getBowlsByGame(gameId);
+    applyToLiveCopies(gameId, copy => { copy.bowls = bowls.map(b => ({ ...b })); });
+  }
+  await reloadGamesFromDB();
+  await refreshCoScoringSubscriptions();
+  showGamesManager();
+}
+
+// Follow every open co-scored game (called after the games list is loaded or changes)
+async function refreshCoScoringSubscriptions() {
+  if (typeof subscribeToCoScoredGame !== 'function' || !isAuthenticated()) return;
+  const gameIds = allGames.filter(g => g.coScored && !g.completed).map(g => g.gameId || g.id);
+  unsubscribeCoScoredGames(gameIds);
+  for (const gameId of gameIds) {
+    if (!subscribeToCoScoredGame(gameId)) continue;
+    try {
+      const claims = await fetchGameScorers(gameId);
+      // Keep this device's own claim as it is here; the cloud may not have it yet
+      const own = getOwnClaim(gameId);
+      coScorers[gameId] = [...claims.filter(c => c.deviceId !== coScoringDeviceId), ...(own ? [own] : [])];
+    } catch (err) {
+      console.warn('[CoScoring] Scorers not loaded:', err.message);
+    }
+  }
+}
+
+// ===== GAME SCREEN =====
+
+function updateCoScoringSummary() {
+  const el = document.getElementById('coScoringSummary');
+  if (!el) return;
+  if (!gameState.coScored) {
+    el.textContent = 'Only this device';
+    return;
+  }
+  const gameId = gameState.gameId || gameState.id;
+  const own = getOwnClaim(gameId);
+  const others = (coScorers[gameId] || []).filter(c => c.deviceId !== coScoringDeviceId);
+  el.textContent = `You: ${own ? describeClaim(own, gameState) : 'Nothing claimed'}` +
+    (others.length > 0 ? ` | ${others.map(c => `${c.label}: ${describeClaim(c, gameState)}`).join(' | ')}` : ' | No other devices yet');
+}
+
+function showCoScoringModal() {
+  const body = document.getElementById('coScoringBody');
+  const gameId = gameState.gameId || gameState.id;
+
+  if (!gameState.coScored) {
+    body.innerHTML = isAuthenticated()
+      ? `<p class="co-scoring-intro">Share this game so selectors on other devices signed in to your club can score it with you, each taking some of the players. Bowls recorded on any device appear on all of them.</p>
+         <div class="action-buttons"><button onclick="shareGameForCoScoring()">Share Game</button></div>`
+      : '<p class="co-scoring-intro">Sign in to share this game with other devices.</p>';
+  } else {
+    const positions = getPositionsForFormat(gameState.format);
+    const own = getOwnClaim(gameId) || { teams: [], positions: [] };
+    const trial = gameState.gameType === 'trial';
+    const teamBoxes = [['yours', trial ? 'Home' : 'Yours'], ['opponent', trial ? 'Away' : 'Opponent']].map(([team, label]) =>
+      `<label><input type="checkbox" name="coScoringTeam" value="${team}"${own.teams.includes(team) ? ' checked' : ''}> ${label}</label>`).join('');
+    const positionBoxes = positions.slice(0, gameState.playersPerTeam || positions.length).map((name, i) => {
+      const scorer = getScorerFor(gameId, null, i);
+      const taken = scorer && scorer.deviceId !== coScoringDeviceId && (scorer.teams || []).length === 0;
+      return `<label${taken ? ` title="Scored on ${scorer.label}"` : ''}><input type="checkbox" name="coScoringPosition" value="${i}"${own.positions.includes(i) ? ' checked' : ''}${taken ? ' disabled' : ''}> ${name}</label>`;
+    }).join('');
+    const others = (coScorers[gameId] || []).filter(c => c.deviceId !== coScoringDeviceId);
+    body.innerHTML = `
+      <p class="co-scoring-intro">Choose who this device scores: positions for both teams, a team, or positions in one team. A player claimed first on another device stays with it.</p>
+      <h3>Teams</h3>
+      <div class="co-scoring-claims">${teamBoxes}</div>
+      <h3>Positions</h3>
+      <div class="co-scoring-claims">${positionBoxes}</div>
+      <h3>Other devices</h3>
+      <div class="co-scoring-devices">${others.length > 0
+        ? others.map(c => `<div>${c.label}: ${describeClaim(c, gameState)}</div>`).join('')
+        : '<div>None yet - open this game on another device signed in to your club.</div>'}</div>
+      <div class="action-buttons">
+        <button onclick="saveCoScoringClaim()">Save</button>
+        <button class="btn-secondary" onclick="leaveCoScoring()">Stop Scoring Here</button>
+      </div>
+    `;
+  }
+  document.getElementById('coScoringModal').classList.add('active');
+}
+
+function closeCoScoringModal() {
+  document.getElementById('coScoringModal').classList.remove('active');
+}
+
+async function shareGameForCoScoring() {
+  gameState.coScored = true;
+  // Everything so far is this device's, stamped so it holds against the cloud's empty copy
+  stampCoScoredChanges({ bowls: [] }, gameState);
+  await persistCurrentGame();
+  await refreshCoScoringSubscriptions();
+  console.log('[CoScoring] Shared game', gameState.gameId || gameState.id);
+  updateCoScoringSummary();
+  showCoScoringModal();
+}
+
+async function saveCoScoringClaim() {
+  const checked = name => [...document.querySelectorAll(`#coScoringBody input[name="${name}"]:checked`)].map(box => box.value);
+  const teams = checked('coScoringTeam');
+  const positions = checked('coScoringPosition').map(Number);
+  await saveOwnClaim(gameState.gameId || gameState.id, teams, positions);
+  closeCoScoringModal();
+  updateCoScoringSummary();
+  createPlayerButtons();
+}
+
+async function leaveCoScoring() {
+  await dropOwnClaim(gameState.gameId || gameState.id);
+  closeCoScoringModal();
+  updateCoScoringSummary();
+  createPlayerButtons();
+}
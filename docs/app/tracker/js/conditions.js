@@ -0,0 +1,150 @@
+// conditions.js — Green conditions: the speed, surface, wind and weather a game was played in
+//
+// The conditions are set up with the game (game.conditions) and can change
+// from any end on (game.endConditions[end] holds only what changed at that
+// end), so an end's conditions are the game's with every change up to it laid
+// on top. Green speed is the time in seconds a bowl takes from delivery to
+// coming to rest: the higher, the faster the green. The wind is recorded by
+// the compass point it blows from, and the direction of play is the one the
+// first end was played towards; play turns round every end, a replayed dead
+// end keeping its number, so each end's direction follows from the first.
+
+const SURFACES = { grass: 'Grass', synthetic: 'Synthetic', carpet: 'Indoor carpet' };
+const WIND_STRENGTHS = { calm: 'Calm', light: 'Light', moderate: 'Moderate', strong: 'Strong' };
+const WEATHER_TYPES = { sunny: 'Sunny', overcast: 'Overcast', showers: 'Showers', rain: 'Rain', indoor: 'Indoor' };
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Bands for breaking results down by green speed, in seconds
+const GREEN_SPEED_BANDS = {
+  slow: { label: 'Slow (under 13s)', below: 13 },
+  medium: { label: 'Medium (13-16s)', below: 16 },
+  fast: { label: 'Fast (16s+)', below: Infinity }
+};
+
+// The wind against the direction of play
+const WIND_TO_PLAY = { head: 'Into the wind', across: 'Cross wind', tail: 'Wind behind' };
+
+const CONDITION_FIELDS = ['greenSpeed', 'surface', 'windStrength', 'windDirection', 'weather', 'rinkNumber', 'playDirection'];
+
+// What results can be filtered and broken down by, from getConditionKeys()
+const CONDITION_DIMENSIONS = {
+  greenSpeed: { label: 'Green speed', values: Object.fromEntries(Object.entries(GREEN_SPEED_BANDS).map(([key, band]) => [key, band.label])) },
+  surface: { label: 'Surface', values: SURFACES },
+  windStrength: { label: 'Wind', values: WIND_STRENGTHS },
+  windToPlay: { label: 'Wind to play', values: WIND_TO_PLAY },
+  weather: { label: 'Weather', values: WEATHER_TYPES },
+  rinkNumber: { label: 'Rink', values: null }
+};
+
+// A conditions object with only the recorded fields, unknown values dropped
+function cleanConditions(conditions) {
+  const clean = {};
+  const c = conditions || {};
+  if (c.greenSpeed > 0) clean.greenSpeed = Math.round(c.greenSpeed * 10) / 10;
+  if (SURFACES[c.surface]) clean.surface = c.surface;
+  if (WIND_STRENGTHS[c.windStrength]) clean.windStrength = c.windStrength;
+  if (COMPASS_POINTS.includes(c.windDirection)) clean.windDirection = c.windDirection;
+  if (WEATHER_TYPES[c.weather]) clean.weather = c.weather;
+  if (c.rinkNumber > 0) clean.rinkNumber = Math.round(c.rinkNumber);
+  if (COMPASS_POINTS.includes(c.playDirection)) clean.playDirection = c.playDirection;
+  return clean;
+}
+
+function oppositePoint(point) {
+  return COMPASS_POINTS[(COMPASS_POINTS.indexOf(point) + 4) % COMPASS_POINTS.length];
+}
+
+// The conditions in force for `endNum`, with playDirection turned for that end
+function getEndConditions(game, endNum) {
+  const conditions = cleanConditions(game.conditions);
+  let directionEnd = 1;
+  const changes = game.endConditions || {};
+  Object.keys(changes).map(Number).filter(end => end <= endNum).sort((a, b) => a - b).forEach(end => {
+    // A field set to null was cleared at that end
+    CONDITION_FIELDS.forEach(field => { if (changes[end][field] === null) delete conditions[field]; });
+    const change = cleanConditions(changes[end]);
+    Object.assign(conditions, change);
+    if (change.playDirection) directionEnd = end;
+  });
+  if (conditions.playDirection && (endNum - directionEnd) % 2 !== 0) {
+    conditions.playDirection = oppositePoint(conditions.playDirection);
+  }
+  return conditions;
+}
+
+// Record `conditions` as the ones in force from `endNum` on, keeping only what
+// differs from the end before; end 1 sets the game's own conditions
+function setEndConditions(game, endNum, conditions) {
+  const clean = cleanConditions(conditions);
+  if (endNum <= 1) {
+    game.conditions = clean;
+    return;
+  }
+  const previous = getEndConditions(game, endNum - 1);
+  if (previous.playDirection) previous.playDirection = oppositePoint(previous.playDirection);
+  const change = {};
+  CONDITION_FIELDS.forEach(field => {
+    if (clean[field] !== previous[field]) change[field] = clean[field] ?? null;
+  });
+  game.endConditions = { ...(game.endConditions || {}) };
+  if (Object.keys(change).length > 0) game.endConditions[endNum] = change;
+  else delete game.endConditions[endNum];
+}
+
+function getGreenSpeedBand(seconds) {
+  if (!(seconds > 0)) return null;
+  return Object.keys(GREEN_SPEED_BANDS).find(key => seconds < GREEN_SPEED_BANDS[key].below);
+}
+
+// 'head', 'across' or 'tail' for a wind blowing from `windDirection` while playing towards `playDirection`
+function getWindToPlay(conditions) {
+  if (!conditions.windDirection || !conditions.playDirection || conditions.windStrength === 'calm') return null;
+  const steps = Math.abs(COMPASS_POINTS.indexOf(conditions.windDirection) - COMPASS_POINTS.indexOf(conditions.playDirection));
+  const apart = Math.min(steps, COMPASS_POINTS.length - steps);
+  return apart <= 1 ? 'head' : apart >= 3 ? 'tail' : 'across';
+}
+
+// One value per CONDITION_DIMENSIONS entry (null when not recorded), for filters and breakdowns
+function getConditionKeys(conditions) {
+  return {
+    greenSpeed: getGreenSpeedBand(conditions.greenSpeed),
+    surface: conditions.surface || null,
+    windStrength: conditions.windStrength || null,
+    windToPlay: getWindToPlay(conditions),
+    weather: conditions.weather || null,
+    rinkNumber: conditions.rinkNumber ? String(conditions.rinkNumber) : null
+  };
+}
+
+// True when every filter set in `filters` (dimension -> value) matches `keys`
+function matchesConditionFilters(keys, filters) {
+  return Object.entries(filters || {}).every(([dimension, value]) => !value || keys[dimension] === value);
+}
+
+function hasConditionFilters(filters) {
+  return Object.values(filters || {}).some(Boolean);
+}
+
+// Ends the game has reached, each with its conditions' keys
+function getGameEndConditionKeys(game) {
+  const lastEnd = Math.max(game.currentEnd || 1, ...(game.endScores || []).map(es => es.end || 0));
+  return Array.from({ length: lastEnd }, (_, i) => getConditionKeys(getEndConditions(game, i + 1)));
+}
+
+// "14s, grass, moderate wind from SW, overcast, rink 3 playing N"; '' when nothing is recorded
+function describeConditions(conditions) {
+  const parts = [];
+  if (conditions.greenSpeed) parts.push(`${conditions.greenSpeed}s`);
+  if (conditions.surface) parts.push(SURFACES[conditions.surface]);
+  if (conditions.windStrength === 'calm') parts.push('calm');
+  else if (conditions.windStrength || conditions.windDirection) {
+    const strength = conditions.windStrength ? `${WIND_STRENGTHS[conditions.windStrength]} wind` : 'Wind';
+    parts.push(conditions.windDirection ? `${strength} from ${conditions.windDirection}` : strength);
+  }
+  if (conditions.weather) parts.push(WEATHER_TYPES[conditions.weather]);
+  if (conditions.rinkNumber || conditions.playDirection) {
+    const rink = conditions.rinkNumber ? `Rink ${conditions.rinkNumber}` : 'Playing';
+    parts.push(conditions.playDirection ? `${rink}${conditions.rinkNumber ? ' playing' : ''} ${conditions.playDirection}` : rink);
+  }
+  return parts.map((part, i) => (i === 0 ? part : part.charAt(0).toLowerCase() + part.slice(1))).join(', ');
+}
@@ -1,11 +1,213 @@
 // IndexedDB Data Layer for Bowls Performance Tracker
-// Database: BowlsTrackerDB v1
+// Database: BowlsTrackerDB v12
 
 const DB_NAME = 'BowlsTrackerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 12;
 
 let dbInstance = null;
 
+// ===== CANONICAL RECORDS =====
+// Every record is written in one shape. Older builds stored the same value
+// under several names (end/endNumber, score/scoreValue, ...); these fold the
+// aliases into the canonical field and drop the rest.
+
+const BOWL_ALIASES = ['endNumber', 'player', 'playerName', 'score', 'distance', 'direction'];
+const GAME_ALIASES = ['gameId', 'players', 'endCount', 'notes', 'bowls'];
+
+// playerId is the tracked player's name, or 'opponent' for opposition bowls (a
+// named opposition player is in opponentName)
+function toCanonicalBowl(bowl) {
+  const record = { ...bowl };
+  record.end = bowl.end ?? bowl.endNumber ?? 1;
+  record.playerId = bowl.playerId || bowl.playerName || bowl.player || 'unknown';
+  record.scoreValue = bowl.scoreValue ?? bowl.score ?? null;
+  record.distanceInFeet = bowl.distanceInFeet ?? bowl.distance ?? 0;
+  record.resultCategory = bowl.resultCategory || bowl.direction || '';
+  BOWL_ALIASES.forEach(key => delete record[key]);
+  return record;
+}
+
+// completed is stored as 0/1 so it can be part of an index key
+function toCanonicalGame(game) {
+  const record = { ...game };
+  record.id = game.id || game.gameId;
+  record.yourPlayers = game.yourPlayers || game.players || [];
+  record.totalEnds = game.totalEnds || game.endCount || 21;
+  record.gameNotes = game.gameNotes ?? game.notes ?? '';
+  record.completed = game.completed ? 1 : 0;
+  GAME_ALIASES.forEach(key => delete record[key]);
+  return record;
+}
+
+function toCanonicalTournament(tournament) {
+  return {
+    ...tournament,
+    name: (tournament.name || '').trim(),
+    date: tournament.date || new Date().toISOString()
+  };
+}
+
+// Rewrite every record in a store with `canonicalize`, inside the upgrade transaction
+function rewriteStore(tx, storeName, canonicalize) {
+  const request = tx.objectStore(storeName).openCursor();
+  request.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (cursor) {
+      cursor.update(canonicalize(cursor.value));
+      cursor.continue();
+    }
+  };
+}
+
+// ===== SCHEMA MIGRATIONS =====
+// Ordered steps run by onupgradeneeded. Each step brings the database from
+// version - 1 to `version` and may only use the versionchange transaction.
+// Steps run one after another but their cursors run side by side, so a step
+// can't rely on another step's rewrites having finished; a rewrite that has to
+// read what every step wrote is flagged here and run once the upgrade has
+// committed (repairCanonicalRecords()).
+// To change the schema: bump DB_VERSION and append a step - never edit old ones.
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial stores',
+    migrate(db) {
+      const tournamentStore = db.createObjectStore('tournaments', { keyPath: 'id' });
+      tournamentStore.createIndex('name', 'name', { unique: false });
+      tournamentStore.createIndex('date', 'date', { unique: false });
+
+      const gameStore = db.createObjectStore('games', { keyPath: 'id' });
+      gameStore.createIndex('tournamentId', 'tournamentId', { unique: false });
+      gameStore.createIndex('date', 'date', { unique: false });
+      gameStore.createIndex('completed', 'completed', { unique: false });
+
+      const bowlStore = db.createObjectStore('bowls', { keyPath: 'id' });
+      bowlStore.createIndex('gameId', 'gameId', { unique: false });
+      bowlStore.createIndex('playerId', 'playerId', { unique: false });
+      bowlStore.createIndex('gameId_playerId', ['gameId', 'playerId'], { unique: false });
+
+      db.createObjectStore('settings', { keyPath: 'settingName' });
+    }
+  },
+  {
+    version: 2,
+    description: 'Canonical records and query indexes',
+    migrate(db, tx) {
+      rewriteStore(tx, 'tournaments', toCanonicalTournament);
+      rewriteStore(tx, 'games', toCanonicalGame);
+      rewriteStore(tx, 'bowls', toCanonicalBowl);
+
+      const gameStore = tx.objectStore('games');
+      gameStore.createIndex('completed_date', ['completed', 'date'], { unique: false });
+
+      const bowlStore = tx.objectStore('bowls');
+      bowlStore.createIndex('timestamp', 'timestamp', { unique: false });
+      bowlStore.createIndex('playerId_gameId', ['playerId', 'gameId'], { unique: false });
+    }
+  },
+  {
+    version: 3,
+    description: 'Player registry',
+    migrate(db) {
+      // Filled from existing bowls and games by reconcilePlayerRegistry()
+      const playerStore = db.createObjectStore('players', { keyPath: 'id' });
+      playerStore.createIndex('name', 'name', { unique: false });
+    }
+  },
+  {
+    version: 4,
+    description: 'Game indexes for filtered queries',
+    migrate(db, tx) {
+      const gameStore = tx.objectStore('games');
+      gameStore.createIndex('tournamentName_date', ['tournamentName', 'date'], { unique: false });
+      gameStore.createIndex('format_date', ['format', 'date'], { unique: false });
+    }
+  },
+  {
+    version: 5,
+    description: 'Aggregated statistics',
+    migrate(db) {
+      // Filled from existing bowls by ensureAggregates() (aggregates.js)
+      const aggregateStore = db.createObjectStore('aggregates', { keyPath: 'key' });
+      aggregateStore.createIndex('playerId', 'playerId', { unique: false });
+      aggregateStore.createIndex('gameId', 'gameId', { unique: false });
+    }
+  },
+  {
+    version: 6,
+    description: 'Recycle bin',
+    migrate(db) {
+      const binStore = db.createObjectStore('recycleBin', { keyPath: 'id' });
+      binStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+    }
+  },
+  {
+    version: 7,
+    description: 'Change log',
+    migrate(db) {
+      const logStore = db.createObjectStore('changeLog', { keyPath: 'id' });
+      logStore.createIndex('gameId_changedAt', ['gameId', 'changedAt'], { unique: false });
+      logStore.createIndex('synced', 'synced', { unique: false });
+    }
+  },
+  {
+    version: 8,
+    description: 'Rink coordinates',
+    migrate(db, tx) {
+      // Bowls are converted against their game, so the games go first
+      const originals = {};
+      tx.objectStore('games').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          originals[cursor.value.id] = cursor.value;
+          cursor.update(convertLegacyGame(cursor.value).game);
+          cursor.continue();
+          return;
+        }
+        rewriteStore(tx, 'bowls', bowl => convertLegacyGame(originals[bowl.gameId] || {}, [bowl]).bowls[0]);
+      };
+      rewriteStore(tx, 'recycleBin', entry => {
+        if (entry.kind !== 'game') return entry;
+        return { ...entry, ...convertLegacyGame(entry.game, entry.bowls || []) };
+      });
+    }
+  },
+  {
+    version: 9,
+    description: 'Undo history',
+    migrate(db) {
+      // One record per game: its undo and redo stacks (undo-history.js)
+      db.createObjectStore('undoHistory', { keyPath: 'gameId' });
+    }
+  },
+  {
+    version: 10,
+    description: 'Scouting notes',
+    migrate(db) {
+      // One record per opposition team or named opposition player (opposition.js)
+      db.createObjectStore('scoutingNotes', { keyPath: 'id' });
+    }
+  },
+  {
+    version: 11,
+    description: 'Change log retention',
+    migrate(db, tx) {
+      // Entries past the retention period are found by date (purgeExpiredChangeLog())
+      tx.objectStore('changeLog').createIndex('changedAt', 'changedAt', { unique: false });
+    }
+  },
+  {
+    version: 12,
+    description: 'Canonical records, again',
+    migrate(db, tx) {
+      // Upgrading from v1 ran the v8 rewrites alongside v2's, so some records
+      // were written back in their old shape. Rewritten by repairCanonicalRecords().
+      tx.objectStore('settings').put({ settingName: 'canonicalRepairPending', value: true });
+    }
+  }
+];
+
 function openDB() {
   if (dbInstance) return Promise.resolve(dbInstance);
 
@@ -14,35 +216,17 @@ function openDB() {
 
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
-      console.log('[DB] Upgrading database schema...');
-
-      // Tournaments store
-      if (!db.objectStoreNames.contains('tournaments')) {
-        const tournamentStore = db.createObjectStore('tournaments', { keyPath: 'id' });
-        tournamentStore.createIndex('name', 'name', { unique: false });
-        tournamentStore.createIndex('date', 'date', { unique: false });
-      }
+      const tx = event.target.transaction;
+      console.log(`[DB] Upgrading database schema v${event.oldVersion} -> v${DB_VERSION}...`);
 
-      // Games store
-      if (!db.objectStoreNames.contains('games')) {
-        const gameStore = db.createObjectStore('games', { keyPath: 'id' });
-        gameStore.createIndex('tournamentId', 'tournamentId', { unique: false });
-        gameStore.createIndex('date', 'date', { unique: false });
-        gameStore.createIndex('completed', 'completed', { unique: false });
-      }
-
-      // Bowls store
-      if (!db.objectStoreNames.contains('bowls')) {
-        const bowlStore = db.createObjectStore('bowls', { keyPath: 'id' });
-        bowlStore.createIndex('gameId', 'gameId', { unique: false });
-        bowlStore.createIndex('playerId', 'playerId', { unique: false });
-        bowlStore.createIndex('gameId_playerId', ['gameId', 'playerId'], { unique: false });
-      }
+      MIGRATIONS
+        .filter(m => m.version > event.oldVersion && m.version <= DB_VERSION)
+        .forEach(m => {
+          console.log(`[DB] Migration ${m.version}: ${m.description}`);
+          m.migrate(db, tx);
+        });
 
-      // Settings store
-      if (!db.objectStoreNames.contains('settings')) {
-        db.createObjectStore('settings', { keyPath: 'settingName' });
-      }
+      tx.objectStore('settings').put({ settingName: 'schemaVersion', value: DB_VERSION });
     };
 
     request.onsuccess = (event) => {
@@ -86,7 +270,7 @@ async function saveTournament(tournament) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction('tournaments', 'readwrite');
-    tx.objectStore('tournaments').put(tournament);
+    tx.objectStore('tournaments').put(toCanonicalTournament(tournament));
     tx.oncomplete = () => resolve(tournament);
     tx.onerror = (e) => reject(e.target.error);
   });
@@ -124,17 +308,23 @@ async function deleteTournament(id) {
 
 // ===== GAME OPERATIONS =====
 
-async function saveGame(game) {
+// `deferAggregates` skips the statistics refresh for a caller that refreshes
+// them itself straight after (persistCurrentGame() does, through syncGameBowls())
+async function saveGame(game, { deferAggregates = false } = {}) {
   if (!game.id) game.id = generateId();
   if (!game.date) game.date = new Date().toISOString();
 
   const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction('games', 'readwrite');
-    tx.objectStore('games').put(game);
-    tx.oncomplete = () => resolve(game);
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['games', 'changeLog'], 'readwrite');
+    putWithChangeLog(tx, 'games', 'game', toCanonicalGame(game));
+    tx.oncomplete = () => resolve();
     tx.onerror = (e) => reject(e.target.error);
   });
+
+  // Clutch ends and trend labels depend on the game's details
+  if (!deferAggregates) await refreshAggregates([game.id]);
+  return game;
 }
 
 async function getGame(id) {
@@ -172,20 +362,56 @@ async function getOpenGames() {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction('games', 'readonly');
-    const index = tx.objectStore('games').index('completed');
-    const request = index.getAll(false);
+    // Open games in date order
+    const index = tx.objectStore('games').index('completed_date');
+    const request = index.getAll(IDBKeyRange.bound([0, ''], [0, '\uffff']));
     request.onsuccess = () => resolve(request.result || []);
     request.onerror = (e) => reject(e.target.error);
   });
 }
 
-async function deleteGame(id) {
+// Move a game and its bowls to the recycle bin. Use purgeGame() to remove it for good.
+// `deletedAt` is only passed when applying a deletion made on another device.
+async function deleteGame(id, deletedBy, deletedAt) {
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['games', 'bowls', 'recycleBin', 'changeLog'], 'readwrite');
+    const bowlStore = tx.objectStore('bowls');
+    const entry = {};
+    let pending = 2;
+    const onLoaded = () => {
+      if (--pending > 0) return;
+      // Bowls left behind by a missing game record are simply removed
+      if (entry.game) {
+        const binEntry = createRecycleBinEntry('game', entry.game, deletedBy, { bowls: entry.bowls });
+        if (deletedAt) binEntry.deletedAt = deletedAt;
+        tx.objectStore('recycleBin').put(binEntry);
+        tx.objectStore('games').delete(id);
+        logChanges(tx, 'game', entry.game, null);
+      }
+      entry.bowls.forEach(b => bowlStore.delete(b.id));
+    };
+
+    tx.objectStore('games').get(id).onsuccess = (e) => { entry.game = e.target.result; onLoaded(); };
+    bowlStore.index('gameId').getAll(id).onsuccess = (e) => { entry.bowls = e.target.result; onLoaded(); };
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+
+  await refreshAggregates([id]);
+}
+
+// Delete a game and its bowls permanently, without going through the bin
+async function purgeGame(id) {
   const db = await openDB();
+
   // Delete game and its bowls
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(['games', 'bowls'], 'readwrite');
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['games', 'bowls', 'changeLog', 'undoHistory'], 'readwrite');
 
-    tx.objectStore('games').delete(id);
+    deleteWithChangeLog(tx, 'games', 'game', id);
+    tx.objectStore('undoHistory').delete(id);
 
     // Delete associated bowls
     const bowlIndex = tx.objectStore('bowls').index('gameId');
@@ -201,6 +427,8 @@ async function deleteGame(id) {
     tx.oncomplete = () => resolve();
     tx.onerror = (e) => reject(e.target.error);
   });
+
+  await refreshAggregates([id]);
 }
 
 // ===== BOWL OPERATIONS =====
@@ -210,27 +438,72 @@ async function saveBowl(bowl) {
   if (!bowl.timestamp) bowl.timestamp = new Date().toISOString();
 
   const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction('bowls', 'readwrite');
-    tx.objectStore('bowls').put(bowl);
-    tx.oncomplete = () => resolve(bowl);
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['bowls', 'changeLog'], 'readwrite');
+    putWithChangeLog(tx, 'bowls', 'bowl', toCanonicalBowl(bowl));
+    tx.oncomplete = () => resolve();
     tx.onerror = (e) => reject(e.target.error);
   });
+
+  await refreshAggregates([bowl.gameId]);
+  return bowl;
 }
 
 async function saveBowlsBatch(bowls) {
   const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction('bowls', 'readwrite');
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['bowls', 'changeLog'], 'readwrite');
+    bowls.forEach(bowl => {
+      if (!bowl.id) bowl.id = generateId();
+      if (!bowl.timestamp) bowl.timestamp = new Date().toISOString();
+      putWithChangeLog(tx, 'bowls', 'bowl', toCanonicalBowl(bowl));
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+
+  await refreshAggregates(bowls.map(b => b.gameId));
+  return bowls;
+}
+
+// Make the stored bowls for a game match `bowls` exactly: every bowl is written
+// under its own id and any stored bowl no longer in the list is deleted, unless
+// `keep(bowl)` says otherwise (a co-scored game writes only the bowls it changed).
+// Resolves with the ids that were removed so they can be deleted remotely too.
+async function syncGameBowls(gameId, bowls, keep) {
+  const db = await openDB();
+  const removedIds = await new Promise((resolve, reject) => {
+    const tx = db.transaction(['bowls', 'changeLog'], 'readwrite');
     const store = tx.objectStore('bowls');
+    const keepIds = new Set();
+    const removedIds = [];
+
     bowls.forEach(bowl => {
       if (!bowl.id) bowl.id = generateId();
       if (!bowl.timestamp) bowl.timestamp = new Date().toISOString();
-      store.put(bowl);
+      keepIds.add(bowl.id);
+      putWithChangeLog(tx, 'bowls', 'bowl', toCanonicalBowl(bowl));
     });
-    tx.oncomplete = () => resolve(bowls);
+
+    const request = store.index('gameId').openCursor(gameId);
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        if (!keepIds.has(cursor.value.id) && !(keep && keep(cursor.value))) {
+          removedIds.push(cursor.value.id);
+          logChanges(tx, 'bowl', cursor.value, null);
+          cursor.delete();
+        }
+        cursor.continue();
+      }
+    };
+
+    tx.oncomplete = () => resolve(removedIds);
     tx.onerror = (e) => reject(e.target.error);
   });
+
+  await refreshAggregates([gameId]);
+  return removedIds;
 }
 
 async function getBowl(id) {
@@ -277,23 +550,34 @@ async function getAllBowls() {
 
 async function deleteBowl(id) {
   const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction('bowls', 'readwrite');
-    tx.objectStore('bowls').delete(id);
-    tx.oncomplete = () => resolve();
+  const gameId = await new Promise((resolve, reject) => {
+    const tx = db.transaction(['bowls', 'changeLog'], 'readwrite');
+    const store = tx.objectStore('bowls');
+    let gameId = null;
+    store.get(id).onsuccess = (e) => {
+      if (e.target.result) {
+        gameId = e.target.result.gameId;
+        logChanges(tx, 'bowl', e.target.result, null);
+      }
+      store.delete(id);
+    };
+    tx.oncomplete = () => resolve(gameId);
     tx.onerror = (e) => reject(e.target.error);
   });
+
+  await refreshAggregates([gameId]);
 }
 
 async function deleteBowlsByGame(gameId) {
   const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction('bowls', 'readwrite');
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['bowls', 'changeLog'], 'readwrite');
     const index = tx.objectStore('bowls').index('gameId');
     const request = index.openCursor(gameId);
     request.onsuccess = (event) => {
       const cursor = event.target.result;
       if (cursor) {
+        logChanges(tx, 'bowl', cursor.value, null);
         cursor.delete();
         cursor.continue();
       }
@@ -301,158 +585,1596 @@ async function deleteBowlsByGame(gameId) {
     tx.oncomplete = () => resolve();
     tx.onerror = (e) => reject(e.target.error);
   });
+
+  await refreshAggregates([gameId]);
 }
 
-// ===== SETTINGS OPERATIONS =====
+// ===== QUERIES =====
+// Composable filters, answered from an index wherever one fits:
+//   playerId, gameId, gameIds, tournamentId, tournamentName, format,
+//   dateFrom / dateTo (game date, inclusive, ISO or YYYY-MM-DD), completed,
+//   position, hand, jackLength, team, trackedOnly (skip untracked opposition bowls),
+//   conditions (dimension -> value, conditions.js; a game matches when any of its
+//   ends does, a bowl when its own end does)
+// Bowl queries resolve game-level filters to game ids first, then read only
+// those games' bowls through the gameId or playerId_gameId index.
 
-async function saveSetting(name, value) {
+const GAME_FILTERS = ['tournamentId', 'tournamentName', 'format', 'dateFrom', 'dateTo', 'completed', 'conditions'];
+
+function matchesGameFilters(game, filters) {
+  const date = game.date || '';
+  if (filters.gameId && game.id !== filters.gameId) return false;
+  if (filters.gameIds && !filters.gameIds.includes(game.id)) return false;
+  if (filters.tournamentId && game.tournamentId !== filters.tournamentId) return false;
+  if (filters.tournamentName && game.tournamentName !== filters.tournamentName) return false;
+  if (filters.format && game.format !== filters.format) return false;
+  if (filters.dateFrom && date < filters.dateFrom) return false;
+  if (filters.dateTo && date > filters.dateTo + '\uffff') return false;
+  if (filters.completed !== undefined && !!game.completed !== !!filters.completed) return false;
+  if (filters.playerId && !getGamePlayerNames(game).includes(filters.playerId)) return false;
+  if (hasConditionFilters(filters.conditions) &&
+    !getGameEndConditionKeys(game).some(keys => matchesConditionFilters(keys, filters.conditions))) return false;
+  return true;
+}
+
+// Case-insensitive so 'forehand' matches older 'Forehand' records
+function sameText(a, b) {
+  return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+// The position a bowl was delivered from, for records that don't store it.
+// playerIndex is the position itself, whoever held it (getLineup()).
+function getBowlPosition(bowl, format) {
+  return bowl.position || getPositionFromIndex(format, bowl.playerIndex);
+}
+
+async function getGamesByIds(ids) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('settings', 'readwrite');
-    tx.objectStore('settings').put({ settingName: name, value: value });
-    tx.oncomplete = () => resolve();
+    const tx = db.transaction('games', 'readonly');
+    const store = tx.objectStore('games');
+    const games = [];
+    ids.forEach(id => {
+      store.get(id).onsuccess = (e) => {
+        if (e.target.result) games.push(e.target.result);
+      };
+    });
+    tx.oncomplete = () => resolve(games);
     tx.onerror = (e) => reject(e.target.error);
   });
 }
 
-async function getSetting(name) {
+async function queryGames(filters = {}) {
+  if (filters.gameId || filters.gameIds) {
+    const games = await getGamesByIds(filters.gameId ? [filters.gameId] : filters.gameIds);
+    return games.filter(g => matchesGameFilters(g, filters));
+  }
+
+  const from = filters.dateFrom || '';
+  const to = filters.dateTo ? filters.dateTo + '\uffff' : '\uffff';
+
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('settings', 'readonly');
-    const request = tx.objectStore('settings').get(name);
-    request.onsuccess = () => resolve(request.result ? request.result.value : null);
+    const tx = db.transaction('games', 'readonly');
+    const store = tx.objectStore('games');
+    let request;
+    if (filters.tournamentName) {
+      request = store.index('tournamentName_date')
+        .getAll(IDBKeyRange.bound([filters.tournamentName, from], [filters.tournamentName, to]));
+    } else if (filters.format) {
+      request = store.index('format_date').getAll(IDBKeyRange.bound([filters.format, from], [filters.format, to]));
+    } else if (filters.completed !== undefined) {
+      const done = filters.completed ? 1 : 0;
+      request = store.index('completed_date').getAll(IDBKeyRange.bound([done, from], [done, to]));
+    } else if (filters.dateFrom || filters.dateTo) {
+      request = store.index('date').getAll(IDBKeyRange.bound(from, to));
+    } else {
+      request = store.getAll();
+    }
+    request.onsuccess = () => resolve((request.result || []).filter(g => matchesGameFilters(g, filters)));
     request.onerror = (e) => reject(e.target.error);
   });
 }
 
-// ===== DATA MIGRATION (localStorage -> IndexedDB) =====
-
-async function migrateFromLocalStorage() {
-  try {
-    const migrated = await getSetting('migrationCompleted');
-    if (migrated) return false;
+async function queryBowls(filters = {}) {
+  let gameIds = filters.gameId ? [filters.gameId] : (filters.gameIds || null);
+  const gamesById = {};
 
-    // Check for any localStorage data
-    const keys = Object.keys(localStorage);
-    if (keys.length === 0) {
-      await saveSetting('migrationCompleted', true);
-      return false;
-    }
+  // Game-level filters (and positions, which depend on the game's format)
+  if (filters.position || GAME_FILTERS.some(key => filters[key] !== undefined)) {
+    const games = await queryGames({ ...filters, playerId: undefined });
+    games.forEach(g => { gamesById[g.id] = g; });
+    gameIds = games.map(g => g.id);
+  }
+  if (gameIds && gameIds.length === 0) return [];
 
-    console.log('[DB] Migrating localStorage data...');
+  const keep = (b) => {
+    if (filters.team && b.team !== filters.team) return false;
+    if (filters.trackedOnly && b.playerId === 'opponent') return false;
+    if (filters.hand && !sameText(b.hand, filters.hand)) return false;
+    if (filters.jackLength && !sameText(b.jackLength, filters.jackLength)) return false;
+    if (filters.position && getBowlPosition(b, (gamesById[b.gameId] || {}).format) !== filters.position) return false;
+    if (hasConditionFilters(filters.conditions) &&
+      !matchesConditionFilters(getConditionKeys(getEndConditions(gamesById[b.gameId], b.end)), filters.conditions)) return false;
+    return true;
+  };
 
-    // Try to find bowls-related data in localStorage
-    for (const key of keys) {
-      try {
-        const data = JSON.parse(localStorage.getItem(key));
-        if (data && Array.isArray(data) && data.length > 0 && data[0].gameId !== undefined) {
-          // This looks like game data - migrate it
-          for (const game of data) {
-            const gameRecord = {
-              id: game.gameId?.toString() || generateId(),
-              tournamentId: null,
-              tournamentName: game.tournamentName || '',
-              gameNumber: 1,
-              format: game.format || 'singles',
-              endCount: game.totalEnds || 21,
-              players: game.yourPlayers || [],
-              opponentPlayers: game.opponentPlayers || [],
-              date: new Date().toISOString(),
-              notes: game.gameNotes || '',
-              endNotes: game.endNotes || {},
-              completed: false,
-              // Preserve legacy fields for app.js compatibility
-              bowlsPerPlayer: game.bowlsPerPlayer || 4,
-              playersPerTeam: game.playersPerTeam || 1,
-              currentEnd: game.currentEnd || 1,
-              currentPlayerIndex: game.currentPlayerIndex || 0,
-              currentTeam: game.currentTeam || 'yours',
-              currentHand: game.currentHand || 'forehand',
-              matLength: game.matLength || 'short',
-              jackLength: game.jackLength || 'short',
-              jackPosition: game.jackPosition || { x: 250, y: 250 }
-            };
-            await saveGame(gameRecord);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('bowls', 'readonly');
+    const store = tx.objectStore('bowls');
+    const bowls = [];
+    const collect = (request) => {
+      request.onsuccess = () => bowls.push(...request.result.filter(keep));
+    };
 
-            // Migrate bowls for this game
-            if (game.bowls && game.bowls.length > 0) {
-              const bowlRecords = game.bowls.map((bowl, idx) => ({
-                id: generateId(),
-                gameId: gameRecord.id,
-                playerId: bowl.player || 'unknown',
-                playerName: bowl.player || 'Unknown',
-                position: getPositionFromIndex(game.format, bowl.playerIndex),
-                endNumber: bowl.end || 1,
-                bowlNumber: idx + 1,
-                distance: bowl.distanceInFeet || 0,
-                direction: bowl.resultCategory || '',
-                angle: 0,
-                score: bowl.scoreValue || 0,
-                timestamp: new Date().toISOString(),
-                notes: bowl.notes || '',
-                // Preserve extra fields
-                x: bowl.x,
-                y: bowl.y,
-                team: bowl.team,
-                hand: bowl.hand,
-                matLength: bowl.matLength,
-                jackLength: bowl.jackLength,
-                resultCategory: bowl.resultCategory,
-                distanceCategory: bowl.distanceCategory,
-                scoreCategory: bowl.scoreCategory,
-                scoreDetail: bowl.scoreDetail
-              }));
-              await saveBowlsBatch(bowlRecords);
-            }
-          }
+    if (filters.playerId && gameIds) {
+      const index = store.index('playerId_gameId');
+      gameIds.forEach(gid => collect(index.getAll([filters.playerId, gid])));
+    } else if (filters.playerId) {
+      collect(store.index('playerId').getAll(filters.playerId));
+    } else if (gameIds) {
+      const index = store.index('gameId');
+      gameIds.forEach(gid => collect(index.getAll(gid)));
+    } else {
+      // No index narrows this down - walk the store keeping only matches
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          if (keep(cursor.value)) bowls.push(cursor.value);
+          cursor.continue();
         }
-      } catch (e) {
-        // Not JSON or not game data, skip
-      }
+      };
     }
 
-    await saveSetting('migrationCompleted', true);
-    console.log('[DB] Migration complete');
-    return true;
-  } catch (err) {
-    console.error('[DB] Migration error:', err);
-    return false;
-  }
+    tx.oncomplete = () => resolve(bowls);
+    tx.onerror = (e) => reject(e.target.error);
+  });
 }
 
-// ===== CLEAR ALL DATA =====
-
-async function clearAllData() {
+// Distinct names of players with tracked bowls, read from the playerId index keys
+async function getTrackedPlayerIds() {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(['tournaments', 'games', 'bowls', 'settings'], 'readwrite');
-    tx.objectStore('tournaments').clear();
-    tx.objectStore('games').clear();
-    tx.objectStore('bowls').clear();
-    tx.objectStore('settings').clear();
-    tx.oncomplete = () => {
-      console.log('[DB] All data cleared');
-      resolve();
+    const tx = db.transaction('bowls', 'readonly');
+    const names = [];
+    const request = tx.objectStore('bowls').index('playerId').openKeyCursor(null, 'nextunique');
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        if (cursor.key && cursor.key !== 'opponent') names.push(cursor.key);
+        cursor.continue();
+      }
     };
+    tx.oncomplete = () => resolve(names);
     tx.onerror = (e) => reject(e.target.error);
   });
 }
 
-// ===== UTILITY =====
+// ===== PLAYER REGISTRY =====
+// A player has a stable id, a display name and any aliases they have been
+// recorded under. Bowls and games refer to a player by display name (the
+// playerId field), so renaming or merging re-points that history as well.
 
-function generateId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+const PLAYER_POSITIONS = ['Lead', 'Second', 'Third', 'Skip'];
+
+// Collapse spacing so "Amy  Williams" and "Amy Williams" are one name
+function cleanPlayerName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ');
 }
 
-function getPositionFromIndex(format, index) {
-  const positionsByFormat = {
-    'singles': ['Player'],
-    'pairs4': ['Lead', 'Skip'],
-    'pairs3': ['Lead', 'Skip'],
-    'triples3': ['Lead', 'Second', 'Skip'],
-    'triples2': ['Lead', 'Second', 'Skip'],
-    'fours': ['Lead', 'Second', 'Third', 'Skip']
+function normalizePlayerName(name) {
+  return cleanPlayerName(name).toLowerCase();
+}
+
+function createPlayerRecord(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    name: cleanPlayerName(fields.name),
+    aliases: [],
+    preferredHand: '',
+    bowlingArm: '',
+    club: '',
+    positions: [],
+    createdAt: now,
+    ...fields,
+    updatedAt: now
   };
-  const positions = positionsByFormat[format] || ['Player'];
-  return positions[index] || 'Player';
+}
+
+// Map every normalized name and alias to its player
+function buildPlayerLookup(players) {
+  const lookup = {};
+  players.forEach(p => {
+    [p.name, ...(p.aliases || [])].forEach(n => { lookup[normalizePlayerName(n)] = p; });
+  });
+  return lookup;
+}
+
+// The players named on a game: your team, plus the away team in trials, and
+// anyone who came on as a substitute for either
+function getGamePlayerNames(game) {
+  const substitutes = getSquadSubstitutions(game).map(c => c.player);
+  return [...(game.yourPlayers || []), ...(game.awayPlayers || []), ...substitutes];
+}
+
+// Rename players on a game via `rename(name)`; returns true if anything changed
+function repointGamePlayers(game, rename) {
+  let changed = false;
+  ['yourPlayers', 'awayPlayers'].forEach(key => {
+    if (!Array.isArray(game[key])) return;
+    game[key] = game[key].map(name => {
+      const next = rename(name);
+      if (next && next !== name) { changed = true; return next; }
+      return name;
+    });
+  });
+  const substitutes = new Set(getSquadSubstitutions(game));
+  if (substitutes.size > 0) {
+    game.lineupChanges = game.lineupChanges.map(change => {
+      const next = substitutes.has(change) && rename(change.player);
+      if (!next || next === change.player) return change;
+      changed = true;
+      return { ...change, player: next };
+    });
+  }
+  return changed;
+}
+
+async function savePlayer(player) {
+  const record = player.id ? { ...player, name: cleanPlayerName(player.name) } : createPlayerRecord(player);
+  record.updatedAt = new Date().toISOString();
+
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('players', 'readwrite');
+    tx.objectStore('players').put(record);
+    tx.oncomplete = () => resolve(record);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function getPlayer(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('players', 'readonly');
+    const request = tx.objectStore('players').get(id);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function getAllPlayers() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('players', 'readonly');
+    const request = tx.objectStore('players').index('name').getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function deletePlayer(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('players', 'readwrite');
+    tx.objectStore('players').delete(id);
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// Find a player by display name or alias, ignoring case and spacing
+async function findPlayerByName(name) {
+  const players = await getAllPlayers();
+  return buildPlayerLookup(players)[normalizePlayerName(name)] || null;
+}
+
+// Find the registered player for a typed name, registering them if new.
+// A position they have played is added to their positions.
+async function resolvePlayer(name, position) {
+  let player = await findPlayerByName(name);
+  if (!player) {
+    player = createPlayerRecord({ name, positions: PLAYER_POSITIONS.includes(position) ? [position] : [] });
+    return savePlayer(player);
+  }
+  if (PLAYER_POSITIONS.includes(position) && !player.positions.includes(position)) {
+    player.positions = [...player.positions, position];
+    return savePlayer(player);
+  }
+  return player;
+}
+
+// Point every bowl, game and personal best recorded under `fromNames` at
+// `player`, saving the player (and deleting `removeId`) in the same transaction.
+// Resolves with the bowls and games that were rewritten.
+async function repointPlayerHistory(player, fromNames, removeId) {
+  const names = new Set(fromNames.filter(n => n && n !== player.name));
+  const bowls = [];
+  const games = [];
+  player.updatedAt = new Date().toISOString();
+
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['players', 'bowls', 'games', 'changeLog'], 'readwrite');
+    tx.objectStore('players').put(player);
+    if (removeId) tx.objectStore('players').delete(removeId);
+
+    const bowlIndex = tx.objectStore('bowls').index('playerId');
+    names.forEach(name => {
+      bowlIndex.openCursor(name).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          const bowl = { ...cursor.value, playerId: player.name };
+          logChanges(tx, 'bowl', cursor.value, bowl);
+          cursor.update(bowl);
+          bowls.push(bowl);
+          cursor.continue();
+        }
+      };
+    });
+
+    tx.objectStore('games').openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        const game = cursor.value;
+        const before = { ...game };
+        if (repointGamePlayers(game, name => names.has(name) ? player.name : name)) {
+          logChanges(tx, 'game', before, game);
+          cursor.update(game);
+          games.push(game);
+        }
+        cursor.continue();
+      }
+    };
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+
+  // 40-bowl personal bests are kept per name - carry over the best one
+  names.forEach(name => {
+    const oldKey = `bowlstrack_40bowl_pb_${name}`;
+    const newKey = `bowlstrack_40bowl_pb_${player.name}`;
+    const oldPB = parseInt(localStorage.getItem(oldKey) || '0', 10);
+    const newPB = parseInt(localStorage.getItem(newKey) || '0', 10);
+    if (oldPB > newPB) localStorage.setItem(newKey, oldPB.toString());
+    localStorage.removeItem(oldKey);
+  });
+
+  await refreshAggregates([...bowls.map(b => b.gameId), ...games.map(g => g.id)]);
+  return { bowls, games };
+}
+
+async function renamePlayer(id, newName) {
+  const player = await getPlayer(id);
+  if (!player) throw new Error('Player not found');
+
+  const name = cleanPlayerName(newName);
+  if (!name) throw new Error('Please enter a player name');
+  const existing = await findPlayerByName(name);
+  if (existing && existing.id !== id) {
+    throw new Error(`${existing.name} is already registered - merge the two players instead`);
+  }
+
+  const oldName = player.name;
+  if (name === oldName) return { player, fromNames: [], bowls: [], games: [] };
+
+  player.name = name;
+  player.aliases = [...new Set([...player.aliases, oldName])]
+    .filter(a => normalizePlayerName(a) !== normalizePlayerName(name));
+
+  const changes = await repointPlayerHistory(player, [oldName]);
+  console.log(`[DB] Renamed player ${oldName} -> ${name}`);
+  return { player, fromNames: [oldName], ...changes };
+}
+
+// Fold `sourceId` into `targetId`: the source's names become aliases of the
+// target and all of the source's history is re-pointed at the target.
+async function mergePlayers(sourceId, targetId) {
+  if (sourceId === targetId) throw new Error('Choose two different players to merge');
+  const [source, target] = await Promise.all([getPlayer(sourceId), getPlayer(targetId)]);
+  if (!source || !target) throw new Error('Player not found');
+
+  const fromNames = [source.name, ...source.aliases];
+  target.aliases = [...new Set([...target.aliases, ...fromNames])]
+    .filter(a => normalizePlayerName(a) !== normalizePlayerName(target.name));
+  target.positions = PLAYER_POSITIONS.filter(p => target.positions.includes(p) || source.positions.includes(p));
+  target.preferredHand = target.preferredHand || source.preferredHand;
+  target.bowlingArm = target.bowlingArm || source.bowlingArm || '';
+  target.club = target.club || source.club;
+
+  const changes = await repointPlayerHistory(target, fromNames, source.id);
+  console.log(`[DB] Merged player ${source.name} into ${target.name}`);
+  return { player: target, removedId: source.id, fromNames, ...changes };
+}
+
+// Bowl counts for `names`, from the playerId index
+async function countBowlsByPlayer(names) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('bowls', 'readonly');
+    const index = tx.objectStore('bowls').index('playerId');
+    const counts = {};
+    names.forEach(name => {
+      index.count(name).onsuccess = (e) => { counts[name] = e.target.result; };
+    });
+    tx.oncomplete = () => resolve(counts);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// Register every player name found on bowls and games, and point records
+// whose name is only a spacing/case variant or alias at the registered name.
+// New names differing only in case or spacing become one player, named by
+// the most used spelling. Bowls are found through the playerId index, and
+// only those under a name that needs re-pointing are read. Resolves with
+// everything that was written.
+async function reconcilePlayerRegistry() {
+  try {
+    const [players, bowlNames, games] = await Promise.all([getAllPlayers(), getTrackedPlayerIds(), getAllGames()]);
+    const lookup = buildPlayerLookup(players);
+
+    const unregistered = {};
+    const note = (name, weight) => {
+      const key = normalizePlayerName(name);
+      if (!key || name === 'opponent' || lookup[key]) return;
+      if (!unregistered[key]) unregistered[key] = {};
+      unregistered[key][name] = (unregistered[key][name] || 0) + weight;
+    };
+    const unregisteredBowlNames = bowlNames.filter(name => !lookup[normalizePlayerName(name)]);
+    const bowlCounts = unregisteredBowlNames.length > 0 ? await countBowlsByPlayer(unregisteredBowlNames) : {};
+    unregisteredBowlNames.forEach(name => note(name, bowlCounts[name] || 0));
+    games.forEach(g => getGamePlayerNames(g).forEach(n => note(n, 0)));
+
+    const created = Object.values(unregistered).map(spellings => {
+      const name = Object.keys(spellings).sort((a, b) => spellings[b] - spellings[a])[0];
+      const player = createPlayerRecord({ name });
+      lookup[normalizePlayerName(name)] = player;
+      return player;
+    });
+
+    const registeredName = name => (lookup[normalizePlayerName(name)] || {}).name;
+    const repointNames = bowlNames.filter(name => registeredName(name) && registeredName(name) !== name);
+    const changedBowls = (await Promise.all(repointNames.map(getBowlsByPlayer))).flat();
+    changedBowls.forEach(b => { b.playerId = registeredName(b.playerId); });
+    const changedGames = games.filter(g => repointGamePlayers(g, registeredName));
+
+    if (created.length === 0 && changedBowls.length === 0 && changedGames.length === 0) {
+      return { players: [], bowls: [], games: [] };
+    }
+
+    const db = await openDB();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(['players', 'bowls', 'games'], 'readwrite');
+      created.forEach(p => tx.objectStore('players').put(p));
+      changedBowls.forEach(b => tx.objectStore('bowls').put(b));
+      changedGames.forEach(g => tx.objectStore('games').put(g));
+      tx.oncomplete = () => resolve();
+      tx.onerror = (e) => reject(e.target.error);
+    });
+    await refreshAggregates([...changedBowls.map(b => b.gameId), ...changedGames.map(g => g.id)]);
+
+    console.log(`[DB] Player registry: ${created.length} added, ${changedBowls.length} bowls re-pointed`);
+    return { players: created, bowls: changedBowls, games: changedGames };
+  } catch (err) {
+    console.error('[DB] Player registry reconcile error:', err);
+    return { players: [], bowls: [], games: [] };
+  }
+}
+
+// ===== OPPOSITION PLAYERS =====
+// The opposition is usually one team name (opponentPlayers: [teamName]). For
+// scouting it can be named by position in game.opponentNames and scored like
+// your own team. Their bowls keep playerId 'opponent', so nothing of theirs
+// reaches your squad's statistics or the player registry, and carry the
+// player's name in opponentName. Their totals are kept in the aggregates
+// store under 'opponent:<name>', apart from every squad player's.
+
+const OPPONENT_TALLY_PREFIX = 'opponent:';
+
+function hasNamedOpposition(game) {
+  return game.gameType !== 'trial' && (game.opponentNames || []).some(Boolean);
+}
+
+// True when `team`'s bowls are scored and credited to a player: your team,
+// the away team in trials and a named opposition
+function isTeamTracked(game, team) {
+  return team === 'yours' || game.gameType === 'trial' || hasNamedOpposition(game);
+}
+
+// The name a bowl is shown under: its player, or the opposition player or team
+function getBowlPlayerName(game, bowl) {
+  if (bowl.playerId !== 'opponent') return bowl.playerId;
+  return bowl.opponentName || (game.opponentPlayers || [])[0] || 'Opposition';
+}
+
+// The aggregates id a named opposition player's totals are kept under, or null
+function getOpponentTallyId(name) {
+  return name ? OPPONENT_TALLY_PREFIX + name : null;
+}
+
+function isOpponentTallyId(id) {
+  return typeof id === 'string' && id.startsWith(OPPONENT_TALLY_PREFIX);
+}
+
+// ===== LINEUP CHANGES =====
+// yourPlayers (awayPlayers for a trial's away team, opponentNames for a named
+// opposition) is the lineup a game started with, one player per position.
+// Substitutions and position swaps made during the game are kept in
+// game.lineupChanges, each taking effect from the start of its end:
+//   { id, team, end, type: 'substitution', index, player }   player takes over position `index`
+//   { id, team, end, type: 'swap', indexes: [i, j] }          the players in two positions change places
+// A bowl's playerIndex is the position it was delivered from, which a change
+// never moves; who delivered it is whoever held that position in its end.
+
+function getStartingLineup(game, team) {
+  if (team === 'yours') return game.yourPlayers || [];
+  if (game.gameType === 'trial') return game.awayPlayers || [];
+  return hasNamedOpposition(game) ? game.opponentNames : [];
+}
+
+// The team's changes in the order they apply: by end, then as recorded
+function getLineupChanges(game, team) {
+  return (game.lineupChanges || []).filter(c => c.team === team).sort((a, b) => a.end - b.end);
+}
+
+function applyLineupChange(lineup, change) {
+  const next = [...lineup];
+  if (change.type === 'substitution') next[change.index] = change.player;
+  if (change.type === 'swap') {
+    const [i, j] = change.indexes;
+    [next[i], next[j]] = [lineup[j], lineup[i]];
+  }
+  return next;
+}
+
+// Who held each position for `team` in end `end`
+function getLineup(game, team, end) {
+  return getLineupChanges(game, team).filter(c => c.end <= end)
+    .reduce(applyLineupChange, [...getStartingLineup(game, team)]);
+}
+
+// Substitutes for your team and a trial's away team, who are squad players
+function getSquadSubstitutions(game) {
+  return (game.lineupChanges || []).filter(c =>
+    c.type === 'substitution' && (c.team === 'yours' || game.gameType === 'trial'));
+}
+
+// Everyone who played for `team`: the starting lineup, then each substitute
+function getLineupPlayers(game, team) {
+  const names = [...getStartingLineup(game, team)];
+  getLineupChanges(game, team).forEach(c => {
+    if (c.type === 'substitution' && !names.includes(c.player)) names.push(c.player);
+  });
+  return names.filter(Boolean);
+}
+
+// The positions `name` held for `team` during the game, in the order first held
+function getPlayerPositions(game, team, name) {
+  const positions = [];
+  const note = lineup => {
+    const index = lineup.indexOf(name);
+    const position = index === -1 ? null : getPositionFromIndex(game.format, index);
+    if (position && !positions.includes(position)) positions.push(position);
+  };
+  let lineup = [...getStartingLineup(game, team)];
+  const changes = getLineupChanges(game, team);
+  // Several changes at one end are one new lineup
+  if (changes.length === 0 || changes[0].end > 1) note(lineup);
+  changes.forEach((change, i) => {
+    lineup = applyLineupChange(lineup, change);
+    if (!changes[i + 1] || changes[i + 1].end !== change.end) note(lineup);
+  });
+  return positions;
+}
+
+// "Cat on for Amy at Lead from end 11", "Dan (Third) and Eve (Skip) swap from end 8"
+function describeLineupChange(game, change) {
+  const changes = getLineupChanges(game, change.team);
+  const before = changes.slice(0, changes.indexOf(change)).reduce(applyLineupChange, [...getStartingLineup(game, change.team)]);
+  const position = index => getPositionFromIndex(game.format, index);
+  if (change.type === 'substitution') {
+    return `${change.player} on for ${before[change.index]} at ${position(change.index)} from end ${change.end}`;
+  }
+  const [i, j] = change.indexes;
+  return `${before[i]} (${position(i)}) and ${before[j]} (${position(j)}) swap from end ${change.end}`;
+}
+
+// ===== OPPONENTS & SCOUTING NOTES =====
+// An opponent is an opposition team (opponentPlayers[0]) or a named
+// opposition player, identified as 'team:<name>' or 'player:<name>' with the
+// name normalized, so every game against them is found however it was typed.
+// Selectors' free-text scouting notes are kept one record per opponent:
+// { id, kind, name, notes, updatedAt }.
+
+function getOpponentKey(kind, name) {
+  return `${kind}:${normalizePlayerName(name)}`;
+}
+
+// The opponents a game was played against
+function getGameOpponents(game) {
+  if (game.gameType === 'trial') return [];
+  const team = cleanPlayerName((game.opponentPlayers || [])[0]);
+  const opponents = team ? [{ kind: 'team', name: team }] : [];
+  getLineupPlayers(game, 'opponent').forEach(name => opponents.push({ kind: 'player', name }));
+  return opponents;
+}
+
+function isGameAgainst(game, kind, name) {
+  const key = getOpponentKey(kind, name);
+  return getGameOpponents(game).some(o => getOpponentKey(o.kind, o.name) === key);
+}
+
+async function getScoutingNote(kind, name) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('scoutingNotes', 'readonly');
+    const request = tx.objectStore('scoutingNotes').get(getOpponentKey(kind, name));
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function getAllScoutingNotes() {
+  return getAllFromStore('scoutingNotes');
+}
+
+// Saves { kind, name, notes }; updatedAt is stamped unless given (a pulled note)
+async function saveScoutingNote(note) {
+  const record = {
+    id: getOpponentKey(note.kind, note.name),
+    kind: note.kind,
+    name: cleanPlayerName(note.name),
+    notes: note.notes || '',
+    updatedAt: note.updatedAt || new Date().toISOString()
+  };
+
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('scoutingNotes', 'readwrite');
+    tx.objectStore('scoutingNotes').put(record);
+    tx.oncomplete = () => resolve(record);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// ===== CHANGE LOG =====
+// Append-only history of every change to a game or its bowls. Writes compare
+// the stored record with the new one inside the same transaction and append
+// one entry per changed field; adding or removing a record is a single entry
+// holding the whole record. Entries are never edited - `synced` is the only
+// field that changes, once the entry has been uploaded. Uploaded entries older
+// than CHANGE_LOG_RETENTION_DAYS are deleted at startup so the store doesn't
+// grow for as long as the app is used, and are still shown from the cloud
+// copy. Entries not yet uploaded are kept however old they are.
+
+const CHANGE_LOG_RETENTION_DAYS = 180;
+
+// Fields that move on with every bowl and would bury the real edits
+const CHANGE_LOG_IGNORED_FIELDS = ['currentTeam', 'currentPlayerIndex', 'currentHand', 'timestamp', 'updatedAt'];
+
+let changeLogPaused = false;
+
+// Cloud pulls write edits made on other devices, which are already in their logs
+function pauseChangeLog(paused) {
+  changeLogPaused = paused;
+}
+
+function getChangeLogUser() {
+  return typeof getCurrentUserLabel === 'function' ? getCurrentUserLabel() : null;
+}
+
+// [{ field, oldValue, newValue }] for each top-level field that differs
+function diffRecords(before, after) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .filter(field => !CHANGE_LOG_IGNORED_FIELDS.includes(field))
+    .filter(field => stableStringify(before[field] ?? null) !== stableStringify(after[field] ?? null))
+    .map(field => ({ field, oldValue: before[field] ?? null, newValue: after[field] ?? null }));
+}
+
+// Append entries for `before` -> `after` (either may be missing) to tx's changeLog store
+function logChanges(tx, entityType, before, after, action) {
+  if (changeLogPaused) return;
+  const record = after || before;
+
+  let changes;
+  if (!before) changes = [{ action: action || 'create', field: null, oldValue: null, newValue: after }];
+  else if (!after) changes = [{ action: action || 'delete', field: null, oldValue: before, newValue: null }];
+  else changes = diffRecords(before, after).map(c => ({ action: action || 'update', ...c }));
+  if (changes.length === 0) return;
+
+  const entry = {
+    entityType,
+    entityId: record.id,
+    gameId: entityType === 'game' ? record.id : record.gameId,
+    changedAt: new Date().toISOString(),
+    changedBy: getChangeLogUser(),
+    synced: 0
+  };
+  const store = tx.objectStore('changeLog');
+  changes.forEach(change => store.put({ id: generateId(), ...entry, ...change }));
+}
+
+// Put `record` and log how it differs from the stored copy
+function putWithChangeLog(tx, storeName, entityType, record) {
+  const store = tx.objectStore(storeName);
+  if (!changeLogPaused) {
+    store.get(record.id).onsuccess = (e) => logChanges(tx, entityType, e.target.result, record);
+  }
+  store.put(record);
+}
+
+function deleteWithChangeLog(tx, storeName, entityType, id) {
+  const store = tx.objectStore(storeName);
+  store.get(id).onsuccess = (e) => {
+    if (e.target.result) logChanges(tx, entityType, e.target.result, null);
+  };
+  store.delete(id);
+}
+
+// A game's history, oldest first
+async function getChangeLog(gameId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('changeLog', 'readonly');
+    const range = IDBKeyRange.bound([gameId, ''], [gameId, '\uffff']);
+    const request = tx.objectStore('changeLog').index('gameId_changedAt').getAll(range);
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function getUnsyncedChangeLog() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('changeLog', 'readonly');
+    const request = tx.objectStore('changeLog').index('synced').getAll(0);
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function markChangeLogSynced(ids) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('changeLog', 'readwrite');
+    const store = tx.objectStore('changeLog');
+    ids.forEach(id => {
+      store.get(id).onsuccess = (e) => {
+        if (e.target.result) store.put({ ...e.target.result, synced: 1 });
+      };
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// Whether `entry` can be deleted: uploaded, and changed at or before `cutoff`
+function isChangeLogEntryExpired(entry, cutoff) {
+  return entry.synced === 1 && entry.changedAt <= cutoff;
+}
+
+// Delete uploaded entries older than the retention period
+async function purgeExpiredChangeLog() {
+  const cutoff = new Date(Date.now() - CHANGE_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const db = await openDB();
+  const purged = await new Promise((resolve, reject) => {
+    const tx = db.transaction('changeLog', 'readwrite');
+    let count = 0;
+    tx.objectStore('changeLog').index('changedAt').openCursor(IDBKeyRange.upperBound(cutoff)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        if (isChangeLogEntryExpired(cursor.value, cutoff)) {
+          cursor.delete();
+          count++;
+        }
+        cursor.continue();
+      }
+    };
+    tx.oncomplete = () => resolve(count);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+  if (purged > 0) console.log(`[DB] Purged ${purged} uploaded change log entries older than ${CHANGE_LOG_RETENTION_DAYS} days`);
+  return purged;
+}
+
+// ===== RECYCLE BIN =====
+// Deleted games (with their bowls) and drill sessions are kept here until they
+// are restored, deleted forever, or older than the retention setting. Entry ids
+// are '<kind>:<item id>' so deleting the same item twice keeps one entry.
+
+const RECYCLE_BIN_RETENTION_DAYS = 30;
+
+function createRecycleBinEntry(kind, item, deletedBy, extra = {}) {
+  return {
+    id: `${kind}:${item.id}`,
+    kind,
+    itemId: item.id,
+    deletedAt: new Date().toISOString(),
+    deletedBy: deletedBy || null,
+    [kind === 'game' ? 'game' : 'session']: item,
+    ...extra
+  };
+}
+
+// Describe a bin entry for the list: { title, detail }
+function describeRecycleBinEntry(entry) {
+  if (entry.kind === 'game') {
+    const g = entry.game;
+    return {
+      title: `${(g.yourPlayers || []).join(', ')} vs ${(g.opponentPlayers || [])[0] || 'Unknown'}`,
+      detail: `${g.date ? new Date(g.date).toLocaleDateString() : ''} · ${(entry.bowls || []).length} bowls`
+    };
+  }
+  const s = entry.session;
+  const score = s.score != null
+    ? `${s.score}${s.maxScore ? '/' + s.maxScore : ''}`
+    : `${(s.scatterRadius || 0).toFixed(1)} ft scatter`;
+  return {
+    title: s.drillName || 'Drill session',
+    detail: `${s.date ? new Date(s.date).toLocaleDateString() : ''} · ${score}`
+  };
+}
+
+async function addToRecycleBin(entry) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('recycleBin', 'readwrite');
+    tx.objectStore('recycleBin').put(entry);
+    tx.oncomplete = () => resolve(entry);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// Newest first
+async function getRecycleBin() {
+  const entries = await getAllFromStore('recycleBin');
+  return entries.sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : -1));
+}
+
+async function getRecycleBinEntry(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('recycleBin', 'readonly');
+    const request = tx.objectStore('recycleBin').get(id);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// Put an entry's game and bowls (or drill session) back and remove it from
+// the bin. Resolves with the entry, or null if it was already gone.
+async function restoreFromRecycleBin(id) {
+  const entry = await getRecycleBinEntry(id);
+  if (!entry) return null;
+
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['games', 'bowls', 'recycleBin', 'changeLog'], 'readwrite');
+    if (entry.kind === 'game') {
+      tx.objectStore('games').put(toCanonicalGame(entry.game));
+      logChanges(tx, 'game', null, entry.game, 'restore');
+      (entry.bowls || []).forEach(b => tx.objectStore('bowls').put(toCanonicalBowl(b)));
+    }
+    tx.objectStore('recycleBin').delete(id);
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+
+  if (entry.kind === 'game') {
+    await refreshAggregates([entry.itemId]);
+  } else {
+    restoreDrillSession(entry.session);
+  }
+  console.log(`[DB] Restored ${entry.id} from the recycle bin`);
+  return entry;
+}
+
+// Drill history lives in localStorage as { drillId: [results] }
+function restoreDrillSession(session) {
+  let history = {};
+  try { history = JSON.parse(localStorage.getItem('bowlstrack_drill_history') || '{}'); } catch (e) { history = {}; }
+  const results = (history[session.drillId] || []).filter(r => r.id !== session.id);
+  history[session.drillId] = [...results, session]
+    .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+  localStorage.setItem('bowlstrack_drill_history', JSON.stringify(history));
+}
+
+// Forget an entry without purging it anywhere else (restored on another device)
+async function dropRecycleBinEntry(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('recycleBin', 'readwrite');
+    tx.objectStore('recycleBin').delete(id);
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// Remove entries for good. Resolves with the entries removed.
+async function purgeFromRecycleBin(ids) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('recycleBin', 'readwrite');
+    const store = tx.objectStore('recycleBin');
+    const purged = [];
+    ids.forEach(id => {
+      store.get(id).onsuccess = (e) => {
+        if (!e.target.result) return;
+        purged.push(e.target.result);
+        store.delete(id);
+      };
+    });
+    tx.oncomplete = () => resolve(purged);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function getRecycleBinRetentionDays() {
+  return (await getSetting('recycleBinRetentionDays')) || RECYCLE_BIN_RETENTION_DAYS;
+}
+
+// Purge entries deleted longer ago than the retention setting
+async function purgeExpiredRecycleBin() {
+  const days = await getRecycleBinRetentionDays();
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const db = await openDB();
+  const expiredIds = await new Promise((resolve, reject) => {
+    const tx = db.transaction('recycleBin', 'readonly');
+    const request = tx.objectStore('recycleBin').index('deletedAt').getAllKeys(IDBKeyRange.upperBound(cutoff));
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = (e) => reject(e.target.error);
+  });
+  if (expiredIds.length === 0) return [];
+
+  const purged = await purgeFromRecycleBin(expiredIds);
+  console.log(`[DB] Purged ${purged.length} recycle bin entries older than ${days} days`);
+  return purged;
+}
+
+// ===== SETTINGS OPERATIONS =====
+
+async function saveSetting(name, value) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('settings', 'readwrite');
+    tx.objectStore('settings').put({ settingName: name, value: value });
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function getSetting(name) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('settings', 'readonly');
+    const request = tx.objectStore('settings').get(name);
+    request.onsuccess = () => resolve(request.result ? request.result.value : null);
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// ===== UNDO HISTORY =====
+
+async function getUndoHistory(gameId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('undoHistory', 'readonly');
+    const request = tx.objectStore('undoHistory').get(gameId);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function saveUndoHistory(history) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('undoHistory', 'readwrite');
+    tx.objectStore('undoHistory').put({ ...history, updatedAt: new Date().toISOString() });
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// ===== DATA MIGRATION (localStorage -> IndexedDB) =====
+
+async function migrateFromLocalStorage() {
+  try {
+    const migrated = await getSetting('migrationCompleted');
+    if (migrated) return false;
+
+    // Check for any localStorage data
+    const keys = Object.keys(localStorage);
+    if (keys.length === 0) {
+      await saveSetting('migrationCompleted', true);
+      return false;
+    }
+
+    console.log('[DB] Migrating localStorage data...');
+
+    // Try to find bowls-related data in localStorage
+    for (const key of keys) {
+      try {
+        const data = JSON.parse(localStorage.getItem(key));
+        if (data && Array.isArray(data) && data.length > 0 && data[0].gameId !== undefined) {
+          // This looks like game data - migrate it
+          for (const game of data) {
+            const gameRecord = {
+              id: game.gameId?.toString() || generateId(),
+              tournamentId: null,
+              tournamentName: game.tournamentName || '',
+              gameNumber: 1,
+              format: game.format || 'singles',
+              totalEnds: game.totalEnds || 21,
+              yourPlayers: game.yourPlayers || [],
+              opponentPlayers: game.opponentPlayers || [],
+              date: new Date().toISOString(),
+              gameNotes: game.gameNotes || '',
+              endNotes: game.endNotes || {},
+              completed: false,
+              // Preserve legacy fields for app.js compatibility
+              bowlsPerPlayer: game.bowlsPerPlayer || 4,
+              playersPerTeam: game.playersPerTeam || 1,
+              currentEnd: game.currentEnd || 1,
+              currentPlayerIndex: game.currentPlayerIndex || 0,
+              currentTeam: game.currentTeam || 'yours',
+              currentHand: game.currentHand || 'forehand',
+              matLength: game.matLength || 'short',
+              jackLength: game.jackLength || 'short',
+              jackPosition: game.jackPosition || { x: 250, y: 250 }
+            };
+
+            // Migrate bowls for this game
+            const bowlRecords = (game.bowls || []).map((bowl, idx) => ({
+              id: generateId(),
+              gameId: gameRecord.id,
+              playerId: bowl.player || 'unknown',
+              position: getPositionFromIndex(game.format, bowl.playerIndex),
+              end: bowl.end || 1,
+              bowlNumber: idx + 1,
+              distanceInFeet: bowl.distanceInFeet || 0,
+              angle: 0,
+              scoreValue: bowl.scoreValue || 0,
+              timestamp: new Date().toISOString(),
+              notes: bowl.notes || '',
+              // Preserve extra fields
+              x: bowl.x,
+              y: bowl.y,
+              team: bowl.team,
+              hand: bowl.hand,
+              matLength: bowl.matLength,
+              jackLength: bowl.jackLength,
+              resultCategory: bowl.resultCategory || '',
+              distanceCategory: bowl.distanceCategory,
+              scoreCategory: bowl.scoreCategory,
+              scoreDetail: bowl.scoreDetail
+            }));
+
+            // localStorage positions were canvas pixels
+            const converted = convertLegacyGame(gameRecord, bowlRecords);
+            await saveGame(converted.game);
+            if (converted.bowls.length > 0) {
+              await saveBowlsBatch(converted.bowls);
+            }
+          }
+        }
+      } catch (e) {
+        // Not JSON or not game data, skip
+      }
+    }
+
+    await saveSetting('migrationCompleted', true);
+    console.log('[DB] Migration complete');
+    return true;
+  } catch (err) {
+    console.error('[DB] Migration error:', err);
+    return false;
+  }
+}
+
+// ===== DUPLICATE BOWL REPAIR =====
+// Older builds re-saved every bowl of the live game under a fresh id on each
+// autosave, leaving several copies of the same delivery in the bowls store.
+// This runs once: identical copies are merged into a single record, and in
+// games that had copies, any end still holding more bowls than the format
+// allows keeps only the most recently written ones (the rest are undone or
+// pre-drag leftovers). Resolves with the ids of the deleted records.
+
+// Rewrite the tournaments, games and bowls in the canonical shape once, after
+// the v12 upgrade. Each store is rewritten in its own transaction, after the
+// upgrade has committed, so every record read is the one the upgrade left.
+async function repairCanonicalRecords() {
+  try {
+    if (!(await getSetting('canonicalRepairPending'))) return;
+
+    const db = await openDB();
+    const stores = [['tournaments', toCanonicalTournament], ['games', toCanonicalGame], ['bowls', toCanonicalBowl]];
+    for (const [storeName, canonicalize] of stores) {
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readwrite');
+        rewriteStore(tx, storeName, canonicalize);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e.target.error);
+      });
+    }
+
+    // Statistics counted from the old shapes are counted again
+    await saveSetting('aggregatesVersion', null);
+    await saveSetting('canonicalRepairPending', false);
+    console.log('[DB] Rewrote tournaments, games and bowls in the canonical shape');
+  } catch (err) {
+    console.error('[DB] Canonical record repair failed:', err);
+  }
+}
+
+async function repairDuplicateBowls() {
+  try {
+    const repaired = await getSetting('bowlRepairCompleted');
+    if (repaired) return [];
+
+    const games = await getAllGames();
+    const bowls = await getAllBowls();
+
+    const bowlsByGame = {};
+    bowls.forEach(b => {
+      if (!bowlsByGame[b.gameId]) bowlsByGame[b.gameId] = [];
+      bowlsByGame[b.gameId].push(b);
+    });
+
+    const survivors = [];
+    const removedIds = [];
+
+    for (const [gameId, gameBowls] of Object.entries(bowlsByGame)) {
+      // Copies differ only in id and timestamp
+      const copies = {};
+      gameBowls.forEach(b => {
+        const key = JSON.stringify(Object.keys(b)
+          .filter(k => k !== 'id' && k !== 'timestamp')
+          .sort()
+          .map(k => [k, b[k]]));
+        if (!copies[key]) copies[key] = [];
+        copies[key].push(b);
+      });
+
+      const merged = [];
+      const lastWritten = {};
+      let hadCopies = false;
+
+      Object.values(copies).forEach(group => {
+        group.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+        const keep = group[group.length - 1];
+        lastWritten[keep.id] = keep.timestamp || '';
+        if (group.length > 1) {
+          hadCopies = true;
+          // The first copy was written when the bowl was delivered
+          keep.timestamp = group[0].timestamp;
+          group.slice(0, -1).forEach(b => removedIds.push(b.id));
+          survivors.push(keep);
+        }
+        merged.push(keep);
+      });
+
+      if (!hadCopies) continue;
+
+      const game = games.find(g => g.id === gameId);
+      const maxPerTeam = ((game && game.bowlsPerPlayer) || 4) * ((game && game.playersPerTeam) || 1);
+      const byEndTeam = {};
+      merged.forEach(b => {
+        const key = b.end + '_' + b.team;
+        if (!byEndTeam[key]) byEndTeam[key] = [];
+        byEndTeam[key].push(b);
+      });
+
+      Object.values(byEndTeam).forEach(group => {
+        if (group.length <= maxPerTeam) return;
+        group.sort((a, b) => lastWritten[b.id].localeCompare(lastWritten[a.id]));
+        group.slice(maxPerTeam).forEach(b => removedIds.push(b.id));
+      });
+    }
+
+    if (removedIds.length > 0) {
+      const removed = new Set(removedIds);
+      const db = await openDB();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction('bowls', 'readwrite');
+        const store = tx.objectStore('bowls');
+        survivors.filter(b => !removed.has(b.id)).forEach(b => store.put(b));
+        removedIds.forEach(id => store.delete(id));
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e.target.error);
+      });
+      await refreshAggregates(survivors.map(b => b.gameId));
+      console.log(`[DB] Removed ${removedIds.length} duplicate bowls`);
+    }
+
+    await saveSetting('bowlRepairCompleted', true);
+    return removedIds;
+  } catch (err) {
+    console.error('[DB] Bowl repair error:', err);
+    return [];
+  }
+}
+
+// ===== BACKUP & RESTORE =====
+// A backup is one JSON archive holding every store plus the drill history and
+// 40-bowl personal bests kept in localStorage, with a SHA-256 checksum of the
+// payload so a truncated or edited file is rejected before anything is written.
+// The statistics store is left out and rebuilt from the bowls on restore.
+
+const BACKUP_FORMAT = 'bowlstrack-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_STORES = ['tournaments', 'games', 'bowls', 'players', 'recycleBin', 'changeLog', 'undoHistory', 'scoutingNotes', 'settings'];
+
+function isBackedUpLocalKey(key) {
+  return key === 'bowlstrack_drill_history' || key.startsWith('bowlstrack_40bowl_pb_');
+}
+
+// JSON with sorted keys, so equal records always serialise the same way
+function stableStringify(value) {
+  if (Array.isArray(value)) return '[' + value.map(stableStringify).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => JSON.stringify(k) + ':' + stableStringify(value[k])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function getAllFromStore(storeName) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const request = tx.objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = (e) => reject(e.target.error);
+  });
+}
+
+async function createBackup() {
+  const stores = {};
+  for (const name of BACKUP_STORES) {
+    stores[name] = await getAllFromStore(name);
+  }
+
+  const local = {};
+  Object.keys(localStorage).filter(isBackedUpLocalKey).forEach(key => {
+    local[key] = localStorage.getItem(key);
+  });
+
+  const payload = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: DB_VERSION,
+    createdAt: new Date().toISOString(),
+    stores,
+    localStorage: local
+  };
+
+  return { ...payload, checksum: await sha256Hex(stableStringify(payload)) };
+}
+
+// Throws with a readable message if the archive can't be restored
+async function validateBackup(archive) {
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a BowlsTrack backup.');
+  }
+  if (archive.version > BACKUP_VERSION || archive.schemaVersion > DB_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Please update and try again.');
+  }
+  if (!archive.stores || !['games', 'bowls'].every(name => Array.isArray(archive.stores[name]))) {
+    throw new Error('This backup is incomplete.');
+  }
+
+  const { checksum, ...payload } = archive;
+  if (checksum !== await sha256Hex(stableStringify(payload))) {
+    throw new Error('This backup is damaged (checksum mismatch) and cannot be restored.');
+  }
+}
+
+// The archive's games and bowls in canonical form. Backups from before
+// schema v8 hold canvas-pixel positions, converted here to rink coordinates.
+function getBackupRecords(archive) {
+  const games = archive.stores.games.map(toCanonicalGame);
+  const bowls = archive.stores.bowls.map(toCanonicalBowl);
+  if ((archive.schemaVersion || 0) >= 8) return { games, bowls };
+
+  const converted = games.map(game => convertLegacyGame(game, bowls.filter(b => b.gameId === game.id)));
+  const gameIds = new Set(games.map(g => g.id));
+  return {
+    games: converted.map(c => c.game),
+    bowls: [
+      ...converted.flatMap(c => c.bowls),
+      ...bowls.filter(b => !gameIds.has(b.gameId)).map(b => convertLegacyGame({}, [b]).bowls[0])
+    ]
+  };
+}
+
+// Compare each game in the archive with the local copy. A game is 'new' if
+// only the backup has it, 'identical' if both copies match, and 'conflict'
+// if they differ. Games only this device has are listed as 'localOnly'.
+async function previewRestore(archive) {
+  const [localGames, localBowls] = await Promise.all([getAllGames(), getAllBowls()]);
+  const { games: backupGames, bowls: backupBowls } = getBackupRecords(archive);
+
+  const bowlsByGame = (bowls) => {
+    const map = {};
+    bowls.forEach(b => { (map[b.gameId] = map[b.gameId] || []).push(b); });
+    Object.values(map).forEach(list => list.sort((a, b) => (a.id < b.id ? -1 : 1)));
+    return map;
+  };
+  const localByGame = bowlsByGame(localBowls);
+  const backupByGame = bowlsByGame(backupBowls);
+  const localById = {};
+  localGames.forEach(g => { localById[g.id] = g; });
+
+  const games = backupGames.map(game => {
+    const local = localById[game.id];
+    const bowls = backupByGame[game.id] || [];
+    const entry = {
+      id: game.id,
+      label: `${(game.yourPlayers || []).join(', ')} vs ${(game.opponentPlayers || [])[0] || 'Unknown'}`,
+      date: game.date,
+      backupBowls: bowls.length,
+      backupEnd: game.currentEnd || 1
+    };
+    if (!local) return { ...entry, status: 'new' };
+
+    const localGameBowls = localByGame[game.id] || [];
+    entry.localBowls = localGameBowls.length;
+    entry.localEnd = local.currentEnd || 1;
+    const same = stableStringify(local) === stableStringify(game) &&
+      stableStringify(localGameBowls) === stableStringify(bowls);
+    return { ...entry, status: same ? 'identical' : 'conflict' };
+  });
+
+  const backupIds = new Set(backupGames.map(g => g.id));
+  const localOnly = localGames.filter(g => !backupIds.has(g.id)).map(g => ({
+    id: g.id,
+    label: `${(g.yourPlayers || []).join(', ')} vs ${(g.opponentPlayers || [])[0] || 'Unknown'}`,
+    date: g.date,
+    localBowls: (localByGame[g.id] || []).length
+  }));
+
+  const counts = {};
+  BACKUP_STORES.forEach(name => { counts[name] = (archive.stores[name] || []).length; });
+
+  return { createdAt: archive.createdAt, counts, games, localOnly };
+}
+
+// Drill history is { drillId: [results] } - keep every distinct result
+function mergeDrillHistory(localJSON, backupJSON) {
+  let local = {};
+  let backup = {};
+  try { local = JSON.parse(localJSON || '{}'); } catch (e) { local = {}; }
+  try { backup = JSON.parse(backupJSON || '{}'); } catch (e) { backup = {}; }
+
+  const merged = { ...local };
+  Object.entries(backup).forEach(([drillId, results]) => {
+    const seen = new Set((merged[drillId] || []).map(stableStringify));
+    const added = (results || []).filter(r => !seen.has(stableStringify(r)));
+    merged[drillId] = [...(merged[drillId] || []), ...added]
+      .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+  });
+  return JSON.stringify(merged);
+}
+
+function restoreLocalStorage(entries, mode) {
+  if (mode === 'replace') {
+    Object.keys(localStorage).filter(isBackedUpLocalKey).forEach(key => localStorage.removeItem(key));
+  }
+  Object.entries(entries || {}).forEach(([key, value]) => {
+    if (!isBackedUpLocalKey(key)) return;
+    const current = localStorage.getItem(key);
+    if (mode === 'replace' || current === null) {
+      localStorage.setItem(key, value);
+    } else if (key === 'bowlstrack_drill_history') {
+      localStorage.setItem(key, mergeDrillHistory(current, value));
+    } else if (parseInt(value, 10) > parseInt(current, 10)) {
+      // Personal best - keep the higher score
+      localStorage.setItem(key, value);
+    }
+  });
+}
+
+// Restore a validated archive.
+//   mode 'replace' - wipe this device and load the backup exactly.
+//   mode 'merge'   - add what's missing; for each conflicting game,
+//                    `resolutions[gameId]` is 'backup' to take the backup's copy,
+//                    otherwise the local copy is kept.
+// Resolves with a report including the games and bowls written and the ids
+// of bowls deleted, so they can be synced.
+async function restoreBackup(archive, mode, resolutions = {}) {
+  const preview = await previewRestore(archive);
+  const stores = archive.stores;
+  const { games: backupGames, bowls: backupBowls } = getBackupRecords(archive);
+
+  let takeGameIds;
+  if (mode === 'replace') {
+    takeGameIds = new Set(stores.games.map(g => g.id));
+  } else {
+    takeGameIds = new Set(preview.games
+      .filter(g => g.status === 'new' || (g.status === 'conflict' && resolutions[g.id] === 'backup'))
+      .map(g => g.id));
+  }
+
+  const games = backupGames.filter(g => takeGameIds.has(g.id));
+  const bowls = backupBowls.filter(b => takeGameIds.has(b.gameId));
+  const removedBowlIds = [];
+  const liveGameIds = new Set(mode === 'replace' ? takeGameIds : [
+    ...takeGameIds,
+    ...preview.games.filter(g => g.status !== 'new').map(g => g.id),
+    ...preview.localOnly.map(g => g.id)
+  ]);
+
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(BACKUP_STORES, 'readwrite');
+
+    if (mode === 'replace') {
+      BACKUP_STORES.forEach(name => tx.objectStore(name).clear());
+    }
+
+    // Records that aren't tied to a game: add any this device doesn't have
+    const putMissing = (storeName, records, keyOf) => {
+      const store = tx.objectStore(storeName);
+      records.forEach(record => {
+        if (mode === 'replace') { store.put(record); return; }
+        store.get(keyOf(record)).onsuccess = (e) => {
+          if (!e.target.result) store.put(record);
+        };
+      });
+    };
+    putMissing('tournaments', (stores.tournaments || []).map(toCanonicalTournament), t => t.id);
+    putMissing('players', stores.players || [], p => p.id);
+    putMissing('scoutingNotes', stores.scoutingNotes || [], n => n.id);
+    putMissing('changeLog', stores.changeLog || [], c => c.id);
+    // A game live here after the restore stays out of the bin
+    const binStore = tx.objectStore('recycleBin');
+    takeGameIds.forEach(gameId => binStore.delete(`game:${gameId}`));
+    putMissing('recycleBin', (stores.recycleBin || []).filter(entry =>
+      entry.kind !== 'game' || !liveGameIds.has(entry.itemId)), entry => entry.id);
+    // Undo stacks only fit the copy of the game they were recorded on
+    const undoStore = tx.objectStore('undoHistory');
+    takeGameIds.forEach(gameId => undoStore.delete(gameId));
+    (stores.undoHistory || []).filter(h => takeGameIds.has(h.gameId)).forEach(h => undoStore.put(h));
+    putMissing('settings', (stores.settings || []).filter(s => s.settingName !== 'schemaVersion'), s => s.settingName);
+    tx.objectStore('settings').put({ settingName: 'schemaVersion', value: DB_VERSION });
+
+    const gameStore = tx.objectStore('games');
+    const bowlStore = tx.objectStore('bowls');
+    games.forEach(g => gameStore.put(g));
+
+    // A game taken from the backup replaces the local game's bowls entirely
+    if (mode !== 'replace') {
+      const keepIds = new Set(bowls.map(b => b.id));
+      takeGameIds.forEach(gameId => {
+        bowlStore.index('gameId').openCursor(gameId).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            if (!keepIds.has(cursor.value.id)) {
+              removedBowlIds.push(cursor.value.id);
+              cursor.delete();
+            }
+            cursor.continue();
+          }
+        };
+      });
+    }
+    bowls.forEach(b => bowlStore.put(b));
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(e.target.error);
+    tx.onabort = (e) => reject(e.target.error);
+  });
+
+  restoreLocalStorage(archive.localStorage, mode);
+  await rebuildAggregates();
+
+  const report = {
+    mode,
+    added: preview.games.filter(g => g.status === 'new').map(g => g.id),
+    replaced: preview.games.filter(g => g.status === 'conflict' && takeGameIds.has(g.id)).map(g => g.id),
+    kept: preview.games.filter(g => g.status === 'conflict' && !takeGameIds.has(g.id)).map(g => g.id),
+    identical: preview.games.filter(g => g.status === 'identical').map(g => g.id),
+    removedLocal: mode === 'replace' ? preview.localOnly.map(g => g.id) : [],
+    games,
+    bowls,
+    removedBowlIds
+  };
+  console.log(`[DB] Restored backup (${mode}): ${games.length} games, ${bowls.length} bowls`);
+  return report;
+}
+
+// ===== STORAGE USAGE =====
+
+// Record count of every store, as { storeName: count }
+async function getStoreCounts() {
+  const db = await openDB();
+  const names = Array.from(db.objectStoreNames);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, 'readonly');
+    const counts = {};
+    names.forEach(name => {
+      tx.objectStore(name).count().onsuccess = (e) => { counts[name] = e.target.result; };
+    });
+    tx.oncomplete = () => resolve(counts);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// Record count and approximate size (length of the JSON) of every store.
+// Reads every record, so it is only run when asked for in the storage panel.
+async function getStoreStats() {
+  const db = await openDB();
+  const names = Array.from(db.objectStoreNames);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, 'readonly');
+    const stats = names.map(name => ({ name, count: 0, bytes: 0 }));
+    stats.forEach(stat => {
+      tx.objectStore(stat.name).getAll().onsuccess = (e) => {
+        stat.count = e.target.result.length;
+        stat.bytes = JSON.stringify(e.target.result).length;
+      };
+    });
+    tx.oncomplete = () => resolve(stats);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// ===== CLEAR ALL DATA =====
+
+async function clearAllData() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['tournaments', 'games', 'bowls', 'players', 'aggregates', 'recycleBin', 'changeLog', 'undoHistory', 'scoutingNotes', 'settings'], 'readwrite');
+    tx.objectStore('tournaments').clear();
+    tx.objectStore('games').clear();
+    tx.objectStore('bowls').clear();
+    tx.objectStore('players').clear();
+    tx.objectStore('aggregates').clear();
+    tx.objectStore('recycleBin').clear();
+    tx.objectStore('changeLog').clear();
+    tx.objectStore('undoHistory').clear();
+    tx.objectStore('scoutingNotes').clear();
+    tx.objectStore('settings').clear();
+    tx.oncomplete = () => {
+      console.log('[DB] All data cleared');
+      resolve();
+    };
+    tx.onerror = (e) => reject(e.target.error);
+  });
+}
+
+// ===== UTILITY =====
+
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+}
+
+// A team's positions in lineup order. Here rather than in app.js so the
+// analytics worker, which loads db.js but not app.js, has it too.
+function getPositionsForFormat(format) {
+  const positions = {
+    'singles': ['Player'],
+    'pairs4': ['Lead', 'Skip'],
+    'pairs3': ['Lead', 'Skip'],
+    'triples3': ['Lead', 'Second', 'Skip'],
+    'triples2': ['Lead', 'Second', 'Skip'],
+    'fours': ['Lead', 'Second', 'Third', 'Skip']
+  };
+  return positions[format] || ['Player'];
+}
+
+// `index` is a position in the team's lineup; who held it at an end is getLineup()'s
+function getPositionFromIndex(format, index) {
+  return getPositionsForFormat(format)[index] || 'Player';
 }
@@ -0,0 +1,84 @@
+// delivery.js — Delivery line and weight: why a bowl finished where it did
+//
+// The line is where the bowl was aimed across the rink (narrow, on line or
+// wide) and the weight how hard it was sent (light, correct or heavy). Both are
+// inferred from where the bowl came to rest against the jack of its end, the
+// hand it was played on and the arm its bowler bowls with. A right-hander's
+// forehand is sent out to the right and draws in to the left, so one finishing
+// left of the jack was delivered narrow and one finishing right of it wide; a
+// backhand, or a left-hander's forehand, is the mirror image. The arm comes from
+// the player registry (db.js) - without one, as for opposition bowlers, the line
+// is left unknown rather than guessed. A bowl short of the jack was light, one
+// past it heavy whichever arm it came from. The scorer can override either
+// (bowl.line, bowl.weight) and an override always wins, so dragging a bowl only
+// changes what was inferred.
+
+const DELIVERY_LINES = { narrow: 'Narrow', onLine: 'On line', wide: 'Wide' };
+const DELIVERY_WEIGHTS = { light: 'Light', correct: 'Correct', heavy: 'Heavy' };
+const BOWLING_ARMS = { right: 'Right', left: 'Left' };
+
+// How far across (line) or along (weight) the rink from the jack still counts as right
+const LINE_TOLERANCE_M = 0.3;
+const WEIGHT_TOLERANCE_M = 0.5;
+
+// Registered bowling arms by normalized player name and alias; null until loaded
+let bowlingArms = null;
+
+// Reload the arms from the registry. Statistics already counted for a player
+// whose arm has changed since the last load are recounted with the new one.
+async function loadBowlingArms() {
+  const previous = bowlingArms;
+  const lookup = buildPlayerLookup(await getAllPlayers());
+  bowlingArms = {};
+  Object.entries(lookup).forEach(([name, player]) => {
+    if (BOWLING_ARMS[player.bowlingArm]) bowlingArms[name] = player.bowlingArm;
+  });
+  if (!previous) return;
+
+  const changed = Object.keys({ ...previous, ...bowlingArms }).filter(name => previous[name] !== bowlingArms[name]);
+  const names = [...new Set(changed.map(name => lookup[name] && lookup[name].name).filter(Boolean))];
+  if (names.length === 0) return;
+  const bowls = (await Promise.all(names.map(name => getBowlsByPlayer(name)))).flat();
+  await refreshAggregates(bowls.map(b => b.gameId));
+  console.log(`[Delivery] Bowling arm changed for ${names.join(', ')}`);
+}
+
+// 'right' or 'left' for a registered bowler, null when not recorded
+function getBowlerArm(bowl) {
+  if (!bowlingArms || !bowl.playerId || bowl.playerId === 'opponent') return null;
+  return bowlingArms[normalizePlayerName(bowl.playerId)] || null;
+}
+
+// { line, weight } from the bowl's rest position, or null without a position or
+// a jack. The line is null when the bowler's arm isn't recorded.
+function inferDelivery(game, bowl) {
+  const jack = getEndJack(game, bowl.end);
+  if (!jack || !hasRinkPosition(game, bowl)) return null;
+
+  // Positive when the bowl finished on the side its hand is sent out to
+  const arm = getBowlerArm(bowl);
+  const outside = (bowl.x - jack.x) * (bowl.hand === 'backhand' ? -1 : 1) * (arm === 'left' ? -1 : 1);
+  const along = bowl.y - jack.y;
+  return {
+    line: !arm ? null : outside > LINE_TOLERANCE_M ? 'wide' : outside < -LINE_TOLERANCE_M ? 'narrow' : 'onLine',
+    weight: along > WEIGHT_TOLERANCE_M ? 'heavy' : along < -WEIGHT_TOLERANCE_M ? 'light' : 'correct'
+  };
+}
+
+// { line, weight, lineSet, weightSet }: the scorer's values where set, otherwise
+// the inferred ones (null when nothing can be inferred)
+function getBowlDelivery(game, bowl) {
+  const inferred = inferDelivery(game, bowl) || { line: null, weight: null };
+  return {
+    line: DELIVERY_LINES[bowl.line] ? bowl.line : inferred.line,
+    weight: DELIVERY_WEIGHTS[bowl.weight] ? bowl.weight : inferred.weight,
+    lineSet: !!DELIVERY_LINES[bowl.line],
+    weightSet: !!DELIVERY_WEIGHTS[bowl.weight]
+  };
+}
+
+// "Wide, heavy" for summaries; '' when neither is known
+function describeDelivery(delivery) {
+  const parts = [DELIVERY_LINES[delivery.line], DELIVERY_WEIGHTS[delivery.weight]].filter(Boolean);
+  return parts.map((part, i) => (i === 0 ? part : part.toLowerCase())).join(', ');
+}
@@ -26,18 +26,15 @@ function _buildDemoGames() {
 
     const game = {
       id: gameId,
-      gameId: gameId,
       tournamentName: tournament,
       format: isPairs ? 'pairs4' : 'singles',
       gameType: 'game',
       matchStructure: 'traditional',
       totalEnds: totalEnds,
-      endCount: totalEnds,
       currentEnd: totalEnds,
       completed: true,
       date: date + 'T10:00:00.000Z',
       yourPlayers: players,
-      players: players,
       opponentPlayers: [opposition],
       awayPlayers: [],
       bowlsPerPlayer: 4,
@@ -49,16 +46,18 @@ function _buildDemoGames() {
       setScores: [],
       endNotes: {},
       gameNotes: '',
-      jackPosition: { x: 250, y: 250 },
+      coordinateSystem: 'rink',
+      rink: { ...RINK_DEFAULTS },
       bowls: [],
       currentPlayerIndex: 0,
       currentTeam: 'yours',
       currentHand: 'forehand',
-      matLength: 'short',
+      matLength: MIN_MAT_DISTANCE_M,
       jackLength: 'medium',
       gameNumber: gi + 1,
       [DEMO_DATA_MARKER]: true
     };
+    game.jackPosition = getDefaultJackPosition(game, 'medium');
 
     games.push(game);
 
@@ -81,27 +80,25 @@ function _buildDemoGames() {
         else if (pIdx > 0) position = 'Skip';
       }
 
+      // Place the bowl its recorded distance from the jack, in a random direction
+      const distanceInFeet = score !== null ? (score >= 4 ? 0.3 : score >= 3 ? 0.8 : score >= 2 ? 1.5 : score >= 1 ? 2.5 : 4.0) : 2.0;
+      const angle = Math.random() * 2 * Math.PI;
+
       allBowls.push({
         id: _demoId(),
         gameId: gameId,
-        endNumber: endNum,
         end: endNum,
         bowlNumber: bowlNum,
-        player: playerName,
-        playerName: playerName,
         playerId: playerName,
         team: 'yours',
         hand: hand,
         position: position,
-        x: 200 + Math.floor(Math.random() * 100),
-        y: 200 + Math.floor(Math.random() * 100),
+        x: game.jackPosition.x + feetToMetres(distanceInFeet) * Math.cos(angle),
+        y: game.jackPosition.y + feetToMetres(distanceInFeet) * Math.sin(angle),
         scoreValue: score,
-        score: score,
         resultCategory: resultCat || '',
-        direction: resultCat || '',
-        distanceInFeet: score !== null ? (score >= 4 ? 0.3 : score >= 3 ? 0.8 : score >= 2 ? 1.5 : score >= 1 ? 2.5 : 4.0) : 2.0,
-        distance: score !== null ? (score >= 4 ? 0.3 : score >= 3 ? 0.8 : score >= 2 ? 1.5 : score >= 1 ? 2.5 : 4.0) : 2.0,
-        matLength: matLen || 'Medium',
+        distanceInFeet: distanceInFeet,
+        matLength: getMatDistance({ matLength: matLen || 'medium' }),
         jackLength: jackLen || 'Medium',
         shotType: shotType || '',
         quality: score !== null ? (score >= 3 ? 'good' : (score >= 2 ? 'average' : 'poor')) : 'average',
@@ -161,12 +158,12 @@ async function removeDemoData() {
     const allGames = await getAllGames();
     for (const game of allGames) {
       if (game[DEMO_DATA_MARKER]) {
-        await deleteGame(game.id);
+        await purgeGame(game.id);
       }
     }
   } else {
     for (const id of gameIds) {
-      await deleteGame(id);
+      await purgeGame(id);
     }
   }
 
@@ -1033,6 +1033,7 @@ function finishDrill() {
   const scatterRadius = isGrouping ? calculateGroupingScore() : null;
 
   const result = {
+    id: crypto.randomUUID(),
     drillId: drill.id,
     drillName: drill.name,
     score: isGrouping ? null : drillState.totalScore,
@@ -1062,29 +1063,58 @@ function finishDrill() {
   showDrillResults(result, canSave);
 }
 
+// Upsert the session, so a session restored from the recycle bin is saved
+// again and no longer marked deleted. Queued while offline or signed out.
 async function saveDrillToSupabase(result) {
-  // Only attempt if Supabase is available and user is authenticated
-  if (typeof supabaseClient === 'undefined' && typeof db === 'undefined') return;
-  const client = typeof db !== 'undefined' ? db : (typeof supabaseClient !== 'undefined' ? supabaseClient : null);
-  if (!client) return;
-
-  try {
-    const { error } = await client.from('drill_sessions').insert({
-      drill_id: result.drillId,
+  // Only attempt if the Supabase sync layer is available
+  if (typeof enqueue !== 'function') return;
+
+  const session = {
+    id: result.id,
+    drill_type: result.drillId,
+    score: result.score,
+    max_score: result.maxScore,
+    sub_scores: { scores: result.scores },
+    metadata: {
       drill_name: result.drillName,
       category: result.category,
-      score: result.score,
-      max_score: result.maxScore,
       scatter_radius: result.scatterRadius,
-      details: { scores: result.scores },
       duration_seconds: result.duration
-    });
-    if (error) console.warn('[Drills] Supabase save error:', error.message);
+    },
+    completed_at: result.date,
+    deleted_at: null,
+    deleted_by: null
+  };
+  // Left out when signed out, so a restore doesn't clear the recorded player
+  if (typeof playerRecord !== 'undefined' && playerRecord) session.player_name = playerRecord.name;
+
+  if (!isAuthenticated() || !navigator.onLine) {
+    enqueue({ type: 'upsert_drill_session', data: session });
+    return;
+  }
+  try {
+    const { error } = await db.from('drill_sessions').upsert(session, { onConflict: 'id' });
+    if (error) throw error;
   } catch (e) {
-    console.warn('[Drills] Could not save to Supabase:', e.message);
+    console.warn('[Drills] Supabase save queued:', e.message);
+    enqueue({ type: 'upsert_drill_session', data: session });
   }
 }
 
+// Move a saved session to the recycle bin and drop it from the history
+async function deleteDrillSession(drillId, sessionId) {
+  const session = (drillHistory[drillId] || []).find(r => r.id === sessionId);
+  if (!session) return;
+  if (!confirm(`Delete this ${session.drillName} session? It can be restored from the recycle bin in Settings.`)) return;
+
+  await addToRecycleBin(createRecycleBinEntry('drillSession', session, getCurrentUserLabel()));
+  drillHistory[drillId] = drillHistory[drillId].filter(r => r.id !== sessionId);
+  saveDrillHistory();
+  console.log('[Drills] Session moved to recycle bin:', sessionId);
+
+  navigateTo('drills');
+}
+
 function showDrillResults(result, canSave) {
   document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
   document.getElementById('drillResultsScreen').classList.add('active');
@@ -1164,6 +1194,7 @@ function showDrillResults(result, canSave) {
       <p style="color: var(--text-muted); font-size: 12px; margin-top: 10px;">Duration: ${durationStr}</p>
       ${upgradeHtml}
     </div>
+    ${canSave && result.id ? `<button class="btn-small drill-delete-session" onclick="deleteDrillSession('${drill.id}', '${result.id}')">Delete Session</button>` : ''}
   `;
 
   window.scrollTo(0, 0);
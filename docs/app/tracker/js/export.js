@@ -25,6 +25,37 @@ function toCSV(headers, rows) {
   return [headerLine, ...dataLines].join('\n');
 }
 
+// Toucher, In Ditch and Dead cells for a bowl, under the head rules in scoring.js
+function headStateCells(game, b) {
+  const flag = value => (value ? 'Yes' : '');
+  return [flag(b.isToucher), flag(isBowlInDitch(game || {}, b)), flag(isBowlDead(game || {}, b))];
+}
+
+// Line and weight columns: the scorer's values, otherwise inferred from the rest position
+function deliveryCells(game, b) {
+  const delivery = game ? getBowlDelivery(game, b) : { line: b.line, weight: b.weight };
+  return [DELIVERY_LINES[delivery.line] || '', DELIVERY_WEIGHTS[delivery.weight] || ''];
+}
+
+// Called shot columns: what was called, by whom, how it turned out and what it did to the head
+function callCells(game, bowls, b) {
+  if (!b.call) return ['', '', '', ''];
+  const outcome = game ? getCallOutcome(game, bowls, b) : b.call.outcome;
+  const change = getCallHeadChange(b);
+  return [describeCall(b.call), b.call.calledBy || '', CALL_OUTCOMES[outcome] || '', change != null ? change : ''];
+}
+
+// Green condition columns for the bowl's end (conditions.js)
+const CONDITION_HEADERS = ['Green Speed (s)', 'Surface', 'Wind', 'Wind From', 'Weather', 'Rink', 'Playing To'];
+
+function conditionCells(game, b) {
+  const c = game ? getEndConditions(game, b.end) : {};
+  return [
+    c.greenSpeed || '', SURFACES[c.surface] || '', WIND_STRENGTHS[c.windStrength] || '', c.windDirection || '',
+    WEATHER_TYPES[c.weather] || '', c.rinkNumber || '', c.playDirection || ''
+  ];
+}
+
 function getDateStamp() {
   return new Date().toISOString().slice(0, 10);
 }
@@ -71,21 +102,22 @@ async function exportAllPlayerStats() {
 
 // Export single player history
 async function exportPlayerHistory(playerName) {
-  const bowls = await getAllBowls();
-  const playerBowls = bowls.filter(b => b.playerId === playerName && b.team === 'yours');
+  const playerBowls = await queryBowls({ playerId: playerName, team: 'yours' });
 
   if (playerBowls.length === 0) {
     alert('No data for this player.');
     return;
   }
 
-  const allGames = await getAllGames();
+  const allGames = await getGamesByIds([...new Set(playerBowls.map(b => b.gameId))]);
 
   const headers = [
     'Game', 'Date', 'Format', 'End', 'Bowl Number',
-    'Position', 'Hand', 'Distance (ft)', 'Direction',
+    'Position', 'Hand', 'Distance (ft)', 'Distance (m)', 'Direction',
     'Score', 'Score Category', 'Score Detail',
-    'Mat Length', 'Jack Length', 'Notes'
+    'Toucher', 'In Ditch', 'Dead', 'Line', 'Weight',
+    'Called Shot', 'Called By', 'Call Outcome', 'Head Change',
+    'Mat Distance (m)', 'Jack Distance (m)', 'Jack Length', ...CONDITION_HEADERS, 'Notes'
   ];
 
   const rows = playerBowls.map(b => {
@@ -94,17 +126,23 @@ async function exportPlayerHistory(playerName) {
       game ? `Game ${game.gameNumber || ''}` : b.gameId,
       game ? formatDate(game.date) : '',
       game ? formatName(game.format) : '',
-      b.endNumber || b.end || '',
+      b.end || '',
       b.bowlNumber || '',
-      b.position || '',
+      game ? getBowlPosition(b, game.format) : b.position || '',
       b.hand || '',
-      (b.distanceInFeet || b.distance || 0).toFixed(2),
-      b.resultCategory || b.direction || '',
-      b.scoreValue || b.score || 0,
+      (b.distanceInFeet || 0).toFixed(2),
+      feetToMetres(b.distanceInFeet || 0).toFixed(2),
+      b.resultCategory || '',
+      b.scoreValue || 0,
       b.scoreCategory || '',
       b.scoreDetail || '',
-      b.matLength || '',
+      ...headStateCells(game, b),
+      ...deliveryCells(game, b),
+      ...callCells(game, playerBowls, b),
+      getMatDistance(b).toFixed(1),
+      b.jackDistance != null ? b.jackDistance.toFixed(1) : '',
       b.jackLength || '',
+      ...conditionCells(game, b),
       b.notes || ''
     ];
   });
@@ -126,47 +164,54 @@ async function exportGameData(gameId) {
 
   const headers = [
     'End', 'Player', 'Team', 'Bowl Number', 'Position',
-    'Hand', 'Distance (ft)', 'Direction', 'Distance Category',
+    'Hand', 'Distance (ft)', 'Distance (m)', 'Direction', 'Distance Category',
     'Score', 'Score Category', 'Score Detail',
-    'Mat Length', 'Jack Length', 'Timestamp', 'Notes'
+    'Toucher', 'In Ditch', 'Dead', 'Line', 'Weight',
+    'Called Shot', 'Called By', 'Call Outcome', 'Head Change',
+    'Mat Distance (m)', 'Jack Distance (m)', 'Jack Length', ...CONDITION_HEADERS, 'Timestamp', 'Notes'
   ];
 
   const rows = bowls
     .sort((a, b) => {
-      const endA = a.endNumber || a.end || 0;
-      const endB = b.endNumber || b.end || 0;
+      const endA = a.end || 0;
+      const endB = b.end || 0;
       if (endA !== endB) return endA - endB;
       return new Date(a.timestamp || 0) - new Date(b.timestamp || 0);
     })
     .map(b => [
-      b.endNumber || b.end || '',
-      b.playerName || b.player || b.playerId || '',
+      b.end || '',
+      b.playerId === 'opponent' ? b.opponentName || (game.opponentPlayers || [])[0] || '' : b.playerId || '',
       b.team || '',
       b.bowlNumber || '',
-      b.position || '',
+      isTeamTracked(game, b.team) ? getBowlPosition(b, game.format) : '',
       b.hand || '',
-      (b.distanceInFeet || b.distance || 0).toFixed(2),
-      b.resultCategory || b.direction || '',
+      (b.distanceInFeet || 0).toFixed(2),
+      feetToMetres(b.distanceInFeet || 0).toFixed(2),
+      b.resultCategory || '',
       b.distanceCategory || '',
-      b.scoreValue || b.score || 0,
+      b.scoreValue || 0,
       b.scoreCategory || '',
       b.scoreDetail || '',
-      b.matLength || '',
+      ...headStateCells(game, b),
+      ...deliveryCells(game, b),
+      ...callCells(game, bowls, b),
+      getMatDistance(b).toFixed(1),
+      b.jackDistance != null ? b.jackDistance.toFixed(1) : '',
       b.jackLength || '',
+      ...conditionCells(game, b),
       b.timestamp || '',
       b.notes || ''
     ]);
 
   const csv = toCSV(headers, rows);
-  const players = (game.players || game.yourPlayers || []).join('-').replace(/[^a-zA-Z0-9-]/g, '_');
+  const players = (game.yourPlayers || []).join('-').replace(/[^a-zA-Z0-9-]/g, '_');
   downloadCSV(csv, `BowlsTracker_Game_${players}_${getDateStamp()}.csv`);
 }
 
 // Export tournament summary
 async function exportTournamentSummary() {
   const tournaments = await getAllTournaments();
-  const allGames = await getAllGames();
-  const allBowls = await getAllBowls();
+  const allGames = await queryGames();
 
   if (tournaments.length === 0 && allGames.length === 0) {
     alert('No data to export.');
@@ -177,22 +222,27 @@ async function exportTournamentSummary() {
     'Tournament', 'Game Number', 'Date', 'Format',
     'Players', 'Opponent', 'Total Ends', 'Total Bowls',
     'Team Avg Score', 'Top Performer', 'Top Performer Avg',
-    'Status', 'Notes'
+    'Conditions', 'Status', 'Lineup Changes', 'Notes'
   ];
 
+  const bowlsByGame = {};
+  (await queryBowls({ gameIds: allGames.map(g => g.id) })).forEach(b => {
+    (bowlsByGame[b.gameId] = bowlsByGame[b.gameId] || []).push(b);
+  });
+
   const rows = allGames.map(game => {
-    const gameBowls = allBowls.filter(b => b.gameId === game.id);
+    const gameBowls = bowlsByGame[game.id] || [];
     const yourBowls = gameBowls.filter(b => b.team === 'yours');
-    const scoredBowls = yourBowls.filter(b => b.score !== undefined || b.scoreValue !== undefined);
+    const scoredBowls = yourBowls.filter(b => b.scoreValue != null);
     const avgScore = scoredBowls.length > 0
-      ? scoredBowls.reduce((s, b) => s + (b.scoreValue || b.score || 0), 0) / scoredBowls.length
+      ? scoredBowls.reduce((s, b) => s + (b.scoreValue || 0), 0) / scoredBowls.length
       : 0;
 
     const playerScores = {};
     yourBowls.forEach(b => {
-      const name = b.playerId || b.playerName;
+      const name = b.playerId;
       if (!playerScores[name]) playerScores[name] = { total: 0, count: 0 };
-      playerScores[name].total += (b.scoreValue || b.score || 0);
+      playerScores[name].total += (b.scoreValue || 0);
       playerScores[name].count++;
     });
 
@@ -208,15 +258,17 @@ async function exportTournamentSummary() {
       game.gameNumber || '',
       formatDate(game.date),
       formatName(game.format),
-      (game.players || game.yourPlayers || []).join('; '),
+      getLineupPlayers(game, 'yours').join('; '),
       (game.opponentPlayers || [])[0] || '',
-      game.endCount || game.totalEnds || '',
+      game.totalEnds || '',
       gameBowls.length,
       avgScore.toFixed(2),
       topPerformer,
       topAvg.toFixed(2),
+      describeConditions(getEndConditions(game, 1)),
       game.completed ? 'Completed' : 'In Progress',
-      (game.notes || game.gameNotes || '').replace(/\n/g, ' ')
+      (game.lineupChanges || []).map(change => describeLineupChange(game, change)).join('; '),
+      (game.gameNotes || '').replace(/\n/g, ' ')
     ];
   });
 
@@ -0,0 +1,196 @@
+// lineup.js — Substitutions and position swaps during a game
+//
+// The Lineup control on the game screen records a substitution (a new player
+// takes over a position) or a swap (two players change positions) for any
+// team whose bowls are credited to players, from the current end or an
+// earlier one. The history is kept on the game (game.lineupChanges, db.js) and
+// a change can be taken back from the same modal. Dating a change back to an
+// earlier end puts the bowls already scored from that end on under the player
+// who really delivered them, and moves a call credited to the usual caller to
+// whoever was calling then. Each change is one undo step, saved through
+// persistCurrentGame() like any other scoring action.
+
+// The teams whose lineup can change: [team, label]
+function getLineupTeams(game) {
+  const trial = game.gameType === 'trial';
+  return [['yours', trial ? 'Home' : 'Yours'], ['opponent', trial ? 'Away' : (game.opponentPlayers || [])[0] || 'Opposition']]
+    .filter(([team]) => isTeamTracked(game, team) && getStartingLineup(game, team).length > 0);
+}
+
+function updateLineupSummary() {
+  const el = document.getElementById('lineupSummary');
+  if (!el) return;
+  const changes = gameState.lineupChanges || [];
+  el.textContent = changes.length === 0
+    ? 'As started'
+    : describeLineupChange(gameState, changes[changes.length - 1]) + (changes.length > 1 ? ` (+${changes.length - 1} earlier)` : '');
+}
+
+// ===== MODAL =====
+
+function showLineupModal() {
+  const body = document.getElementById('lineupBody');
+  const teams = getLineupTeams(gameState);
+  const end = gameState.currentEnd || 1;
+  if (teams.length === 0) {
+    body.innerHTML = '<p class="lineup-intro">No players are named for this game.</p>';
+    document.getElementById('lineupModal').classList.add('active');
+    return;
+  }
+  const history = teams.flatMap(([team, label]) => getLineupChanges(gameState, team).map(change => `
+    <div class="lineup-change">
+      <span>${teams.length > 1 ? `${label}: ` : ''}${describeLineupChange(gameState, change)}</span>
+      <button class="btn-secondary btn-small" onclick="removeLineupChange('${change.id}')">Remove</button>
+    </div>
+  `)).join('');
+
+  body.innerHTML = `
+    <p class="lineup-intro">A change applies from the start of the end chosen. Bowls already scored from that end on move to the player who held the position.</p>
+    ${teams.length > 1 ? `
+      <div class="form-group">
+        <label for="lineupTeam">Team</label>
+        <select id="lineupTeam" onchange="updateLineupFields()">${teams.map(([team, label]) => `<option value="${team}">${label}</option>`).join('')}</select>
+      </div>` : `<input type="hidden" id="lineupTeam" value="${teams[0][0]}">`}
+    <div class="form-group">
+      <label for="lineupType">Change</label>
+      <select id="lineupType" onchange="updateLineupFields()">
+        <option value="substitution">Substitution</option>
+        <option value="swap">Swap positions</option>
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="lineupEnd">From end</label>
+      <input type="number" id="lineupEnd" min="1" max="${end}" value="${end}" onchange="updateLineupFields()">
+    </div>
+    <div id="lineupFields"></div>
+    <div class="action-buttons">
+      <button onclick="saveLineupChange()">Record Change</button>
+    </div>
+    <h3>Changes</h3>
+    <div class="lineup-history">${history || '<div>None - the lineup is as the game started.</div>'}</div>
+  `;
+  updateLineupFields();
+  document.getElementById('lineupModal').classList.add('active');
+}
+
+function closeLineupModal() {
+  document.getElementById('lineupModal').classList.remove('active');
+}
+
+// The position pickers show who holds each position at the chosen end
+function updateLineupFields() {
+  const team = document.getElementById('lineupTeam').value;
+  const type = document.getElementById('lineupType').value;
+  const end = parseInt(document.getElementById('lineupEnd').value) || gameState.currentEnd || 1;
+  const lineup = getLineup(gameState, team, end);
+  const options = lineup.map((name, i) => `<option value="${i}">${getPositionFromIndex(gameState.format, i)}: ${name}</option>`).join('');
+  const squad = team === 'yours' || gameState.gameType === 'trial';
+
+  document.getElementById('lineupFields').innerHTML = type === 'swap' ? `
+    <div class="form-group">
+      <label for="lineupSwapA">Swap</label>
+      <select id="lineupSwapA">${options}</select>
+    </div>
+    <div class="form-group">
+      <label for="lineupSwapB">With</label>
+      <select id="lineupSwapB">${options}</select>
+    </div>
+  ` : `
+    <div class="form-group">
+      <label for="lineupPosition">Position</label>
+      <select id="lineupPosition">${options}</select>
+    </div>
+    <div class="form-group">
+      <label for="lineupPlayer">Coming on</label>
+      <input type="text" id="lineupPlayer" list="${squad ? 'playerRegistryList' : 'oppositionRegistryList'}" autocomplete="off" placeholder="Player name">
+    </div>
+  `;
+  if (type === 'swap' && lineup.length > 1) document.getElementById('lineupSwapB').value = String(lineup.length - 1);
+}
+
+async function saveLineupChange() {
+  const team = document.getElementById('lineupTeam').value;
+  const type = document.getElementById('lineupType').value;
+  const end = parseInt(document.getElementById('lineupEnd').value);
+  const currentEnd = gameState.currentEnd || 1;
+  if (!end || end < 1 || end > currentEnd) {
+    alert(`Choose an end from 1 to ${currentEnd}.`);
+    return;
+  }
+
+  const change = { id: generateId(), team, end, type };
+  if (type === 'swap') {
+    change.indexes = [parseInt(document.getElementById('lineupSwapA').value), parseInt(document.getElementById('lineupSwapB').value)];
+    if (change.indexes[0] === change.indexes[1]) {
+      alert('Choose two different positions to swap.');
+      return;
+    }
+  } else {
+    change.index = parseInt(document.getElementById('lineupPosition').value);
+    const name = cleanPlayerName(document.getElementById('lineupPlayer').value);
+    if (!name) {
+      alert('Enter the name of the player coming on.');
+      return;
+    }
+    if (getLineup(gameState, team, end).some(n => normalizePlayerName(n) === normalizePlayerName(name))) {
+      alert(`${name} is already playing in end ${end}. Use a swap to change their position.`);
+      return;
+    }
+    // Squad players go through the registry as at setup; an opposition
+    // player already scored keeps their spelling
+    if (team === 'yours' || gameState.gameType === 'trial') {
+      change.player = (await resolvePlayer(name, getPositionFromIndex(gameState.format, change.index))).name;
+    } else {
+      change.player = (await getOppositionNames()).find(k => normalizePlayerName(k) === normalizePlayerName(name)) || name;
+    }
+  }
+
+  beginHistoryStep(type === 'swap' ? 'Swap positions' : 'Substitution');
+  setLineupChanges([...(gameState.lineupChanges || []), change], team, end);
+  console.log(`[Lineup] ${describeLineupChange(gameState, change)}`);
+}
+
+function removeLineupChange(id) {
+  const change = (gameState.lineupChanges || []).find(c => c.id === id);
+  if (!change) return;
+  beginHistoryStep('Remove lineup change');
+  setLineupChanges(gameState.lineupChanges.filter(c => c.id !== id), change.team, change.end);
+  console.log(`[Lineup] Removed change from end ${change.end}`);
+}
+
+function setLineupChanges(changes, team, fromEnd) {
+  const previous = { ...gameState };
+  gameState.lineupChanges = changes;
+  reattributeBowls(previous, team, fromEnd);
+  persistCurrentGame();
+  drawGreen();
+  updateDisplay();
+  showLineupModal();
+}
+
+// Bowls of `team` from `fromEnd` on go to whoever held their position in
+// their end. A call credited to the usual caller under the lineup `previous`
+// had is credited to the usual caller now; one picked by hand is left alone.
+function reattributeBowls(previous, team, fromEnd) {
+  let moved = 0;
+  gameState.bowls = gameState.bowls.map(b => {
+    if (b.team !== team || b.end < fromEnd) return b;
+    const lineup = getLineup(gameState, team, b.end);
+    const name = lineup[b.playerIndex];
+    if (!name) return b;
+
+    const bowl = { ...b };
+    if (b.playerId === 'opponent') bowl.opponentName = name;
+    else bowl.playerId = name;
+    if (b.call && b.call.calledBy) {
+      const before = getLineup(previous, team, b.end);
+      if (b.call.calledBy === before[getCallerIndex(before, b.playerIndex)]) {
+        bowl.call = { ...b.call, calledBy: lineup[getCallerIndex(lineup, b.playerIndex)] || null };
+      }
+    }
+    if (stableStringify(bowl) === stableStringify(b)) return b;
+    moved++;
+    return bowl;
+  });
+  if (moved > 0) console.log(`[Lineup] Re-attributed ${moved} bowls from end ${fromEnd}`);
+}
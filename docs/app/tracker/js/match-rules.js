@@ -0,0 +1,162 @@
+// match-rules.js — When a set or game is over and who won, for each match structure
+//
+// A game's matchStructure picks its entry in MATCH_RULES. Each entry works
+// from the shots of the completed ends (scoring.js) and returns the match
+// status: { yours, opponent, over, winner, ... } where winner is 'yours',
+// 'opponent' or 'draw' once the game is over. Adding a structure means adding
+// an entry here and an option on the setup screen. Structures without a set
+// number of ends are openEnded: their totalEnds grows as ends are played.
+//
+// Games saved before tieRule existed finish level as a draw, as they always did.
+
+const DEFAULT_SHOTS_TARGET = 21;
+const DEFAULT_TIME_LIMIT_MINUTES = 120;
+
+function sumEndShots(ends) {
+  return ends.reduce((total, e) => ({
+    yours: total.yours + e.yours,
+    opponent: total.opponent + e.opponent
+  }), { yours: 0, opponent: 0 });
+}
+
+function leader(score) {
+  if (score.yours > score.opponent) return 'yours';
+  if (score.opponent > score.yours) return 'opponent';
+  return null;
+}
+
+// Level at the finish: play on with an extra end, or record a draw
+function levelFinish(game, score) {
+  if (game.tieRule === 'extraEnd') return { ...score, over: false, winner: null, extraEnd: true };
+  return { ...score, over: true, winner: 'draw' };
+}
+
+const MATCH_RULES = {
+  // A fixed number of ends
+  traditional: {
+    label: 'Ends',
+    describe: game => `${game.totalEnds || 21} ends${game.tieRule === 'extraEnd' ? ', extra end if level' : ''}`,
+    status(game, ends) {
+      const score = sumEndShots(ends);
+      if (ends.length < (game.totalEnds || 21)) return { ...score, over: false, winner: null };
+      const winner = leader(score);
+      return winner ? { ...score, over: true, winner } : levelFinish(game, score);
+    },
+    progress(game) {
+      const scheduled = game.totalEnds || 21;
+      if (game.currentEnd > scheduled) return { label: 'Extra End', value: `${game.currentEnd - scheduled}` };
+      return { label: 'End', value: `${game.currentEnd}/${scheduled}` };
+    }
+  },
+
+  // First to a number of shots, however many ends it takes
+  shots: {
+    label: 'Shots',
+    openEnded: true,
+    describe: game => `First to ${game.shotsTarget || DEFAULT_SHOTS_TARGET} shots`,
+    status(game, ends) {
+      const score = sumEndShots(ends);
+      const target = game.shotsTarget || DEFAULT_SHOTS_TARGET;
+      if (score.yours < target && score.opponent < target) return { ...score, over: false, winner: null };
+      return { ...score, over: true, winner: leader(score) };
+    },
+    progress(game) {
+      return { label: 'End', value: `${game.currentEnd} (to ${game.shotsTarget || DEFAULT_SHOTS_TARGET})` };
+    }
+  },
+
+  // No new end starts once the time limit has passed
+  timed: {
+    label: 'Timed',
+    openEnded: true,
+    describe: game => `${game.timeLimitMinutes || DEFAULT_TIME_LIMIT_MINUTES} minutes${game.tieRule === 'extraEnd' ? ', extra end if level' : ''}`,
+    status(game, ends, now) {
+      const score = sumEndShots(ends);
+      const timeUp = getMatchMinutesLeft(game, now) <= 0;
+      if (!timeUp || ends.length === 0) return { ...score, over: false, winner: null, timeUp };
+      const winner = leader(score);
+      return winner ? { ...score, over: true, winner, timeUp } : { ...levelFinish(game, score), timeUp };
+    },
+    progress(game, now) {
+      const left = Math.max(0, Math.ceil(getMatchMinutesLeft(game, now)));
+      return { label: 'End', value: `${game.currentEnd} (${left} min)` };
+    }
+  },
+
+  // Sets won on shots per set. If the sets are level once all are played,
+  // tie-break ends decide it, with another end while the tie-break is level.
+  sets: {
+    label: 'Sets',
+    describe: game => `${game.numberOfSets} sets × ${game.endsPerSet} ends + ${game.tieBreakEnds || 1} end tie-break`,
+    status(game, ends) {
+      const numberOfSets = game.numberOfSets || 2;
+      const endsPerSet = game.endsPerSet || 7;
+      const sets = [];
+      for (let s = 0; s < numberOfSets && ends.length >= (s + 1) * endsPerSet; s++) {
+        const setShots = sumEndShots(ends.slice(s * endsPerSet, (s + 1) * endsPerSet));
+        sets.push({ ...setShots, set: s + 1 });
+      }
+      const setsWon = {
+        yours: sets.filter(s => s.yours > s.opponent).length,
+        opponent: sets.filter(s => s.opponent > s.yours).length
+      };
+      const base = { ...setsWon, sets, currentSet: Math.min(sets.length + 1, numberOfSets), tieBreak: false };
+
+      // Decided once the trailing side can't draw level with the sets left
+      const setsLeft = numberOfSets - sets.length;
+      if (setsWon.yours > setsWon.opponent + setsLeft) return { ...base, over: true, winner: 'yours' };
+      if (setsWon.opponent > setsWon.yours + setsLeft) return { ...base, over: true, winner: 'opponent' };
+      if (setsLeft > 0) return { ...base, over: false, winner: null };
+
+      const tieBreakEnds = ends.slice(numberOfSets * endsPerSet);
+      const tieBreak = { ...base, currentSet: numberOfSets + 1, tieBreak: true, tieBreakShots: sumEndShots(tieBreakEnds) };
+      if (tieBreakEnds.length < (game.tieBreakEnds || 1)) return { ...tieBreak, over: false, winner: null };
+      const winner = leader(tieBreak.tieBreakShots);
+      return { ...tieBreak, over: !!winner, winner, extraEnd: !winner };
+    },
+    progress(game) {
+      const endsPerSet = game.endsPerSet || 7;
+      const setEnds = (game.numberOfSets || 2) * endsPerSet;
+      if (game.currentEnd > setEnds) return { label: 'Tie-Break', value: `${game.currentEnd - setEnds}` };
+      return { label: 'End', value: `${((game.currentEnd - 1) % endsPerSet) + 1}/${endsPerSet}` };
+    }
+  }
+};
+
+function getMatchRules(game) {
+  return MATCH_RULES[game.matchStructure] || MATCH_RULES.traditional;
+}
+
+function getMatchMinutesLeft(game, now = Date.now()) {
+  const started = Date.parse(game.date);
+  const limit = game.timeLimitMinutes || DEFAULT_TIME_LIMIT_MINUTES;
+  return limit - (now - started) / 60000;
+}
+
+// Shots of each end recorded as complete, honouring measured overrides
+function getCompletedEndShots(game, bowls) {
+  return (game.endScores || [])
+    .map(es => ({ end: es.end, ...getEndShots(game, bowls, es.end) }))
+    .sort((a, b) => a.end - b.end);
+}
+
+// Match status after the completed ends. For sets the score is in sets won.
+function getMatchStatus(game, bowls, now = Date.now()) {
+  return getMatchRules(game).status(game, getCompletedEndShots(game, bowls), now);
+}
+
+// { label, value } for the end counter on the game screen
+function getMatchProgress(game, now = Date.now()) {
+  return getMatchRules(game).progress(game, now);
+}
+
+// "Won 21-17", "Lost 1-2 sets", "Drawn 15-15" - or null while the game is in play
+function describeMatchResult(game, status) {
+  if (!status || !status.over) return null;
+  const score = game.matchStructure === 'sets'
+    ? `${status.yours}-${status.opponent} sets`
+    : `${status.yours}-${status.opponent}`;
+  if (status.winner === 'draw') return `Drawn ${score}`;
+  if (game.gameType === 'trial') return `${status.winner === 'yours' ? 'Home' : 'Away'} won ${score}`;
+  return `${status.winner === 'yours' ? 'Won' : 'Lost'} ${score}`;
+}
@@ -0,0 +1,334 @@
+// multi-rink.js — Several live games open at once, one per rink
+//
+// A selector covering a side can keep a game open on each rink and switch
+// between them from the strip above the game screen. Only one game is on
+// screen at a time; the others are parked in rinkSessions with everything
+// the game screen holds for them in memory - the game itself, its undo
+// history, the bowl waiting to be scored, the call and marking modes, the
+// player last picked for each team, the zoom, and any game modal that was
+// open with what had been typed into it - so switching back carries on
+// exactly where the rink was left. Every action on a rink is saved through
+// persistCurrentGame() as it is made, so each game is stored on its own and
+// a parked rink has nothing waiting to be written.
+//
+// The open rinks are remembered in settings and reopened on the next start,
+// each loading from the database the first time it is switched to.
+
+const RINK_MODAL_IDS = [
+  'bowlScoringModal', 'endNotesModal', 'endGameModal', 'backEndScoringModal',
+  'bowlInspectorModal', 'conditionsModal', 'replayModal', 'coScoringModal', 'scoutingModal', 'lineupModal'
+];
+
+let rinkSessions = []; // [{ gameId, state }]; state is null for the rink on screen, or one not yet loaded
+let activeRinkIndex = -1;
+
+// The game screen's state for the game on it, as captured by captureRinkState()
+function blankRinkState() {
+  return {
+    gameState: null,
+    pendingBowl: null,
+    backEndPendingBowl: null,
+    selectedShotType: '',
+    selectedQuality: '',
+    moveJackMode: false,
+    markMode: null,
+    pendingCall: null,
+    callTargetMode: false,
+    lastPlayerIndexByTeam: { yours: 0, opponent: 0 },
+    zoom: { scale: 1, panX: 0, panY: 0 },
+    undoHistory: { gameId: null, undo: [], redo: [] },
+    pendingHistoryStep: null,
+    inspectedBowl: null,
+    replayState: null,
+    quickNotes: '',
+    modals: []
+  };
+}
+
+function captureRinkState() {
+  return {
+    gameState,
+    pendingBowl,
+    backEndPendingBowl,
+    selectedShotType,
+    selectedQuality,
+    moveJackMode,
+    markMode: deadBowlMode ? 'dead' : toucherMode ? 'toucher' : null,
+    pendingCall,
+    callTargetMode,
+    lastPlayerIndexByTeam,
+    zoom: { scale: canvasZoom, panX: canvasPanX, panY: canvasPanY },
+    undoHistory,
+    pendingHistoryStep,
+    inspectedBowl,
+    replayState,
+    quickNotes: document.getElementById('quickBowlNotes').value,
+    modals: captureRinkModals()
+  };
+}
+
+function applyRinkState(state) {
+  if (state.gameState) gameState = state.gameState;
+  pendingBowl = state.pendingBowl;
+  backEndPendingBowl = state.backEndPendingBowl;
+  selectedShotType = state.selectedShotType;
+  selectedQuality = state.selectedQuality;
+  moveJackMode = state.moveJackMode;
+  pendingCall = state.pendingCall;
+  callTargetMode = state.callTargetMode;
+  lastPlayerIndexByTeam = state.lastPlayerIndexByTeam;
+  canvasZoom = state.zoom.scale;
+  canvasPanX = state.zoom.panX;
+  canvasPanY = state.zoom.panY;
+  undoHistory = state.undoHistory;
+  pendingHistoryStep = state.pendingHistoryStep;
+  inspectedBowl = state.inspectedBowl;
+  replayState = state.replayState;
+  document.getElementById('quickBowlNotes').value = state.quickNotes;
+}
+
+// Open game modals with their content (some is built when opened) and field values
+function captureRinkModals() {
+  return RINK_MODAL_IDS.map(id => document.getElementById(id))
+    .filter(modal => modal && modal.classList.contains('active'))
+    .map(modal => ({
+      id: modal.id,
+      html: modal.innerHTML,
+      values: [...modal.querySelectorAll('input, select, textarea')]
+        .map(field => (field.type === 'checkbox' || field.type === 'radio' ? field.checked : field.value))
+    }));
+}
+
+function restoreRinkModals(modals) {
+  RINK_MODAL_IDS.forEach(id => {
+    const modal = document.getElementById(id);
+    if (modal) modal.classList.remove('active');
+  });
+  modals.forEach(saved => {
+    const modal = document.getElementById(saved.id);
+    if (!modal) return;
+    modal.innerHTML = saved.html;
+    modal.querySelectorAll('input, select, textarea').forEach((field, i) => {
+      if (field.type === 'checkbox' || field.type === 'radio') field.checked = saved.values[i];
+      else field.value = saved.values[i];
+    });
+    modal.classList.add('active');
+  });
+  // The replay canvas comes back blank
+  if (replayState && modals.some(m => m.id === 'replayModal')) setReplayFrame(replayState.index);
+}
+
+function getRinkSessionIndex(gameId) {
+  return rinkSessions.findIndex(s => s.gameId === gameId);
+}
+
+// Park the game on screen in its rink session
+function stashActiveRink() {
+  const session = rinkSessions[activeRinkIndex];
+  if (!session || (gameState.gameId || gameState.id) !== session.gameId) return;
+  pauseReplay();
+  session.state = captureRinkState();
+  restoreRinkModals([]);
+}
+
+// Clear the game screen's state so the next game opened goes on a new rink
+function leaveActiveRink() {
+  stashActiveRink();
+  activeRinkIndex = -1;
+  applyRinkState(blankRinkState());
+}
+
+function switchRink(index) {
+  if (index === activeRinkIndex || !rinkSessions[index]) return;
+  if (replayState && replayState.recording) {
+    alert('Wait for the replay video to finish recording before switching rinks.');
+    return;
+  }
+  stashActiveRink();
+  activateRink(index);
+}
+
+function activateRink(index) {
+  const session = rinkSessions[index];
+  const state = session.state || blankRinkState();
+  session.state = null;
+  activeRinkIndex = index;
+  applyRinkState(state);
+
+  // Not on screen since it was added or since the app started: load it
+  if (!state.gameState) {
+    const gameIndex = allGames.findIndex(g => (g.gameId || g.id) === session.gameId);
+    if (gameIndex === -1) {
+      console.warn('[MultiRink] Game no longer open:', session.gameId);
+      rinkSessions.splice(index, 1);
+      activeRinkIndex = -1;
+      saveRinkSessions();
+      renderRinkStrip();
+      return;
+    }
+    loadGame(gameIndex);
+    return;
+  }
+
+  document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
+  document.getElementById('gameScreen').classList.add('active');
+  updateTeamLabels();
+  selectTeam(gameState.currentTeam);
+  selectHand(gameState.currentHand);
+  createPlayerButtons();
+  setBowlMarkMode(state.markMode);
+  updateJackButtonStates();
+  updateRinkControls();
+  updateCallControls();
+  updateHistoryButtons();
+  updateDisplay();
+  drawGreen();
+  restoreRinkModals(state.modals);
+
+  saveRinkSessions();
+  console.log(`[MultiRink] Switched to rink ${index + 1} of ${rinkSessions.length}`);
+}
+
+// A game was opened on screen (loadGame, startGame): it takes over the rink
+// on screen, or goes on a new rink after leaveActiveRink()
+function noteRinkGameOpened(gameId) {
+  const index = getRinkSessionIndex(gameId);
+  if (index !== -1) {
+    activeRinkIndex = index;
+    rinkSessions[index].state = null;
+  } else if (rinkSessions[activeRinkIndex]) {
+    rinkSessions[activeRinkIndex] = { gameId, state: null };
+  } else {
+    rinkSessions.push({ gameId, state: null });
+    activeRinkIndex = rinkSessions.length - 1;
+  }
+  saveRinkSessions();
+  renderRinkStrip();
+}
+
+// Opening a game that is parked on another rink switches to it; true if it did
+function switchToRinkGame(gameId) {
+  const index = getRinkSessionIndex(gameId);
+  if (index === -1 || index === activeRinkIndex) return false;
+  switchRink(index);
+  return true;
+}
+
+// From the games manager: open the game alongside the one on screen
+function addRink(gameIndex) {
+  const game = allGames[gameIndex];
+  if (!game) return;
+  if (getRinkSessionIndex(game.gameId || game.id) === -1) leaveActiveRink();
+  loadGame(gameIndex);
+}
+
+// Take a game off the strip (it stays open in the games manager); true if
+// another rink was brought on screen in its place
+function closeRink(index) {
+  if (!rinkSessions[index]) return false;
+  const wasActive = index === activeRinkIndex;
+  if (wasActive && replayState && replayState.recording) return false;
+  rinkSessions.splice(index, 1);
+  if (index < activeRinkIndex) activeRinkIndex--;
+
+  let switched = false;
+  if (wasActive) {
+    activeRinkIndex = -1;
+    // The next rink along, or the one before when it was the last
+    if (rinkSessions.length > 0) {
+      restoreRinkModals([]);
+      activateRink(Math.min(index, rinkSessions.length - 1));
+      switched = true;
+    }
+  }
+  saveRinkSessions();
+  renderRinkStrip();
+  return switched;
+}
+
+function closeRinkForGame(gameId) {
+  const index = getRinkSessionIndex(gameId);
+  return index !== -1 && closeRink(index);
+}
+
+// A deleted game leaves its rink without another taking the screen
+function forgetRinkGame(gameId) {
+  const index = getRinkSessionIndex(gameId);
+  if (index === -1) return;
+  rinkSessions.splice(index, 1);
+  if (index === activeRinkIndex) activeRinkIndex = -1;
+  else if (index < activeRinkIndex) activeRinkIndex--;
+  saveRinkSessions();
+  renderRinkStrip();
+}
+
+function getRinkGame(session, index) {
+  if (index === activeRinkIndex) return gameState;
+  if (session.state && session.state.gameState) return session.state.gameState;
+  return allGames.find(g => (g.gameId || g.id) === session.gameId) || null;
+}
+
+// "Rink 3" where the rink number is recorded, otherwise the teams
+function describeRink(game) {
+  const rinkNumber = getEndConditions(game, game.currentEnd || 1).rinkNumber;
+  if (rinkNumber) return `Rink ${rinkNumber}`;
+  return `${(game.yourPlayers || [])[0] || 'Yours'} v ${(game.opponentPlayers || [])[0] || 'Opponent'}`;
+}
+
+// ===== STRIP =====
+
+// Shown above the game screen while more than one rink is open
+function renderRinkStrip() {
+  const strip = document.getElementById('rinkStrip');
+  if (!strip) return;
+  if (rinkSessions.length < 2) {
+    strip.style.display = 'none';
+    strip.innerHTML = '';
+    return;
+  }
+  strip.style.display = '';
+  strip.innerHTML = rinkSessions.map((session, i) => {
+    const game = getRinkGame(session, i);
+    if (!game) return '';
+    const pending = session.state && session.state.modals.length > 0
+      ? '<span class="rink-chip-pending" title="Scoring in progress">&bull;</span>' : '';
+    return `
+      <div class="rink-chip${i === activeRinkIndex ? ' active' : ''}" onclick="switchRink(${i})">
+        <button class="rink-chip-close" title="Close rink" onclick="event.stopPropagation(); closeRink(${i})">&times;</button>
+        <div class="rink-chip-label">${describeRink(game)}${pending}</div>
+        <div class="rink-chip-progress">${describeGameProgress(game)}</div>
+      </div>
+    `;
+  }).join('') + '<div class="rink-chip rink-chip-add" title="Open another game on a new rink" onclick="showGamesManager()">+ Rink</div>';
+}
+
+// ===== PERSISTENCE =====
+
+function saveRinkSessions() {
+  const active = rinkSessions[activeRinkIndex];
+  saveSetting('rinkSessions', {
+    gameIds: rinkSessions.map(s => s.gameId),
+    activeGameId: active ? active.gameId : null
+  }).catch(err => console.error('[MultiRink] Save error:', err));
+}
+
+// After the open games are loaded: bring back the rinks that were open, none on screen yet
+async function restoreRinkSessions() {
+  const saved = await getSetting('rinkSessions');
+  if (!saved || !Array.isArray(saved.gameIds)) return;
+  const open = new Set(allGames.map(g => g.gameId || g.id));
+  const gameIds = saved.gameIds.filter(id => open.has(id));
+  // A single game is the ordinary one-game screen
+  if (gameIds.length < 2) return;
+  rinkSessions = gameIds.map(gameId => ({ gameId, state: null }));
+  activeRinkIndex = Math.max(0, gameIds.indexOf(saved.activeGameId));
+  console.log(`[MultiRink] Restored ${rinkSessions.length} rinks`);
+}
+
+// The setup screen offers to start the new game alongside the one on screen
+function updateNewRinkOption() {
+  const option = document.getElementById('newRinkOption');
+  if (!option) return;
+  option.style.display = gameState.gameId || gameState.id ? '' : 'none';
+  document.getElementById('setupNewRink').checked = false;
+}
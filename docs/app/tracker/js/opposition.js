@@ -0,0 +1,367 @@
+// opposition.js — Named opposition players, the Opponents tab and scouting notes
+//
+// For scouting, a normal game can name each opposition player by position
+// (game.opponentNames) instead of recording the opposition as one team. The
+// game screen then rotates through them like your own team and scores their
+// bowls the same way, front end from the result and back end from the shot
+// type and quality. Their bowls stay playerId 'opponent' with the player in
+// opponentName (db.js), so your squad's statistics are unchanged; each
+// opposition player's totals build up across games in the aggregates store.
+//
+// The Opponents tab lists every opposition team and named player met and
+// opens a head-to-head report on one (getOpponentReport() in analytics.js),
+// with the selectors' scouting notes on them. The same notes can be read and
+// added to during a game from the Scouting button on the game screen.
+
+let opponentEntries = [];
+
+// ===== SETUP =====
+
+// Opposition players already scored, offered as their names are typed
+async function refreshOppositionPicker() {
+  const list = document.getElementById('oppositionRegistryList');
+  if (!list) return;
+  const names = await getOppositionNames();
+  list.innerHTML = names.map(name => `<option value="${name}"></option>`).join('');
+}
+
+async function getOppositionNames() {
+  const records = await getOpponentAggregates();
+  return records.map(r => r.playerId.slice(OPPONENT_TALLY_PREFIX.length));
+}
+
+// The name inputs follow the format; trials name the away team instead
+function updateOppositionInputs() {
+  const option = document.getElementById('nameOppositionOption');
+  const inputsDiv = document.getElementById('oppositionPlayers');
+  if (!option || !inputsDiv) return;
+
+  option.style.display = selectedGameType === 'trial' ? 'none' : '';
+  if (selectedGameType === 'trial' || !document.getElementById('nameOpposition').checked) {
+    inputsDiv.style.display = 'none';
+    inputsDiv.innerHTML = '';
+    return;
+  }
+
+  const positions = getPositionsForFormat(document.getElementById('gameFormat').value);
+  const typed = positions.map((_, idx) => (document.getElementById(`oppositionPlayer${idx}`) || {}).value || '');
+  inputsDiv.style.display = 'block';
+  inputsDiv.innerHTML = positions.map((position, idx) => `
+    <div class="form-group">
+      <label for="oppositionPlayer${idx}">${position}</label>
+      <input type="text" id="oppositionPlayer${idx}" list="oppositionRegistryList" autocomplete="off" placeholder="Opposition ${position.toLowerCase()} name" value="${typed[idx]}">
+    </div>
+  `).join('');
+}
+
+// The named opposition for a new game: [] when not naming them, null (after
+// telling the user) when a name is missing. A typed name matching a player
+// already scored, ignoring case and spacing, takes that player's spelling.
+async function readOppositionInputs(playerCount) {
+  if (selectedGameType === 'trial' || !document.getElementById('nameOpposition').checked) return [];
+
+  const names = [];
+  for (let i = 0; i < playerCount; i++) {
+    const input = document.getElementById(`oppositionPlayer${i}`);
+    const name = cleanPlayerName(input ? input.value : '');
+    if (!name) {
+      alert('Please enter all player names for the opposition');
+      return null;
+    }
+    names.push(name);
+  }
+
+  const known = await getOppositionNames();
+  return names.map(name => known.find(k => normalizePlayerName(k) === normalizePlayerName(name)) || name);
+}
+
+// ===== OPPONENTS =====
+
+// Every opposition team and named player met, most recently played first,
+// with the games against them and the record in the finished ones
+function buildOpponentEntries(games, notes) {
+  const notesById = {};
+  notes.forEach(n => { notesById[n.id] = n; });
+
+  const byKey = {};
+  const entries = [];
+  [...games].sort((a, b) => new Date(b.date) - new Date(a.date)).forEach(game => {
+    getGameOpponents(game).forEach(({ kind, name }) => {
+      const key = getOpponentKey(kind, name);
+      let entry = byKey[key];
+      if (!entry) {
+        const note = notesById[key];
+        entry = byKey[key] = { kind, name, key, teams: [], positions: [], games: 0, won: 0, drawn: 0, lost: 0, notes: note ? note.notes : '' };
+        entries.push(entry);
+      }
+      entry.games++;
+      const winner = game.result ? game.result.winner : null;
+      if (winner === 'yours') entry.won++;
+      if (winner === 'draw') entry.drawn++;
+      if (winner === 'opponent') entry.lost++;
+      if (kind === 'player') {
+        const team = (game.opponentPlayers || [])[0];
+        if (team && !entry.teams.includes(team)) entry.teams.push(team);
+        getPlayerPositions(game, 'opponent', name).forEach(position => {
+          if (!entry.positions.includes(position)) entry.positions.push(position);
+        });
+      }
+    });
+  });
+  return entries;
+}
+
+function describeOpponentRecord(entry) {
+  return `P${entry.games} W${entry.won} D${entry.drawn} L${entry.lost}`;
+}
+
+async function renderOppositionDashboard(container) {
+  const [games, notes] = await Promise.all([getAllGames(), getAllScoutingNotes()]);
+  opponentEntries = buildOpponentEntries(games, notes);
+
+  if (opponentEntries.length === 0) {
+    container.innerHTML = `
+      <div class="analytics-empty">
+        <p>No opponents recorded yet.</p>
+        <p>Enter the opposition team, or name its players, when setting up a game.</p>
+      </div>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="player-selector-bar">
+      <label for="oppositionSearch">Search:</label>
+      <input type="search" id="oppositionSearch" placeholder="Team, player or notes" oninput="filterOppositionList()">
+    </div>
+    <div id="oppositionList" class="opposition-list">${renderOppositionList(opponentEntries)}</div>
+    <div id="oppositionProfile"></div>
+  `;
+}
+
+function renderOppositionList(entries) {
+  if (entries.length === 0) return '<div class="analytics-empty">No matching opponents.</div>';
+  return entries.map(e => `
+    <div class="registry-row" onclick="showOpponentProfile(${opponentEntries.indexOf(e)})">
+      <div class="registry-name">${e.name}${e.notes ? ' <span class="opponent-notes-badge">Notes</span>' : ''}</div>
+      <div class="registry-detail">${[
+        e.kind === 'team' ? 'Team' : `Player${e.positions.length > 0 ? ` (${e.positions.join('/')})` : ''}`,
+        e.teams.join(', '),
+        describeOpponentRecord(e)
+      ].filter(Boolean).join(' &bull; ')}</div>
+    </div>
+  `).join('');
+}
+
+function filterOppositionList() {
+  const query = normalizePlayerName(document.getElementById('oppositionSearch').value);
+  const matches = opponentEntries.filter(e => !query ||
+    [e.name, ...e.teams, e.notes].some(text => normalizePlayerName(text).includes(query)));
+  document.getElementById('oppositionList').innerHTML = renderOppositionList(matches);
+}
+
+async function showOpponentProfile(index) {
+  const entry = opponentEntries[index];
+  const el = document.getElementById('oppositionProfile');
+  if (!entry || !el) return;
+
+  // A named player's own scoring, as for a squad player
+  let report;
+  let stats = null;
+  try {
+    report = await runAnalyticsTask('opponentReport', { kind: entry.kind, name: entry.name }, { group: 'analytics' });
+    if (entry.kind === 'player') {
+      [stats = null] = await runAnalyticsTask('playerStats', { names: [getOpponentTallyId(entry.name)] }, { group: 'analytics' });
+    }
+  } catch (err) {
+    if (err.cancelled) return;
+    throw err;
+  }
+  if (!report) return;
+
+  if (typeof Chart !== 'undefined') Object.values(Chart.instances || {}).forEach(instance => instance.destroy());
+  el.innerHTML = `
+    <h3 class="opposition-profile-name">${entry.name}</h3>
+    <div class="stat-detail">${entry.kind === 'team' ? 'Opposition team' : `Played ${entry.positions.join('/')}${entry.teams.length > 0 ? ` for ${entry.teams.join(', ')}` : ''}`}</div>
+    <div class="analytics-card">
+      <div class="analytics-card-header"><h4>Scouting Notes</h4></div>
+      <textarea id="opponentNotes" rows="4" placeholder="How they play, what to expect, what worked against them..."></textarea>
+      <div class="action-buttons">
+        <button class="btn-small" onclick="saveOpponentNotes(${index})">Save Notes</button>
+        <span class="opponent-notes-status" id="opponentNotesStatus"></span>
+      </div>
+    </div>
+    ${renderOpponentReportHTML(report)}
+    ${stats ? `<h4>${entry.name}'s Scoring</h4>${renderPlayerStatsHTML(stats)}` : ''}
+  `;
+  document.getElementById('opponentNotes').value = entry.notes;
+  if (stats) setTimeout(() => renderPlayerCharts(stats), 100);
+}
+
+async function saveOpponentNotes(index) {
+  const entry = opponentEntries[index];
+  if (!entry) return;
+  entry.notes = document.getElementById('opponentNotes').value.trim();
+  await saveScoutingNote({ kind: entry.kind, name: entry.name, notes: entry.notes });
+  document.getElementById('opponentNotesStatus').textContent = 'Saved';
+  console.log('[Opposition] Scouting notes saved:', entry.key);
+}
+
+// ===== HEAD-TO-HEAD REPORT =====
+
+function renderOpponentReportHTML(report) {
+  const r = report.record;
+  const finished = r.won + r.drawn + r.lost;
+  const lengthLabels = { short: 'Short', medium: 'Medium', long: 'Long' };
+  const jackTotal = Object.values(report.jackLengths).reduce((sum, n) => sum + n, 0);
+  const preferred = Object.keys(lengthLabels).reduce((best, l) => (report.jackLengths[l] > report.jackLengths[best] ? l : best), 'short');
+  const handTotal = report.hands.forehand + report.hands.backhand;
+  const pct = (n, total) => `${Math.round(n / total * 100)}%`;
+
+  return `
+    <div class="stats-summary-cards">
+      <div class="stat-card">
+        <div class="stat-value">${r.played}</div>
+        <div class="stat-label">Played</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${r.won}-${r.drawn}-${r.lost}</div>
+        <div class="stat-label">Won-Drawn-Lost</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${finished > 0 ? pct(r.won, finished) : '-'}</div>
+        <div class="stat-label">Win Rate</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${r.shotsFor}-${r.shotsAgainst}</div>
+        <div class="stat-label">Shots For-Against</div>
+      </div>
+    </div>
+    ${r.inProgress > 0 ? `<div class="stat-detail">${r.inProgress} game${r.inProgress === 1 ? '' : 's'} still in progress</div>` : ''}
+
+    <div class="analytics-card">
+      <div class="analytics-card-header"><h4>End by End</h4></div>
+      ${report.ends.length === 0 ? '<div class="analytics-empty" style="padding:20px 10px;">No completed ends yet.</div>' : `
+      <div class="comparison-table-wrapper">
+        <table class="comparison-table">
+          <thead><tr><th>End</th><th>Played</th><th>Won</th><th>Lost</th><th>Avg Shots For</th><th>Avg Shots Against</th></tr></thead>
+          <tbody>
+            ${report.ends.map(e => `<tr>
+              <td>${e.end}</td>
+              <td>${e.played}</td>
+              <td>${e.won}</td>
+              <td>${e.lost}</td>
+              <td>${(e.shotsFor / e.played).toFixed(1)}</td>
+              <td>${(e.shotsAgainst / e.played).toFixed(1)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`}
+    </div>
+
+    <div class="analytics-card">
+      <div class="analytics-card-header"><h4>Their Jack and Hand</h4></div>
+      <div class="stat-detail">${jackTotal > 0
+        ? `Jack lengths when they had the mat: ${Object.keys(lengthLabels).map(l => `${lengthLabels[l]} ${report.jackLengths[l]}`).join(' &middot; ')} (prefers <strong>${lengthLabels[preferred]}</strong>)`
+        : 'Jack lengths when they had the mat: not tracked'}</div>
+      <div class="stat-detail">${handTotal > 0
+        ? `Hands played: Forehand ${pct(report.hands.forehand, handTotal)} &middot; Backhand ${pct(report.hands.backhand, handTotal)} (${handTotal} bowls)`
+        : 'Hands played: not tracked'}</div>
+    </div>
+
+    <div class="analytics-card">
+      <div class="analytics-card-header"><h4>Your Players Against Them</h4></div>
+      ${report.ourPlayers.length === 0 ? '<div class="analytics-empty" style="padding:20px 10px;">No tracked bowls in these games.</div>' : `
+      <div class="comparison-table-wrapper">
+        <table class="comparison-table">
+          <thead><tr><th>Player</th><th>Games</th><th>Bowls</th><th>Avg Score</th><th>Avg in All Games</th></tr></thead>
+          <tbody>
+            ${report.ourPlayers.map(p => `<tr>
+              <td><strong>${p.name}</strong></td>
+              <td>${p.games}</td>
+              <td>${p.bowls}</td>
+              <td>${p.avgScore.toFixed(2)}</td>
+              <td>${p.overallAvg.toFixed(2)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`}
+    </div>
+
+    <h4>Games</h4>
+    ${report.games.map(g => `
+      <div class="registry-row" onclick="showGameDrillDown('${g.id}')">
+        <div class="registry-name">${formatDate(g.date)} &middot; ${g.result}</div>
+        <div class="registry-detail">${[
+          g.tournamentName,
+          formatName(g.format),
+          g.position ? `${g.position} for ${g.team || 'the opposition'}` : '',
+          g.players.length > 0 ? `v ${g.players.join(', ')}` : ''
+        ].filter(Boolean).join(' &bull; ')}</div>
+      </div>
+    `).join('')}
+  `;
+}
+
+// ===== PITCH-SIDE SCOUTING =====
+
+// The game screen's opponent line: who the game is against
+function updateScoutingSummary() {
+  const el = document.getElementById('scoutingSummary');
+  if (!el) return;
+  const opponents = getGameOpponents(gameState);
+  el.textContent = opponents.length > 0 ? opponents.map(o => o.name).join(', ') : 'No opponent named';
+}
+
+// Notes on the team and any named players in the game on screen, with the
+// record against each in earlier games. Each notes box carries its opponent,
+// so the modal saves correctly after being parked on another rink.
+async function showScoutingModal() {
+  const body = document.getElementById('scoutingBody');
+  const gameId = gameState.gameId || gameState.id;
+  const opponents = getGameOpponents(gameState);
+
+  if (opponents.length === 0) {
+    body.innerHTML = '<p class="scouting-intro">Enter the opposition team when setting up a game to keep scouting notes on them.</p>';
+    document.getElementById('scoutingModal').classList.add('active');
+    return;
+  }
+
+  const [games, notes] = await Promise.all([getAllGames(), getAllScoutingNotes()]);
+  const earlier = buildOpponentEntries(games.filter(g => g.id !== gameId), notes);
+  const notesById = {};
+  notes.forEach(n => { notesById[n.id] = n.notes; });
+
+  body.innerHTML = opponents.map(({ kind, name }, i) => {
+    const entry = earlier.find(e => e.key === getOpponentKey(kind, name));
+    const label = kind === 'team' ? 'Team' : getPlayerPositions(gameState, 'opponent', name).join('/');
+    return `
+      <div class="scouting-opponent">
+        <h3>${name} <span class="scouting-kind">${label}</span></h3>
+        <div class="stat-detail">${entry ? `Earlier games: ${describeOpponentRecord(entry)}` : 'Not met before'}</div>
+        <textarea id="scoutingNotes${i}" rows="3" data-kind="${kind}" data-name="${name}" placeholder="Scouting notes"></textarea>
+      </div>
+    `;
+  }).join('');
+  opponents.forEach(({ kind, name }, i) => {
+    document.getElementById(`scoutingNotes${i}`).value = notesById[getOpponentKey(kind, name)] || '';
+  });
+  document.getElementById('scoutingModal').classList.add('active');
+}
+
+function closeScoutingModal() {
+  document.getElementById('scoutingModal').classList.remove('active');
+}
+
+// Save the notes that were changed
+async function saveScoutingModal() {
+  const fields = [...document.querySelectorAll('#scoutingBody textarea')];
+  for (const field of fields) {
+    const { kind, name } = field.dataset;
+    const notes = field.value.trim();
+    const current = await getScoutingNote(kind, name);
+    if ((current ? current.notes : '') === notes) continue;
+    await saveScoutingNote({ kind, name, notes });
+    console.log('[Opposition] Scouting notes saved:', getOpponentKey(kind, name));
+  }
+  closeScoutingModal();
+}
@@ -0,0 +1,119 @@
+// players.js — Player registry: setup picker and the rename / merge tool in My Settings
+
+let editingPlayerId = null;
+
+// ===== SETUP PICKER =====
+
+async function refreshPlayerPicker() {
+  const list = document.getElementById('playerRegistryList');
+  if (!list) return;
+
+  const players = await getAllPlayers();
+  list.innerHTML = players.map(p => {
+    const detail = [p.club, p.positions.join('/')].filter(Boolean).join(' - ');
+    return `<option value="${p.name}">${detail}</option>`;
+  }).join('');
+}
+
+// ===== REGISTRY SETTINGS =====
+
+async function renderPlayerRegistry() {
+  const listEl = document.getElementById('playerRegistryPlayers');
+  if (!listEl) return;
+
+  const players = await getAllPlayers();
+  if (players.length === 0) {
+    listEl.innerHTML = '<p class="registry-empty">No players yet. Players are added when you start a game.</p>';
+    return;
+  }
+
+  listEl.innerHTML = players.map(p => {
+    const details = [p.club, p.positions.join(', '), p.preferredHand ? `Prefers ${p.preferredHand}` : '',
+      BOWLING_ARMS[p.bowlingArm] ? `${BOWLING_ARMS[p.bowlingArm]}-handed` : ''].filter(Boolean);
+    return `
+      <div class="registry-row" onclick="showPlayerEditor('${p.id}')">
+        <div class="registry-name">${p.name}</div>
+        ${details.length > 0 ? `<div class="registry-detail">${details.join(' &bull; ')}</div>` : ''}
+        ${p.aliases.length > 0 ? `<div class="registry-detail">Also recorded as: ${p.aliases.join(', ')}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+async function showPlayerEditor(playerId) {
+  const player = await getPlayer(playerId);
+  if (!player) return;
+  editingPlayerId = playerId;
+
+  document.getElementById('playerEditName').value = player.name;
+  document.getElementById('playerEditHand').value = player.preferredHand || '';
+  document.getElementById('playerEditArm').value = player.bowlingArm || '';
+  document.getElementById('playerEditClub').value = player.club || '';
+  document.querySelectorAll('#playerEditPositions input').forEach(cb => {
+    cb.checked = player.positions.includes(cb.value);
+  });
+
+  const others = (await getAllPlayers()).filter(p => p.id !== playerId);
+  document.getElementById('playerMergeTarget').innerHTML =
+    '<option value="">Merge into...</option>' +
+    others.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+
+  document.getElementById('playerEditModal').classList.add('active');
+}
+
+function closePlayerEditor() {
+  editingPlayerId = null;
+  document.getElementById('playerEditModal').classList.remove('active');
+}
+
+async function savePlayerEdits() {
+  if (!editingPlayerId) return;
+
+  try {
+    // Rename first so history is re-pointed before the details are saved
+    const newName = document.getElementById('playerEditName').value;
+    const player = (await renamePlayer(editingPlayerId, newName)).player;
+
+    player.preferredHand = document.getElementById('playerEditHand').value;
+    player.bowlingArm = document.getElementById('playerEditArm').value;
+    player.club = document.getElementById('playerEditClub').value.trim();
+    player.positions = [...document.querySelectorAll('#playerEditPositions input:checked')].map(cb => cb.value);
+    await savePlayer(player);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+
+  await afterPlayerHistoryChange();
+}
+
+async function mergeEditingPlayer() {
+  const targetId = document.getElementById('playerMergeTarget').value;
+  if (!editingPlayerId || !targetId) {
+    alert('Choose the player to merge into.');
+    return;
+  }
+
+  const source = await getPlayer(editingPlayerId);
+  const target = await getPlayer(targetId);
+  if (!confirm(`Merge ${source.name} into ${target.name}? All of ${source.name}'s bowls, drill sessions and sharing preferences will move to ${target.name}.`)) {
+    return;
+  }
+
+  try {
+    await mergePlayers(editingPlayerId, targetId);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+
+  await afterPlayerHistoryChange();
+}
+
+// Bowls and games may have been re-pointed - reload anything that shows them
+async function afterPlayerHistoryChange() {
+  closePlayerEditor();
+  await loadBowlingArms();
+  await reloadGamesFromDB();
+  await renderPlayerRegistry();
+}
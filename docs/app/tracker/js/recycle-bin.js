@@ -0,0 +1,99 @@
+// recycle-bin.js — Deleted games and drill sessions: list, restore, delete forever, retention
+
+const RECYCLE_BIN_RETENTION_OPTIONS = [7, 30, 90, 365];
+
+// ===== DELETING =====
+
+async function deleteGameFromManager(gameIndex) {
+  const game = allGames[gameIndex];
+  if (!game) return;
+  const gameId = game.gameId || game.id;
+  const label = `${(game.yourPlayers || []).join(', ')} vs ${(game.opponentPlayers || [])[0] || 'Unknown'}`;
+  if (!confirm(`Delete ${label}? It can be restored from the recycle bin in Settings.`)) return;
+
+  // Stop the games manager saving the deleted game straight back
+  if ((gameState.gameId || gameState.id) === gameId) {
+    gameState.gameId = undefined;
+    gameState.id = undefined;
+  }
+
+  try {
+    await deleteGame(gameId, getCurrentUserLabel());
+    forgetRinkGame(gameId);
+    await reloadGamesFromDB();
+    showGamesManager();
+  } catch (err) {
+    console.error('[RecycleBin] Delete failed:', err);
+    alert('Could not delete the game: ' + err.message);
+  }
+}
+
+// ===== SETTINGS SECTION =====
+
+async function renderRecycleBin() {
+  const listEl = document.getElementById('recycleBinItems');
+  const retentionEl = document.getElementById('recycleBinRetention');
+  if (!listEl) return;
+
+  const days = await getRecycleBinRetentionDays();
+  if (retentionEl) {
+    retentionEl.innerHTML = RECYCLE_BIN_RETENTION_OPTIONS.map(d =>
+      `<option value="${d}" ${d === days ? 'selected' : ''}>${d} days</option>`
+    ).join('');
+  }
+
+  const entries = await getRecycleBin();
+  if (entries.length === 0) {
+    listEl.innerHTML = '<p class="registry-empty">The recycle bin is empty.</p>';
+    return;
+  }
+
+  listEl.innerHTML = entries.map(entry => {
+    const { title, detail } = describeRecycleBinEntry(entry);
+    const kindLabel = entry.kind === 'game' ? 'Game' : 'Drill';
+    const deletedOn = new Date(entry.deletedAt).toLocaleString();
+    return `
+      <div class="recycle-bin-row">
+        <div class="registry-name"><span class="recycle-bin-kind">${kindLabel}</span> ${title}</div>
+        <div class="registry-detail">${detail}</div>
+        <div class="registry-detail">Deleted ${deletedOn}${entry.deletedBy ? ' by ' + entry.deletedBy : ''}</div>
+        <div class="recycle-bin-actions">
+          <button class="btn-small" onclick="restoreRecycleBinItem('${entry.id}')">Restore</button>
+          <button class="btn-secondary btn-small" onclick="purgeRecycleBinItem('${entry.id}')">Delete Forever</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function restoreRecycleBinItem(id) {
+  try {
+    const entry = await restoreFromRecycleBin(id);
+    if (entry && entry.kind === 'game') {
+      await reloadGamesFromDB();
+    } else if (entry && typeof loadDrillHistory === 'function') {
+      loadDrillHistory();
+    }
+    await renderRecycleBin();
+  } catch (err) {
+    console.error('[RecycleBin] Restore failed:', err);
+    alert('Could not restore: ' + err.message);
+  }
+}
+
+async function purgeRecycleBinItem(id) {
+  if (!confirm('Delete this permanently? This cannot be undone.')) return;
+  try {
+    await purgeFromRecycleBin([id]);
+    await renderRecycleBin();
+  } catch (err) {
+    console.error('[RecycleBin] Purge failed:', err);
+    alert('Could not delete: ' + err.message);
+  }
+}
+
+async function setRecycleBinRetention(value) {
+  await saveSetting('recycleBinRetentionDays', parseInt(value, 10));
+  await purgeExpiredRecycleBin();
+  await renderRecycleBin();
+}
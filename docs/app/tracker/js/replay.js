@@ -0,0 +1,355 @@
+// replay.js — End-by-end replay of the head
+//
+// Steps through an end bowl by bowl: where each bowl came to rest, the jack
+// being moved, bowls going dead and the shots held after every step. Where
+// the game's undo history (undo-history.js) covers the end, the frames are
+// rebuilt from it - the game is taken back to its first recorded step and
+// played forward - so they show every move the scorer made. Otherwise each
+// bowl is added in the order it was delivered at its final rest position,
+// with the jack where it finished. The viewer opens from the game screen and
+// the game drill-down, and can record the replay to a video file.
+
+const REPLAY_FRAME_MS = 1200;
+const REPLAY_VIDEO_FPS = 10;
+const REPLAY_MARGIN_M = 0.75;
+const REPLAY_MIN_SPAN_M = 3;
+
+let replayState = null; // { game, bowls, steps, end, frames, index, timer, recording } while the viewer is open
+
+// ===== FRAMES =====
+
+// What the head of `endNum` looks like in `state`
+function snapshotEnd(state, endNum, label, at) {
+  const jack = state.currentEnd === endNum ? state.jackPosition : getEndJack(state, endNum);
+  return {
+    label,
+    at: at || null,
+    jack: jack ? { ...jack } : null,
+    bowls: (state.bowls || []).filter(b => isPlayedInEnd(b, endNum)).map(b => ({ ...b }))
+  };
+}
+
+// "Amy's bowl" for a step that placed a bowl, otherwise the step's own label
+function describeReplayStep(step, game) {
+  const added = step.bowls.find(change => !change.before && change.after);
+  if (!added) return step.label;
+  return `${getBowlPlayerName(game, added.after)}'s bowl`;
+}
+
+// Frames from the undo history: undo every step on a copy of the game, then
+// redo them one at a time, keeping a frame after each step of the end
+function buildHistoryFrames(game, bowls, endNum, steps) {
+  const state = cloneValue({ ...game, bowls });
+  [...steps].reverse().forEach(step => applyHistoryStep(state, step, 'before'));
+
+  const frames = [];
+  steps.forEach(step => {
+    if (step.end === endNum && frames.length === 0) frames.push(snapshotEnd(state, endNum, 'Start of end'));
+    applyHistoryStep(state, step, 'after');
+    if (step.end === endNum) frames.push(snapshotEnd(state, endNum, describeReplayStep(step, game), step.at));
+  });
+  return frames;
+}
+
+// Frames from the bowls alone, in delivery order at their rest positions
+function buildDeliveryFrames(game, bowls, endNum) {
+  const endBowls = bowls
+    .filter(b => isPlayedInEnd(b, endNum))
+    .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+  const jack = getEndJack(game, endNum);
+  const frame = (count, label, at) => ({ label, at: at || null, jack: jack ? { ...jack } : null, bowls: endBowls.slice(0, count) });
+  return [
+    frame(0, 'Start of end'),
+    ...endBowls.map((b, i) => frame(i + 1, describeReplayStep({ bowls: [{ after: b }] }, game), b.timestamp))
+  ];
+}
+
+// The frames of one end, each with the shots held: [{ label, at, jack, bowls, shots }].
+// Steps that changed nothing on the head (a line or weight set, say) are dropped.
+function buildEndReplay(game, bowls, endNum, steps = []) {
+  const recordsEnd = steps.some(step => step.end === endNum && step.bowls.some(change => !change.before && change.after));
+  const frames = recordsEnd ? buildHistoryFrames(game, bowls, endNum, steps) : buildDeliveryFrames(game, bowls, endNum);
+
+  const signature = frame => JSON.stringify([frame.jack, frame.bowls.map(b => [b.id, b.x, b.y, isBowlDead(game, b), !!b.isToucher])]);
+  return frames
+    .filter((frame, i) => i === 0 || signature(frame) !== signature(frames[i - 1]))
+    .map(frame => ({ ...frame, shots: countShots(frame.bowls, frame.jack, game) }));
+}
+
+// Ends that have bowls, in order
+function getReplayEnds(bowls) {
+  return [...new Set(bowls.map(b => b.end).filter(Boolean))].sort((a, b) => a - b);
+}
+
+// ===== DRAWING =====
+
+// Metres to canvas pixels, fitted to everything the end's frames show
+function getReplayView(frames, canvas) {
+  const points = frames.flatMap(frame => [frame.jack, ...frame.bowls].filter(p => p && p.x != null && p.y != null));
+  if (points.length === 0) return { scale: canvas.width / REPLAY_MIN_SPAN_M, centre: { x: 0, y: 0 } };
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const span = Math.max(REPLAY_MIN_SPAN_M, Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) + 2 * REPLAY_MARGIN_M;
+  return {
+    scale: canvas.width / span,
+    centre: { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 }
+  };
+}
+
+function drawReplayFrame(canvas, game, frames, index, endNum) {
+  const ctx = canvas.getContext('2d');
+  const frame = frames[index];
+  const view = getReplayView(frames, canvas);
+  const toCanvas = p => ({
+    x: canvas.width / 2 + (p.x - view.centre.x) * view.scale,
+    y: canvas.height / 2 + (p.y - view.centre.y) * view.scale
+  });
+
+  ctx.fillStyle = '#2E7D32';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // The front ditch, when it is in view
+  const rink = getRink(game);
+  const ditchTop = toCanvas({ x: 0, y: rink.length }).y;
+  if (ditchTop < canvas.height) {
+    ctx.fillStyle = '#8D6E63';
+    ctx.fillRect(0, ditchTop, canvas.width, canvas.height - ditchTop);
+  }
+
+  // Where the jack started, when it has been moved since
+  const startJack = frames[0].jack;
+  if (startJack && frame.jack && distanceBetween(startJack, frame.jack) > JACK_RADIUS_M) {
+    const from = toCanvas(startJack);
+    const to = toCanvas(frame.jack);
+    ctx.strokeStyle = 'rgba(255, 215, 0, 0.6)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.arc(from.x, from.y, Math.max(4, JACK_RADIUS_M * view.scale), 0, Math.PI * 2);
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  const bowlRadius = Math.max(6, BOWL_RADIUS_M * view.scale);
+  const previousIds = new Set(index > 0 ? frames[index - 1].bowls.map(b => b.id) : []);
+  frame.bowls.forEach((b, i) => {
+    if (b.x == null || b.y == null) return;
+    const { x, y } = toCanvas(b);
+    const dead = isBowlDead(game, b);
+    const latest = index > 0 && !previousIds.has(b.id);
+    ctx.save();
+    if (dead) ctx.globalAlpha = 0.35;
+    ctx.beginPath();
+    ctx.arc(x, y, bowlRadius, 0, Math.PI * 2);
+    ctx.fillStyle = dead ? '#999' : b.team === 'yours' ? '#4CAF50' : game.gameType === 'trial' ? '#2196F3' : '#f44336';
+    ctx.fill();
+    ctx.strokeStyle = latest ? 'white' : 'rgba(0, 0, 0, 0.4)';
+    ctx.lineWidth = latest ? 3 : 2;
+    ctx.stroke();
+    if (b.isToucher) {
+      ctx.beginPath();
+      ctx.arc(x, y, bowlRadius + 3, 0, Math.PI * 2);
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([3, 2]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    ctx.fillStyle = 'white';
+    ctx.font = `bold ${Math.round(Math.min(14, bowlRadius * 0.9))}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(i + 1), x, y);
+    ctx.restore();
+  });
+
+  if (frame.jack) {
+    const { x, y } = toCanvas(frame.jack);
+    ctx.beginPath();
+    ctx.arc(x, y, Math.max(4, JACK_RADIUS_M * view.scale), 0, Math.PI * 2);
+    ctx.fillStyle = '#FFD700';
+    ctx.fill();
+    ctx.strokeStyle = '#FFA500';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
+  // Caption burnt into the frame so it is in the exported video too
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+  ctx.fillRect(0, canvas.height - 28, canvas.width, 28);
+  ctx.fillStyle = 'white';
+  ctx.font = '13px Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`End ${endNum} - ${frame.label}`, 8, canvas.height - 14);
+  ctx.textAlign = 'right';
+  ctx.fillText(describeReplayShots(game, frame.shots), canvas.width - 8, canvas.height - 14);
+}
+
+// "Yours hold 2", "Opposition hold 1" or "No shot"
+function describeReplayShots(game, shots) {
+  const trial = game.gameType === 'trial';
+  if (shots.yours > 0) return `${trial ? 'Home' : 'Yours'} hold ${shots.yours}`;
+  if (shots.opponent > 0) return `${trial ? 'Away' : 'Opposition'} hold ${shots.opponent}`;
+  return 'No shot';
+}
+
+// ===== VIEWER =====
+
+// From the drill-down; the live game is replayed from memory
+async function showGameReplay(gameId, endNum) {
+  if ((gameState.gameId || gameState.id) === gameId) {
+    showLiveReplay(endNum);
+    return;
+  }
+  const stored = await getGame(gameId);
+  if (!stored) return;
+  const { game, bowls } = convertLegacyGame(stored, await getBowlsByGame(gameId));
+  let steps = [];
+  try {
+    const history = await getUndoHistory(gameId);
+    steps = history ? history.undo || [] : [];
+  } catch (err) {
+    console.error('[Replay] History load error:', err);
+  }
+  openReplay(game, bowls, steps, endNum);
+}
+
+// From the game screen: the end being played, or the last one if it has no bowls yet
+function showLiveReplay(endNum) {
+  const steps = undoHistory.gameId === (gameState.gameId || gameState.id) ? undoHistory.undo : [];
+  const ends = getReplayEnds(gameState.bowls);
+  openReplay(gameState, gameState.bowls, steps, endNum || ends[ends.length - 1]);
+}
+
+function openReplay(game, bowls, steps, endNum) {
+  const ends = getReplayEnds(bowls);
+  if (ends.length === 0) {
+    alert('No bowls have been recorded in this game yet.');
+    return;
+  }
+  replayState = { game, bowls, steps, end: null, frames: [], index: 0, timer: null, recording: false };
+  document.getElementById('replayEnd').innerHTML = ends.map(e => `<option value="${e}">End ${e}</option>`).join('');
+  document.getElementById('replayModal').classList.add('active');
+  selectReplayEnd(ends.includes(endNum) ? endNum : ends[0]);
+}
+
+function selectReplayEnd(endNum) {
+  if (!replayState) return;
+  pauseReplay();
+  replayState.end = parseInt(endNum);
+  replayState.frames = buildEndReplay(replayState.game, replayState.bowls, replayState.end, replayState.steps);
+  document.getElementById('replayEnd').value = replayState.end;
+  const scrub = document.getElementById('replayScrub');
+  scrub.max = replayState.frames.length - 1;
+  setReplayFrame(0);
+}
+
+function setReplayFrame(index) {
+  if (!replayState) return;
+  const { frames, game } = replayState;
+  replayState.index = Math.max(0, Math.min(frames.length - 1, parseInt(index) || 0));
+  drawReplayFrame(document.getElementById('replayCanvas'), game, frames, replayState.index, replayState.end);
+  document.getElementById('replayScrub').value = replayState.index;
+  document.getElementById('replayPosition').textContent = `${replayState.index + 1} / ${frames.length}`;
+}
+
+function stepReplay(delta) {
+  pauseReplay();
+  setReplayFrame(replayState.index + delta);
+}
+
+function toggleReplayPlay() {
+  if (!replayState) return;
+  if (replayState.timer) {
+    pauseReplay();
+    return;
+  }
+  // Play from the start again once the end has finished
+  if (replayState.index >= replayState.frames.length - 1) setReplayFrame(0);
+  replayState.timer = setInterval(() => {
+    if (replayState.index >= replayState.frames.length - 1) {
+      pauseReplay();
+      return;
+    }
+    setReplayFrame(replayState.index + 1);
+  }, REPLAY_FRAME_MS);
+  document.getElementById('replayPlayBtn').innerHTML = '&#10074;&#10074;';
+}
+
+function pauseReplay() {
+  if (!replayState) return;
+  clearInterval(replayState.timer);
+  replayState.timer = null;
+  document.getElementById('replayPlayBtn').innerHTML = '&#9654;';
+}
+
+function closeReplay() {
+  if (replayState && replayState.recording) return;
+  pauseReplay();
+  replayState = null;
+  document.getElementById('replayModal').classList.remove('active');
+}
+
+// ===== VIDEO EXPORT =====
+
+function getReplayVideoType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return ['video/webm;codecs=vp9', 'video/webm', 'video/mp4'].find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Record the end being shown, one frame every REPLAY_FRAME_MS, to a video file
+async function exportReplayVideo() {
+  if (!replayState || replayState.recording) return;
+  const canvas = document.getElementById('replayCanvas');
+  const mimeType = getReplayVideoType();
+  if (!mimeType || !canvas.captureStream) {
+    alert('This browser cannot record video. Try Chrome, Edge or Firefox.');
+    return;
+  }
+
+  pauseReplay();
+  const button = document.getElementById('replayExportBtn');
+  button.disabled = true;
+  button.textContent = 'Recording...';
+  replayState.recording = true;
+
+  const recorder = new MediaRecorder(canvas.captureStream(REPLAY_VIDEO_FPS), { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+  try {
+    recorder.start();
+    // Redraw while each frame is held so the stream keeps producing frames
+    for (let i = 0; i < replayState.frames.length; i++) {
+      const until = Date.now() + REPLAY_FRAME_MS;
+      while (Date.now() < until) {
+        setReplayFrame(i);
+        await new Promise(resolve => setTimeout(resolve, 1000 / REPLAY_VIDEO_FPS));
+      }
+    }
+    recorder.stop();
+    await stopped;
+
+    const type = mimeType.split(';')[0];
+    const blob = new Blob(chunks, { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const teams = [(replayState.game.yourPlayers || []).join('-'), (replayState.game.opponentPlayers || [])[0] || 'Opponent'].join('_vs_');
+    link.href = url;
+    link.download = `BowlsTracker_Replay_${teams.replace(/[^a-zA-Z0-9_-]/g, '_')}_End${replayState.end}.${type === 'video/mp4' ? 'mp4' : 'webm'}`;
+    link.click();
+    URL.revokeObjectURL(url);
+    console.log(`[Replay] Exported end ${replayState.end} (${replayState.frames.length} frames)`);
+  } catch (err) {
+    console.error('[Replay] Export error:', err);
+    alert('Could not record the replay: ' + err.message);
+  } finally {
+    replayState.recording = false;
+    button.disabled = false;
+    button.textContent = 'Export Video';
+  }
+}
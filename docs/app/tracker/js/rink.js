@@ -0,0 +1,182 @@
+// rink.js — Rink geometry: dimensions, mat and jack placement, true distances
+//
+// Positions are in metres on the rink of the end being played: x across the
+// rink from the centre line (positive to the right looking from the mat), y
+// up the rink from the edge of the ditch behind the mat. The front ditch
+// starts at y = rink.length. game.matLength is the distance from that rear
+// ditch to the back edge of the mat.
+//
+// Games recorded before the rink model (no coordinateSystem) stored canvas
+// pixels; convertLegacyGame() moves them onto the rink.
+
+const METRES_PER_FOOT = 0.3048;
+
+// Ditch-to-ditch length and width, ditch width and bank height (World Bowls limits in comments)
+const RINK_DEFAULTS = {
+  length: 36,       // 31-40 m
+  width: 5,         // 4.3-5.8 m
+  ditchWidth: 0.3,  // 0.2-0.38 m
+  bankHeight: 0.25  // at least 0.23 m
+};
+
+const MAT_LENGTH_M = 0.6;
+const MAT_WIDTH_M = 0.36;
+const JACK_RADIUS_M = 0.032;
+const BOWL_RADIUS_M = 0.065;
+
+// The mat's back edge is at least 2 m from the rear ditch; its front edge at
+// least 25 m from the front ditch. The jack must be centred at least 23 m from
+// the front of the mat and 2 m from the front ditch.
+const MIN_MAT_DISTANCE_M = 2;
+const MIN_MAT_TO_FRONT_DITCH_M = 25;
+const MIN_JACK_LENGTH_M = 23;
+const MIN_JACK_TO_DITCH_M = 2;
+
+// Where a jack of each length is placed, in metres from the front of the mat
+const JACK_LENGTHS = { short: 24, medium: 27, long: 30 };
+
+// Mat settings from before the rink model
+const LEGACY_MAT_DISTANCES = { short: 2, medium: 5, long: 8 };
+
+// ===== GEOMETRY =====
+
+function getRink(game) {
+  return { ...RINK_DEFAULTS, ...(game && game.rink) };
+}
+
+// Distance from the rear ditch to the back of the mat, in metres
+function getMatDistance(game) {
+  const value = game ? game.matLength : null;
+  if (typeof value === 'number') return value;
+  if (value && !isNaN(parseFloat(value))) return parseFloat(value);
+  return LEGACY_MAT_DISTANCES[String(value).toLowerCase()] || MIN_MAT_DISTANCE_M;
+}
+
+function getMaxMatDistance(game) {
+  return Math.max(MIN_MAT_DISTANCE_M, getRink(game).length - MIN_MAT_TO_FRONT_DITCH_M - MAT_LENGTH_M);
+}
+
+function getMatFront(game) {
+  return getMatDistance(game) + MAT_LENGTH_M;
+}
+
+// Centre-line jack position for a jack length, kept 2 m clear of the front ditch
+function getDefaultJackPosition(game, jackLength) {
+  const length = JACK_LENGTHS[jackLength] || JACK_LENGTHS.medium;
+  const maxY = getRink(game).length - MIN_JACK_TO_DITCH_M;
+  return { x: 0, y: Math.min(getMatFront(game) + length, maxY) };
+}
+
+// Jack's distance from the front of the mat, in metres
+function getJackDistance(game, jack) {
+  return jack ? jack.y - getMatFront(game) : null;
+}
+
+function getJackLengthCategory(jackDistance) {
+  if (jackDistance < (JACK_LENGTHS.short + JACK_LENGTHS.medium) / 2) return 'short';
+  if (jackDistance < (JACK_LENGTHS.medium + JACK_LENGTHS.long) / 2) return 'medium';
+  return 'long';
+}
+
+function isInDitch(game, point) {
+  return point.y > getRink(game).length;
+}
+
+// Beyond a side boundary of the rink
+function isOutsideRink(game, point) {
+  return Math.abs(point.x) > getRink(game).width / 2;
+}
+
+// A jack driven past a side boundary or over the back of the ditch is dead
+function isJackOutOfBounds(game, jack) {
+  const rink = getRink(game);
+  return isOutsideRink(game, jack) || jack.y > rink.length + rink.ditchWidth;
+}
+
+// The T: on the centre line, 2 m from the front ditch
+function getRespotPosition(game) {
+  return { x: 0, y: getRink(game).length - MIN_JACK_TO_DITCH_M };
+}
+
+// Keep a point on the rink or in the front ditch
+function clampToRink(game, point) {
+  const rink = getRink(game);
+  return {
+    x: Math.max(-rink.width / 2, Math.min(rink.width / 2, point.x)),
+    y: Math.max(0, Math.min(rink.length + rink.ditchWidth, point.y))
+  };
+}
+
+function distanceBetween(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function metresToFeet(metres) {
+  return metres / METRES_PER_FOOT;
+}
+
+function feetToMetres(feet) {
+  return feet * METRES_PER_FOOT;
+}
+
+// ===== UNITS =====
+
+let distanceUnits = 'imperial'; // 'imperial' or 'metric', from the distanceUnits setting
+
+function setDistanceUnits(units) {
+  distanceUnits = units === 'metric' ? 'metric' : 'imperial';
+}
+
+// "1.25 ft" or "38 cm" / "1.20 m"
+function formatDistance(metres, digits = 2) {
+  if (metres == null || isNaN(metres)) return '--';
+  if (distanceUnits === 'metric') {
+    return Math.abs(metres) < 1 ? `${Math.round(metres * 100)} cm` : `${metres.toFixed(digits)} m`;
+  }
+  return `${metresToFeet(metres).toFixed(digits)} ft`;
+}
+
+// Rings drawn around the jack, in the chosen units
+function getDistanceRings() {
+  if (distanceUnits === 'metric') {
+    return [0.25, 0.5, 1, 1.5].map(m => ({ metres: m, label: m < 1 ? `${m * 100}cm` : `${m}m` }));
+  }
+  return [1, 2, 3, 4, 5].map(ft => ({ metres: feetToMetres(ft), label: `${ft}ft` }));
+}
+
+// ===== LEGACY COORDINATES =====
+// Old positions were pixels on a 500 px canvas at 100 px per foot with the mat
+// end at the top. The canvas centre is placed at the default jack position for
+// the game's jack length, so every distance from the jack is unchanged.
+
+const LEGACY_CANVAS_CENTRE = 250;
+const LEGACY_PX_PER_FOOT = 100;
+
+function legacyPointToRink(point, anchor) {
+  return {
+    x: anchor.x + feetToMetres((point.x - LEGACY_CANVAS_CENTRE) / LEGACY_PX_PER_FOOT),
+    y: anchor.y + feetToMetres((point.y - LEGACY_CANVAS_CENTRE) / LEGACY_PX_PER_FOOT)
+  };
+}
+
+// { game, bowls } on rink coordinates; a game already there is returned as it is
+function convertLegacyGame(game, bowls = []) {
+  if (game.coordinateSystem === 'rink') return { game, bowls };
+
+  const converted = { ...game, coordinateSystem: 'rink', rink: getRink(game), matLength: getMatDistance(game) };
+  const anchor = getDefaultJackPosition(converted, game.jackLength);
+  const toRink = (point) => (point && point.x != null && point.y != null ? legacyPointToRink(point, anchor) : point);
+
+  converted.jackPosition = toRink(game.jackPosition) || anchor;
+  if (game.jackOriginalPosition) converted.jackOriginalPosition = toRink(game.jackOriginalPosition);
+  if (game.endScores) {
+    converted.endScores = game.endScores.map(es => (es.jack ? { ...es, jack: toRink(es.jack) } : es));
+  }
+
+  const convertedBowls = bowls.map(b => ({
+    ...b,
+    ...(b.x != null && b.y != null ? toRink(b) : {}),
+    matLength: getMatDistance(b)
+  }));
+  return { game: converted, bowls: convertedBowls };
+}
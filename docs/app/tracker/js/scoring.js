@@ -0,0 +1,144 @@
+// scoring.js — Shot counting: the real score of each end from where the bowls finished
+//
+// A bowl's scoreValue (0-4) is a performance mark for how well it was played.
+// The match score is different: the side with the bowl nearest the jack scores
+// one shot for each of its bowls nearer than the opposition's nearest bowl.
+// Dead bowls never count. After a measure the scorer can override the counted
+// result for an end; overrides live in game.endScoresManual[end].
+
+// ===== HEAD RULES =====
+// A bowl that touched the jack on its way is a toucher (bowl.isToucher, chalked
+// by the marker) and stays live in the ditch. Any other bowl in the ditch is
+// dead, as is a bowl past a side boundary or one marked dead by hand
+// (bowl.isDead). A jack in the ditch stays live where it lies; a jack out of
+// bounds is settled by game.deadJackRule. When that makes a dead end, the
+// end's bowls are kept - they were still delivered - but marked with the time
+// of the dead end (bowl.deadEnd, matching its game.deadEnds entry) and left
+// out of the end that is played again.
+
+const DEAD_JACK_RULES = {
+  replay: 'Dead end - replay the end',
+  respot: 'Re-spot the jack on the T'
+};
+
+// Where a bowl lies only says something once it is placed on the rink model (rink.js)
+function hasRinkPosition(game, bowl) {
+  return !!game && game.coordinateSystem === 'rink' && bowl.x != null && bowl.y != null;
+}
+
+function isBowlInDitch(game, bowl) {
+  return hasRinkPosition(game, bowl) && isInDitch(game, bowl);
+}
+
+function isBowlOutOfBounds(game, bowl) {
+  if (bowl.resultCategory === 'Off Rink') return true;
+  return hasRinkPosition(game, bowl) && isOutsideRink(game, bowl);
+}
+
+function isBowlDead(game, bowl) {
+  if (bowl.isDead || isBowlOutOfBounds(game, bowl)) return true;
+  return isBowlInDitch(game, bowl) && !bowl.isToucher;
+}
+
+// 'live', 'toucher', 'ditch' (a live toucher in the ditch) or 'dead'
+function getBowlState(game, bowl) {
+  if (isBowlDead(game, bowl)) return 'dead';
+  if (bowl.isToucher) return isBowlInDitch(game, bowl) ? 'ditch' : 'toucher';
+  return 'live';
+}
+
+function getDeadJackRule(game) {
+  return DEAD_JACK_RULES[game.deadJackRule] ? game.deadJackRule : 'replay';
+}
+
+// Whether the bowl belongs to end `endNum` as it was played, not to a dead end of it
+function isPlayedInEnd(bowl, endNum) {
+  return bowl.end === endNum && !bowl.deadEnd;
+}
+
+// ===== SHOTS =====
+
+// Shots for the end, { yours, opponent }, from the live bowls under the head
+// rules for `game`. Distances come from the bowl positions when every bowl has
+// one and the jack is known, otherwise from each bowl's recorded
+// distanceInFeet. Equal nearest bowls make a dead end.
+function countShots(bowls, jack, game) {
+  const live = bowls.filter(b => !isBowlDead(game, b) && (b.team === 'yours' || b.team === 'opponent'));
+  if (live.length === 0) return { yours: 0, opponent: 0 };
+
+  const usePositions = jack && live.every(b => b.x != null && b.y != null);
+  const measured = live.map(b => ({
+    team: b.team,
+    distance: usePositions ? Math.hypot(b.x - jack.x, b.y - jack.y) : (b.distanceInFeet || 0)
+  })).sort((a, b) => a.distance - b.distance);
+
+  const holder = measured[0].team;
+  const nearestOpposing = measured.find(m => m.team !== holder);
+  if (nearestOpposing && nearestOpposing.distance === measured[0].distance) {
+    return { yours: 0, opponent: 0 };
+  }
+
+  const limit = nearestOpposing ? nearestOpposing.distance : Infinity;
+  const shots = measured.filter(m => m.team === holder && m.distance < limit).length;
+  return holder === 'yours' ? { yours: shots, opponent: 0 } : { yours: 0, opponent: shots };
+}
+
+// Final jack position for an end: recorded with the end's score when it was
+// completed, or the live jack for the end still being played
+function getEndJack(game, endNum) {
+  const recorded = (game.endScores || []).find(es => es.end === endNum);
+  if (recorded && recorded.jack) return recorded.jack;
+  return endNum === game.currentEnd ? game.jackPosition : null;
+}
+
+// The scorer's measured result for an end, or null. Older builds saved 0-0
+// whenever the shots fields were left blank, so only a flagged or non-zero
+// entry counts as an override.
+function getManualShots(game, endNum) {
+  const entry = (game.endScoresManual || {})[endNum];
+  if (!entry || !(entry.measured || entry.shotsFor > 0 || entry.shotsAgainst > 0)) return null;
+  return { yours: entry.shotsFor || 0, opponent: entry.shotsAgainst || 0 };
+}
+
+// { yours, opponent, measured } for one end of `game`, using its `bowls`
+function getEndShots(game, bowls, endNum) {
+  const manual = getManualShots(game, endNum);
+  if (manual) return { ...manual, measured: true };
+  const counted = countShots(bowls.filter(b => isPlayedInEnd(b, endNum)), getEndJack(game, endNum), game);
+  return { ...counted, measured: false };
+}
+
+// The stored record of a completed end (game.endScores): its performance
+// marks from the live bowls, its shots and its final jack
+function getEndRecord(game, bowls, endNum) {
+  const live = bowls.filter(b => isPlayedInEnd(b, endNum) && !isBowlDead(game, b));
+  const marks = team => live.filter(b => b.team === team).reduce((sum, b) => sum + (b.scoreValue || 0), 0);
+  const shots = getEndShots(game, bowls, endNum);
+  const jack = getEndJack(game, endNum);
+  return {
+    yours: marks('yours'),
+    opponent: marks('opponent'),
+    end: endNum,
+    shotsFor: shots.yours,
+    shotsAgainst: shots.opponent,
+    shotsMeasured: shots.measured,
+    jack: jack ? { ...jack } : null
+  };
+}
+
+// Work out again the records of the completed ends in `ends` after their bowls changed
+function refreshEndRecords(game, bowls, ends) {
+  game.endScores = (game.endScores || []).map(es => (ends.includes(es.end) ? getEndRecord(game, bowls, es.end) : es));
+}
+
+// Running match score over every end played so far
+function getGameShots(game, bowls) {
+  let yours = 0;
+  let opponent = 0;
+  for (let e = 1; e <= (game.currentEnd || 1); e++) {
+    const shots = getEndShots(game, bowls, e);
+    yours += shots.yours;
+    opponent += shots.opponent;
+  }
+  return { yours, opponent };
+}
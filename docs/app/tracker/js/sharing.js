@@ -214,23 +214,6 @@ function computeHandGap(stats) {
   return `+${Math.abs(diff)}% BH`;
 }
 
-function computeSeasonTrend(gamePerformance) {
-  // Use last 8 sessions (or all if fewer)
-  const recent = gamePerformance.slice(-8);
-  if (recent.length < 2) return { label: 'Stable', cls: 'stable' };
-
-  const firstHalf = recent.slice(0, Math.floor(recent.length / 2));
-  const secondHalf = recent.slice(Math.floor(recent.length / 2));
-
-  const avgFirst = firstHalf.reduce((s, g) => s + g.avgScore, 0) / firstHalf.length;
-  const avgSecond = secondHalf.reduce((s, g) => s + g.avgScore, 0) / secondHalf.length;
-
-  const diff = avgSecond - avgFirst;
-  if (diff > 0.2) return { label: 'Improving', cls: 'improving' };
-  if (diff < -0.2) return { label: 'Declining', cls: 'declining' };
-  return { label: 'Stable', cls: 'stable' };
-}
-
 // ===== SELECTOR SQUAD DATA VIEW =====
 
 async function initSquadDataView() {
@@ -270,8 +253,7 @@ async function initSquadDataView() {
   }
 
   // Also get all tracked player names
-  const allBowls = await getAllBowls();
-  const allPlayerNames = getTrackedPlayerNames(allBowls);
+  const allPlayerNames = await getAllPlayerNames();
 
   // Tier limit
   const maxPlayers = currentTier === 'elite' ? Infinity : 8;
@@ -285,6 +267,20 @@ async function initSquadDataView() {
     banner.innerHTML = `<span>${optedIn.length} of ${allPlayerNames.length} players have shared their data with you</span>`;
   }
 
+  // Stats for the opted-in players that fit the tier limit
+  const sharedNames = allPlayerNames.filter(name => optedInNames.has(name)).slice(0, maxPlayers);
+  const statsByName = {};
+  try {
+    const allStats = await runAnalyticsTask('playerStats', { names: sharedNames }, {
+      group: 'squad',
+      onProgress: showTaskProgress(content, 'Loading squad data...')
+    });
+    allStats.forEach(stats => { statsByName[stats.playerName] = stats; });
+  } catch (err) {
+    if (err.cancelled) return;
+    throw err;
+  }
+
   // Build table rows
   let rows = [];
   let shownCount = 0;
@@ -294,7 +290,7 @@ async function initSquadDataView() {
 
     const prefs = optedIn.find(p => p.player_name === name);
     if (prefs) {
-      const stats = await getPlayerStats(name);
+      const stats = statsByName[name] || null;
       const shared = buildSharedPlayerData(name, stats, {
         share_ml_pct: prefs.share_ml_pct,
         share_40bowl_test: prefs.share_40bowl_test,
@@ -416,8 +412,15 @@ async function showSeasonReport() {
   const playerSelect = document.getElementById('analyticsPlayerSelect');
   const playerName = playerSelect ? playerSelect.value : (playerRecord?.name || 'Player');
 
-  const stats = await getPlayerStats(playerName);
-  if (!stats) {
+  let report;
+  try {
+    report = await runAnalyticsTask('seasonReport', { playerName }, { group: 'seasonReport' });
+  } catch (err) {
+    if (err.cancelled) return;
+    throw err;
+  }
+
+  if (!report) {
     content.innerHTML = `
       <h2>My Season Report</h2>
       <p style="text-align: center; color: var(--text-secondary); padding: 20px;">No data available for ${playerName}. Play some sessions first.</p>
@@ -427,39 +430,7 @@ async function showSeasonReport() {
     return;
   }
 
-  // Compute metrics
-  const scored = stats.scoreDistribution;
-  const total = stats.totalBowls;
-  const matLength = total > 0 ? Math.round(((scored[3] || 0) + (scored[4] || 0)) / total * 100) : 0;
-
-  const fhCount = stats.handDistribution.forehand || 0;
-  const bhCount = stats.handDistribution.backhand || 0;
-  const handTotal = fhCount + bhCount;
-  const fhPct = handTotal > 0 ? Math.round(fhCount / handTotal * 100) : 50;
-  const bhPct = handTotal > 0 ? Math.round(bhCount / handTotal * 100) : 50;
-
-  const trend = computeSeasonTrend(stats.gamePerformance);
-
-  // Season date range
-  const dates = stats.gamePerformance.map(g => g.date).filter(Boolean).sort();
-  const seasonStart = dates.length > 0 ? formatDate(dates[0]) : 'N/A';
-  const seasonEnd = dates.length > 0 ? formatDate(dates[dates.length - 1]) : 'N/A';
-
-  // Improvement calculation
-  let improvementText = '';
-  if (stats.gamePerformance.length >= 2) {
-    const first = stats.gamePerformance[0].avgScore;
-    const last = stats.gamePerformance[stats.gamePerformance.length - 1].avgScore;
-    const diff = last - first;
-    const pctChange = first > 0 ? Math.round(Math.abs(diff) / first * 100) : 0;
-    if (diff > 0.1) {
-      improvementText = `Your accuracy has improved ${pctChange}% since ${seasonStart}.`;
-    } else if (diff < -0.1) {
-      improvementText = `Your accuracy has decreased ${pctChange}% since ${seasonStart}. Keep practicing!`;
-    } else {
-      improvementText = `Your accuracy has remained consistent since ${seasonStart}.`;
-    }
-  }
+  const { stats, matLength, fhPct, bhPct, trend, seasonStart, seasonEnd, improvementText } = report;
 
   content.innerHTML = `
     <div class="season-report" id="seasonReportPrintable">
@@ -0,0 +1,271 @@
+// storage-health.js — Persistent storage, quota warnings and recovery after the browser empties the database
+//
+// Browsers may evict an origin's storage under pressure (iOS Safari also after
+// weeks without a visit) unless persistent storage was granted. A marker in
+// localStorage, written whenever the database is seen holding games, records
+// that this device had data. A pull into an empty database on a device with
+// the marker tells the user what came back; one without it is a first sign-in
+// on a new device or browser and says nothing. A database still empty after
+// startup while the cloud or the marker says it held games is offered
+// recovery from the cloud or a backup, and the unsynced queue covers the
+// database being emptied on its own while signed out.
+
+const STORAGE_MARKER_KEY = 'bowlstrack_storage_marker';
+const LAST_BACKUP_KEY = 'bowlstrack_last_backup';
+const STORAGE_WARN_RATIO = 0.8;
+const STORAGE_CRITICAL_RATIO = 0.95;
+
+const STORE_LABELS = {
+  tournaments: 'Tournaments',
+  games: 'Games',
+  bowls: 'Bowls',
+  players: 'Players',
+  aggregates: 'Statistics',
+  recycleBin: 'Recycle bin',
+  changeLog: 'Edit history',
+  undoHistory: 'Undo history',
+  scoutingNotes: 'Scouting notes',
+  settings: 'Settings'
+};
+
+// localStorage keys grouped for the usage report
+const LOCAL_STORAGE_GROUPS = [
+  { label: 'Sync queue', match: key => key === 'bowlstrack_sync_queue' },
+  { label: 'Drill history', match: key => key === 'bowlstrack_drill_history' },
+  { label: '40-bowl personal bests', match: key => key.startsWith('bowlstrack_40bowl_pb_') },
+  { label: 'Other', match: () => true }
+];
+
+// ===== PERSISTENCE & QUOTA =====
+
+// Ask the browser not to evict our data. Resolves with whether storage is persistent,
+// or null if the browser doesn't support the Storage API.
+async function requestPersistentStorage() {
+  if (!navigator.storage || !navigator.storage.persist) return null;
+  try {
+    if (await navigator.storage.persisted()) return true;
+    const granted = await navigator.storage.persist();
+    console.log('[Storage] Persistent storage', granted ? 'granted' : 'denied');
+    return granted;
+  } catch (err) {
+    console.warn('[Storage] Persistent storage request failed:', err.message);
+    return false;
+  }
+}
+
+async function getStorageEstimate() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota, ratio: quota ? usage / quota : 0 };
+  } catch (err) {
+    console.warn('[Storage] Estimate failed:', err.message);
+    return null;
+  }
+}
+
+function getLocalStorageUsage() {
+  const groups = LOCAL_STORAGE_GROUPS.map(g => ({ label: g.label, bytes: 0 }));
+  Object.keys(localStorage).forEach(key => {
+    const index = LOCAL_STORAGE_GROUPS.findIndex(g => g.match(key));
+    groups[index].bytes += key.length + (localStorage.getItem(key) || '').length;
+  });
+  return groups.filter(g => g.bytes > 0);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+// ===== DATA LOSS DETECTION =====
+
+function getStorageMarker() {
+  try { return JSON.parse(localStorage.getItem(STORAGE_MARKER_KEY) || 'null'); }
+  catch { return null; }
+}
+
+function saveStorageMarker(counts) {
+  localStorage.setItem(STORAGE_MARKER_KEY, JSON.stringify({
+    games: counts.games,
+    bowls: counts.bowls,
+    checkedAt: new Date().toISOString()
+  }));
+}
+
+// Resolves with { lost, expectedGames, pendingOps, counts }
+async function checkForDataLoss() {
+  const counts = await getStoreCounts();
+  const marker = getStorageMarker();
+  const pendingOps = typeof getQueue === 'function' ? getQueue().length : 0;
+  // Deleting every game leaves the settings behind; eviction doesn't
+  const isEmpty = !counts.games && !counts.bowls && !(await getSetting('hasVisited'));
+
+  if (!isEmpty) saveStorageMarker(counts);
+
+  // Only an empty database is worth asking the cloud about
+  const cloudGames = isEmpty && typeof getCloudGameCount === 'function' ? await getCloudGameCount() : null;
+  const expectedGames = Math.max(marker ? marker.games : 0, cloudGames || 0);
+  return {
+    lost: isEmpty && (expectedGames > 0 || pendingOps > 0),
+    expectedGames,
+    pendingOps,
+    counts
+  };
+}
+
+// Pull from the cloud on signing in or resuming a session, and mark the
+// device as holding data once the pull has brought some. A database with no
+// games or bowls on a device the marker says held them was cleared by the
+// browser: the user is told what the pull restored.
+async function pullWithRecoveryCheck() {
+  const counts = await getStoreCounts();
+  const marker = getStorageMarker();
+  const wiped = !counts.games && !counts.bowls && !!marker && (marker.games > 0 || marker.bowls > 0);
+  const cloudGames = wiped ? await getCloudGameCount() : null;
+  await pullDataFromSupabase();
+
+  const pulled = await getStoreCounts();
+  if (pulled.games || pulled.bowls) saveStorageMarker(pulled);
+  if (!cloudGames) return;
+
+  const restored = pulled.games || 0;
+  console.warn(`[Storage] Database was empty; restored ${restored} of ${cloudGames} cloud games`);
+  alert(`Restored ${restored} game${restored === 1 ? '' : 's'} from the cloud. The browser had cleared this device's games - turn on "Keep My Data Safe" in Settings to stop it happening again.`);
+}
+
+// Startup check: persistent storage, quota and an emptied database
+async function runStorageHealthCheck() {
+  await requestPersistentStorage();
+
+  const estimate = await getStorageEstimate();
+  showStorageWarning(estimate);
+
+  const result = await checkForDataLoss();
+  if (result.lost) {
+    console.warn(`[Storage] Database is empty but held ${result.expectedGames} games`);
+    showStorageRecovery(result);
+  }
+  return result;
+}
+
+// ===== WARNINGS & RECOVERY UI =====
+
+function showStorageWarning(estimate) {
+  const banner = document.getElementById('storageWarning');
+  if (!banner) return;
+  if (!estimate || estimate.ratio < STORAGE_WARN_RATIO) {
+    banner.style.display = 'none';
+    return;
+  }
+
+  const pct = Math.round(estimate.ratio * 100);
+  banner.classList.toggle('storage-warning-critical', estimate.ratio >= STORAGE_CRITICAL_RATIO);
+  banner.querySelector('.storage-warning-text').textContent =
+    `Storage ${pct}% full (${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}). Download a backup and empty the recycle bin.`;
+  banner.style.display = 'flex';
+}
+
+function showStorageRecovery(result) {
+  const content = document.getElementById('storageRecoveryContent');
+  if (!content) return;
+
+  const lastBackup = localStorage.getItem(LAST_BACKUP_KEY);
+  const signedIn = typeof isAuthenticated === 'function' && isAuthenticated();
+  content.innerHTML = `
+    <p>This device's game data has gone${result.expectedGames > 0 ? ` &mdash; it held ${result.expectedGames} game${result.expectedGames === 1 ? '' : 's'}` : ''}. The browser may have cleared it to free space.</p>
+    ${result.pendingOps > 0 ? `<p>${result.pendingOps} change${result.pendingOps === 1 ? ' was' : 's were'} waiting to sync and will be uploaded when you are online.</p>` : ''}
+    <p>${lastBackup ? `Your last backup was downloaded on ${new Date(lastBackup).toLocaleDateString()}.` : 'No backup has been downloaded on this device.'}</p>
+    ${signedIn ? '' : '<p>Sign in to recover games saved to the cloud.</p>'}
+  `;
+  document.getElementById('storageRecoveryModal').classList.add('active');
+}
+
+function closeStorageRecovery() {
+  document.getElementById('storageRecoveryModal').classList.remove('active');
+}
+
+async function recoverFromCloud() {
+  // Signing in pulls the cloud copy
+  if (typeof isAuthenticated !== 'function' || !isAuthenticated()) {
+    closeStorageRecovery();
+    document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
+    document.getElementById('loginScreen').classList.add('active');
+    return;
+  }
+
+  try {
+    await pullDataFromSupabase();
+    await reconcilePlayerRegistry();
+    await rebuildAggregates();
+    await reloadGamesFromDB();
+  } catch (err) {
+    console.error('[Storage] Cloud recovery failed:', err);
+    alert('Could not recover from the cloud: ' + err.message);
+    return;
+  }
+
+  const { counts } = await checkForDataLoss();
+  closeStorageRecovery();
+  alert(`Recovered ${counts.games || 0} games and ${counts.bowls || 0} bowls from the cloud.`);
+}
+
+function recoverFromBackup() {
+  closeStorageRecovery();
+  chooseRestoreFile();
+}
+
+// ===== SETTINGS SECTION =====
+
+// Per-store sizes read every record, so they are measured only on request and
+// `storeStats` (from getStoreStats()) is passed in just for that render
+async function renderStorageHealth(storeStats = null) {
+  const el = document.getElementById('storageHealthContent');
+  if (!el) return;
+
+  const [persisted, estimate, counts] = await Promise.all([
+    navigator.storage && navigator.storage.persisted ? navigator.storage.persisted() : null,
+    getStorageEstimate(),
+    getStoreCounts()
+  ]);
+  showStorageWarning(estimate);
+
+  const pct = estimate ? Math.min(100, Math.round(estimate.ratio * 100)) : 0;
+  const barClass = !estimate ? '' : (estimate.ratio >= STORAGE_CRITICAL_RATIO ? 'critical' : (estimate.ratio >= STORAGE_WARN_RATIO ? 'warn' : ''));
+  const lastBackup = localStorage.getItem(LAST_BACKUP_KEY);
+
+  const sizes = Object.fromEntries((storeStats || []).map(s => [s.name, s.bytes]));
+  const rows = [
+    ...Object.entries(counts).map(([name, count]) => ({ label: STORE_LABELS[name] || name, detail: `${count} records`, bytes: sizes[name] })),
+    ...getLocalStorageUsage().map(g => ({ label: g.label, detail: 'local storage', bytes: g.bytes }))
+  ];
+
+  el.innerHTML = `
+    <div class="storage-status">
+      ${persisted === null ? 'Persistent storage is not supported by this browser.'
+        : persisted ? 'Persistent storage is on &mdash; the browser will not clear your data to free space.'
+        : 'Persistent storage is off &mdash; the browser may clear your data when space is low.'}
+    </div>
+    ${persisted === false ? '<button class="btn-small" onclick="requestPersistentStorage().then(() => renderStorageHealth())">Keep My Data Safe</button>' : ''}
+    ${estimate ? `
+      <div class="storage-bar"><div class="storage-bar-fill ${barClass}" style="width: ${pct}%"></div></div>
+      <div class="registry-detail">${formatBytes(estimate.usage)} used of ${formatBytes(estimate.quota)} (${pct}%)</div>
+    ` : ''}
+    <div class="storage-table">
+      ${rows.map(r => `
+        <div class="storage-row">
+          <span>${r.label} <span class="registry-detail">${r.detail}</span></span>
+          <span>${r.bytes != null ? formatBytes(r.bytes) : ''}</span>
+        </div>
+      `).join('')}
+    </div>
+    <button class="btn-small" onclick="measureStoreSizes()">${storeStats ? 'Measure Again' : 'Measure Size of Each Store'}</button>
+    <div class="registry-detail">${lastBackup ? `Last backup: ${new Date(lastBackup).toLocaleString()}` : 'No backup downloaded yet'}</div>
+  `;
+}
+
+async function measureStoreSizes() {
+  await renderStorageHealth(await getStoreStats());
+}
@@ -38,10 +38,12 @@ async function supabaseLogin(email, password) {
 
 async function supabaseLogout() {
   unsubscribeAll();
+  unsubscribeCoScoredGames();
   await db.auth.signOut();
   currentUser = null;
   userRole = null;
   playerRecord = null;
+  uploadedBowls.clear();
 }
 
 async function checkSession() {
@@ -92,6 +94,7 @@ function enqueue(operation) {
 
 async function processQueue() {
   if (!navigator.onLine || !isAuthenticated()) return;
+  syncChangeLog();
 
   const queue = getQueue();
   if (queue.length === 0) return;
@@ -125,6 +128,22 @@ async function executeQueuedOp(op) {
       if (error) throw error;
       break;
     }
+    case 'merge_game': {
+      // Merged as it is now on this device, not as it was when queued
+      const game = await getGame(op.gameId);
+      if (game) await syncCoScoredGame(game);
+      break;
+    }
+    case 'upsert_scorer': {
+      const { error } = await db.from('game_scorers').upsert(op.data, { onConflict: 'id' });
+      if (error) throw error;
+      break;
+    }
+    case 'delete_scorer': {
+      const { error } = await db.from('game_scorers').delete().eq('id', op.id);
+      if (error) throw error;
+      break;
+    }
     case 'upsert_deliveries': {
       const { error } = await db.from('deliveries').upsert(op.data, { onConflict: 'id' });
       if (error) throw error;
@@ -140,17 +159,50 @@ async function executeQueuedOp(op) {
       if (error) throw error;
       break;
     }
+    case 'delete_deliveries': {
+      const { error } = await db.from('deliveries').delete().in('id', op.ids);
+      if (error) throw error;
+      break;
+    }
     case 'delete_game': {
       await db.from('deliveries').delete().eq('game_id', op.gameId);
       await db.from('ends').delete().eq('game_id', op.gameId);
       await db.from('games').delete().eq('id', op.gameId);
       break;
     }
+    case 'upsert_player': {
+      const { error } = await db.from('players').upsert(op.data, { onConflict: 'id' });
+      if (error) throw error;
+      break;
+    }
+    case 'delete_player': {
+      const { error } = await db.from('players').delete().eq('id', op.playerId);
+      if (error) throw error;
+      break;
+    }
+    case 'rename_player': {
+      await applyPlayerRename(op.fromNames, op.toName);
+      break;
+    }
+    case 'upsert_scouting_note': {
+      const { error } = await db.from('scouting_notes').upsert(op.data, { onConflict: 'org_id,id' });
+      if (error) throw error;
+      break;
+    }
+    case 'recycle_bin': {
+      await applyRecycleBinOp(op);
+      break;
+    }
     case 'insert_drill_session': {
       const { error } = await db.from('drill_sessions').insert(op.data);
       if (error) throw error;
       break;
     }
+    case 'upsert_drill_session': {
+      const { error } = await db.from('drill_sessions').upsert(op.data, { onConflict: 'id' });
+      if (error) throw error;
+      break;
+    }
     default:
       console.warn('[Supabase] Unknown queue op:', op.type);
   }
@@ -200,29 +252,59 @@ function updateSyncIndicator(state) {
 // ===== DATA MAPPING: App → Supabase =====
 
 function mapGameToSupabase(game) {
+  const conditions = cleanConditions(game.conditions);
   return {
-    id: game.id || game.gameId,
+    id: game.id,
     tournament_name: game.tournamentName || '',
     format: game.format || 'singles',
     game_type: game.gameType || 'game',
     match_structure: game.matchStructure || 'traditional',
-    total_ends: game.totalEnds || game.endCount || 21,
+    total_ends: game.totalEnds || 21,
     current_end: game.currentEnd || 1,
-    completed: game.completed || false,
+    completed: !!game.completed,
     date: game.date || new Date().toISOString(),
-    your_players: game.yourPlayers || game.players || [],
+    your_players: game.yourPlayers || [],
     opponent_players: game.opponentPlayers || [],
+    opponent_names: game.opponentNames || [],
     away_players: game.awayPlayers || [],
     bowls_per_player: game.bowlsPerPlayer || 4,
     players_per_team: game.playersPerTeam || 1,
     number_of_sets: game.numberOfSets || null,
     ends_per_set: game.endsPerSet || null,
     tie_break_ends: game.tieBreakEnds || null,
+    shots_target: game.shotsTarget || null,
+    time_limit_minutes: game.timeLimitMinutes || null,
+    tie_rule: game.tieRule || null,
+    dead_jack_rule: game.deadJackRule || null,
+    dead_ends: game.deadEnds || [],
+    result: game.result || null,
     current_set: game.currentSet || 1,
     set_scores: game.setScores || [],
     end_notes: game.endNotes || {},
-    game_notes: game.gameNotes || game.notes || '',
+    game_notes: game.gameNotes || '',
+    coordinate_system: game.coordinateSystem || null,
+    rink: game.rink || null,
+    mat_distance: game.coordinateSystem === 'rink' ? getMatDistance(game) : null,
+    jack_length: game.jackLength || null,
     jack_position: game.jackPosition || null,
+    green_speed: conditions.greenSpeed || null,
+    surface: conditions.surface || null,
+    wind_strength: conditions.windStrength || null,
+    wind_direction: conditions.windDirection || null,
+    weather: conditions.weather || null,
+    rink_number: conditions.rinkNumber || null,
+    play_direction: conditions.playDirection || null,
+    end_conditions: game.endConditions || {},
+    end_scores: game.endScores || [],
+    end_scores_manual: game.endScoresManual || {},
+    lineup_changes: game.lineupChanges || [],
+    jack_state: {
+      originalPosition: game.jackOriginalPosition || null,
+      moved: !!game.jackMoved,
+      inDitch: !!game.jackInDitch
+    },
+    co_scored: !!game.coScored,
+    field_stamps: game.fieldStamps || {},
     created_by: currentUser?.id || null
   };
 }
@@ -230,57 +312,98 @@ function mapGameToSupabase(game) {
 function mapSupabaseToGame(row) {
   return {
     id: row.id,
-    gameId: row.id,
     tournamentName: row.tournament_name || '',
     format: row.format || 'singles',
     gameType: row.game_type || 'game',
     matchStructure: row.match_structure || 'traditional',
     totalEnds: row.total_ends || 21,
-    endCount: row.total_ends || 21,
     currentEnd: row.current_end || 1,
     completed: row.completed ?? (row.status === 'completed'),
     date: row.date,
     yourPlayers: row.your_players || [],
-    players: row.your_players || [],
     opponentPlayers: row.opponent_players || [],
+    opponentNames: row.opponent_names || [],
     awayPlayers: row.away_players || [],
     bowlsPerPlayer: row.bowls_per_player || 4,
     playersPerTeam: row.players_per_team || 1,
     numberOfSets: row.number_of_sets || null,
     endsPerSet: row.ends_per_set || null,
     tieBreakEnds: row.tie_break_ends || null,
+    shotsTarget: row.shots_target || null,
+    timeLimitMinutes: row.time_limit_minutes || null,
+    tieRule: row.tie_rule || null,
+    deadJackRule: row.dead_jack_rule || null,
+    deadEnds: row.dead_ends || [],
+    result: row.result || null,
     currentSet: row.current_set || 1,
     setScores: row.set_scores || [],
     endNotes: row.end_notes || {},
     gameNotes: row.game_notes || '',
-    jackPosition: row.jack_position || { x: 250, y: 250 },
+    coordinateSystem: row.coordinate_system || null,
+    rink: row.rink || null,
+    matLength: row.mat_distance ?? null,
+    jackLength: row.jack_length || null,
+    jackPosition: row.jack_position || null,
+    conditions: cleanConditions({
+      greenSpeed: row.green_speed,
+      surface: row.surface,
+      windStrength: row.wind_strength,
+      windDirection: row.wind_direction,
+      weather: row.weather,
+      rinkNumber: row.rink_number,
+      playDirection: row.play_direction
+    }),
+    endConditions: row.end_conditions || {},
+    endScores: row.end_scores || [],
+    endScoresManual: row.end_scores_manual || {},
+    lineupChanges: row.lineup_changes || [],
+    jackOriginalPosition: row.jack_state?.originalPosition || null,
+    jackMoved: !!row.jack_state?.moved,
+    jackInDitch: !!row.jack_state?.inDitch,
+    coScored: !!row.co_scored,
+    fieldStamps: row.field_stamps || {},
     bowls: [] // Bowls loaded separately
   };
 }
 
-function mapBowlToDelivery(bowl, gameId) {
+// player_name is who delivered the bowl: for the opposition, the named player
+// or else the team name from `game`
+function mapBowlToDelivery(bowl, gameId, game) {
   return {
     id: bowl.id,
     game_id: gameId || bowl.gameId,
-    end_number: bowl.endNumber || bowl.end,
-    player_name: bowl.playerName || bowl.player,
+    end_number: bowl.end,
+    player_name: bowl.playerId === 'opponent'
+      ? bowl.opponentName || ((game && game.opponentPlayers) || [])[0] || null
+      : bowl.playerId,
     player_id: bowl.playerId || null,
     team: bowl.team,
     x: bowl.x,
     y: bowl.y,
     hand: bowl.hand || null,
     position: bowl.position || null,
-    score_value: bowl.score != null ? bowl.score : (bowl.scoreValue || 0),
-    result_category: bowl.resultCategory || bowl.direction || null,
+    score_value: bowl.scoreValue ?? 0,
+    result_category: bowl.resultCategory || null,
     distance_category: bowl.distanceCategory || null,
-    distance_in_feet: bowl.distance || bowl.distanceInFeet || 0,
+    distance_in_feet: bowl.distanceInFeet || 0,
     score_category: bowl.scoreCategory || null,
     score_detail: bowl.scoreDetail || null,
-    mat_length: bowl.matLength || null,
+    mat_distance: typeof bowl.matLength === 'number' ? bowl.matLength : null,
+    jack_distance: bowl.jackDistance ?? null,
     jack_length: bowl.jackLength || null,
     shot_type: bowl.shotType || null,
     quality: bowl.quality || null,
     is_dead: bowl.isDead || false,
+    is_toucher: bowl.isToucher || false,
+    score_set_by_hand: bowl.scoreSetByHand || false,
+    dead_end: bowl.deadEnd || null,
+    line: bowl.line || null,
+    weight: bowl.weight || null,
+    called_shot: bowl.call || null,
+    opponent_name: bowl.opponentName || null,
+    scored_by: bowl.scoredBy || null,
+    edited_at: bowl.editedAt || null,
+    edited_by: bowl.editedBy || null,
     notes: bowl.notes || '',
     timestamp: bowl.timestamp || new Date().toISOString()
   };
@@ -291,35 +414,86 @@ function mapDeliveryToBowl(d) {
     id: d.id,
     gameId: d.game_id,
     end: d.end_number || null,
-    endNumber: d.end_number || null,
     bowlNumber: d.bowl_number || null,
-    player: d.player_name,
-    playerName: d.player_name,
-    playerId: d.player_id,
+    playerId: d.player_id || d.player_name,
     team: d.team || null,
     x: d.x,
     y: d.y,
     hand: d.hand || d.shot_type || null,
     position: d.position || null,
     scoreValue: d.score_value ?? d.mark ?? 0,
-    score: d.score_value ?? d.mark ?? 0,
-    resultCategory: d.result_category || d.bowl_result || null,
-    direction: d.result_category || d.bowl_result || null,
+    resultCategory: d.result_category || d.bowl_result || '',
     distanceCategory: d.distance_category || null,
     distanceInFeet: d.distance_in_feet || 0,
-    distance: d.distance_in_feet || 0,
     scoreCategory: d.score_category || d.scoring_method || null,
     scoreDetail: d.score_detail || null,
-    matLength: d.mat_length || d.mat_position || null,
+    matLength: d.mat_distance ?? (d.mat_length || d.mat_position || null),
+    jackDistance: d.jack_distance ?? null,
     jackLength: d.jack_length || null,
     shotType: d.shot_type || null,
     quality: d.quality || null,
     isDead: d.is_dead || false,
+    isToucher: d.is_toucher || false,
+    scoreSetByHand: d.score_set_by_hand || false,
+    deadEnd: d.dead_end || null,
+    line: d.line || null,
+    weight: d.weight || null,
+    call: d.called_shot || null,
+    opponentName: d.opponent_name || null,
+    scoredBy: d.scored_by || null,
+    editedAt: d.edited_at || null,
+    editedBy: d.edited_by || null,
     notes: d.notes || '',
     timestamp: d.timestamp || d.created_at || new Date().toISOString()
   };
 }
 
+function mapPlayerToSupabase(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    aliases: player.aliases || [],
+    preferred_hand: player.preferredHand || null,
+    bowling_arm: player.bowlingArm || null,
+    club: player.club || null,
+    positions: player.positions || [],
+    updated_at: player.updatedAt || new Date().toISOString()
+  };
+}
+
+function mapSupabaseToPlayer(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    aliases: row.aliases || [],
+    preferredHand: row.preferred_hand || '',
+    bowlingArm: row.bowling_arm || '',
+    club: row.club || '',
+    positions: row.positions || [],
+    createdAt: row.created_at || new Date().toISOString(),
+    updatedAt: row.updated_at || row.created_at || new Date().toISOString()
+  };
+}
+
+function mapScoutingNoteToSupabase(note) {
+  return {
+    id: note.id,
+    kind: note.kind,
+    name: note.name,
+    notes: note.notes || '',
+    updated_at: note.updatedAt
+  };
+}
+
+function mapSupabaseToScoutingNote(row) {
+  return {
+    kind: row.kind,
+    name: row.name,
+    notes: row.notes || '',
+    updatedAt: row.updated_at
+  };
+}
+
 function mapEndToSupabase(gameId, endNumber, endData) {
   return {
     id: `${gameId}_end_${endNumber}`,
@@ -327,6 +501,9 @@ function mapEndToSupabase(gameId, endNumber, endData) {
     end_number: endNumber,
     your_score: endData.yours || 0,
     opponent_score: endData.opponent || 0,
+    shots_for: endData.shotsFor || 0,
+    shots_against: endData.shotsAgainst || 0,
+    shots_measured: !!endData.shotsMeasured,
     notes: endData.notes || ''
   };
 }
@@ -337,6 +514,19 @@ function mapEndToSupabase(gameId, endNumber, endData) {
 
 async function syncGameToSupabase(game) {
   if (!isAuthenticated()) return;
+  // Other devices write a co-scored game too: merge with the cloud row rather than overwrite it
+  if (game.coScored) {
+    if (navigator.onLine) {
+      try {
+        await syncCoScoredGame(game);
+        return;
+      } catch (err) {
+        console.warn('[Supabase] Co-scored game sync queued:', err.message);
+      }
+    }
+    enqueue({ type: 'merge_game', gameId: game.id });
+    return;
+  }
   const mapped = mapGameToSupabase(game);
 
   if (navigator.onLine) {
@@ -352,9 +542,39 @@ async function syncGameToSupabase(game) {
   }
 }
 
+// Read the cloud row, merge this device's copy into it (co-scoring.js) and
+// write the result; the game here takes in whatever the others had written
+async function syncCoScoredGame(game) {
+  const { data: row, error } = await db.from('games').select('*').eq('id', game.id).maybeSingle();
+  if (error) throw error;
+  const remote = row ? mapSupabaseToGame(row) : null;
+  const merged = remote ? mergeCoScoredGame(game, remote) : game;
+  const mapped = mapGameToSupabase({ ...merged, id: game.id });
+  if (row) mapped.created_by = row.created_by;
+  const { error: upsertError } = await db.from('games').upsert(mapped, { onConflict: 'id' });
+  if (upsertError) throw upsertError;
+  if (remote) await receiveCoScoredGame(remote);
+}
+
+// Each bowl as last uploaded (or queued) by syncGameBowls this session, by id,
+// so a game's autosave uploads only the bowls that changed since
+const uploadedBowls = new Map();
+
+// The bowls of `bowls` that differ from their last upload; they are marked uploaded
+function takeChangedBowls(bowls) {
+  return bowls.filter(bowl => {
+    const record = JSON.stringify(bowl);
+    if (uploadedBowls.get(bowl.id) === record) return false;
+    uploadedBowls.set(bowl.id, record);
+    return true;
+  });
+}
+
 async function syncDeliveriesToSupabase(bowls, gameId) {
   if (!isAuthenticated()) return;
-  const deliveries = bowls.map(b => mapBowlToDelivery(b, gameId));
+  // The team name is only needed for opposition bowls with no player named
+  const game = bowls.some(b => b.playerId === 'opponent' && !b.opponentName) ? await getGame(gameId || bowls[0].gameId) : null;
+  const deliveries = bowls.map(b => mapBowlToDelivery(b, gameId, game));
   if (deliveries.length === 0) return;
 
   if (navigator.onLine) {
@@ -370,8 +590,9 @@ async function syncDeliveriesToSupabase(bowls, gameId) {
   }
 }
 
-async function syncEndsToSupabase(gameId, endScores, endNotes) {
+async function syncEndsToSupabase(game) {
   if (!isAuthenticated()) return;
+  const { id: gameId, endScores, endNotes } = game;
   if (!endScores || endScores.length === 0) return;
 
   const ends = endScores.map((es, i) => ({
@@ -380,7 +601,11 @@ async function syncEndsToSupabase(gameId, endScores, endNotes) {
     end_number: es.end || i + 1,
     your_score: es.yours || 0,
     opponent_score: es.opponent || 0,
-    notes: (endNotes && endNotes[es.end || i + 1]) || ''
+    shots_for: es.shotsFor || 0,
+    shots_against: es.shotsAgainst || 0,
+    shots_measured: !!es.shotsMeasured,
+    notes: (endNotes && endNotes[es.end || i + 1]) || '',
+    conditions: getEndConditions(game, es.end || i + 1)
   }));
 
   if (navigator.onLine) {
@@ -396,6 +621,129 @@ async function syncEndsToSupabase(gameId, endScores, endNotes) {
   }
 }
 
+async function syncDeleteDeliveries(ids) {
+  if (!isAuthenticated()) return;
+  if (!ids || ids.length === 0) return;
+
+  if (navigator.onLine) {
+    try {
+      const { error } = await db.from('deliveries').delete().in('id', ids);
+      if (error) throw error;
+    } catch (err) {
+      console.warn('[Supabase] Delivery delete queued:', err.message);
+      enqueue({ type: 'delete_deliveries', ids });
+    }
+  } else {
+    enqueue({ type: 'delete_deliveries', ids });
+  }
+}
+
+async function syncPlayerToSupabase(player) {
+  if (!isAuthenticated()) return;
+  const mapped = mapPlayerToSupabase(player);
+
+  if (navigator.onLine) {
+    try {
+      const { error } = await db.from('players').upsert(mapped, { onConflict: 'id' });
+      if (error) throw error;
+    } catch (err) {
+      console.warn('[Supabase] Player sync queued:', err.message);
+      enqueue({ type: 'upsert_player', data: mapped });
+    }
+  } else {
+    enqueue({ type: 'upsert_player', data: mapped });
+  }
+}
+
+async function syncScoutingNoteToSupabase(note) {
+  if (!isAuthenticated()) return;
+  const mapped = mapScoutingNoteToSupabase(note);
+
+  if (navigator.onLine) {
+    try {
+      const { error } = await db.from('scouting_notes').upsert(mapped, { onConflict: 'org_id,id' });
+      if (error) throw error;
+    } catch (err) {
+      console.warn('[Supabase] Scouting note sync queued:', err.message);
+      enqueue({ type: 'upsert_scouting_note', data: mapped });
+    }
+  } else {
+    enqueue({ type: 'upsert_scouting_note', data: mapped });
+  }
+}
+
+async function syncDeletePlayer(playerId) {
+  if (!isAuthenticated()) return;
+
+  if (navigator.onLine) {
+    try {
+      const { error } = await db.from('players').delete().eq('id', playerId);
+      if (error) throw error;
+    } catch (err) {
+      console.warn('[Supabase] Player delete queued:', err.message);
+      enqueue({ type: 'delete_player', playerId });
+    }
+  } else {
+    enqueue({ type: 'delete_player', playerId });
+  }
+}
+
+// Re-point drill sessions and sharing preferences stored under old names.
+// Sharing preferences are unique per name, so the renamed player's existing
+// row wins and the old rows are dropped.
+async function applyPlayerRename(fromNames, toName) {
+  const { error: dErr } = await db.from('drill_sessions')
+    .update({ player_name: toName })
+    .in('player_name', fromNames);
+  if (dErr) throw dErr;
+
+  const { data: prefs, error: pErr } = await db.from('player_sharing_preferences')
+    .select('id, player_name')
+    .in('player_name', [toName, ...fromNames]);
+  if (pErr) throw pErr;
+
+  const rows = prefs || [];
+  const keep = rows.find(r => r.player_name === toName) || rows[0];
+  const drop = rows.filter(r => r !== keep).map(r => r.id);
+  if (drop.length > 0) {
+    const { error } = await db.from('player_sharing_preferences').delete().in('id', drop);
+    if (error) throw error;
+  }
+  if (keep && keep.player_name !== toName) {
+    const { error } = await db.from('player_sharing_preferences')
+      .update({ player_name: toName })
+      .eq('id', keep.id);
+    if (error) throw error;
+  }
+}
+
+async function syncPlayerRename(fromNames, toName) {
+  if (!isAuthenticated()) return;
+  if (!fromNames || fromNames.length === 0) return;
+
+  if (navigator.onLine) {
+    try {
+      await applyPlayerRename(fromNames, toName);
+    } catch (err) {
+      console.warn('[Supabase] Player rename queued:', err.message);
+      enqueue({ type: 'rename_player', fromNames, toName });
+    }
+  } else {
+    enqueue({ type: 'rename_player', fromNames, toName });
+  }
+}
+
+// Upload bowls and games written locally in bulk (player re-pointing, restores)
+function syncWrittenRecords(bowls, games) {
+  const byGame = {};
+  bowls.forEach(b => {
+    if (!byGame[b.gameId]) byGame[b.gameId] = [];
+    byGame[b.gameId].push(b);
+  });
+  Object.keys(byGame).forEach(gid => syncDeliveriesToSupabase(byGame[gid], gid));
+  games.forEach(g => syncGameToSupabase(g));
+}
+
 async function syncDeleteGame(gameId) {
   if (!isAuthenticated()) return;
 
@@ -413,19 +761,175 @@ async function syncDeleteGame(gameId) {
   }
 }
 
+// ===== CHANGE LOG SYNC =====
+// Local change log entries are uploaded in batches after writes and when the
+// device comes back online; `synced` marks the ones already in the cloud.
+
+let changeLogSyncTimer = null;
+
+function mapChangeToSupabase(entry) {
+  return {
+    id: entry.id,
+    game_id: entry.gameId,
+    entity_type: entry.entityType,
+    entity_id: entry.entityId,
+    action: entry.action,
+    field: entry.field,
+    old_value: entry.oldValue,
+    new_value: entry.newValue,
+    changed_at: entry.changedAt,
+    changed_by: entry.changedBy
+  };
+}
+
+function mapSupabaseToChange(row) {
+  return {
+    id: row.id,
+    gameId: row.game_id,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    action: row.action,
+    field: row.field,
+    oldValue: row.old_value,
+    newValue: row.new_value,
+    changedAt: row.changed_at,
+    changedBy: row.changed_by,
+    synced: 1
+  };
+}
+
+async function syncChangeLog() {
+  if (!isAuthenticated() || !navigator.onLine) return;
+  const entries = await getUnsyncedChangeLog();
+  if (entries.length === 0) return;
+
+  try {
+    const { error } = await db.from('change_log')
+      .upsert(entries.map(mapChangeToSupabase), { onConflict: 'id', ignoreDuplicates: true });
+    if (error) throw error;
+    await markChangeLogSynced(entries.map(e => e.id));
+  } catch (err) {
+    console.warn('[Supabase] Change log upload deferred:', err.message);
+  }
+}
+
+// Writes come in bursts while scoring - upload once they settle
+function scheduleChangeLogSync() {
+  clearTimeout(changeLogSyncTimer);
+  changeLogSyncTimer = setTimeout(syncChangeLog, 2000);
+}
+
+// A game's history as recorded by every device, oldest first
+async function fetchCloudChangeLog(gameId) {
+  if (!isAuthenticated() || !navigator.onLine) return [];
+  try {
+    const { data, error } = await db.from('change_log')
+      .select('*')
+      .eq('game_id', gameId)
+      .order('changed_at', { ascending: true });
+    if (error) throw error;
+    return (data || []).map(mapSupabaseToChange);
+  } catch (err) {
+    console.warn('[Supabase] Could not load change history:', err.message);
+    return [];
+  }
+}
+
+// ===== RECYCLE BIN SYNC =====
+// Deleted games and drill sessions stay in the cloud with deleted_at set, so
+// other devices drop them on their next pull and a restore can clear it again.
+// Purging removes the rows for good.
+
+const RECYCLE_BIN_TABLES = { game: 'games', drillSession: 'drill_sessions' };
+
+// Name shown in the recycle bin's "Deleted by"
+function getCurrentUserLabel() {
+  return playerRecord?.name || currentUser?.email || 'This device';
+}
+
+async function applyRecycleBinOp(op) {
+  const table = RECYCLE_BIN_TABLES[op.kind];
+  if (op.action === 'purge') {
+    if (op.kind === 'game') {
+      await db.from('deliveries').delete().eq('game_id', op.itemId);
+      await db.from('ends').delete().eq('game_id', op.itemId);
+    }
+    const { error } = await db.from(table).delete().eq('id', op.itemId);
+    if (error) throw error;
+    return;
+  }
+
+  const deleted = op.action === 'delete';
+  const { error } = await db.from(table)
+    .update({ deleted_at: deleted ? op.deletedAt : null, deleted_by: deleted ? op.deletedBy : null })
+    .eq('id', op.itemId);
+  if (error) throw error;
+}
+
+// action is 'delete', 'restore' or 'purge'
+async function syncRecycleBinEntry(action, entry) {
+  if (!isAuthenticated()) return;
+  const op = {
+    type: 'recycle_bin',
+    action,
+    kind: entry.kind,
+    itemId: entry.itemId,
+    deletedAt: entry.deletedAt,
+    deletedBy: entry.deletedBy
+  };
+
+  if (navigator.onLine) {
+    try {
+      await applyRecycleBinOp(op);
+    } catch (err) {
+      console.warn('[Supabase] Recycle bin sync queued:', err.message);
+      enqueue(op);
+    }
+  } else {
+    enqueue(op);
+  }
+}
+
 // ===== OVERRIDE db.js FUNCTIONS =====
 // Called after db.js loads via initSupabaseSync() from app init.
 
+// The db.js writes without the cloud sync, for changes that came from the cloud
+let localOnlyWrites = null;
+
+function saveGameLocally(game) {
+  return (localOnlyWrites ? localOnlyWrites.saveGame : saveGame)(game);
+}
+
+function saveBowlsLocally(bowls) {
+  return (localOnlyWrites ? localOnlyWrites.saveBowlsBatch : saveBowlsBatch)(bowls);
+}
+
+function savePlayerLocally(player) {
+  return (localOnlyWrites ? localOnlyWrites.savePlayer : savePlayer)(player);
+}
+
+function saveScoutingNoteLocally(note) {
+  return (localOnlyWrites ? localOnlyWrites.saveScoutingNote : saveScoutingNote)(note);
+}
+
 function initSupabaseSync() {
+  localOnlyWrites = {
+    saveGame: window.saveGame,
+    saveBowlsBatch: window.saveBowlsBatch,
+    savePlayer: window.savePlayer,
+    saveScoutingNote: window.saveScoutingNote
+  };
+
   // Override saveGame
   const _origSaveGame = window.saveGame;
-  window.saveGame = async function(game) {
-    const result = await _origSaveGame(game);
+  window.saveGame = async function(game, options) {
+    const result = await _origSaveGame(game, options);
     // Fire-and-forget Supabase sync
     syncGameToSupabase(game);
+    scheduleChangeLogSync();
     // Sync end scores if present
     if (game.endScores && game.endScores.length > 0) {
-      syncEndsToSupabase(game.id || game.gameId, game.endScores, game.endNotes);
+      syncEndsToSupabase(game);
     }
     return result;
   };
@@ -437,6 +941,7 @@ function initSupabaseSync() {
     if (bowls.length > 0) {
       syncDeliveriesToSupabase(bowls, bowls[0].gameId);
     }
+    scheduleChangeLogSync();
     return result;
   };
 
@@ -445,30 +950,205 @@ function initSupabaseSync() {
   window.saveBowl = async function(bowl) {
     const result = await _origSaveBowl(bowl);
     syncDeliveriesToSupabase([bowl], bowl.gameId);
+    scheduleChangeLogSync();
+    return result;
+  };
+
+  // Override syncGameBowls - upsert the game's changed bowls and delete the ones removed locally
+  const _origSyncGameBowls = window.syncGameBowls;
+  window.syncGameBowls = async function(gameId, bowls, keep) {
+    const removedIds = await _origSyncGameBowls(gameId, bowls, keep);
+    const changed = isAuthenticated() ? takeChangedBowls(bowls) : [];
+    if (changed.length > 0) {
+      syncDeliveriesToSupabase(changed, gameId);
+    }
+    removedIds.forEach(id => uploadedBowls.delete(id));
+    syncDeleteDeliveries(removedIds);
+    scheduleChangeLogSync();
+    return removedIds;
+  };
+
+  // Override repairDuplicateBowls - merged copies were uploaded too
+  const _origRepairDuplicateBowls = window.repairDuplicateBowls;
+  window.repairDuplicateBowls = async function() {
+    const removedIds = await _origRepairDuplicateBowls();
+    syncDeleteDeliveries(removedIds);
+    return removedIds;
+  };
+
+  // Override savePlayer
+  const _origSavePlayer = window.savePlayer;
+  window.savePlayer = async function(player) {
+    const result = await _origSavePlayer(player);
+    syncPlayerToSupabase(result);
+    return result;
+  };
+
+  // Override saveScoutingNote
+  const _origSaveScoutingNote = window.saveScoutingNote;
+  window.saveScoutingNote = async function(note) {
+    const result = await _origSaveScoutingNote(note);
+    syncScoutingNoteToSupabase(result);
+    return result;
+  };
+
+  // Override deletePlayer
+  const _origDeletePlayer = window.deletePlayer;
+  window.deletePlayer = async function(id) {
+    const result = await _origDeletePlayer(id);
+    syncDeletePlayer(id);
+    return result;
+  };
+
+  // Override renamePlayer / mergePlayers - push the player and re-pointed history
+  const _origRenamePlayer = window.renamePlayer;
+  window.renamePlayer = async function(id, newName) {
+    const result = await _origRenamePlayer(id, newName);
+    syncPlayerToSupabase(result.player);
+    syncWrittenRecords(result.bowls, result.games);
+    syncPlayerRename(result.fromNames, result.player.name);
+    scheduleChangeLogSync();
     return result;
   };
 
-  // Override deleteGame
+  const _origMergePlayers = window.mergePlayers;
+  window.mergePlayers = async function(sourceId, targetId) {
+    const result = await _origMergePlayers(sourceId, targetId);
+    syncPlayerToSupabase(result.player);
+    syncDeletePlayer(result.removedId);
+    syncWrittenRecords(result.bowls, result.games);
+    syncPlayerRename(result.fromNames, result.player.name);
+    scheduleChangeLogSync();
+    return result;
+  };
+
+  // Override reconcilePlayerRegistry
+  const _origReconcilePlayerRegistry = window.reconcilePlayerRegistry;
+  window.reconcilePlayerRegistry = async function() {
+    const result = await _origReconcilePlayerRegistry();
+    result.players.forEach(p => syncPlayerToSupabase(p));
+    syncWrittenRecords(result.bowls, result.games);
+    return result;
+  };
+
+  // Override restoreBackup - upload what was restored. A full replace deletes
+  // the games the backup doesn't have from the cloud too, with their ends and
+  // deliveries, so the next pull doesn't bring them back.
+  const _origRestoreBackup = window.restoreBackup;
+  window.restoreBackup = async function(archive, mode, resolutions) {
+    const report = await _origRestoreBackup(archive, mode, resolutions);
+    syncWrittenRecords(report.bowls, report.games);
+    syncDeleteDeliveries(report.removedBowlIds);
+    report.removedLocal.forEach(gameId => syncDeleteGame(gameId));
+    return report;
+  };
+
+  // Override deleteGame / purgeGame
   const _origDeleteGame = window.deleteGame;
-  window.deleteGame = async function(id) {
-    const result = await _origDeleteGame(id);
+  window.deleteGame = async function(id, deletedBy, deletedAt) {
+    const result = await _origDeleteGame(id, deletedBy, deletedAt);
+    const entry = await getRecycleBinEntry(`game:${id}`);
+    if (entry) syncRecycleBinEntry('delete', entry);
+    scheduleChangeLogSync();
+    return result;
+  };
+
+  const _origPurgeGame = window.purgeGame;
+  window.purgeGame = async function(id) {
+    const result = await _origPurgeGame(id);
     syncDeleteGame(id);
+    scheduleChangeLogSync();
     return result;
   };
 
+  // Override the recycle bin - drill sessions are binned with addToRecycleBin
+  const _origAddToRecycleBin = window.addToRecycleBin;
+  window.addToRecycleBin = async function(entry) {
+    const result = await _origAddToRecycleBin(entry);
+    syncRecycleBinEntry('delete', entry);
+    return result;
+  };
+
+  // A restored game or drill session is uploaded again in case it was purged
+  // on another device; the session is queued when it can't be uploaded now
+  const _origRestoreFromRecycleBin = window.restoreFromRecycleBin;
+  window.restoreFromRecycleBin = async function(id) {
+    const entry = await _origRestoreFromRecycleBin(id);
+    if (!entry) return entry;
+    syncRecycleBinEntry('restore', entry);
+    scheduleChangeLogSync();
+    if (entry.kind === 'game') {
+      syncWrittenRecords(entry.bowls || [], [entry.game]);
+      if (entry.game.endScores && entry.game.endScores.length > 0) {
+        syncEndsToSupabase(entry.game);
+      }
+    } else if (typeof saveDrillToSupabase === 'function') {
+      saveDrillToSupabase(entry.session);
+    }
+    return entry;
+  };
+
+  const _origPurgeFromRecycleBin = window.purgeFromRecycleBin;
+  window.purgeFromRecycleBin = async function(ids) {
+    const purged = await _origPurgeFromRecycleBin(ids);
+    purged.forEach(entry => syncRecycleBinEntry('purge', entry));
+    return purged;
+  };
+
   console.log('[Supabase] Sync layer initialized — writes go to IndexedDB + Supabase');
 }
 
 // ===== INITIAL DATA PULL =====
 // On login, pull latest data from Supabase into IndexedDB.
 
+// Games held in the cloud (not deleted), or null when signed out, offline or
+// the count fails
+async function getCloudGameCount() {
+  if (!isAuthenticated() || !navigator.onLine) return null;
+  try {
+    const { count, error } = await db.from('games')
+      .select('id', { count: 'exact', head: true })
+      .is('deleted_at', null);
+    if (error) throw error;
+    return count;
+  } catch (err) {
+    console.warn('[Supabase] Cloud game count failed:', err.message);
+    return null;
+  }
+}
+
 async function pullDataFromSupabase() {
   if (!isAuthenticated() || !navigator.onLine) return;
 
   console.log('[Supabase] Pulling latest data from cloud...');
   updateSyncIndicator('syncing');
+  pauseChangeLog(true);
 
   try {
+    // Pull the player registry
+    const { data: players, error: plErr } = await db.from('players').select('*');
+
+    if (plErr) throw plErr;
+
+    for (const row of (players || [])) {
+      if (!row.name) continue;
+      const player = mapSupabaseToPlayer(row);
+      await savePlayerLocally(player);
+    }
+    await loadBowlingArms();
+
+    // Pull scouting notes - the most recently edited copy of each is kept
+    const { data: scoutingNotes, error: snErr } = await db.from('scouting_notes').select('*');
+
+    if (snErr) throw snErr;
+
+    for (const row of (scoutingNotes || [])) {
+      const note = mapSupabaseToScoutingNote(row);
+      const local = await getScoutingNote(note.kind, note.name);
+      if (local && local.updatedAt >= note.updatedAt) continue;
+      await saveScoutingNoteLocally(note);
+    }
+
     // Pull games
     const { data: games, error: gErr } = await db.from('games')
       .select('*')
@@ -476,9 +1156,41 @@ async function pullDataFromSupabase() {
 
     if (gErr) throw gErr;
 
+    // Games deleted on another device go to this device's recycle bin. A game
+    // binned here whose delete hasn't synced yet is not pulled back.
+    const pendingBinIds = new Set(getQueue().filter(op => op.type === 'recycle_bin').map(op => op.itemId));
+    const deletedGameIds = new Set();
+    const liveGames = [];
     for (const row of (games || [])) {
-      const game = mapSupabaseToGame(row);
+      if (row.deleted_at) {
+        deletedGameIds.add(row.id);
+        if (await getGame(row.id)) await deleteGame(row.id, row.deleted_by, row.deleted_at);
+      } else if (pendingBinIds.has(row.id)) {
+        deletedGameIds.add(row.id);
+      } else {
+        // Restored on another device
+        await dropRecycleBinEntry(`game:${row.id}`);
+        liveGames.push(row);
+      }
+    }
+
+    // Games synced before the rink model hold canvas pixels; their
+    // deliveries are converted below against the same game
+    const legacyGames = {};
+    const coScoredGames = {};
+    for (const row of liveGames) {
+      let game = mapSupabaseToGame(row);
       game.id = row.id;
+      if (!game.coordinateSystem) {
+        legacyGames[game.id] = game;
+        game = convertLegacyGame(game).game;
+      }
+      // A co-scored game merges with this device's copy rather than replacing it
+      if (game.coScored) {
+        const local = await getGame(row.id);
+        if (local && local.coScored) game = mergeCoScoredGame(local, game);
+        coScoredGames[game.id] = game;
+      }
       await window._origSaveGame
         ? window._origSaveGame(game)
         : saveGame(game);
@@ -492,7 +1204,11 @@ async function pullDataFromSupabase() {
     if (dErr) throw dErr;
 
     if (deliveries && deliveries.length > 0) {
-      const bowls = deliveries.map(mapDeliveryToBowl);
+      const bowls = deliveries.map(mapDeliveryToBowl)
+        .filter(b => !deletedGameIds.has(b.gameId))
+        // A co-scored bowl written back after another device removed it stays removed
+        .filter(b => !(coScoredGames[b.gameId] && isBowlRemoved(coScoredGames[b.gameId], b)))
+        .map(b => (legacyGames[b.gameId] ? convertLegacyGame(legacyGames[b.gameId], [b]).bowls[0] : b));
       // Group by game and batch save
       const byGame = {};
       bowls.forEach(b => {
@@ -506,11 +1222,13 @@ async function pullDataFromSupabase() {
       }
     }
 
-    console.log(`[Supabase] Pulled ${(games || []).length} games, ${(deliveries || []).length} deliveries`);
+    console.log(`[Supabase] Pulled ${(players || []).length} players, ${liveGames.length} games, ${(deliveries || []).length} deliveries`);
     updateSyncIndicator('online');
   } catch (err) {
     console.error('[Supabase] Pull failed:', err.message);
     updateSyncIndicator('offline');
+  } finally {
+    pauseChangeLog(false);
   }
 }
 
@@ -553,6 +1271,162 @@ function subscribeToAllGames(onGameChange) {
   return channel;
 }
 
+// ===== CO-SCORING =====
+// Scorer claims are one row per device (co-scoring.js); each device writes only its own
+
+function mapScorerToSupabase(claim) {
+  return {
+    id: `${claim.gameId}:${claim.deviceId}`,
+    game_id: claim.gameId,
+    device_id: claim.deviceId,
+    label: claim.label || '',
+    teams: claim.teams || [],
+    positions: claim.positions || [],
+    claimed_at: claim.claimedAt
+  };
+}
+
+function mapSupabaseToScorer(row) {
+  return {
+    gameId: row.game_id,
+    deviceId: row.device_id,
+    label: row.label || 'Another device',
+    teams: row.teams || [],
+    positions: row.positions || [],
+    claimedAt: row.claimed_at
+  };
+}
+
+async function syncScorerClaim(claim) {
+  if (!isAuthenticated()) return;
+  const mapped = mapScorerToSupabase(claim);
+
+  if (navigator.onLine) {
+    try {
+      const { error } = await db.from('game_scorers').upsert(mapped, { onConflict: 'id' });
+      if (error) throw error;
+    } catch (err) {
+      console.warn('[Supabase] Scorer claim queued:', err.message);
+      enqueue({ type: 'upsert_scorer', data: mapped });
+    }
+  } else {
+    enqueue({ type: 'upsert_scorer', data: mapped });
+  }
+}
+
+async function syncDeleteScorerClaim(gameId, deviceId) {
+  if (!isAuthenticated()) return;
+  const id = `${gameId}:${deviceId}`;
+
+  if (navigator.onLine) {
+    try {
+      const { error } = await db.from('game_scorers').delete().eq('id', id);
+      if (error) throw error;
+    } catch (err) {
+      console.warn('[Supabase] Scorer claim delete queued:', err.message);
+      enqueue({ type: 'delete_scorer', id });
+    }
+  } else {
+    enqueue({ type: 'delete_scorer', id });
+  }
+}
+
+async function fetchGameScorers(gameId) {
+  const { data, error } = await db.from('game_scorers').select('*').eq('game_id', gameId);
+  if (error) throw error;
+  return (data || []).map(mapSupabaseToScorer);
+}
+
+// Kept apart from activeSubscriptions: the manager view's unsubscribeAll()
+// must not stop the games being scored on this device
+let coScoringSubscriptions = {};
+
+// Follow one co-scored game's row, bowls and scorers; false if already followed
+function subscribeToCoScoredGame(gameId) {
+  if (coScoringSubscriptions[gameId]) return false;
+  const channel = db.channel(`co-scoring-${gameId}`)
+    .on('postgres_changes', {
+      event: 'UPDATE',
+      schema: 'public',
+      table: 'games',
+      filter: `id=eq.${gameId}`
+    }, async (payload) => {
+      const remote = mapSupabaseToGame(payload.new);
+      const merged = await receiveCoScoredGame(remote);
+      // This device holds changes the row lacks: write them back
+      if (merged && coScoredGamesDiffer(mapSupabaseToGame(mapGameToSupabase(merged)), remote, getSharedFields(remote))) {
+        syncGameToSupabase(merged);
+      }
+    })
+    // Deletes never match the game filter and come through the removals channel
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'deliveries',
+      filter: `game_id=eq.${gameId}`
+    }, (payload) => {
+      if (payload.eventType !== 'DELETE') receiveCoScoredBowl(mapDeliveryToBowl(payload.new));
+    })
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'game_scorers',
+      filter: `game_id=eq.${gameId}`
+    }, (payload) => {
+      if (payload.eventType !== 'DELETE') receiveScorerClaim(mapSupabaseToScorer(payload.new), false);
+    })
+    .subscribe((status) => {
+      console.log('[Supabase RT] Co-scoring', gameId, status);
+    });
+
+  coScoringSubscriptions[gameId] = channel;
+  subscribeToCoScoredRemovals();
+  return true;
+}
+
+let coScoringRemovalsChannel = null;
+
+// Realtime can't filter deletes by game - their old record holds only the
+// primary key - so one unfiltered channel takes every delete from deliveries
+// and game_scorers and keeps those of the games followed here
+function subscribeToCoScoredRemovals() {
+  if (coScoringRemovalsChannel) return;
+  coScoringRemovalsChannel = db.channel('co-scoring-removals')
+    .on('postgres_changes', {
+      event: 'DELETE',
+      schema: 'public',
+      table: 'deliveries'
+    }, (payload) => {
+      // Only a bowl of a co-scored game held here is removed (co-scoring.js)
+      if (payload.old && payload.old.id) receiveCoScoredBowlRemoved(payload.old.id);
+    })
+    .on('postgres_changes', {
+      event: 'DELETE',
+      schema: 'public',
+      table: 'game_scorers'
+    }, (payload) => {
+      // The row id is `${gameId}:${deviceId}`
+      const id = (payload.old && payload.old.id) || '';
+      const gameId = Object.keys(coScoringSubscriptions).find(followed => id.startsWith(`${followed}:`));
+      if (gameId) receiveScorerClaim({ gameId, deviceId: id.slice(gameId.length + 1) }, true);
+    })
+    .subscribe((status) => {
+      console.log('[Supabase RT] Co-scoring removals', status);
+    });
+}
+
+// Stop following co-scored games other than `keepIds`
+function unsubscribeCoScoredGames(keepIds = []) {
+  Object.keys(coScoringSubscriptions).filter(id => !keepIds.includes(id)).forEach(id => {
+    try { coScoringSubscriptions[id].unsubscribe(); } catch {}
+    delete coScoringSubscriptions[id];
+  });
+  if (coScoringRemovalsChannel && Object.keys(coScoringSubscriptions).length === 0) {
+    try { coScoringRemovalsChannel.unsubscribe(); } catch {}
+    coScoringRemovalsChannel = null;
+  }
+}
+
 function unsubscribeAll() {
   activeSubscriptions.forEach(ch => {
     try { ch.unsubscribe(); } catch {}
@@ -582,8 +1456,8 @@ async function handleLogin() {
   try {
     const { role } = await supabaseLogin(email, password);
 
-    // Pull cloud data into local DB
-    await pullDataFromSupabase();
+    // Pull cloud data into local DB, noticing a database the browser emptied (storage-health.js)
+    await pullWithRecoveryCheck();
 
     // Process any pending offline queue
     await processQueue();
@@ -0,0 +1,150 @@
+// undo-history.js — Multi-step undo and redo for the live game
+//
+// Every scoring action is one step: placing a bowl (with its back-end score),
+// moving the jack or a bowl, marking a bowl dead or a toucher, a dead jack,
+// the mat and jack settings, and the next end with any set or match it
+// completes. A step holds only what the action changed - the game fields it
+// altered and the bowls it added, removed or edited - each with its value
+// before and after. Undo puts the before values back and redo the after
+// values, so the stacks stay small however long the game runs.
+//
+// app.js calls beginHistoryStep(label) before an action changes gameState.
+// The save that follows (persistCurrentGame) closes the step, except during a
+// drag, which saves on every move and is closed when the pointer is released.
+// Each game's stacks are kept in IndexedDB (db.js) and survive a reload.
+
+let undoHistory = { gameId: null, undo: [], redo: [] };
+let pendingHistoryStep = null;
+
+function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// { game: [{ field, before, after }], bowls: [{ id, before, after, index }] }
+// where index holds each bowl's position in the bowls array before and after
+function diffGameStates(before, after) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => field !== 'bowls')
+    .filter(field => stableStringify(before[field] ?? null) !== stableStringify(after[field] ?? null));
+
+  const indexById = (bowls) => new Map((bowls || []).map((b, i) => [b.id, i]));
+  const beforeIndex = indexById(before.bowls);
+  const afterIndex = indexById(after.bowls);
+  const ids = [...new Set([...beforeIndex.keys(), ...afterIndex.keys()])];
+
+  return {
+    game: fields.map(field => ({ field, before: cloneValue(before[field]), after: cloneValue(after[field]) })),
+    bowls: ids
+      .map(id => ({
+        id,
+        before: beforeIndex.has(id) ? before.bowls[beforeIndex.get(id)] : null,
+        after: afterIndex.has(id) ? after.bowls[afterIndex.get(id)] : null,
+        index: { before: beforeIndex.get(id) ?? null, after: afterIndex.get(id) ?? null }
+      }))
+      .filter(change => stableStringify(change.before) !== stableStringify(change.after))
+      .map(change => ({ ...change, before: cloneValue(change.before), after: cloneValue(change.after) }))
+  };
+}
+
+// Put one side ('before' or 'after') of a step back into `state`
+function applyHistoryStep(state, step, side) {
+  step.game.forEach(change => {
+    if (change[side] === undefined) delete state[change.field];
+    else state[change.field] = cloneValue(change[side]);
+  });
+
+  // Take out every bowl the step touched, then put back this side's copies at their old places
+  const touched = new Set(step.bowls.map(change => change.id));
+  const bowls = (state.bowls || []).filter(b => !touched.has(b.id));
+  step.bowls
+    .filter(change => change[side])
+    .sort((a, b) => a.index[side] - b.index[side])
+    .forEach(change => bowls.splice(change.index[side], 0, cloneValue(change[side])));
+  state.bowls = bowls;
+}
+
+// ===== RECORDING =====
+
+// Snapshot the live game before an action; a step left open is replaced
+function beginHistoryStep(label) {
+  pendingHistoryStep = { label, before: cloneValue(gameState) };
+}
+
+// Close the open step. Returns the step, or null if nothing was open or nothing changed.
+function commitHistoryStep() {
+  if (!pendingHistoryStep) return null;
+  const { label, before } = pendingHistoryStep;
+  pendingHistoryStep = null;
+
+  const gameId = gameState.gameId || gameState.id;
+  if (undoHistory.gameId !== gameId) return null;
+
+  const diff = diffGameStates(before, gameState);
+  if (diff.game.length === 0 && diff.bowls.length === 0) return null;
+
+  const step = { label, end: before.currentEnd, at: new Date().toISOString(), ...diff };
+  undoHistory.undo.push(step);
+  undoHistory.redo = [];
+  persistUndoHistory();
+  return step;
+}
+
+function canUndo() {
+  return undoHistory.undo.length > 0;
+}
+
+function canRedo() {
+  return undoHistory.redo.length > 0;
+}
+
+// Undo the latest step on gameState; returns it, or null if there is none
+function undoHistoryStep() {
+  pendingHistoryStep = null;
+  const step = undoHistory.undo.pop();
+  if (!step) return null;
+  applyHistoryStep(gameState, step, 'before');
+  undoHistory.redo.push(step);
+  persistUndoHistory();
+  return step;
+}
+
+function redoHistoryStep() {
+  pendingHistoryStep = null;
+  const step = undoHistory.redo.pop();
+  if (!step) return null;
+  applyHistoryStep(gameState, step, 'after');
+  undoHistory.undo.push(step);
+  persistUndoHistory();
+  return step;
+}
+
+// ===== PERSISTENCE =====
+
+function persistUndoHistory() {
+  if (!undoHistory.gameId) return;
+  saveUndoHistory(undoHistory).catch(err => {
+    console.error('[History] Save error:', err);
+  });
+}
+
+// Switch the history to `gameId`, loading its saved stacks
+async function loadUndoHistory(gameId) {
+  undoHistory = { gameId, undo: [], redo: [] };
+  pendingHistoryStep = null;
+  try {
+    const saved = await getUndoHistory(gameId);
+    if (saved && undoHistory.gameId === gameId) {
+      // Steps recorded while loading follow the saved ones
+      const recent = undoHistory.undo;
+      undoHistory = {
+        gameId,
+        undo: [...(saved.undo || []), ...recent],
+        redo: recent.length > 0 ? [] : (saved.redo || [])
+      };
+      console.log(`[History] Loaded ${undoHistory.undo.length} undo and ${undoHistory.redo.length} redo steps`);
+    }
+  } catch (err) {
+    console.error('[History] Load error:', err);
+  }
+  return undoHistory;
+}
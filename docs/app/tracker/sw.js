@@ -1,4 +1,4 @@
-const CACHE_VERSION = 'bowls-tracker-v5';
+const CACHE_VERSION = 'bowls-tracker-v28';
 const STATIC_CACHE = CACHE_VERSION + '-static';
 const DYNAMIC_CACHE = CACHE_VERSION + '-dynamic';
 
@@ -13,11 +13,31 @@ const PRECACHE_URLS = [
   SW_BASE + 'css/main.css',
   SW_BASE + 'css/analytics.css',
   SW_BASE + 'js/supabase.js',
+  SW_BASE + 'js/rink.js',
   SW_BASE + 'js/db.js',
+  SW_BASE + 'js/aggregates.js',
+  SW_BASE + 'js/scoring.js',
+  SW_BASE + 'js/delivery.js',
+  SW_BASE + 'js/called-shots.js',
+  SW_BASE + 'js/conditions.js',
+  SW_BASE + 'js/match-rules.js',
+  SW_BASE + 'js/lineup.js',
+  SW_BASE + 'js/undo-history.js',
+  SW_BASE + 'js/bowl-inspector.js',
+  SW_BASE + 'js/replay.js',
+  SW_BASE + 'js/multi-rink.js',
+  SW_BASE + 'js/co-scoring.js',
   SW_BASE + 'js/app.js',
   SW_BASE + 'js/analytics.js',
+  SW_BASE + 'js/analytics-tasks.js',
+  SW_BASE + 'js/analytics-worker.js',
   SW_BASE + 'js/export.js',
   SW_BASE + 'js/demo-data.js',
+  SW_BASE + 'js/players.js',
+  SW_BASE + 'js/opposition.js',
+  SW_BASE + 'js/backup.js',
+  SW_BASE + 'js/recycle-bin.js',
+  SW_BASE + 'js/storage-health.js',
   SW_BASE + 'icons/icon-192.png',
   SW_BASE + 'icons/icon-512.png'
 ];
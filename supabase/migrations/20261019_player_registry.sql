@@ -0,0 +1,25 @@
+-- ============================================================================
+-- PLAYER REGISTRY
+-- Applied: 2026-10-19
+-- Purpose: Store the tracker's player registry (stable id, display name,
+--          aliases, preferred hand, club, positions) in the players table.
+--          Registry players do not need a login, so user_id becomes optional.
+-- ============================================================================
+
+-- 1. Registry columns
+ALTER TABLE players ADD COLUMN IF NOT EXISTS aliases TEXT[] DEFAULT '{}';
+ALTER TABLE players ADD COLUMN IF NOT EXISTS preferred_hand TEXT CHECK (preferred_hand IN ('forehand', 'backhand'));
+ALTER TABLE players ADD COLUMN IF NOT EXISTS club TEXT;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS positions TEXT[] DEFAULT '{}';
+ALTER TABLE players ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+-- 2. Players recorded by the tracker have no auth account
+ALTER TABLE players ALTER COLUMN user_id DROP NOT NULL;
+
+-- 3. Updated_at trigger (consistent with existing tables)
+CREATE OR REPLACE TRIGGER set_players_updated_at
+  BEFORE UPDATE ON players
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- 4. Index for name lookups within an org
+CREATE INDEX IF NOT EXISTS idx_players_org_name ON players(org_id, lower(name));
@@ -0,0 +1,17 @@
+-- ============================================================================
+-- RECYCLE BIN
+-- Applied: 2026-10-20
+-- Purpose: Soft-delete games and drill sessions. A deleted row keeps its
+--          data with deleted_at/deleted_by set until it is restored (both
+--          cleared) or purged from the recycle bin (row deleted).
+-- ============================================================================
+
+-- 1. Soft-delete columns
+ALTER TABLE games ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+ALTER TABLE drill_sessions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE drill_sessions ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+-- 2. Indexes for listing and purging deleted rows
+CREATE INDEX IF NOT EXISTS idx_games_deleted_at ON games(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_drill_sessions_deleted_at ON drill_sessions(deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- CHANGE LOG
+-- Applied: 2026-10-21
+-- Purpose: Append-only audit trail of every change to a game or its bowls
+--          (field, old value, new value, when and by whom), uploaded by each
+--          device and read back for the game history panel.
+-- ============================================================================
+
+-- 1. Change log table (ids are generated on the device)
+CREATE TABLE IF NOT EXISTS change_log (
+  id TEXT PRIMARY KEY,
+  org_id UUID REFERENCES organisations(id) ON DELETE CASCADE,
+  game_id TEXT NOT NULL,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('game', 'bowl')),
+  entity_id TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore')),
+  field TEXT,
+  old_value JSONB,
+  new_value JSONB,
+  changed_at TIMESTAMPTZ NOT NULL,
+  changed_by TEXT
+);
+
+-- 2. Auto-set org_id (consistent with existing tables)
+CREATE OR REPLACE TRIGGER set_change_log_org_id
+  BEFORE INSERT ON change_log
+  FOR EACH ROW EXECUTE FUNCTION set_org_id();
+
+-- 3. Append-only: org members can read and add entries, never edit or delete them
+ALTER TABLE change_log ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "org members read change log" ON change_log FOR SELECT USING (org_id = public.user_org_id());
+CREATE POLICY "org members append change log" ON change_log FOR INSERT WITH CHECK (org_id = public.user_org_id());
+
+-- 4. Index for a game's history in order
+CREATE INDEX IF NOT EXISTS idx_change_log_game ON change_log(game_id, changed_at);
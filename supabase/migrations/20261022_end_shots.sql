@@ -0,0 +1,19 @@
+-- ============================================================================
+-- END SHOTS
+-- Applied: 2026-10-22
+-- Purpose: Record the real match score of each end. your_score and
+--          opponent_score hold the summed 0-4 performance marks; shots_for
+--          and shots_against hold the shots counted from the bowl positions,
+--          or entered by the scorer after a measure (shots_measured).
+-- ============================================================================
+
+-- 1. Shot columns
+ALTER TABLE ends ADD COLUMN IF NOT EXISTS shots_for INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE ends ADD COLUMN IF NOT EXISTS shots_against INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE ends ADD COLUMN IF NOT EXISTS shots_measured BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 2. Document the two scores
+COMMENT ON COLUMN ends.your_score IS 'Sum of the 0-4 performance marks of your bowls this end';
+COMMENT ON COLUMN ends.opponent_score IS 'Sum of the 0-4 performance marks of the opposition bowls this end';
+COMMENT ON COLUMN ends.shots_for IS 'Shots scored by your side this end';
+COMMENT ON COLUMN ends.shots_against IS 'Shots scored by the opposition this end';
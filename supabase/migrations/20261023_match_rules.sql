@@ -0,0 +1,17 @@
+-- ============================================================================
+-- MATCH RULES
+-- Applied: 2026-10-23
+-- Purpose: Store the settings of the newer match structures and the result
+--          worked out by the match-rules engine. match_structure is now one
+--          of 'traditional', 'shots' (first to shots_target), 'timed'
+--          (time_limit_minutes) or 'sets'. tie_rule says what happens when an
+--          ends-capped or timed game finishes level.
+-- ============================================================================
+
+-- 1. Structure settings
+ALTER TABLE games ADD COLUMN IF NOT EXISTS shots_target INTEGER;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS time_limit_minutes INTEGER;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS tie_rule TEXT CHECK (tie_rule IN ('extraEnd', 'draw'));
+
+-- 2. Result: { winner, yours, opponent, summary }
+ALTER TABLE games ADD COLUMN IF NOT EXISTS result JSONB;
@@ -0,0 +1,25 @@
+-- ============================================================================
+-- RINK GEOMETRY
+-- Applied: 2026-10-24
+-- Purpose: Store positions as true measurements on the rink. Games with
+--          coordinate_system 'rink' hold jack_position and delivery x/y in
+--          metres: x across the rink from the centre line, y up the rink from
+--          the rear ditch. Rows without a coordinate_system still hold canvas
+--          pixels and are converted by the app when pulled.
+-- ============================================================================
+
+-- 1. Rink model for each game: { length, width, ditchWidth, bankHeight } in metres
+ALTER TABLE games ADD COLUMN IF NOT EXISTS coordinate_system TEXT CHECK (coordinate_system IN ('rink'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS rink JSONB;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS mat_distance NUMERIC(4, 2);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS jack_length TEXT;
+
+-- 2. Measured mat and jack distances for each delivery
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS mat_distance NUMERIC(4, 2);
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS jack_distance NUMERIC(4, 2);
+
+-- 3. Document the units
+COMMENT ON COLUMN games.mat_distance IS 'Metres from the rear ditch to the back of the mat';
+COMMENT ON COLUMN deliveries.mat_distance IS 'Metres from the rear ditch to the back of the mat';
+COMMENT ON COLUMN deliveries.jack_distance IS 'Metres from the front of the mat to the jack';
+COMMENT ON COLUMN deliveries.mat_length IS 'Mat setting (short/medium/long) from before the rink model';
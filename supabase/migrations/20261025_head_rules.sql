@@ -0,0 +1,19 @@
+-- ============================================================================
+-- HEAD RULES
+-- Applied: 2026-10-25
+-- Purpose: Record touchers and how a jack knocked out of bounds is settled.
+--          A toucher stays live in the ditch; any other bowl in the ditch is
+--          dead. Ends replayed after a dead jack are kept in dead_ends.
+-- ============================================================================
+
+-- 1. Chalked touchers
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS is_toucher BOOLEAN DEFAULT FALSE;
+
+-- 2. Dead jack rule and replayed ends for each game
+ALTER TABLE games ADD COLUMN IF NOT EXISTS dead_jack_rule TEXT CHECK (dead_jack_rule IN ('replay', 'respot'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS dead_ends JSONB DEFAULT '[]'::JSONB;
+
+-- 3. Document the values
+COMMENT ON COLUMN deliveries.is_toucher IS 'Bowl touched the jack and was chalked; stays live in the ditch';
+COMMENT ON COLUMN games.dead_jack_rule IS 'replay: dead end, replayed; respot: jack re-spotted on the T';
+COMMENT ON COLUMN games.dead_ends IS 'Ends replayed after a dead jack: [{ end, bowls, at }]';
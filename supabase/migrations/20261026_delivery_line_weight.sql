@@ -0,0 +1,14 @@
+-- ============================================================================
+-- DELIVERY LINE AND WEIGHT
+-- Applied: 2026-10-26
+-- Purpose: Keep the scorer's line and weight for a bowl. Both are inferred
+--          from the rest position when not set, so NULL means "inferred".
+-- ============================================================================
+
+-- 1. Line and weight set by the scorer
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS line TEXT CHECK (line IN ('narrow', 'onLine', 'wide'));
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS weight TEXT CHECK (weight IN ('light', 'correct', 'heavy'));
+
+-- 2. Document the values
+COMMENT ON COLUMN deliveries.line IS 'narrow, onLine or wide as set by the scorer; NULL when inferred from the rest position';
+COMMENT ON COLUMN deliveries.weight IS 'light, correct or heavy as set by the scorer; NULL when inferred from the rest position';
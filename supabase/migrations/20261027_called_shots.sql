@@ -0,0 +1,15 @@
+-- ============================================================================
+-- CALLED SHOTS
+-- Applied: 2026-10-27
+-- Purpose: Keep the shot called for each delivery and how it turned out, so
+--          execution can be reported per shot type, position and caller.
+-- ============================================================================
+
+-- 1. The called shot, its target, caller, outcome and the head either side
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS called_shot JSONB;
+
+-- 2. Report calls by the player who gave them
+CREATE INDEX IF NOT EXISTS idx_deliveries_called_by ON deliveries ((called_shot->>'calledBy'));
+
+-- 3. Document the shape
+COMMENT ON COLUMN deliveries.called_shot IS 'Called shot: { type, target, targetBowlId | targetPoint, calledBy, outcome, headBefore, headAfter }';
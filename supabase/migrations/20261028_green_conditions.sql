@@ -0,0 +1,31 @@
+-- ============================================================================
+-- GREEN CONDITIONS
+-- Applied: 2026-10-28
+-- Purpose: Record the conditions each game and end was played in, so results
+--          can be filtered and broken down by them. The games columns hold
+--          the conditions the game was set up with; end_conditions holds only
+--          what changed, keyed by the end it changed at. Each ends row carries
+--          the conditions in force for that end, with the direction of play
+--          already turned for the end.
+-- ============================================================================
+
+-- 1. Conditions at the start of the game
+ALTER TABLE games ADD COLUMN IF NOT EXISTS green_speed NUMERIC(4, 1);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS surface TEXT CHECK (surface IN ('grass', 'synthetic', 'carpet'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS wind_strength TEXT CHECK (wind_strength IN ('calm', 'light', 'moderate', 'strong'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS wind_direction TEXT CHECK (wind_direction IN ('N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS weather TEXT CHECK (weather IN ('sunny', 'overcast', 'showers', 'rain', 'indoor'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS rink_number INTEGER;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS play_direction TEXT CHECK (play_direction IN ('N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'));
+
+-- 2. Changes during the game: { "<end>": { field: value | null } }
+ALTER TABLE games ADD COLUMN IF NOT EXISTS end_conditions JSONB DEFAULT '{}'::jsonb;
+
+-- 3. Conditions in force for each end
+ALTER TABLE ends ADD COLUMN IF NOT EXISTS conditions JSONB;
+
+-- 4. Filter by surface and green speed without reading every game
+CREATE INDEX IF NOT EXISTS idx_games_surface ON games (surface);
+CREATE INDEX IF NOT EXISTS idx_ends_surface ON ends ((conditions->>'surface'));
+
+COMMENT ON COLUMN ends.conditions IS 'Conditions for the end: { greenSpeed, surface, windStrength, windDirection, weather, rinkNumber, playDirection }';
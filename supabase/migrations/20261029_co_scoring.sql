@@ -0,0 +1,61 @@
+-- ============================================================================
+-- CO-SCORING
+-- Applied: 2026-10-29
+-- Purpose: Let several devices score one game together. Each device claims
+--          positions or a team in game_scorers, bowls carry the device that
+--          scored and last edited them, and the game row holds everything the
+--          devices share with a stamp per field (per end for end scores and
+--          notes) so concurrent edits merge the same way on every device
+--          instead of the last write replacing the row. Stamps and edit times
+--          are kept as the ISO text the device wrote, as they are compared as
+--          text.
+-- ============================================================================
+
+-- 1. Shared game state and its merge stamps: { "<field>" | "<field>:<end>": [end, at, deviceId] }
+ALTER TABLE games ADD COLUMN IF NOT EXISTS co_scored BOOLEAN DEFAULT false;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS field_stamps JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS end_scores JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS end_scores_manual JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS jack_state JSONB;
+
+-- 2. Who scored each bowl and the latest edit to it
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS scored_by TEXT;
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS edited_at TEXT;
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS edited_by TEXT;
+
+-- 3. Devices scoring a game and the positions or teams each has claimed
+CREATE TABLE IF NOT EXISTS game_scorers (
+  id TEXT PRIMARY KEY, -- '<game_id>:<device_id>'
+  org_id UUID REFERENCES organisations(id) ON DELETE CASCADE,
+  game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+  device_id TEXT NOT NULL,
+  label TEXT,
+  teams TEXT[] DEFAULT '{}',
+  positions INTEGER[] DEFAULT '{}',
+  claimed_at TEXT NOT NULL
+);
+
+CREATE OR REPLACE TRIGGER set_game_scorers_org_id
+  BEFORE INSERT ON game_scorers
+  FOR EACH ROW EXECUTE FUNCTION set_org_id();
+
+ALTER TABLE game_scorers ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "org members manage game scorers" ON game_scorers;
+CREATE POLICY "org members manage game scorers" ON game_scorers FOR ALL
+  USING (org_id = public.user_org_id())
+  WITH CHECK (org_id = public.user_org_id());
+
+CREATE INDEX IF NOT EXISTS idx_game_scorers_game ON game_scorers(game_id);
+
+-- 4. Claims reach the other devices in realtime (added once, so the migration can be re-run)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'game_scorers'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE game_scorers;
+  END IF;
+END $$;
+
+COMMENT ON COLUMN games.field_stamps IS 'Co-scoring merge stamps: { field or field:end -> [end, ISO time, deviceId] }';
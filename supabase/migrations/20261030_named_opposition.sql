@@ -0,0 +1,17 @@
+-- ============================================================================
+-- NAMED OPPOSITION
+-- Applied: 2026-10-30
+-- Purpose: Let a game name each opposition player by position and score
+--          their bowls, for scouting. Opposition bowls keep player_id
+--          'opponent', so they stay out of the squad's statistics, and carry
+--          the opposition player's name in opponent_name.
+-- ============================================================================
+
+-- 1. The opposition players by position, in the game's position order
+ALTER TABLE games ADD COLUMN IF NOT EXISTS opponent_names TEXT[] DEFAULT '{}';
+
+-- 2. The opposition player who delivered the bowl
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS opponent_name TEXT;
+
+-- 3. An opposition player's bowls across games
+CREATE INDEX IF NOT EXISTS idx_deliveries_opponent_name ON deliveries (opponent_name) WHERE opponent_name IS NOT NULL;
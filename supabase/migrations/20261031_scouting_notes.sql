@@ -0,0 +1,29 @@
+-- ============================================================================
+-- SCOUTING NOTES
+-- Applied: 2026-10-31
+-- Purpose: Selectors' free-text notes on each opposition team and named
+--          opposition player, shared across the club's devices so they can
+--          be read pitch-side. One row per opponent, keyed by kind and
+--          normalized name; a device keeps whichever copy was edited last,
+--          so updated_at is the ISO text the device wrote and compared as text.
+-- ============================================================================
+
+-- 1. One row per opponent: id is 'team:<name>' or 'player:<name>', lower-cased
+CREATE TABLE IF NOT EXISTS scouting_notes (
+  id TEXT PRIMARY KEY,
+  org_id UUID REFERENCES organisations(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('team', 'player')),
+  name TEXT NOT NULL,
+  notes TEXT DEFAULT '',
+  updated_at TEXT NOT NULL
+);
+
+CREATE OR REPLACE TRIGGER set_scouting_notes_org_id
+  BEFORE INSERT ON scouting_notes
+  FOR EACH ROW EXECUTE FUNCTION set_org_id();
+
+-- 2. Visible to and editable by the organisation's members
+ALTER TABLE scouting_notes ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "org members manage scouting notes" ON scouting_notes FOR ALL
+  USING (org_id = public.user_org_id())
+  WITH CHECK (org_id = public.user_org_id());
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- LINEUP CHANGES
+-- Applied: 2026-11-01
+-- Purpose: Substitutions and position swaps made during a game. The games
+--          row keeps the starting lineup in your_players / opponent_names;
+--          lineup_changes lists the changes from the end each took effect,
+--          as { id, team, end, type: 'substitution', index, player } or
+--          { id, team, end, type: 'swap', indexes: [i, j] }.
+-- ============================================================================
+
+-- 1. The game's lineup history, oldest first
+ALTER TABLE games ADD COLUMN IF NOT EXISTS lineup_changes JSONB DEFAULT '[]'::jsonb;
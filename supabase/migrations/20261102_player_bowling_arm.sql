@@ -0,0 +1,10 @@
+-- ============================================================================
+-- PLAYER BOWLING ARM
+-- Applied: 2026-11-02
+-- Purpose: The hand a registered player bowls with. The tracker infers a
+--          bowl's line (narrow or wide) from it; a player without one has
+--          their lines left unknown rather than assumed right-handed.
+-- ============================================================================
+
+-- 1. 'right' or 'left', NULL when not recorded
+ALTER TABLE players ADD COLUMN IF NOT EXISTS bowling_arm TEXT CHECK (bowling_arm IN ('right', 'left'));
@@ -0,0 +1,13 @@
+-- ============================================================================
+-- DEAD END BOWLS
+-- Applied: 2026-11-03
+-- Purpose: Keep the bowls of an end that went dead after a jack was knocked
+--          out of bounds. They were delivered, so they stay as tracking
+--          data, marked with the time of the dead end (its dead_ends entry's
+--          `at`) and left out of the scoring of the end that is replayed.
+-- ============================================================================
+
+-- 1. The dead end a bowl was delivered in, NULL for bowls that count
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS dead_end TEXT;
+
+COMMENT ON COLUMN deliveries.dead_end IS 'Time of the dead end this bowl was delivered in (games.dead_ends[].at); not scored';
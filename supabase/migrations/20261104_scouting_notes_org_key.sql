@@ -0,0 +1,17 @@
+-- ============================================================================
+-- SCOUTING NOTES KEYED PER ORGANISATION
+-- Applied: 2026-11-04
+-- Purpose: A note's id ('team:<name>' / 'player:<name>') is only unique within
+--          a club. Keyed on id alone, a second club's note on a same-named
+--          opponent collided with the first club's row and its upsert failed
+--          the row-level security check. The key is now (org_id, id), and the
+--          app upserts on those columns.
+-- ============================================================================
+
+-- 1. Rows without an organisation can't be read by anyone
+DELETE FROM scouting_notes WHERE org_id IS NULL;
+ALTER TABLE scouting_notes ALTER COLUMN org_id SET NOT NULL;
+
+-- 2. One row per opponent per organisation
+ALTER TABLE scouting_notes DROP CONSTRAINT IF EXISTS scouting_notes_pkey;
+ALTER TABLE scouting_notes ADD CONSTRAINT scouting_notes_pkey PRIMARY KEY (org_id, id);
@@ -0,0 +1,10 @@
+-- ============================================================================
+-- HAND-SET BOWL SCORES
+-- Applied: 2026-11-05
+-- Purpose: Mark a bowl whose score was picked by hand in the bowl inspector,
+--          so editing the bowl again keeps that score instead of working it
+--          out from the bowl's result or shot type and quality.
+-- ============================================================================
+
+-- 1. TRUE when score_value was set by hand
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS score_set_by_hand BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,17 @@
+-- ============================================================================
+-- OPPOSITION PLAYER NAMES
+-- Applied: 2026-11-06
+-- Purpose: Opposition bowls uploaded between the canonical bowl shape and
+--          the player_name fix carry player_name 'opponent'. Give them the
+--          name the tracker now uploads: the named opposition player, or
+--          else the game's opposition team name. Rows with neither are left
+--          as they are.
+-- ============================================================================
+
+-- 1. to_jsonb reads the first opposition name whether the column is an array or JSON
+UPDATE deliveries d
+SET player_name = COALESCE(d.opponent_name, to_jsonb(g.opponent_players) ->> 0)
+FROM games g
+WHERE d.game_id = g.id
+  AND d.player_name = 'opponent'
+  AND COALESCE(d.opponent_name, to_jsonb(g.opponent_players) ->> 0) IS NOT NULL;
@@ -0,0 +1,51 @@
+// getCallOutcome (called-shots.js): the outcome of a called shot
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const tracker = loadScripts(['rink.js', 'scoring.js', 'called-shots.js']);
+const { getCallOutcome } = tracker;
+
+// A rink-model game with the jack of end 1 recorded at (0, 25)
+const game = {
+  coordinateSystem: 'rink',
+  currentEnd: 2,
+  jackPosition: { x: 0, y: 20 },
+  endScores: [{ end: 1, yours: 1, opponent: 0, jack: { x: 0, y: 25 } }]
+};
+
+const drawBowl = (x, y, call = {}) => ({ id: 'b', end: 1, x, y, call: { type: 'draw', target: 'jack', ...call } });
+
+test('a bowl without a call has no outcome', () => {
+  assert.equal(getCallOutcome(game, [], { id: 'b', end: 1, x: 0, y: 25 }), null);
+});
+
+test('the scorer\'s outcome wins over the inferred one', () => {
+  assert.equal(getCallOutcome(game, [], drawBowl(0, 25, { outcome: 'missed' })), 'missed');
+});
+
+test('a draw to the jack is made, partly made or missed by how close it finished', () => {
+  assert.equal(getCallOutcome(game, [], drawBowl(0.2, 25)), 'made');
+  assert.equal(getCallOutcome(game, [], drawBowl(0, 25.8)), 'partial');
+  assert.equal(getCallOutcome(game, [], drawBowl(0, 27)), 'missed');
+});
+
+test('the end\'s own jack is the target, not the live one', () => {
+  assert.equal(getCallOutcome(game, [], drawBowl(0, 20)), 'missed');
+});
+
+test('a draw to a spot is measured from the spot', () => {
+  const bowl = drawBowl(1, 24, { target: 'position', targetPoint: { x: 1, y: 24.2 } });
+  assert.equal(getCallOutcome(game, [], bowl), 'made');
+});
+
+test('only draws have an inferred outcome', () => {
+  assert.equal(getCallOutcome(game, [], drawBowl(0, 25, { type: 'drive' })), null);
+  assert.equal(getCallOutcome(game, [], drawBowl(0, 25, { target: 'bowl', targetBowlId: 'x' })), null);
+});
+
+test('a bowl off the rink model has no inferred outcome', () => {
+  assert.equal(getCallOutcome({ ...game, coordinateSystem: undefined }, [], drawBowl(0, 25)), null);
+  assert.equal(getCallOutcome(game, [], drawBowl(null, null)), null);
+});
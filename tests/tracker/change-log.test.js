@@ -0,0 +1,31 @@
+// Change log retention (db.js): which entries purgeExpiredChangeLog() deletes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const tracker = loadScripts(['db.js']);
+const { isChangeLogEntryExpired } = tracker;
+
+const cutoff = '2026-04-01T00:00:00.000Z';
+
+test('an uploaded entry older than the cutoff is deleted', () => {
+  assert.equal(isChangeLogEntryExpired({ synced: 1, changedAt: '2026-01-15T09:00:00.000Z' }, cutoff), true);
+});
+
+test('an entry changed at the cutoff is deleted', () => {
+  assert.equal(isChangeLogEntryExpired({ synced: 1, changedAt: cutoff }, cutoff), true);
+});
+
+test('an entry not yet uploaded is kept however old', () => {
+  assert.equal(isChangeLogEntryExpired({ synced: 0, changedAt: '2025-01-15T09:00:00.000Z' }, cutoff), false);
+  assert.equal(isChangeLogEntryExpired({ changedAt: '2025-01-15T09:00:00.000Z' }, cutoff), false);
+});
+
+test('an uploaded entry inside the retention period is kept', () => {
+  assert.equal(isChangeLogEntryExpired({ synced: 1, changedAt: '2026-04-02T00:00:00.000Z' }, cutoff), false);
+});
+
+test('the retention period is 180 days', () => {
+  assert.equal(tracker.evaluate('CHANGE_LOG_RETENTION_DAYS'), 180);
+});
@@ -0,0 +1,69 @@
+// Lineup history (db.js): who held each position at an end, and the positions a player held
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const tracker = loadScripts(['db.js']);
+const lineupAt = (game, team, end) => [...tracker.getLineup(game, team, end)];
+const positionsOf = (game, team, name) => [...tracker.getPlayerPositions(game, team, name)];
+
+const game = {
+  format: 'fours',
+  yourPlayers: ['Amy', 'Bob', 'Cat', 'Dan'],
+  opponentNames: ['Rita', 'Sam', 'Tess', 'Uma'],
+  lineupChanges: [
+    { id: 'c3', team: 'yours', end: 8, type: 'swap', indexes: [0, 1] },
+    { id: 'c1', team: 'yours', end: 4, type: 'substitution', index: 1, player: 'Eve' },
+    { id: 'c2', team: 'opponent', end: 6, type: 'swap', indexes: [2, 3] }
+  ]
+};
+
+test('the starting lineup holds until the first change', () => {
+  assert.deepEqual(lineupAt(game, 'yours', 1), ['Amy', 'Bob', 'Cat', 'Dan']);
+  assert.deepEqual(lineupAt(game, 'yours', 3), ['Amy', 'Bob', 'Cat', 'Dan']);
+});
+
+test('a substitution applies from its end on', () => {
+  assert.deepEqual(lineupAt(game, 'yours', 4), ['Amy', 'Eve', 'Cat', 'Dan']);
+});
+
+test('changes apply in end order, whatever order they were recorded in', () => {
+  assert.deepEqual(lineupAt(game, 'yours', 8), ['Eve', 'Amy', 'Cat', 'Dan']);
+});
+
+test('each team has its own changes', () => {
+  assert.deepEqual(lineupAt(game, 'opponent', 5), ['Rita', 'Sam', 'Tess', 'Uma']);
+  assert.deepEqual(lineupAt(game, 'opponent', 6), ['Rita', 'Sam', 'Uma', 'Tess']);
+});
+
+test('unnamed opposition has no lineup', () => {
+  assert.deepEqual(lineupAt({ ...game, opponentNames: [] }, 'opponent', 1), []);
+});
+
+test('a player\'s positions are listed in the order first held', () => {
+  assert.deepEqual(positionsOf(game, 'yours', 'Amy'), ['Lead', 'Second']);
+  assert.deepEqual(positionsOf(game, 'yours', 'Eve'), ['Second', 'Lead']);
+  assert.deepEqual(positionsOf(game, 'yours', 'Cat'), ['Third']);
+});
+
+test('a player substituted off keeps the position they held', () => {
+  assert.deepEqual(positionsOf(game, 'yours', 'Bob'), ['Second']);
+});
+
+test('several changes at one end count as one new lineup', () => {
+  const swappedBack = {
+    ...game,
+    lineupChanges: [
+      { id: 'a', team: 'yours', end: 5, type: 'swap', indexes: [0, 1] },
+      { id: 'b', team: 'yours', end: 5, type: 'swap', indexes: [0, 1] }
+    ]
+  };
+  assert.deepEqual(positionsOf(swappedBack, 'yours', 'Amy'), ['Lead']);
+});
+
+test('a change at the first end replaces the starting lineup', () => {
+  const early = { ...game, lineupChanges: [{ id: 'a', team: 'yours', end: 1, type: 'substitution', index: 3, player: 'Eve' }] };
+  assert.deepEqual(positionsOf(early, 'yours', 'Dan'), []);
+  assert.deepEqual(positionsOf(early, 'yours', 'Eve'), ['Skip']);
+});
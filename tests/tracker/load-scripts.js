@@ -0,0 +1,52 @@
+// load-scripts.js — Load tracker scripts for the checks in this folder
+//
+// The tracker's scripts are classic browser scripts sharing one global scope,
+// so they are run in one vm context with just enough of a browser around them
+// to load. Nothing here opens IndexedDB or the network: the checks call the
+// pure helpers, or hand them a fake.
+//
+// Run every check with: node --test tests/tracker/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', '..', 'docs', 'app', 'tracker', 'js');
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+// Run `files` (names in docs/app/tracker/js) in order in a new context. The
+// returned context's `evaluate(code)` reads the scripts' consts and lets too.
+function loadScripts(files, globals = {}) {
+  const context = {
+    console: { log() {}, warn() {}, error() {} },
+    localStorage: createStorage(),
+    navigator: { onLine: false },
+    document: { addEventListener() {}, getElementById: () => null },
+    addEventListener() {},
+    setTimeout,
+    clearTimeout,
+    ...globals
+  };
+  context.window = context;
+  context.self = context;
+  // supabase.js creates its client as it loads
+  context.supabase = { createClient: () => ({ auth: {}, from: () => ({}) }) };
+  vm.createContext(context);
+
+  files.forEach(file => {
+    const code = fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  });
+  context.evaluate = code => vm.runInContext(code, context);
+  return context;
+}
+
+module.exports = { loadScripts };
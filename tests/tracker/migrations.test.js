@@ -0,0 +1,114 @@
+// Schema migrations (db.js): which MIGRATIONS steps openDB() runs on an upgrade
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+// Just enough of IndexedDB for the migration steps: stores and indexes are
+// recorded, cursors walk a store's records on later turns.
+function createFakeStore(name) {
+  const store = {
+    name,
+    records: new Map(),
+    indexes: [],
+    createIndex(indexName) { store.indexes.push(indexName); },
+    put(record) { store.records.set(record.id ?? record.settingName, record); },
+    openCursor() {
+      const request = {};
+      const keys = [...store.records.keys()];
+      const step = (i) => setImmediate(() => {
+        const key = keys[i];
+        const cursor = i < keys.length ? {
+          value: store.records.get(key),
+          update: value => store.records.set(key, value),
+          continue: () => step(i + 1)
+        } : null;
+        request.onsuccess({ target: { result: cursor } });
+      });
+      step(0);
+      return request;
+    }
+  };
+  return store;
+}
+
+function createFakeIndexedDB(oldVersion, existing = {}) {
+  const stores = new Map(Object.entries(existing).map(([name, records]) => {
+    const store = createFakeStore(name);
+    records.forEach(record => store.put(record));
+    return [name, store];
+  }));
+  const created = [];
+  const getStore = name => {
+    if (!stores.has(name)) stores.set(name, createFakeStore(name));
+    return stores.get(name);
+  };
+  const db = {
+    createObjectStore(name) { created.push(name); return getStore(name); },
+    transaction: () => tx
+  };
+  const tx = { objectStore: getStore };
+
+  return {
+    stores,
+    created,
+    open() {
+      const request = {};
+      setImmediate(() => {
+        request.onupgradeneeded({ target: { result: db, transaction: tx }, oldVersion });
+        // Let the steps' cursors finish, as the versionchange transaction would
+        setTimeout(() => request.onsuccess({ target: { result: db } }), 20);
+      });
+      return request;
+    }
+  };
+}
+
+// rink.js converts the pre-rink coordinates in the v8 step
+function openWith(fake) {
+  const tracker = loadScripts(['rink.js', 'db.js'], { indexedDB: fake });
+  return tracker.openDB().then(() => tracker);
+}
+
+test('the steps run in version order, one per version, up to DB_VERSION', () => {
+  const tracker = loadScripts(['db.js']);
+  const versions = [...tracker.evaluate('MIGRATIONS.map(m => m.version)')];
+  const latest = tracker.evaluate('DB_VERSION');
+  assert.deepEqual(versions, Array.from({ length: latest }, (_, i) => i + 1));
+});
+
+test('a new database runs every step and records the schema version', async () => {
+  const fake = createFakeIndexedDB(0);
+  const tracker = await openWith(fake);
+  ['tournaments', 'games', 'bowls', 'settings', 'changeLog', 'scoutingNotes'].forEach(name =>
+    assert.ok(fake.created.includes(name), name));
+  assert.equal(fake.stores.get('settings').records.get('schemaVersion').value, tracker.evaluate('DB_VERSION'));
+});
+
+test('an upgrade runs only the steps after the old version', async () => {
+  const fake = createFakeIndexedDB(10, { changeLog: [], settings: [] });
+  await openWith(fake);
+  assert.deepEqual(fake.created, []);
+  assert.deepEqual(fake.stores.get('changeLog').indexes, ['changedAt']);
+  assert.equal(fake.stores.get('settings').records.get('canonicalRepairPending').value, true);
+});
+
+test('an upgrade from v1 rewrites legacy records in the canonical shape', async () => {
+  const fake = createFakeIndexedDB(1, {
+    tournaments: [{ id: 't1', name: ' Open ' }],
+    games: [{ id: 'g1', players: ['Amy'], endCount: 10, notes: 'n', completed: false }],
+    bowls: [{ id: 'b1', gameId: 'g1', endNumber: 2, player: 'Amy', score: 3 }],
+    settings: []
+  });
+  await openWith(fake);
+  const game = fake.stores.get('games').records.get('g1');
+  assert.deepEqual([...game.yourPlayers], ['Amy']);
+  assert.equal(game.totalEnds, 10);
+  assert.equal(game.completed, 0);
+  assert.ok(!('players' in game));
+  const bowl = fake.stores.get('bowls').records.get('b1');
+  assert.equal(bowl.end, 2);
+  assert.equal(bowl.playerId, 'Amy');
+  assert.equal(bowl.scoreValue, 3);
+  assert.equal(fake.stores.get('tournaments').records.get('t1').name, 'Open');
+});
@@ -0,0 +1,48 @@
+// mapBowlToDelivery (supabase.js): the delivery row uploaded for a bowl
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const tracker = loadScripts(['supabase.js']);
+const { mapBowlToDelivery, mapDeliveryToBowl } = tracker;
+
+const bowl = {
+  id: 'b1', gameId: 'g1', end: 3, playerId: 'Amy', team: 'yours', x: 0.2, y: 29.5,
+  hand: 'forehand', position: 'Lead', scoreValue: 3, resultCategory: 'Short',
+  distanceInFeet: 1.5, matLength: 2, notes: 'good', timestamp: '2026-01-01T10:00:00.000Z'
+};
+
+test('a squad bowl is uploaded under its player', () => {
+  const row = mapBowlToDelivery(bowl, 'g1');
+  assert.equal(row.player_name, 'Amy');
+  assert.equal(row.player_id, 'Amy');
+  assert.equal(row.game_id, 'g1');
+  assert.equal(row.end_number, 3);
+  assert.equal(row.mat_distance, 2);
+});
+
+test('the game id falls back to the bowl\'s own', () => {
+  assert.equal(mapBowlToDelivery(bowl).game_id, 'g1');
+});
+
+test('a named opposition bowl is uploaded under the opposition player', () => {
+  const row = mapBowlToDelivery({ ...bowl, playerId: 'opponent', opponentName: 'Rita' }, 'g1', { opponentPlayers: ['Club B'] });
+  assert.equal(row.player_name, 'Rita');
+  assert.equal(row.player_id, 'opponent');
+  assert.equal(row.opponent_name, 'Rita');
+});
+
+test('an unnamed opposition bowl is uploaded under the opposition team', () => {
+  const row = mapBowlToDelivery({ ...bowl, playerId: 'opponent' }, 'g1', { opponentPlayers: ['Club B'] });
+  assert.equal(row.player_name, 'Club B');
+});
+
+test('an opposition bowl without its game has no player name, never \'opponent\'', () => {
+  assert.equal(mapBowlToDelivery({ ...bowl, playerId: 'opponent' }, 'g1').player_name, null);
+});
+
+test('a bowl comes back from its row unchanged', () => {
+  const back = mapDeliveryToBowl(mapBowlToDelivery(bowl, 'g1'));
+  Object.keys(bowl).forEach(key => assert.deepEqual(back[key], bowl[key], key));
+});